@@ -0,0 +1,37 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, ActivityIndicator, StyleSheet } from 'react-native';
+import { theme } from '../../config/theme';
+
+// Footer for infinite scroll lists: a spinner while the next page loads, or a retry link if it failed
+const LoadMoreFooter = ({ loading, error, onRetry }) => {
+  if (loading) {
+    return (
+      <View style={styles.container}>
+        <ActivityIndicator size="small" color={theme.colors.primary} />
+      </View>
+    );
+  }
+
+  if (error) {
+    return (
+      <TouchableOpacity style={styles.container} onPress={onRetry}>
+        <Text style={styles.errorText}>Couldn't load more reports. Tap to retry.</Text>
+      </TouchableOpacity>
+    );
+  }
+
+  return null;
+};
+
+const styles = StyleSheet.create({
+  container: {
+    paddingVertical: theme.spacing.md,
+    alignItems: 'center',
+  },
+  errorText: {
+    fontSize: theme.fonts.sizes.sm,
+    color: theme.colors.error,
+  },
+});
+
+export default LoadMoreFooter;
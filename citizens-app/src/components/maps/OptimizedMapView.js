@@ -21,6 +21,7 @@ const OptimizedMapView = ({
   onMapPress,
   showWards = true,
   onWardPress,
+  onRegionChangeComplete,
   style,
   children,
   ...mapProps
@@ -67,7 +68,8 @@ const OptimizedMapView = ({
 
   const handleRegionChangeComplete = useCallback((region) => {
     throttledRegionChange(region);
-  }, [throttledRegionChange]);
+    onRegionChangeComplete && onRegionChangeComplete(region);
+  }, [throttledRegionChange, onRegionChangeComplete]);
 
   // Highly optimized ward polygons with zoom-based filtering
   const wardPolygons = useMemo(() => {
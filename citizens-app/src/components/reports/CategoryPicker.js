@@ -1,18 +1,39 @@
-import React from 'react';
-import { View, Text, TouchableOpacity, ScrollView, StyleSheet } from 'react-native';
+import React, { useEffect } from 'react';
+import { View, Text, TouchableOpacity, ScrollView, ActivityIndicator, StyleSheet } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import { REPORT_CATEGORIES } from '../../config/api';
+import { useCategories } from '../../hooks/useCategories';
+
+const CategoryPicker = ({
+  municipalityId,
+  selectedCategory,
+  onSelectCategory,
+  selectedSubcategory,
+  onSelectSubcategory,
+  style,
+}) => {
+  const { categories, loading } = useCategories(municipalityId);
+  const selected = categories.find(category => category.value === selectedCategory);
+  const subcategories = selected?.subcategories || [];
+
+  // The municipality may not offer the category picked before the location was set
+  useEffect(() => {
+    if (!loading && selectedCategory && !selected) {
+      onSelectCategory('');
+    }
+  }, [loading, selectedCategory, selected]);
 
-const CategoryPicker = ({ selectedCategory, onSelectCategory, style }) => {
   return (
     <View style={[styles.container, style]}>
-      <Text style={styles.label}>Category</Text>
-      <ScrollView 
-        horizontal 
+      <View style={styles.labelRow}>
+        <Text style={styles.label}>Category</Text>
+        {loading && <ActivityIndicator size="small" color="#2196F3" />}
+      </View>
+      <ScrollView
+        horizontal
         showsHorizontalScrollIndicator={false}
         contentContainerStyle={styles.scrollContainer}
       >
-        {REPORT_CATEGORIES.map((category) => (
+        {categories.map((category) => (
           <TouchableOpacity
             key={category.value}
             style={[
@@ -37,6 +58,39 @@ const CategoryPicker = ({ selectedCategory, onSelectCategory, style }) => {
           </TouchableOpacity>
         ))}
       </ScrollView>
+
+      {onSelectSubcategory && subcategories.length > 0 && (
+        <View style={styles.subcategoryContainer}>
+          <Text style={styles.subcategoryLabel}>Type of issue (optional)</Text>
+          <ScrollView
+            horizontal
+            showsHorizontalScrollIndicator={false}
+            contentContainerStyle={styles.scrollContainer}
+          >
+            {subcategories.map((subcategory) => (
+              <TouchableOpacity
+                key={subcategory.value}
+                style={[
+                  styles.subcategoryButton,
+                  selectedSubcategory === subcategory.value && styles.selectedCategory,
+                ]}
+                onPress={() => onSelectSubcategory(
+                  selectedSubcategory === subcategory.value ? null : subcategory.value
+                )}
+              >
+                <Text
+                  style={[
+                    styles.subcategoryText,
+                    selectedSubcategory === subcategory.value && styles.selectedCategoryText,
+                  ]}
+                >
+                  {subcategory.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
+        </View>
+      )}
     </View>
   );
 };
@@ -45,11 +99,16 @@ const styles = StyleSheet.create({
   container: {
     marginBottom: 16,
   },
+  labelRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 12,
+  },
   label: {
     fontSize: 16,
     fontWeight: '600',
     color: '#333',
-    marginBottom: 12,
   },
   scrollContainer: {
     paddingHorizontal: 4,
@@ -78,6 +137,27 @@ const styles = StyleSheet.create({
   selectedCategoryText: {
     color: '#fff',
   },
+  subcategoryContainer: {
+    marginTop: 12,
+  },
+  subcategoryLabel: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 8,
+  },
+  subcategoryButton: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    marginRight: 8,
+    borderRadius: 20,
+    borderWidth: 1,
+    borderColor: '#2196F3',
+    backgroundColor: '#fff',
+  },
+  subcategoryText: {
+    fontSize: 13,
+    color: '#2196F3',
+  },
 });
 
-export default CategoryPicker;
\ No newline at end of file
+export default CategoryPicker;
@@ -0,0 +1,301 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  StyleSheet,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import reportService from '../../services/reportService';
+import LoadingSpinner from '../common/LoadingSpinner';
+import ErrorMessage from '../common/ErrorMessage';
+import { useAuth } from '../../hooks/useAuth';
+
+const MAX_COMMENT_LENGTH = 1000;
+
+const CommentThread = ({ reportId }) => {
+  const { user } = useAuth();
+  const [comments, setComments] = useState([]);
+  const [editWindowMinutes, setEditWindowMinutes] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [draft, setDraft] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const fetchComments = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await reportService.getComments(reportId);
+      setComments(data.comments);
+      setEditWindowMinutes(data.edit_window_minutes);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (reportId) {
+      fetchComments();
+    }
+  }, [reportId]);
+
+  const formatDate = (dateString) => {
+    const date = new Date(dateString);
+    return date.toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+  };
+
+  // Authors can fix a comment for a few minutes after posting it
+  const canEdit = (comment) =>
+    comment.user_id === user?.id &&
+    !comment.is_hidden &&
+    Date.now() - new Date(comment.created_at).getTime() <= editWindowMinutes * 60 * 1000;
+
+  const startEditing = (comment) => {
+    setEditingId(comment.id);
+    setDraft(comment.body);
+  };
+
+  const cancelEditing = () => {
+    setEditingId(null);
+    setDraft('');
+  };
+
+  const handleSubmit = async () => {
+    const body = draft.trim();
+
+    if (!body) {
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+
+      if (editingId) {
+        const updated = await reportService.updateComment(reportId, editingId, body);
+        setComments(prev => prev.map(comment => (comment.id === updated.id ? updated : comment)));
+        setEditingId(null);
+      } else {
+        const created = await reportService.addComment(reportId, body);
+        setComments(prev => [...prev, created]);
+      }
+
+      setDraft('');
+    } catch (err) {
+      Alert.alert('Error', err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const renderComment = (comment) => (
+    <View
+      key={comment.id}
+      style={[styles.commentContainer, comment.is_hidden && styles.hiddenComment]}
+    >
+      <View style={styles.commentHeader}>
+        <Text style={styles.commentAuthor}>
+          {comment.author?.name || 'Resident'}
+          {comment.author?.role === 'official' ? ' · Official' : ''}
+        </Text>
+        <Text style={styles.commentDate}>{formatDate(comment.created_at)}</Text>
+      </View>
+      <Text style={styles.commentText}>{comment.body}</Text>
+      <View style={styles.commentFooter}>
+        {comment.is_hidden && (
+          <Text style={styles.hiddenText}>
+            Hidden{comment.hidden_reason ? `: ${comment.hidden_reason}` : ''}
+          </Text>
+        )}
+        {comment.edited_at && !comment.is_hidden && (
+          <Text style={styles.editedText}>Edited</Text>
+        )}
+        {canEdit(comment) && editingId !== comment.id && (
+          <TouchableOpacity onPress={() => startEditing(comment)}>
+            <Text style={styles.editText}>Edit</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    </View>
+  );
+
+  if (loading) {
+    return <LoadingSpinner message="Loading comments..." />;
+  }
+
+  if (error) {
+    return (
+      <ErrorMessage
+        message={error}
+        onRetry={fetchComments}
+        retryText="Retry"
+      />
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>Comments</Text>
+
+      {comments.length === 0 ? (
+        <Text style={styles.emptyText}>
+          No comments yet. Let others know if the issue has changed.
+        </Text>
+      ) : (
+        comments.map(renderComment)
+      )}
+
+      {editingId && (
+        <View style={styles.editingBanner}>
+          <Text style={styles.editingText}>Editing your comment</Text>
+          <TouchableOpacity onPress={cancelEditing}>
+            <Text style={styles.editText}>Cancel</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      <View style={styles.inputContainer}>
+        <TextInput
+          style={styles.input}
+          value={draft}
+          onChangeText={setDraft}
+          placeholder="Add a comment, e.g. still broken this morning"
+          placeholderTextColor="#999"
+          maxLength={MAX_COMMENT_LENGTH}
+          multiline
+        />
+        <TouchableOpacity
+          style={[styles.sendButton, (!draft.trim() || submitting) && styles.sendButtonDisabled]}
+          onPress={handleSubmit}
+          disabled={!draft.trim() || submitting}
+        >
+          {submitting ? (
+            <ActivityIndicator size="small" color="#fff" />
+          ) : (
+            <Ionicons name={editingId ? 'checkmark' : 'send'} size={18} color="#fff" />
+          )}
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 24,
+    marginBottom: 32,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 16,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#999',
+    marginBottom: 16,
+  },
+  commentContainer: {
+    backgroundColor: '#f8f9fa',
+    padding: 12,
+    borderRadius: 8,
+    marginBottom: 12,
+  },
+  hiddenComment: {
+    opacity: 0.6,
+  },
+  commentHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  commentAuthor: {
+    fontSize: 12,
+    color: '#2196F3',
+    fontWeight: '500',
+  },
+  commentDate: {
+    fontSize: 12,
+    color: '#666',
+  },
+  commentText: {
+    fontSize: 14,
+    color: '#333',
+    lineHeight: 20,
+  },
+  commentFooter: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  editedText: {
+    fontSize: 12,
+    color: '#999',
+    marginRight: 12,
+  },
+  hiddenText: {
+    flex: 1,
+    fontSize: 12,
+    color: '#F44336',
+  },
+  editText: {
+    fontSize: 12,
+    color: '#2196F3',
+    fontWeight: '500',
+  },
+  editingBanner: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  editingText: {
+    fontSize: 12,
+    color: '#666',
+  },
+  inputContainer: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+  },
+  input: {
+    flex: 1,
+    minHeight: 44,
+    maxHeight: 120,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 14,
+    color: '#333',
+  },
+  sendButton: {
+    marginLeft: 8,
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: '#2196F3',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  sendButtonDisabled: {
+    backgroundColor: '#90CAF9',
+  },
+});
+
+export default CommentThread;
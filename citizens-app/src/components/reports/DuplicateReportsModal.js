@@ -0,0 +1,176 @@
+import React from 'react';
+import { View, Text, Modal, ScrollView, TouchableOpacity, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import Button from '../common/Button';
+import { REPORT_STATUSES } from '../../config/api';
+
+// Shown before filing a report when similar open reports already exist nearby
+const DuplicateReportsModal = ({ visible, duplicates, onUpvote, onView, onSubmitAnyway, onCancel, loading }) => {
+  const renderAction = (report) => {
+    if (report.is_own || report.user_upvoted) {
+      return (
+        <TouchableOpacity style={styles.secondaryAction} onPress={() => onView(report)}>
+          <Text style={styles.secondaryActionText}>
+            {report.is_own ? 'Your report' : 'Already upvoted'} · View
+          </Text>
+        </TouchableOpacity>
+      );
+    }
+
+    return (
+      <TouchableOpacity
+        style={styles.upvoteAction}
+        onPress={() => onUpvote(report)}
+        disabled={loading}
+      >
+        <Ionicons name="heart-outline" size={16} color="#fff" />
+        <Text style={styles.upvoteActionText}>Upvote this instead</Text>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" transparent onRequestClose={onCancel}>
+      <View style={styles.overlay}>
+        <View style={styles.sheet}>
+          <Text style={styles.title}>Similar reports nearby</Text>
+          <Text style={styles.subtitle}>
+            Someone may have already reported this. Upvoting an existing report helps it get fixed sooner.
+          </Text>
+
+          <ScrollView style={styles.list}>
+            {duplicates.map((report) => {
+              const status = REPORT_STATUSES.find(stat => stat.value === report.status);
+
+              return (
+                <View key={report.id} style={styles.item}>
+                  <View style={styles.itemHeader}>
+                    <Text style={styles.itemTitle} numberOfLines={2}>{report.title}</Text>
+                    <View style={[styles.statusBadge, { backgroundColor: status?.color || '#666' }]}>
+                      <Text style={styles.statusText}>{status?.label || report.status}</Text>
+                    </View>
+                  </View>
+                  <Text style={styles.itemMeta}>
+                    {report.distance_m} m away · {report.upvotes || 0} upvotes
+                  </Text>
+                  {renderAction(report)}
+                </View>
+              );
+            })}
+          </ScrollView>
+
+          <Button
+            title="Submit my report anyway"
+            onPress={onSubmitAnyway}
+            loading={loading}
+            style={styles.submitButton}
+          />
+          <TouchableOpacity style={styles.cancelButton} onPress={onCancel}>
+            <Text style={styles.cancelText}>Cancel</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+  },
+  sheet: {
+    maxHeight: '80%',
+    backgroundColor: '#fff',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    padding: 20,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 6,
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#666',
+    lineHeight: 20,
+    marginBottom: 16,
+  },
+  list: {
+    marginBottom: 8,
+  },
+  item: {
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  itemHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'flex-start',
+  },
+  itemTitle: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: '500',
+    color: '#333',
+    marginRight: 8,
+  },
+  statusBadge: {
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    borderRadius: 12,
+  },
+  statusText: {
+    color: '#fff',
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  itemMeta: {
+    marginTop: 4,
+    fontSize: 12,
+    color: '#999',
+  },
+  upvoteAction: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    marginTop: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: '#F44336',
+  },
+  upvoteActionText: {
+    marginLeft: 6,
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  secondaryAction: {
+    alignSelf: 'flex-start',
+    marginTop: 8,
+    paddingVertical: 6,
+  },
+  secondaryActionText: {
+    color: '#2196F3',
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  submitButton: {
+    marginTop: 8,
+  },
+  cancelButton: {
+    alignItems: 'center',
+    paddingVertical: 12,
+  },
+  cancelText: {
+    fontSize: 16,
+    color: '#666',
+  },
+});
+
+export default DuplicateReportsModal;
@@ -0,0 +1,143 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { getCategoryDisplay } from '../../config/api';
+
+// A report still waiting in the offline outbox
+const PendingReportCard = ({ entry, onRetry, onDiscard }) => {
+  const { reportData } = entry;
+  const category = getCategoryDisplay(reportData.category);
+  const failed = entry.status === 'failed';
+
+  const badgeText = failed
+    ? 'Sync failed'
+    : entry.reportId ? 'Uploading photos' : 'Pending sync';
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <View style={styles.categoryContainer}>
+          <Ionicons
+            name={category?.icon || 'help-circle'}
+            size={16}
+            color="#2196F3"
+          />
+          <Text style={styles.category}>{category?.label || 'Other'}</Text>
+        </View>
+        <View style={[styles.syncBadge, failed && styles.failedBadge]}>
+          <Ionicons name={failed ? 'alert-circle-outline' : 'cloud-upload-outline'} size={12} color="#fff" />
+          <Text style={styles.syncText}>{badgeText}</Text>
+        </View>
+      </View>
+
+      <Text style={styles.title} numberOfLines={2}>
+        {reportData.title}
+      </Text>
+
+      {entry.photos.length > 0 && (
+        <Text style={styles.meta}>
+          {entry.photos.length} photo{entry.photos.length === 1 ? '' : 's'} attached
+        </Text>
+      )}
+
+      {entry.lastError && (
+        <Text style={styles.error} numberOfLines={2}>
+          {entry.lastError}
+        </Text>
+      )}
+
+      <View style={styles.actions}>
+        <TouchableOpacity style={styles.actionButton} onPress={() => onRetry(entry)}>
+          <Text style={styles.retryText}>Retry now</Text>
+        </TouchableOpacity>
+        {failed && (
+          <TouchableOpacity style={styles.actionButton} onPress={() => onDiscard(entry)}>
+            <Text style={styles.discardText}>Discard</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 12,
+    borderWidth: 1,
+    borderColor: '#FFE0B2',
+    borderStyle: 'dashed',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  categoryContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  category: {
+    marginLeft: 6,
+    fontSize: 14,
+    color: '#2196F3',
+    fontWeight: '500',
+  },
+  syncBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    borderRadius: 12,
+    backgroundColor: '#FF9800',
+  },
+  failedBadge: {
+    backgroundColor: '#F44336',
+  },
+  syncText: {
+    marginLeft: 4,
+    color: '#fff',
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 8,
+    lineHeight: 22,
+  },
+  meta: {
+    fontSize: 12,
+    color: '#666',
+    marginBottom: 4,
+  },
+  error: {
+    fontSize: 12,
+    color: '#F44336',
+    marginBottom: 4,
+  },
+  actions: {
+    flexDirection: 'row',
+    marginTop: 8,
+  },
+  actionButton: {
+    marginRight: 16,
+    paddingVertical: 4,
+  },
+  retryText: {
+    color: '#2196F3',
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  discardText: {
+    color: '#F44336',
+    fontSize: 14,
+    fontWeight: '500',
+  },
+});
+
+export default PendingReportCard;
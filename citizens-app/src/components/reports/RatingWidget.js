@@ -0,0 +1,198 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  StyleSheet,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import reportService from '../../services/reportService';
+
+const MAX_COMMENT_LENGTH = 1000;
+const STARS = [1, 2, 3, 4, 5];
+const RATING_LABELS = ['Very poor', 'Poor', 'Okay', 'Good', 'Excellent'];
+
+// Lets the author rate how their resolved report was handled, once
+const RatingWidget = ({ reportId }) => {
+  const [feedback, setFeedback] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [rating, setRating] = useState(0);
+  const [comment, setComment] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchFeedback = async () => {
+      try {
+        const result = await reportService.getFeedback(reportId);
+        if (!cancelled) {
+          setFeedback(result);
+        }
+      } catch (error) {
+        // Show the empty widget; submitting reports any real problem
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    };
+
+    fetchFeedback();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [reportId]);
+
+  const handleSubmit = async () => {
+    try {
+      setSubmitting(true);
+      const created = await reportService.submitFeedback(reportId, { rating, comment: comment.trim() });
+      setFeedback(created);
+    } catch (error) {
+      Alert.alert('Error', error.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const renderStars = (value, onSelect) => (
+    <View style={styles.stars}>
+      {STARS.map(star => (
+        <TouchableOpacity
+          key={star}
+          onPress={() => onSelect?.(star)}
+          disabled={!onSelect}
+          style={styles.star}
+        >
+          <Ionicons
+            name={star <= value ? 'star' : 'star-outline'}
+            size={28}
+            color="#FFC107"
+          />
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  if (loading) {
+    return null;
+  }
+
+  if (feedback) {
+    return (
+      <View style={styles.container}>
+        <Text style={styles.title}>Your rating</Text>
+        {renderStars(feedback.rating)}
+        {feedback.comment ? <Text style={styles.comment}>{feedback.comment}</Text> : null}
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>How was this handled?</Text>
+      <Text style={styles.subtitle}>Your rating helps the municipality improve its service.</Text>
+      {renderStars(rating, setRating)}
+      {rating > 0 && (
+        <>
+          <Text style={styles.ratingLabel}>{RATING_LABELS[rating - 1]}</Text>
+          <TextInput
+            style={styles.input}
+            value={comment}
+            onChangeText={setComment}
+            placeholder="Anything to add? (optional)"
+            placeholderTextColor="#999"
+            maxLength={MAX_COMMENT_LENGTH}
+            multiline
+          />
+          <TouchableOpacity
+            style={[styles.submitButton, submitting && styles.submitButtonDisabled]}
+            onPress={handleSubmit}
+            disabled={submitting}
+          >
+            {submitting ? (
+              <ActivityIndicator size="small" color="#fff" />
+            ) : (
+              <Text style={styles.submitText}>Send rating</Text>
+            )}
+          </TouchableOpacity>
+        </>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    padding: 16,
+    marginBottom: 24,
+    borderRadius: 12,
+    backgroundColor: '#FFFDE7',
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 4,
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 8,
+  },
+  stars: {
+    flexDirection: 'row',
+    marginVertical: 4,
+  },
+  star: {
+    marginRight: 6,
+  },
+  ratingLabel: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 12,
+  },
+  comment: {
+    marginTop: 8,
+    fontSize: 14,
+    color: '#333',
+    lineHeight: 20,
+  },
+  input: {
+    minHeight: 44,
+    maxHeight: 120,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 14,
+    color: '#333',
+    backgroundColor: '#fff',
+    marginBottom: 12,
+  },
+  submitButton: {
+    alignSelf: 'flex-end',
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 20,
+    backgroundColor: '#2196F3',
+    minWidth: 96,
+    alignItems: 'center',
+  },
+  submitButtonDisabled: {
+    backgroundColor: '#90CAF9',
+  },
+  submitText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+});
+
+export default RatingWidget;
@@ -1,10 +1,10 @@
 import React from 'react';
 import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import { REPORT_CATEGORIES, REPORT_STATUSES } from '../../config/api';
+import { getCategoryDisplay, REPORT_STATUSES } from '../../config/api';
 
 const ReportCard = ({ report, onPress, showUpvote = false, onUpvote }) => {
-  const category = REPORT_CATEGORIES.find(cat => cat.value === report.category);
+  const category = getCategoryDisplay(report.category);
   const status = REPORT_STATUSES.find(stat => stat.value === report.status);
 
   const formatDate = (dateString) => {
@@ -47,6 +47,15 @@ const ReportCard = ({ report, onPress, showUpvote = false, onUpvote }) => {
         {report.description}
       </Text>
 
+      {report.assigned_official_user && (
+        <View style={styles.assigneeContainer}>
+          <Ionicons name="briefcase-outline" size={14} color="#666" />
+          <Text style={styles.assignee} numberOfLines={1}>
+            Assigned to {report.assigned_official_user.name}
+          </Text>
+        </View>
+      )}
+
       <View style={styles.footer}>
         <View style={styles.locationContainer}>
           <Ionicons name="location-outline" size={14} color="#666" />
@@ -131,6 +140,17 @@ const styles = StyleSheet.create({
     lineHeight: 20,
     marginBottom: 12,
   },
+  assigneeContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  assignee: {
+    marginLeft: 4,
+    fontSize: 12,
+    color: '#666',
+    flex: 1,
+  },
   footer: {
     flexDirection: 'row',
     justifyContent: 'space-between',
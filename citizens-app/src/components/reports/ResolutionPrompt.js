@@ -0,0 +1,273 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  Image,
+  StyleSheet,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import * as ImagePicker from 'expo-image-picker';
+import reportService from '../../services/reportService';
+
+const MAX_REASON_LENGTH = 1000;
+
+// Asks the author of a resolved report whether it is really fixed
+const ResolutionPrompt = ({ report, onAnswered }) => {
+  const [reopening, setReopening] = useState(false);
+  const [reason, setReason] = useState('');
+  const [photoUri, setPhotoUri] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const formatDate = (dateString) => {
+    const date = new Date(dateString);
+    return date.toLocaleDateString('en-US', {
+      month: 'long',
+      day: 'numeric',
+    });
+  };
+
+  const pickPhoto = async (source) => {
+    try {
+      const request = source === 'camera'
+        ? ImagePicker.requestCameraPermissionsAsync
+        : ImagePicker.requestMediaLibraryPermissionsAsync;
+      const { status } = await request();
+
+      if (status !== 'granted') {
+        Alert.alert('Permission Required', `Please grant ${source === 'camera' ? 'camera' : 'camera roll'} permissions to add a photo.`);
+        return;
+      }
+
+      const launch = source === 'camera'
+        ? ImagePicker.launchCameraAsync
+        : ImagePicker.launchImageLibraryAsync;
+      const result = await launch({
+        mediaTypes: ImagePicker.MediaTypeOptions.Images,
+        quality: 0.8,
+      });
+
+      if (!result.canceled && result.assets[0]) {
+        setPhotoUri(result.assets[0].uri);
+      }
+    } catch (error) {
+      Alert.alert('Error', 'Failed to add photo');
+    }
+  };
+
+  const showPhotoOptions = () => {
+    Alert.alert(
+      'Add Photo',
+      'Show that the issue is still there',
+      [
+        { text: 'Camera', onPress: () => pickPhoto('camera') },
+        { text: 'Gallery', onPress: () => pickPhoto('gallery') },
+        { text: 'Cancel', style: 'cancel' },
+      ]
+    );
+  };
+
+  const submit = async (action) => {
+    try {
+      setSubmitting(true);
+      const result = await reportService.respondToResolution(report.id, action, {
+        reason: action === 'reopen' ? reason.trim() : undefined,
+        photoUri: action === 'reopen' ? photoUri : null,
+      });
+      onAnswered?.(result);
+    } catch (error) {
+      Alert.alert('Error', error.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.titleRow}>
+        <Ionicons name="checkmark-done-circle-outline" size={22} color="#4CAF50" />
+        <Text style={styles.title}>Is this fixed?</Text>
+      </View>
+      <Text style={styles.subtitle}>
+        The municipality marked your report as resolved.
+        {report.confirmation_due_at
+          ? ` If you don't answer, it closes on ${formatDate(report.confirmation_due_at)}.`
+          : ''}
+      </Text>
+
+      {reopening ? (
+        <View>
+          <TextInput
+            style={styles.input}
+            value={reason}
+            onChangeText={setReason}
+            placeholder="What is still wrong? (optional)"
+            placeholderTextColor="#999"
+            maxLength={MAX_REASON_LENGTH}
+            multiline
+          />
+
+          {photoUri ? (
+            <View style={styles.photoContainer}>
+              <Image source={{ uri: photoUri }} style={styles.photo} />
+              <TouchableOpacity style={styles.removePhoto} onPress={() => setPhotoUri(null)}>
+                <Ionicons name="close-circle" size={22} color="#F44336" />
+              </TouchableOpacity>
+            </View>
+          ) : (
+            <TouchableOpacity style={styles.addPhotoButton} onPress={showPhotoOptions}>
+              <Ionicons name="camera-outline" size={18} color="#2196F3" />
+              <Text style={styles.addPhotoText}>Add a photo</Text>
+            </TouchableOpacity>
+          )}
+
+          <View style={styles.actions}>
+            <TouchableOpacity
+              style={[styles.button, styles.secondaryButton]}
+              onPress={() => setReopening(false)}
+              disabled={submitting}
+            >
+              <Text style={styles.secondaryButtonText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.button, styles.reopenButton]}
+              onPress={() => submit('reopen')}
+              disabled={submitting}
+            >
+              {submitting ? (
+                <ActivityIndicator size="small" color="#fff" />
+              ) : (
+                <Text style={styles.buttonText}>Reopen report</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        </View>
+      ) : (
+        <View style={styles.actions}>
+          <TouchableOpacity
+            style={[styles.button, styles.reopenButton]}
+            onPress={() => setReopening(true)}
+            disabled={submitting}
+          >
+            <Text style={styles.buttonText}>Not fixed</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.button, styles.confirmButton]}
+            onPress={() => submit('confirm')}
+            disabled={submitting}
+          >
+            {submitting ? (
+              <ActivityIndicator size="small" color="#fff" />
+            ) : (
+              <Text style={styles.buttonText}>Yes, it's fixed</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    padding: 16,
+    marginBottom: 24,
+    borderRadius: 12,
+    backgroundColor: '#F1F8E9',
+  },
+  titleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  title: {
+    marginLeft: 8,
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#666',
+    lineHeight: 20,
+    marginBottom: 12,
+  },
+  input: {
+    minHeight: 44,
+    maxHeight: 120,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 14,
+    color: '#333',
+    backgroundColor: '#fff',
+    marginBottom: 12,
+  },
+  addPhotoButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  addPhotoText: {
+    marginLeft: 6,
+    fontSize: 14,
+    color: '#2196F3',
+    fontWeight: '500',
+  },
+  photoContainer: {
+    alignSelf: 'flex-start',
+    marginBottom: 12,
+  },
+  photo: {
+    width: 96,
+    height: 96,
+    borderRadius: 8,
+  },
+  removePhoto: {
+    position: 'absolute',
+    top: -8,
+    right: -8,
+    backgroundColor: '#fff',
+    borderRadius: 11,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+  },
+  button: {
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 20,
+    marginLeft: 8,
+    minWidth: 96,
+    alignItems: 'center',
+  },
+  confirmButton: {
+    backgroundColor: '#4CAF50',
+  },
+  reopenButton: {
+    backgroundColor: '#F44336',
+  },
+  secondaryButton: {
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#ddd',
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  secondaryButtonText: {
+    color: '#666',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+});
+
+export default ResolutionPrompt;
@@ -0,0 +1,74 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, ScrollView, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { theme } from '../../config/theme';
+import { REPORT_SORT_OPTIONS } from '../../config/api';
+
+const SortSelector = ({ selectedSort, onSelectSort, disabled, style }) => {
+  return (
+    <View style={[styles.container, style]}>
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        contentContainerStyle={styles.scrollContainer}
+      >
+        {REPORT_SORT_OPTIONS.map((option) => {
+          const selected = selectedSort === option.value;
+
+          return (
+            <TouchableOpacity
+              key={option.value}
+              style={[styles.sortButton, selected && styles.selectedSort]}
+              onPress={() => onSelectSort(option)}
+              disabled={disabled}
+            >
+              <Ionicons
+                name={option.icon}
+                size={14}
+                color={selected ? theme.colors.white : theme.colors.primary}
+              />
+              <Text style={[styles.sortText, selected && styles.selectedSortText]}>
+                {option.label}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    paddingVertical: theme.spacing.sm,
+    backgroundColor: theme.colors.background,
+  },
+  scrollContainer: {
+    paddingHorizontal: theme.spacing.md,
+  },
+  sortButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: theme.spacing.sm + 4,
+    paddingVertical: theme.spacing.xs + 2,
+    marginRight: theme.spacing.sm,
+    borderRadius: theme.borderRadius.xl,
+    borderWidth: 1,
+    borderColor: theme.colors.primary,
+    backgroundColor: theme.colors.surface,
+  },
+  selectedSort: {
+    backgroundColor: theme.colors.primary,
+  },
+  sortText: {
+    marginLeft: theme.spacing.xs,
+    fontSize: theme.fonts.sizes.sm,
+    color: theme.colors.primary,
+    fontWeight: theme.fonts.weights.medium,
+  },
+  selectedSortText: {
+    color: theme.colors.white,
+  },
+});
+
+export default SortSelector;
@@ -4,20 +4,28 @@ import { Ionicons } from '@expo/vector-icons';
 import reportService from '../../services/reportService';
 import LoadingSpinner from '../common/LoadingSpinner';
 import ErrorMessage from '../common/ErrorMessage';
+import { REPORT_STATUSES } from '../../config/api';
 
-const StatusUpdates = ({ reportId }) => {
+const statusInfo = (value) => REPORT_STATUSES.find(status => status.value === value);
+
+// refreshKey refetches the timeline in the background whenever it changes
+const StatusUpdates = ({ reportId, refreshKey = 0 }) => {
   const [statusUpdates, setStatusUpdates] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
-  const fetchStatusUpdates = async () => {
+  const fetchStatusUpdates = async ({ silent = false } = {}) => {
     try {
-      setLoading(true);
+      if (!silent) {
+        setLoading(true);
+      }
       setError(null);
       const updates = await reportService.getStatusUpdates(reportId);
       setStatusUpdates(updates);
     } catch (err) {
-      setError(err.message);
+      if (!silent) {
+        setError(err.message);
+      }
     } finally {
       setLoading(false);
     }
@@ -29,6 +37,12 @@ const StatusUpdates = ({ reportId }) => {
     }
   }, [reportId]);
 
+  useEffect(() => {
+    if (reportId && refreshKey > 0) {
+      fetchStatusUpdates({ silent: true });
+    }
+  }, [refreshKey]);
+
   const formatDate = (dateString) => {
     const date = new Date(dateString);
     return date.toLocaleDateString('en-US', {
@@ -47,6 +61,25 @@ const StatusUpdates = ({ reportId }) => {
         {index < statusUpdates.length - 1 && <View style={styles.timelineLine} />}
       </View>
       <View style={styles.updateContent}>
+        {item.to_status && (
+          <View style={styles.transition}>
+            {item.from_status && (
+              <>
+                <View style={[styles.statusChip, { backgroundColor: statusInfo(item.from_status)?.color || '#666' }]}>
+                  <Text style={styles.statusChipText}>
+                    {statusInfo(item.from_status)?.label || item.from_status}
+                  </Text>
+                </View>
+                <Ionicons name="arrow-forward" size={14} color="#666" style={styles.transitionArrow} />
+              </>
+            )}
+            <View style={[styles.statusChip, { backgroundColor: statusInfo(item.to_status)?.color || '#666' }]}>
+              <Text style={styles.statusChipText}>
+                {statusInfo(item.to_status)?.label || item.to_status}
+              </Text>
+            </View>
+          </View>
+        )}
         <Text style={styles.updateText}>{item.update_text}</Text>
         <View style={styles.updateMeta}>
           <Text style={styles.updateAuthor}>
@@ -66,7 +99,7 @@ const StatusUpdates = ({ reportId }) => {
     return (
       <ErrorMessage 
         message={error} 
-        onRetry={fetchStatusUpdates}
+        onRetry={() => fetchStatusUpdates()}
         retryText="Retry"
       />
     );
@@ -133,6 +166,24 @@ const styles = StyleSheet.create({
     padding: 12,
     borderRadius: 8,
   },
+  transition: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  transitionArrow: {
+    marginHorizontal: 6,
+  },
+  statusChip: {
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    borderRadius: 10,
+  },
+  statusChipText: {
+    color: '#fff',
+    fontSize: 11,
+    fontWeight: '600',
+  },
   updateText: {
     fontSize: 14,
     color: '#333',
@@ -4,6 +4,9 @@ import { ENV } from './constants';
 export const API_BASE_URL = 'https://setshaba-connect-backend.onrender.com';
 console.log('API_BASE_URL:', API_BASE_URL);
 
+// Photos kept on the backend's local disk come back as paths relative to the API
+export const resolveMediaUrl = (url) => (url && url.startsWith('/') ? `${API_BASE_URL}${url}` : url);
+
 export const API_ENDPOINTS = {
   // Auth
   REGISTER: '/api/auth/register',
@@ -14,22 +17,34 @@ export const API_ENDPOINTS = {
   // Users
   USER_PROFILE: '/api/users/me',
   USER_BY_ID: '/api/users',
+  USER_DEVICES: '/api/users/me/devices',
   
   // Reports
   REPORTS: '/api/reports',
   MY_REPORTS: '/api/reports/mine',
+  REPORT_DUPLICATES: '/api/reports/duplicates',
   MUNICIPALITY_REPORTS: '/api/reports/municipality',
   REPORT_UPVOTE: '/api/reports/{id}/upvote',
+  REPORT_ATTACHMENTS: '/api/reports/{id}/attachments',
+  REPORT_COMMENTS: '/api/reports/{id}/comments',
+  REPORT_EVENTS: '/api/reports/{id}/events',
+  REPORT_CONFIRM: '/api/reports/{id}/confirm',
+  REPORT_REOPEN: '/api/reports/{id}/reopen',
+  REPORT_FEEDBACK: '/api/reports/{id}/feedback',
   
   // Municipalities
   MUNICIPALITIES: '/api/municipalities',
   MUNICIPALITY_BY_ID: '/api/municipalities/{id}',
+  MUNICIPALITY_LOCATE: '/api/municipalities/locate',
   MUNICIPALITY_REPORTS: '/api/municipalities/{id}/reports',
+  MUNICIPALITY_CATEGORIES: '/api/municipalities/{id}/categories',
   
   // Status Updates
   STATUS_UPDATES: '/api/reports/{reportId}/status',
 };
 
+export const MAX_REPORT_PHOTOS = 5;
+
 export const REPORT_CATEGORIES = [
   { value: 'water', label: 'Water & Sanitation', icon: 'water' },
   { value: 'electricity', label: 'Electricity', icon: 'flash' },
@@ -39,6 +54,27 @@ export const REPORT_CATEGORIES = [
   { value: 'other', label: 'Other', icon: 'help-circle' },
 ];
 
+// Municipalities can define their own categories, so labels for slugs outside the
+// defaults are derived from the slug itself
+export const getCategoryDisplay = (slug) => REPORT_CATEGORIES.find(cat => cat.value === slug) || {
+  value: slug,
+  label: slug ? slug.charAt(0).toUpperCase() + slug.slice(1).replace(/_/g, ' ') : 'Other',
+  icon: 'pricetag',
+};
+
+// How far around the user the nearest sort looks. The server sorts these by
+// distance in memory and pages them by offset.
+export const NEAREST_RADIUS_KM = 25;
+
+// Orderings for the community report list. Nearest needs the user's location.
+export const REPORT_SORT_OPTIONS = [
+  { value: 'newest', label: 'Newest', icon: 'time', params: { sort: 'newest' } },
+  { value: 'upvotes', label: 'Most upvoted', icon: 'thumbs-up', params: { sort: 'upvotes' } },
+  { value: 'nearest', label: 'Nearest', icon: 'navigate', params: { sort: 'nearest', radius_km: NEAREST_RADIUS_KM }, needsLocation: true },
+  { value: 'oldest_open', label: 'Oldest open', icon: 'hourglass', params: { sort: 'oldest', open: true } },
+  { value: 'last_updated', label: 'Recently updated', icon: 'refresh', params: { sort: 'last_updated' } },
+];
+
 export const REPORT_STATUSES = [
   { value: 'pending', label: 'Pending', color: '#FFA500' },
   { value: 'acknowledged', label: 'Acknowledged', color: '#2196F3' },
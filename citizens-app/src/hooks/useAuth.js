@@ -1,5 +1,6 @@
 import { useState, useEffect, createContext, useContext } from 'react';
 import authService from '../services/authService';
+import notificationService from '../services/notificationService';
 
 const AuthContext = createContext({});
 
@@ -55,6 +56,8 @@ export const AuthProvider = ({ children }) => {
   const signOut = async () => {
     try {
       setLoading(true);
+      // Stop pushes to this device while the session can still authenticate the request
+      await notificationService.unregisterDevice().catch(() => {});
       await authService.logout();
     } catch (error) {
       throw error;
@@ -0,0 +1,59 @@
+import { useState, useEffect } from 'react';
+import municipalityService from '../services/municipalityService';
+import { REPORT_CATEGORIES } from '../config/api';
+
+const DEFAULT_CATEGORIES = REPORT_CATEGORIES.map(category => ({ ...category, subcategories: [] }));
+
+const toOption = (category) => ({
+  value: category.slug,
+  label: category.name,
+  icon: category.icon || 'pricetag',
+});
+
+// The categories a report can be filed under in a municipality. Falls back to the
+// built-in defaults until the municipality is known or when they can't be loaded.
+export const useCategories = (municipalityId) => {
+  const [categories, setCategories] = useState(DEFAULT_CATEGORIES);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!municipalityId) {
+      setCategories(DEFAULT_CATEGORIES);
+      return undefined;
+    }
+
+    let cancelled = false;
+
+    const loadCategories = async () => {
+      try {
+        setLoading(true);
+        const result = await municipalityService.getCategories(municipalityId);
+
+        if (!cancelled) {
+          setCategories(result.map(category => ({
+            ...toOption(category),
+            subcategories: category.subcategories.map(toOption),
+          })));
+        }
+      } catch (err) {
+        console.error('Failed to load categories:', err);
+
+        if (!cancelled) {
+          setCategories(DEFAULT_CATEGORIES);
+        }
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    };
+
+    loadCategories();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [municipalityId]);
+
+  return { categories, loading };
+};
@@ -0,0 +1,91 @@
+import { useState, useEffect } from 'react';
+import { AppState } from 'react-native';
+import NetInfo from '@react-native-community/netinfo';
+import outboxService from '../services/outboxService';
+
+// Sends queued reports while signed in: on launch, when connectivity returns,
+// when the app comes back to the foreground and when the next backoff is due
+export const useOutboxSync = (user) => {
+  useEffect(() => {
+    if (!user) {
+      return;
+    }
+
+    let retryTimer = null;
+    let active = true;
+
+    const sync = async (options) => {
+      clearTimeout(retryTimer);
+
+      try {
+        await outboxService.flush(user.id, options);
+      } catch (error) {
+        console.warn('Outbox sync failed:', error.message);
+      }
+
+      const nextAttemptAt = await outboxService.getNextAttemptAt(user.id);
+
+      if (active && nextAttemptAt) {
+        retryTimer = setTimeout(sync, Math.max(nextAttemptAt - Date.now(), 1000));
+      }
+    };
+
+    sync();
+
+    // Coming back online is a better signal than the backoff timer, so retry straight away
+    let wasConnected = true;
+    const unsubscribeNetInfo = NetInfo.addEventListener((state) => {
+      const connected = state.isConnected && state.isInternetReachable !== false;
+
+      if (connected && !wasConnected) {
+        sync({ force: true });
+      }
+
+      wasConnected = connected;
+    });
+
+    const appStateSubscription = AppState.addEventListener('change', (nextState) => {
+      if (nextState === 'active') {
+        sync();
+      }
+    });
+
+    return () => {
+      active = false;
+      clearTimeout(retryTimer);
+      unsubscribeNetInfo();
+      appStateSubscription.remove();
+    };
+  }, [user?.id]);
+};
+
+// Queued reports for the signed-in user, kept up to date as the outbox changes
+export const useOutbox = (user) => {
+  const [entries, setEntries] = useState([]);
+
+  useEffect(() => {
+    if (!user) {
+      setEntries([]);
+      return;
+    }
+
+    const filterEntries = (allEntries) => allEntries.filter(entry => entry.userId === user.id);
+
+    outboxService.getEntries().then(allEntries => setEntries(filterEntries(allEntries)));
+
+    return outboxService.subscribe(allEntries => setEntries(filterEntries(allEntries)));
+  }, [user?.id]);
+
+  const retryEntry = async (id) => {
+    await outboxService.retryEntry(id);
+    await outboxService.flush(user.id, { force: true });
+  };
+
+  const discardEntry = (id) => outboxService.removeEntry(id);
+
+  return {
+    entries,
+    retryEntry,
+    discardEntry,
+  };
+};
@@ -0,0 +1,50 @@
+import { useEffect } from 'react';
+import * as Notifications from 'expo-notifications';
+import notificationService from '../services/notificationService';
+import { openReportDetail } from '../navigation/navigationRef';
+
+// Show report updates as banners while the app is in the foreground
+Notifications.setNotificationHandler({
+  handleNotification: async () => ({
+    shouldShowBanner: true,
+    shouldShowList: true,
+    shouldPlaySound: true,
+    shouldSetBadge: false,
+  }),
+});
+
+// The last response is kept by the OS across launches, so only act on each one once
+let lastHandledId = null;
+
+const handleNotificationResponse = (response) => {
+  const request = response?.notification?.request;
+  const data = request?.content?.data;
+
+  if (!data?.reportId || request.identifier === lastHandledId) {
+    return;
+  }
+
+  lastHandledId = request.identifier;
+  openReportDetail(data.reportId);
+};
+
+// Registers the device for push notifications while signed in and opens the
+// report when a notification is tapped
+export const usePushNotifications = (user) => {
+  useEffect(() => {
+    if (!user) {
+      return;
+    }
+
+    notificationService.registerDevice().catch((error) => {
+      console.warn('Push registration failed:', error.message);
+    });
+
+    // The app was opened from a notification while it wasn't running
+    Notifications.getLastNotificationResponseAsync().then(handleNotificationResponse);
+
+    const subscription = Notifications.addNotificationResponseReceivedListener(handleNotificationResponse);
+
+    return () => subscription.remove();
+  }, [user?.id]);
+};
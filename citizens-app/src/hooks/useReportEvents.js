@@ -0,0 +1,99 @@
+import { useState, useRef, useCallback } from 'react';
+import { AppState } from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import realtimeService from '../services/realtimeService';
+
+// Poll this often while the event stream is unavailable
+const POLL_INTERVAL_MS = 30 * 1000;
+
+// Then try the stream again after this long
+const RECONNECT_DELAY_MS = 60 * 1000;
+
+// Live updates for a report while the screen is focused and the app is in the
+// foreground. onEvent receives the server's events (report.status_changed,
+// status_update.created, report.upvotes_changed) and { type: 'resync' } whenever
+// changes may have been missed: after reconnecting and on every poll while the
+// stream is down. Returns whether the stream is currently connected.
+export const useReportEvents = (reportId, onEvent) => {
+  const [live, setLive] = useState(false);
+  const handlerRef = useRef(onEvent);
+  handlerRef.current = onEvent;
+
+  useFocusEffect(
+    useCallback(() => {
+      if (!reportId) {
+        return undefined;
+      }
+
+      let subscription = null;
+      let pollTimer = null;
+      let reconnectTimer = null;
+      let connectedBefore = false;
+
+      const resync = () => handlerRef.current({ type: 'resync' });
+
+      const stopPolling = () => {
+        clearInterval(pollTimer);
+        pollTimer = null;
+      };
+
+      const disconnect = () => {
+        subscription?.close();
+        subscription = null;
+        clearTimeout(reconnectTimer);
+        stopPolling();
+        setLive(false);
+      };
+
+      const connect = () => {
+        subscription = realtimeService.subscribeToReport(reportId, {
+          onEvent: (type, event) => {
+            if (type === 'ready') {
+              stopPolling();
+              setLive(true);
+
+              if (connectedBefore) {
+                resync();
+              }
+
+              connectedBefore = true;
+              return;
+            }
+
+            handlerRef.current(event);
+          },
+          onError: () => {
+            subscription = null;
+            setLive(false);
+
+            if (!pollTimer) {
+              pollTimer = setInterval(resync, POLL_INTERVAL_MS);
+            }
+
+            connectedBefore = true;
+            reconnectTimer = setTimeout(connect, RECONNECT_DELAY_MS);
+          },
+        });
+      };
+
+      connect();
+
+      // Streams don't survive the app being backgrounded, so reopen on return
+      const appStateSubscription = AppState.addEventListener('change', (nextState) => {
+        if (nextState === 'active' && !subscription) {
+          disconnect();
+          connect();
+        } else if (nextState !== 'active') {
+          disconnect();
+        }
+      });
+
+      return () => {
+        disconnect();
+        appStateSubscription.remove();
+      };
+    }, [reportId])
+  );
+
+  return { live };
+};
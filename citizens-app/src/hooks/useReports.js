@@ -1,101 +1,148 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import reportService from '../services/reportService';
 
-export const useReports = (filters = {}) => {
+// Reports per page while scrolling
+const PAGE_SIZE = 20;
+
+// Where the page after this result starts: next_cursor when the listing has one,
+// otherwise the next offset for listings that can only be paged by offset (such as
+// the nearest sort), or null on the last page
+const getNextPage = (result) => {
+  if (result.nextCursor) {
+    return { cursor: result.nextCursor };
+  }
+
+  const shown = (result.offset || 0) + result.reports.length;
+  return typeof result.total === 'number' && result.reports.length > 0 && shown < result.total
+    ? { offset: shown }
+    : null;
+};
+
+// Infinite scroll over a report listing. The first page is fetched by offset
+// and later pages follow next_cursor, so reports filed in the meantime don't
+// shift the list and show up twice.
+const usePagedReports = (fetchPage, filters) => {
   const [reports, setReports] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [error, setError] = useState(null);
+  const [loadMoreError, setLoadMoreError] = useState(null);
+  const [nextPage, setNextPage] = useState(null);
   const [pagination, setPagination] = useState({
     total: 0,
-    limit: 50,
-    offset: 0,
+    limit: PAGE_SIZE,
   });
+  const activeFilters = useRef(filters);
+  const latestRequest = useRef(0);
+  const loadingMoreRef = useRef(false);
+
+  const fetchFirstPage = async (newFilters = {}) => {
+    // A newer refresh replaces this one, and any page still loading
+    const requestId = ++latestRequest.current;
 
-  const fetchReports = async (newFilters = {}) => {
     try {
       setLoading(true);
       setError(null);
-      
-      const combinedFilters = { ...filters, ...newFilters };
-      const result = await reportService.getReports(combinedFilters);
-      
+      setLoadMoreError(null);
+
+      activeFilters.current = { limit: PAGE_SIZE, ...filters, ...newFilters };
+      const result = await fetchPage(activeFilters.current);
+
+      if (requestId !== latestRequest.current) {
+        return;
+      }
+
       setReports(result.reports);
+      setNextPage(getNextPage(result));
       setPagination({
         total: result.total,
         limit: result.limit,
-        offset: result.offset,
       });
     } catch (err) {
-      setError(err.message);
+      if (requestId === latestRequest.current) {
+        setError(err.message);
+      }
     } finally {
-      setLoading(false);
+      if (requestId === latestRequest.current) {
+        setLoading(false);
+      }
     }
   };
 
-  const refreshReports = () => {
-    fetchReports();
-  };
+  const loadMore = async () => {
+    if (!nextPage || loadingMoreRef.current || loading) {
+      return;
+    }
 
-  useEffect(() => {
-    fetchReports();
-  }, []);
+    const requestId = latestRequest.current;
 
-  return {
-    reports,
-    loading,
-    error,
-    pagination,
-    fetchReports,
-    refreshReports,
-  };
-};
+    try {
+      loadingMoreRef.current = true;
+      setLoadingMore(true);
+      setLoadMoreError(null);
 
-export const useMyReports = (filters = {}) => {
-  const [reports, setReports] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-  const [pagination, setPagination] = useState({
-    total: 0,
-    limit: 50,
-    offset: 0,
-  });
+      const { offset, ...pageFilters } = activeFilters.current;
+      const result = await fetchPage({ ...pageFilters, ...nextPage });
 
-  const fetchMyReports = async (newFilters = {}) => {
-    try {
-      setLoading(true);
-      setError(null);
-      
-      const combinedFilters = { ...filters, ...newFilters };
-      const result = await reportService.getMyReports(combinedFilters);
-      
-      setReports(result.reports);
-      setPagination({
-        total: result.total,
-        limit: result.limit,
-        offset: result.offset,
+      if (requestId !== latestRequest.current) {
+        return;
+      }
+
+      setReports(prev => {
+        const seen = new Set(prev.map(report => report.id));
+        return [...prev, ...result.reports.filter(report => !seen.has(report.id))];
       });
+      setNextPage(getNextPage(result));
     } catch (err) {
-      setError(err.message);
+      if (requestId === latestRequest.current) {
+        setLoadMoreError(err.message);
+      }
     } finally {
-      setLoading(false);
+      loadingMoreRef.current = false;
+      setLoadingMore(false);
     }
   };
 
-  const refreshMyReports = () => {
-    fetchMyReports();
-  };
-
   useEffect(() => {
-    fetchMyReports();
+    fetchFirstPage();
   }, []);
 
   return {
     reports,
     loading,
+    loadingMore,
     error,
+    loadMoreError,
     pagination,
-    fetchMyReports,
-    refreshMyReports,
+    hasMore: Boolean(nextPage),
+    fetchFirstPage,
+    loadMore,
+  };
+};
+
+export const useReports = (filters = {}) => {
+  const { fetchFirstPage, ...paged } = usePagedReports(
+    (params) => reportService.getReports(params),
+    filters
+  );
+
+  return {
+    ...paged,
+    fetchReports: fetchFirstPage,
+    refreshReports: () => fetchFirstPage(),
+  };
+};
+
+export const useMyReports = (filters = {}) => {
+  const { fetchFirstPage, ...paged } = usePagedReports(
+    (params) => reportService.getMyReports(params),
+    filters
+  );
+
+  return {
+    ...paged,
+    fetchMyReports: fetchFirstPage,
+    refreshMyReports: () => fetchFirstPage(),
   };
 };
 
@@ -118,6 +165,21 @@ export const useReport = (reportId) => {
     }
   };
 
+  // Refetch in the background, keeping the current report on screen if it fails
+  const refreshReport = async () => {
+    try {
+      const result = await reportService.getReportById(reportId);
+      setReport(result);
+    } catch (err) {
+      console.warn('Report refresh failed:', err.message);
+    }
+  };
+
+  // Apply a change pushed by the server without refetching
+  const applyReportChanges = (changes) => {
+    setReport(prev => (prev ? { ...prev, ...changes } : prev));
+  };
+
   const upvoteReport = async () => {
     try {
       await reportService.upvoteReport(reportId);
@@ -147,6 +209,8 @@ export const useReport = (reportId) => {
     loading,
     error,
     fetchReport,
+    refreshReport,
+    applyReportChanges,
     upvoteReport,
     removeUpvote,
   };
@@ -1,12 +1,14 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import wardService from '../services/wardService';
-import { findWardForPoint } from '../utils/geoUtils';
+
+// Round coordinates to ~10m so nearby lookups share a cached result
+const locationKey = (latitude, longitude) => `${latitude.toFixed(4)},${longitude.toFixed(4)}`;
 
 export const useWards = () => {
   const [wards, setWards] = useState([]);
-  const [geoJsonData, setGeoJsonData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const lookupCache = useRef(new Map());
 
   useEffect(() => {
     loadWards();
@@ -16,12 +18,8 @@ export const useWards = () => {
     try {
       setLoading(true);
       setError(null);
-      
-      // Try to get simplified boundaries from API
-      const boundaries = await wardService.getSimplifiedBoundaries();
-      setGeoJsonData(boundaries);
-      
-      // Also get ward list for metadata
+
+      // Ward metadata only, boundaries stay on the server
       const wardsList = await wardService.getWards(null, true);
       setWards(wardsList);
     } catch (err) {
@@ -32,40 +30,34 @@ export const useWards = () => {
     }
   };
 
-  const findWardByLocation = (latitude, longitude) => {
-    if (!geoJsonData || loading) return null;
-    
-    const point = { latitude, longitude };
-    const ward = findWardForPoint(point, geoJsonData);
-    
-    if (ward) {
-      return {
-        id: ward.properties?.id || ward.properties?.WARD_ID,
-        name: ward.properties?.name || ward.properties?.WARD_NAME || `Ward ${ward.properties?.WARD_ID}`,
-        municipality: ward.properties?.municipality || ward.properties?.MUNICIPALITY,
-        properties: ward.properties,
-      };
+  const findWardByLocation = async (latitude, longitude) => {
+    const key = locationKey(latitude, longitude);
+    if (lookupCache.current.has(key)) {
+      return lookupCache.current.get(key);
     }
-    
-    return null;
-  };
 
-  const getAllWards = () => {
-    if (wards.length > 0) return wards;
-    
-    if (!geoJsonData || loading) return [];
-    
-    return geoJsonData.features.map(feature => ({
-      id: feature.properties?.id || feature.properties?.WARD_ID,
-      name: feature.properties?.name || feature.properties?.WARD_NAME || `Ward ${feature.properties?.WARD_ID}`,
-      municipality: feature.properties?.municipality || feature.properties?.MUNICIPALITY,
-      properties: feature.properties,
-      geometry: feature.geometry,
-    }));
+    try {
+      const result = await wardService.locateWard(latitude, longitude);
+      const ward = result ? {
+        id: result.ward.ward_id,
+        name: result.ward.name || `Ward ${result.ward.ward_id}`,
+        municipality: result.municipality?.name,
+        municipalityId: result.ward.municipality_id,
+        distanceToBoundaryKm: result.distance_to_boundary_km,
+        properties: result.ward.properties,
+      } : null;
+
+      lookupCache.current.set(key, ward);
+      return ward;
+    } catch (err) {
+      console.error('Failed to locate ward:', err);
+      return null;
+    }
   };
 
+  const getAllWards = () => wards;
+
   return {
-    geoJsonData,
     wards,
     loading,
     error,
@@ -73,4 +65,4 @@ export const useWards = () => {
     getAllWards,
     refreshWards: loadWards,
   };
-};
\ No newline at end of file
+};
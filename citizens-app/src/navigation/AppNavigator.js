@@ -5,16 +5,21 @@ import LoadingSpinner from '../components/common/LoadingSpinner';
 import AuthNavigator from './AuthNavigator';
 import MainNavigator from './MainNavigator';
 import { useAuth } from '../hooks/useAuth';
+import { usePushNotifications } from '../hooks/usePushNotifications';
+import { useOutboxSync } from '../hooks/useOutbox';
+import { navigationRef, openPendingNavigation } from './navigationRef';
 
 const AppNavigator = () => {
   const { user, loading } = useAuth();
+  usePushNotifications(user);
+  useOutboxSync(user);
 
   if (loading) {
     return <LoadingSpinner message="Loading..." />;
   }
 
   return (
-    <NavigationContainer>
+    <NavigationContainer ref={navigationRef} onReady={openPendingNavigation}>
       <StatusBar style="dark" />
       {user ? <MainNavigator /> : <AuthNavigator />}
     </NavigationContainer>
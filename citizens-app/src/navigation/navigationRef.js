@@ -0,0 +1,27 @@
+import { createNavigationContainerRef } from '@react-navigation/native';
+
+// Lets code outside the navigator tree (e.g. notification handlers) navigate
+export const navigationRef = createNavigationContainerRef();
+
+// A notification can be opened before the navigator has mounted
+let pendingReportId = null;
+
+export const openReportDetail = (reportId) => {
+  if (!navigationRef.isReady()) {
+    pendingReportId = reportId;
+    return;
+  }
+
+  navigationRef.navigate('Reports', {
+    screen: 'ReportDetail',
+    params: { reportId },
+  });
+};
+
+export const openPendingNavigation = () => {
+  if (pendingReportId) {
+    const reportId = pendingReportId;
+    pendingReportId = null;
+    openReportDetail(reportId);
+  }
+};
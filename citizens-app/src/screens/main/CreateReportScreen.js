@@ -15,18 +15,60 @@ import Input from '../../components/common/Input';
 import Button from '../../components/common/Button';
 import LocationPicker from '../../components/common/LocationPicker';
 import CategoryPicker from '../../components/reports/CategoryPicker';
+import DuplicateReportsModal from '../../components/reports/DuplicateReportsModal';
 import reportService from '../../services/reportService';
+import municipalityService from '../../services/municipalityService';
+import outboxService, { generateIdempotencyKey, isRetryableError } from '../../services/outboxService';
+import { useAuth } from '../../hooks/useAuth';
+import { MAX_REPORT_PHOTOS } from '../../config/api';
 
 const CreateReportScreen = ({ navigation }) => {
   const [formData, setFormData] = useState({
     title: '',
     description: '',
     category: '',
-    photo_url: '',
+    subcategory: null,
   });
+  const [photos, setPhotos] = useState([]);
   const [loading, setLoading] = useState(false);
+  const [uploadProgress, setUploadProgress] = useState(null);
   const [locationData, setLocationData] = useState(null);
+  const [duplicates, setDuplicates] = useState([]);
+  const [municipalityId, setMunicipalityId] = useState(null);
+  const { user } = useAuth();
 
+  // Reports are filed with the municipality containing their location, falling back
+  // to the citizen's own where no boundary covers it. Categories follow the same rule.
+  useEffect(() => {
+    if (!locationData) {
+      setMunicipalityId(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+
+    const resolveMunicipality = async () => {
+      try {
+        const municipality = await municipalityService.locateMunicipality(locationData.lat, locationData.lng);
+
+        if (!cancelled) {
+          setMunicipalityId(municipality?.id || user?.municipality_id || null);
+        }
+      } catch (error) {
+        console.error('Failed to resolve municipality:', error);
+
+        if (!cancelled) {
+          setMunicipalityId(null);
+        }
+      }
+    };
+
+    resolveMunicipality();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [locationData?.lat, locationData?.lng]);
 
   const updateFormData = (field, value) => {
     setFormData(prev => ({ ...prev, [field]: value }));
@@ -52,13 +94,13 @@ const CreateReportScreen = ({ navigation }) => {
 
       const result = await ImagePicker.launchImageLibraryAsync({
         mediaTypes: ImagePicker.MediaTypeOptions.Images,
-        allowsEditing: true,
-        aspect: [4, 3],
+        allowsMultipleSelection: true,
+        selectionLimit: MAX_REPORT_PHOTOS - photos.length,
         quality: 0.8,
       });
 
-      if (!result.canceled && result.assets[0]) {
-        updateFormData('photo_url', result.assets[0].uri);
+      if (!result.canceled && result.assets.length > 0) {
+        addPhotos(result.assets.map(asset => asset.uri));
       }
     } catch (error) {
       Alert.alert('Error', 'Failed to pick image');
@@ -81,7 +123,7 @@ const CreateReportScreen = ({ navigation }) => {
       });
 
       if (!result.canceled && result.assets[0]) {
-        updateFormData('photo_url', result.assets[0].uri);
+        addPhotos([result.assets[0].uri]);
       }
     } catch (error) {
       Alert.alert('Error', 'Failed to take photo');
@@ -100,8 +142,12 @@ const CreateReportScreen = ({ navigation }) => {
     );
   };
 
-  const removePhoto = () => {
-    updateFormData('photo_url', '');
+  const addPhotos = (uris) => {
+    setPhotos(prev => [...prev, ...uris].slice(0, MAX_REPORT_PHOTOS));
+  };
+
+  const removePhoto = (uri) => {
+    setPhotos(prev => prev.filter(photo => photo !== uri));
   };
 
   const validateForm = () => {
@@ -143,21 +189,116 @@ const CreateReportScreen = ({ navigation }) => {
   const handleSubmit = async () => {
     if (!validateForm()) return;
 
+    // Offer to upvote an existing report before filing a new one. A failed
+    // check shouldn't stop the report from being submitted.
+    setLoading(true);
+    const possibleDuplicates = await reportService.findDuplicates({
+      lat: locationData.lat,
+      lng: locationData.lng,
+      category: formData.category,
+    }).catch(() => []);
+
+    if (possibleDuplicates.length > 0) {
+      setDuplicates(possibleDuplicates);
+      setLoading(false);
+      return;
+    }
+
+    await submitReport();
+  };
+
+  const handleUpvoteDuplicate = async (report) => {
     try {
       setLoading(true);
+      await reportService.upvoteReport(report.id);
+      setDuplicates([]);
+      Alert.alert(
+        'Thanks!',
+        'Your upvote was added to the existing report.',
+        [{ text: 'OK', onPress: () => navigation.replace('ReportDetail', { reportId: report.id }) }]
+      );
+    } catch (error) {
+      Alert.alert('Error', error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleViewDuplicate = (report) => {
+    setDuplicates([]);
+    navigation.replace('ReportDetail', { reportId: report.id });
+  };
 
-      const reportData = {
-        title: formData.title.trim(),
-        description: formData.description.trim(),
-        category: formData.category,
-        lat: locationData.lat,
-        lng: locationData.lng,
-        address: locationData.address,
-        ward_id: locationData.ward?.id || null,
-        photo_url: formData.photo_url || undefined,
-      };
+  const handleSubmitAnyway = async () => {
+    setDuplicates([]);
+    await submitReport();
+  };
 
-      await reportService.createReport(reportData);
+  // Keep the report on the device and let the outbox send it once we're back online
+  const queueForSync = async (entry, message) => {
+    await outboxService.enqueue({ userId: user.id, ...entry });
+    Alert.alert(
+      'Saved for later',
+      message,
+      [{ text: 'OK', onPress: () => navigation.goBack() }]
+    );
+  };
+
+  const submitReport = async () => {
+    // Reused by the outbox, so a request that reached the server before the
+    // connection dropped won't create a second report when it's retried
+    const idempotencyKey = generateIdempotencyKey();
+
+    const reportData = {
+      title: formData.title.trim(),
+      description: formData.description.trim(),
+      category: formData.category,
+      subcategory: formData.subcategory,
+      lat: locationData.lat,
+      lng: locationData.lng,
+      address: locationData.address,
+      ward_id: locationData.ward?.id || null,
+    };
+
+    try {
+      setLoading(true);
+
+      let report;
+      try {
+        report = await reportService.createReport(reportData, { idempotencyKey });
+      } catch (createError) {
+        if (!isRetryableError(createError)) {
+          throw createError;
+        }
+
+        await queueForSync(
+          { idempotencyKey, reportData, photos, lastError: createError.message },
+          "You appear to be offline. Your report will be submitted automatically when you're back online."
+        );
+        return;
+      }
+
+      if (photos.length > 0) {
+        try {
+          setUploadProgress(0);
+          await reportService.uploadAttachments(report.id, photos, setUploadProgress);
+        } catch (uploadError) {
+          if (isRetryableError(uploadError)) {
+            await queueForSync(
+              { idempotencyKey, reportData, photos, reportId: report.id, lastError: uploadError.message },
+              "Your report was submitted. The photos will be uploaded when you're back online."
+            );
+            return;
+          }
+
+          Alert.alert(
+            'Photos not uploaded',
+            `Your report was submitted, but the photos could not be uploaded: ${uploadError.message}`,
+            [{ text: 'OK', onPress: () => navigation.goBack() }]
+          );
+          return;
+        }
+      }
 
       Alert.alert(
         'Success',
@@ -168,6 +309,7 @@ const CreateReportScreen = ({ navigation }) => {
       Alert.alert('Error', error.message);
     } finally {
       setLoading(false);
+      setUploadProgress(null);
     }
   };
 
@@ -202,8 +344,11 @@ const CreateReportScreen = ({ navigation }) => {
         />
 
         <CategoryPicker
+          municipalityId={municipalityId}
           selectedCategory={formData.category}
-          onSelectCategory={(category) => updateFormData('category', category)}
+          onSelectCategory={(category) => setFormData(prev => ({ ...prev, category, subcategory: null }))}
+          selectedSubcategory={formData.subcategory}
+          onSelectSubcategory={(subcategory) => updateFormData('subcategory', subcategory)}
         />
 
         <LocationPicker
@@ -214,15 +359,18 @@ const CreateReportScreen = ({ navigation }) => {
         />
 
         <View style={styles.photoContainer}>
-          <Text style={styles.label}>Photo (Optional)</Text>
-          {formData.photo_url ? (
-            <View style={styles.photoPreview}>
-              <Image source={{ uri: formData.photo_url }} style={styles.photo} />
-              <TouchableOpacity style={styles.removePhotoButton} onPress={removePhoto}>
+          <Text style={styles.label}>
+            Photos (Optional, up to {MAX_REPORT_PHOTOS})
+          </Text>
+          {photos.map(uri => (
+            <View key={uri} style={styles.photoPreview}>
+              <Image source={{ uri }} style={styles.photo} />
+              <TouchableOpacity style={styles.removePhotoButton} onPress={() => removePhoto(uri)}>
                 <Ionicons name="close-circle" size={24} color="#F44336" />
               </TouchableOpacity>
             </View>
-          ) : (
+          ))}
+          {photos.length < MAX_REPORT_PHOTOS && (
             <TouchableOpacity style={styles.addPhotoButton} onPress={showImagePicker}>
               <Ionicons name="camera-outline" size={32} color="#666" />
               <Text style={styles.addPhotoText}>Add Photo</Text>
@@ -230,6 +378,17 @@ const CreateReportScreen = ({ navigation }) => {
           )}
         </View>
 
+        {uploadProgress !== null && (
+          <View style={styles.progressContainer}>
+            <Text style={styles.progressText}>
+              Uploading photos... {Math.round(uploadProgress * 100)}%
+            </Text>
+            <View style={styles.progressTrack}>
+              <View style={[styles.progressBar, { width: `${Math.round(uploadProgress * 100)}%` }]} />
+            </View>
+          </View>
+        )}
+
         <Button
           title="Submit Report"
           onPress={handleSubmit}
@@ -238,6 +397,16 @@ const CreateReportScreen = ({ navigation }) => {
           style={styles.submitButton}
         />
       </ScrollView>
+
+      <DuplicateReportsModal
+        visible={duplicates.length > 0}
+        duplicates={duplicates}
+        loading={loading}
+        onUpvote={handleUpvoteDuplicate}
+        onView={handleViewDuplicate}
+        onSubmitAnyway={handleSubmitAnyway}
+        onCancel={() => setDuplicates([])}
+      />
     </SafeAreaView>
   );
 };
@@ -297,6 +466,7 @@ const styles = StyleSheet.create({
   },
   photoPreview: {
     position: 'relative',
+    marginBottom: 12,
   },
   photo: {
     width: '100%',
@@ -310,6 +480,24 @@ const styles = StyleSheet.create({
     backgroundColor: '#fff',
     borderRadius: 12,
   },
+  progressContainer: {
+    marginBottom: 8,
+  },
+  progressText: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 6,
+  },
+  progressTrack: {
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: '#eee',
+    overflow: 'hidden',
+  },
+  progressBar: {
+    height: 6,
+    backgroundColor: '#2196F3',
+  },
   submitButton: {
     marginTop: 16,
   },
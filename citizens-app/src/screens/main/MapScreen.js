@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import {
   View,
   Text,
@@ -15,6 +15,7 @@ import { useWards } from '../../hooks/useWards';
 import municipalityService from '../../services/municipalityService';
 import reportService from '../../services/reportService';
 import { REPORT_CATEGORIES } from '../../config/api';
+import { debounce, regionToBbox } from '../../utils/geoUtils';
 
 const MapScreen = ({ navigation }) => {
   const [reports, setReports] = useState([]);
@@ -28,34 +29,55 @@ const MapScreen = ({ navigation }) => {
   });
   const { getCurrentLocation } = useLocation();
   const { findWardByLocation } = useWards();
+  // Only the latest region request may update the markers
+  const latestRequest = useRef(0);
 
   useEffect(() => {
     loadMapData();
   }, []);
 
+  const loadReportsForRegion = async (region) => {
+    const requestId = ++latestRequest.current;
+
+    try {
+      const reportsData = await reportService.getReports({ bbox: regionToBbox(region), limit: 100 });
+
+      if (requestId === latestRequest.current) {
+        setReports(reportsData.reports);
+        setError(null);
+      }
+    } catch (err) {
+      if (requestId === latestRequest.current) {
+        setError(err.message);
+      }
+    }
+  };
+
+  // Wait for panning to settle before asking for the visible region's reports
+  const debouncedLoadReports = useMemo(() => debounce(loadReportsForRegion, 400), []);
+
   const loadMapData = async () => {
     try {
       setLoading(true);
       setError(null);
 
-      // Load reports
-      const reportsData = await reportService.getReports({ limit: 100 });
-      setReports(reportsData.reports);
+      let region = mapRegion;
 
       // Try to get user's current location
       try {
         const location = await getCurrentLocation();
-        setMapRegion({
+        region = {
           latitude: location.latitude,
           longitude: location.longitude,
           latitudeDelta: 0.1,
           longitudeDelta: 0.1,
-        });
+        };
+        setMapRegion(region);
       } catch (locationError) {
         console.log('Could not get current location:', locationError.message);
       }
-    } catch (err) {
-      setError(err.message);
+
+      await loadReportsForRegion(region);
     } finally {
       setLoading(false);
     }
@@ -105,6 +127,7 @@ const MapScreen = ({ navigation }) => {
         onMarkerPress={handleMarkerPress}
         showWards={true}
         onWardPress={handleWardPress}
+        onRegionChangeComplete={debouncedLoadReports}
       />
 
       <View style={styles.legend}>
@@ -1,4 +1,4 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useEffect, useRef } from 'react';
 import {
   View,
   Text,
@@ -6,18 +6,43 @@ import {
   StyleSheet,
   RefreshControl,
   TouchableOpacity,
+  Alert,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { Ionicons } from '@expo/vector-icons';
 import { useFocusEffect } from '@react-navigation/native';
 import ReportCard from '../../components/reports/ReportCard';
+import PendingReportCard from '../../components/reports/PendingReportCard';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
+import LoadMoreFooter from '../../components/common/LoadMoreFooter';
 import ErrorMessage from '../../components/common/ErrorMessage';
 import { useMyReports } from '../../hooks/useReports';
+import { useOutbox } from '../../hooks/useOutbox';
+import { useAuth } from '../../hooks/useAuth';
 
 const MyReportsScreen = ({ navigation }) => {
   const [refreshing, setRefreshing] = useState(false);
-  const { reports, loading, error, refreshMyReports } = useMyReports();
+  const {
+    reports,
+    loading,
+    loadingMore,
+    error,
+    loadMoreError,
+    pagination,
+    refreshMyReports,
+    loadMore,
+  } = useMyReports();
+  const { user } = useAuth();
+  const { entries: pendingReports, retryEntry, discardEntry } = useOutbox(user);
+  const pendingCount = useRef(pendingReports.length);
+
+  // A report left the outbox, so it's now on the server
+  useEffect(() => {
+    if (pendingReports.length < pendingCount.current) {
+      refreshMyReports();
+    }
+    pendingCount.current = pendingReports.length;
+  }, [pendingReports.length]);
 
   useFocusEffect(
     useCallback(() => {
@@ -47,6 +72,45 @@ const MyReportsScreen = ({ navigation }) => {
     />
   );
 
+  const handleRetryPending = async (entry) => {
+    try {
+      await retryEntry(entry.id);
+    } catch (err) {
+      Alert.alert('Error', err.message);
+    }
+  };
+
+  const handleDiscardPending = (entry) => {
+    Alert.alert(
+      'Discard Report',
+      'This report has not been submitted. Discard it?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Discard', style: 'destructive', onPress: () => discardEntry(entry.id) },
+      ]
+    );
+  };
+
+  const renderPendingReports = () => {
+    if (pendingReports.length === 0) {
+      return null;
+    }
+
+    return (
+      <View style={styles.pendingContainer}>
+        <Text style={styles.sectionTitle}>Waiting to sync ({pendingReports.length})</Text>
+        {pendingReports.map(entry => (
+          <PendingReportCard
+            key={entry.id}
+            entry={entry}
+            onRetry={handleRetryPending}
+            onDiscard={handleDiscardPending}
+          />
+        ))}
+      </View>
+    );
+  };
+
   const renderEmptyState = () => (
     <View style={styles.emptyContainer}>
       <Ionicons name="document-outline" size={64} color="#ccc" />
@@ -97,7 +161,7 @@ const MyReportsScreen = ({ navigation }) => {
 
       <View style={styles.statsContainer}>
         <View style={styles.statItem}>
-          <Text style={styles.statNumber}>{reports.length}</Text>
+          <Text style={styles.statNumber}>{pagination.total ?? reports.length}</Text>
           <Text style={styles.statLabel}>Total Reports</Text>
         </View>
         <View style={styles.statItem}>
@@ -122,7 +186,13 @@ const MyReportsScreen = ({ navigation }) => {
         refreshControl={
           <RefreshControl refreshing={refreshing} onRefresh={handleRefresh} />
         }
-        ListEmptyComponent={renderEmptyState}
+        ListHeaderComponent={renderPendingReports}
+        ListEmptyComponent={pendingReports.length === 0 ? renderEmptyState : null}
+        onEndReached={loadMore}
+        onEndReachedThreshold={0.5}
+        ListFooterComponent={
+          <LoadMoreFooter loading={loadingMore} error={loadMoreError} onRetry={loadMore} />
+        }
         showsVerticalScrollIndicator={false}
       />
     </SafeAreaView>
@@ -180,6 +250,15 @@ const styles = StyleSheet.create({
     fontSize: 14,
     color: '#666',
   },
+  pendingContainer: {
+    marginBottom: 4,
+  },
+  sectionTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#666',
+    marginBottom: 8,
+  },
   listContainer: {
     padding: 16,
     flexGrow: 1,
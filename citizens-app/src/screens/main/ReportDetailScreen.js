@@ -7,23 +7,75 @@ import {
   TouchableOpacity,
   Alert,
   Image,
+  KeyboardAvoidingView,
+  Platform,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { Ionicons } from '@expo/vector-icons';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
 import ErrorMessage from '../../components/common/ErrorMessage';
 import StatusUpdates from '../../components/reports/StatusUpdates';
+import CommentThread from '../../components/reports/CommentThread';
+import ResolutionPrompt from '../../components/reports/ResolutionPrompt';
+import RatingWidget from '../../components/reports/RatingWidget';
 import { useReport } from '../../hooks/useReports';
-import { REPORT_CATEGORIES, REPORT_STATUSES } from '../../config/api';
+import { useReportEvents } from '../../hooks/useReportEvents';
+import { useAuth } from '../../hooks/useAuth';
+import { getCategoryDisplay, REPORT_STATUSES, resolveMediaUrl } from '../../config/api';
 
 const ReportDetailScreen = ({ route, navigation }) => {
   const { reportId } = route.params;
-  const { report, loading, error, fetchReport, upvoteReport, removeUpvote } = useReport(reportId);
+  const {
+    report,
+    loading,
+    error,
+    fetchReport,
+    refreshReport,
+    applyReportChanges,
+    upvoteReport,
+    removeUpvote,
+  } = useReport(reportId);
+  const { user } = useAuth();
   const [upvoting, setUpvoting] = useState(false);
+  const [timelineVersion, setTimelineVersion] = useState(0);
 
-  const category = REPORT_CATEGORIES.find(cat => cat.value === report?.category);
+  // Keep the report current while it is on screen, polling if the stream is unavailable
+  const { live } = useReportEvents(reportId, (event) => {
+    switch (event.type) {
+      case 'report.status_changed':
+        applyReportChanges({ status: event.data.to_status });
+        break;
+      case 'report.upvotes_changed':
+        applyReportChanges({ upvote_count: event.data.upvotes });
+        break;
+      case 'status_update.created':
+        setTimelineVersion(version => version + 1);
+        break;
+      case 'resync':
+        refreshReport();
+        setTimelineVersion(version => version + 1);
+        break;
+      default:
+        break;
+    }
+  });
+
+  const category = getCategoryDisplay(report?.category);
   const status = REPORT_STATUSES.find(stat => stat.value === report?.status);
 
+  // The author confirms or reopens a resolution until it is closed, and can rate it
+  const isAuthor = Boolean(user) && report?.created_by === user.id;
+  const awaitingConfirmation = isAuthor && report?.status === 'resolved' && !report?.closed_at;
+
+  const handleResolutionAnswered = ({ report: changes, response }) => {
+    applyReportChanges(changes);
+
+    if (response.response === 'reopened') {
+      refreshReport();
+      setTimelineVersion(version => version + 1);
+    }
+  };
+
   const formatDate = (dateString) => {
     const date = new Date(dateString);
     return date.toLocaleDateString('en-US', {
@@ -84,77 +136,158 @@ const ReportDetailScreen = ({ route, navigation }) => {
           <Ionicons name="arrow-back" size={24} color="#333" />
         </TouchableOpacity>
         <Text style={styles.headerTitle}>Report Details</Text>
-        <View style={styles.placeholder} />
+        <View style={styles.placeholder}>
+          {live && <View style={styles.liveDot} />}
+        </View>
       </View>
 
-      <ScrollView style={styles.content} showsVerticalScrollIndicator={false}>
-        <View style={styles.reportHeader}>
-          <View style={styles.categoryContainer}>
-            <Ionicons 
-              name={category?.icon || 'help-circle'} 
-              size={20} 
-              color="#2196F3" 
-            />
-            <Text style={styles.category}>{category?.label || 'Other'}</Text>
-          </View>
-          <View style={[styles.statusBadge, { backgroundColor: status?.color || '#666' }]}>
-            <Text style={styles.statusText}>{status?.label || report.status}</Text>
+      <KeyboardAvoidingView
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+        style={styles.keyboardView}
+      >
+        <ScrollView
+          style={styles.content}
+          showsVerticalScrollIndicator={false}
+          keyboardShouldPersistTaps="handled"
+        >
+          <View style={styles.reportHeader}>
+            <View style={styles.categoryContainer}>
+              <Ionicons 
+                name={category?.icon || 'help-circle'} 
+                size={20} 
+                color="#2196F3" 
+              />
+              <Text style={styles.category}>
+                {category.label}
+                {report.subcategory ? ` · ${getCategoryDisplay(report.subcategory).label}` : ''}
+              </Text>
+            </View>
+            <View style={[styles.statusBadge, { backgroundColor: status?.color || '#666' }]}>
+              <Text style={styles.statusText}>{status?.label || report.status}</Text>
+            </View>
           </View>
-        </View>
 
-        <Text style={styles.title}>{report.title}</Text>
+          <Text style={styles.title}>{report.title}</Text>
 
-        <View style={styles.metaContainer}>
-          <View style={styles.metaItem}>
-            <Ionicons name="location-outline" size={16} color="#666" />
-            <Text style={styles.metaText}>{report.address}</Text>
+          {report.merged_into && (
+            <TouchableOpacity
+              style={styles.mergedBanner}
+              onPress={() => navigation.push('ReportDetail', { reportId: report.merged_into })}
+            >
+              <Ionicons name="git-merge-outline" size={18} color="#2196F3" />
+              <Text style={styles.mergedText}>
+                This report was merged into an existing report. Tap to follow it there.
+              </Text>
+            </TouchableOpacity>
+          )}
+
+          <View style={styles.metaContainer}>
+            <View style={styles.metaItem}>
+              <Ionicons name="location-outline" size={16} color="#666" />
+              <Text style={styles.metaText}>{report.address}</Text>
+            </View>
+            {report.wards && (
+              <View style={styles.metaItem}>
+                <Ionicons name="map-outline" size={16} color="#666" />
+                <Text style={styles.metaText}>{report.wards.name}</Text>
+              </View>
+            )}
+            <View style={styles.metaItem}>
+              <Ionicons name="time-outline" size={16} color="#666" />
+              <Text style={styles.metaText}>{formatDate(report.created_at)}</Text>
+            </View>
+            <View style={styles.metaItem}>
+              <Ionicons name="person-outline" size={16} color="#666" />
+              <Text style={styles.metaText}>
+                {report.created_by_user?.name || 'Anonymous'}
+              </Text>
+            </View>
+            <View style={styles.metaItem}>
+              <Ionicons name="briefcase-outline" size={16} color="#666" />
+              <Text style={styles.metaText}>
+                {report.assigned_official_user
+                  ? `Assigned to ${report.assigned_official_user.name}`
+                  : 'Not yet assigned'}
+              </Text>
+            </View>
           </View>
-          <View style={styles.metaItem}>
-            <Ionicons name="time-outline" size={16} color="#666" />
-            <Text style={styles.metaText}>{formatDate(report.created_at)}</Text>
+
+          {report.report_attachments?.length === 1 && (
+            <Image
+              source={{ uri: resolveMediaUrl(report.report_attachments[0].url) }}
+              style={[styles.photo, styles.singlePhoto]}
+            />
+          )}
+
+          {report.report_attachments?.length > 1 && (
+            <ScrollView
+              horizontal
+              showsHorizontalScrollIndicator={false}
+              style={styles.photoGallery}
+            >
+              {report.report_attachments.map(attachment => (
+                <Image
+                  key={attachment.id}
+                  source={{ uri: resolveMediaUrl(attachment.url) }}
+                  style={[styles.photo, styles.galleryPhoto]}
+                />
+              ))}
+            </ScrollView>
+          )}
+
+          <View style={styles.descriptionContainer}>
+            <Text style={styles.sectionTitle}>Description</Text>
+            <Text style={styles.description}>{report.description}</Text>
           </View>
-          <View style={styles.metaItem}>
-            <Ionicons name="person-outline" size={16} color="#666" />
-            <Text style={styles.metaText}>
-              {report.created_by_user?.name || 'Anonymous'}
+
+          <View style={styles.upvoteContainer}>
+            <TouchableOpacity
+              style={[styles.upvoteButton, report.user_upvoted && styles.upvotedButton]}
+              onPress={handleUpvote}
+              disabled={upvoting}
+            >
+              <Ionicons
+                name={report.user_upvoted ? 'heart' : 'heart-outline'}
+                size={20}
+                color={report.user_upvoted ? '#fff' : '#F44336'}
+              />
+              <Text style={[
+                styles.upvoteText,
+                report.user_upvoted && styles.upvotedText
+              ]}>
+                {report.user_upvoted ? 'Upvoted' : 'Upvote'}
+              </Text>
+            </TouchableOpacity>
+            <Text style={styles.upvoteCount}>
+              {report.upvote_count || 0} {(report.upvote_count || 0) === 1 ? 'upvote' : 'upvotes'}
             </Text>
           </View>
-        </View>
 
-        {report.photo_url && (
-          <Image source={{ uri: report.photo_url }} style={styles.photo} />
-        )}
+          {awaitingConfirmation && (
+            <ResolutionPrompt report={report} onAnswered={handleResolutionAnswered} />
+          )}
 
-        <View style={styles.descriptionContainer}>
-          <Text style={styles.sectionTitle}>Description</Text>
-          <Text style={styles.description}>{report.description}</Text>
-        </View>
+          {report.closed_at && report.status === 'resolved' && (
+            <View style={styles.closedBanner}>
+              <Ionicons name="lock-closed-outline" size={16} color="#2E7D32" />
+              <Text style={styles.closedText}>
+                Closed {formatDate(report.closed_at)}
+                {report.reopen_count > 0
+                  ? ` · reopened ${report.reopen_count} ${report.reopen_count === 1 ? 'time' : 'times'}`
+                  : ''}
+              </Text>
+            </View>
+          )}
 
-        <View style={styles.upvoteContainer}>
-          <TouchableOpacity
-            style={[styles.upvoteButton, report.user_upvoted && styles.upvotedButton]}
-            onPress={handleUpvote}
-            disabled={upvoting}
-          >
-            <Ionicons
-              name={report.user_upvoted ? 'heart' : 'heart-outline'}
-              size={20}
-              color={report.user_upvoted ? '#fff' : '#F44336'}
-            />
-            <Text style={[
-              styles.upvoteText,
-              report.user_upvoted && styles.upvotedText
-            ]}>
-              {report.user_upvoted ? 'Upvoted' : 'Upvote'}
-            </Text>
-          </TouchableOpacity>
-          <Text style={styles.upvoteCount}>
-            {report.upvote_count || 0} {(report.upvote_count || 0) === 1 ? 'upvote' : 'upvotes'}
-          </Text>
-        </View>
+          {isAuthor && report.status === 'resolved' && (
+            <RatingWidget reportId={reportId} />
+          )}
+
+          <StatusUpdates reportId={reportId} refreshKey={timelineVersion} />
 
-        <StatusUpdates reportId={reportId} />
-      </ScrollView>
+          <CommentThread reportId={reportId} />
+        </ScrollView>
+      </KeyboardAvoidingView>
     </SafeAreaView>
   );
 };
@@ -183,6 +316,16 @@ const styles = StyleSheet.create({
   },
   placeholder: {
     width: 32,
+    alignItems: 'flex-end',
+  },
+  liveDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: '#4CAF50',
+  },
+  keyboardView: {
+    flex: 1,
   },
   content: {
     flex: 1,
@@ -221,6 +364,20 @@ const styles = StyleSheet.create({
     marginBottom: 16,
     lineHeight: 32,
   },
+  mergedBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    marginBottom: 16,
+    borderRadius: 8,
+    backgroundColor: '#E3F2FD',
+  },
+  mergedText: {
+    flex: 1,
+    marginLeft: 8,
+    fontSize: 14,
+    color: '#1565C0',
+  },
   metaContainer: {
     marginBottom: 20,
   },
@@ -234,12 +391,21 @@ const styles = StyleSheet.create({
     fontSize: 14,
     color: '#666',
   },
+  photoGallery: {
+    marginBottom: 20,
+  },
   photo: {
     width: '100%',
     height: 200,
     borderRadius: 12,
+  },
+  singlePhoto: {
     marginBottom: 20,
   },
+  galleryPhoto: {
+    width: 280,
+    marginRight: 12,
+  },
   descriptionContainer: {
     marginBottom: 24,
   },
@@ -287,6 +453,20 @@ const styles = StyleSheet.create({
   upvotedText: {
     color: '#fff',
   },
+  closedBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    marginBottom: 24,
+    borderRadius: 8,
+    backgroundColor: '#E8F5E9',
+  },
+  closedText: {
+    flex: 1,
+    marginLeft: 8,
+    fontSize: 14,
+    color: '#2E7D32',
+  },
   upvoteCount: {
     fontSize: 16,
     color: '#666',
@@ -13,19 +13,35 @@ import { Ionicons } from '@expo/vector-icons';
 import { useFocusEffect } from '@react-navigation/native';
 import { theme } from '../../config/theme';
 import ReportCard from '../../components/reports/ReportCard';
+import SortSelector from '../../components/reports/SortSelector';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
+import LoadMoreFooter from '../../components/common/LoadMoreFooter';
 import ErrorMessage from '../../components/common/ErrorMessage';
 import { useReports } from '../../hooks/useReports';
+import { useLocation } from '../../hooks/useLocation';
 import reportService from '../../services/reportService';
 
 const ReportsScreen = ({ navigation }) => {
   const [refreshing, setRefreshing] = useState(false);
-  const { reports, loading, error, refreshReports } = useReports();
+  const [sort, setSort] = useState({ value: 'newest', params: { sort: 'newest' } });
+  const { getCurrentLocation, loading: locating } = useLocation();
+  const {
+    reports,
+    loading,
+    loadingMore,
+    error,
+    loadMoreError,
+    fetchReports,
+    loadMore,
+  } = useReports();
+
+  // Refetch with the selected sort whenever the screen is focused or the sort changes
+  const refreshReports = () => fetchReports(sort.params);
 
   useFocusEffect(
     useCallback(() => {
       refreshReports();
-    }, [])
+    }, [sort])
   );
 
   const handleRefresh = async () => {
@@ -34,6 +50,20 @@ const ReportsScreen = ({ navigation }) => {
     setRefreshing(false);
   };
 
+  const handleSelectSort = async (option) => {
+    if (!option.needsLocation) {
+      setSort({ value: option.value, params: option.params });
+      return;
+    }
+
+    try {
+      const { latitude, longitude } = await getCurrentLocation();
+      setSort({ value: option.value, params: { ...option.params, near: `${latitude},${longitude}` } });
+    } catch (error) {
+      Alert.alert('Location Needed', 'Allow location access to see the reports nearest to you.');
+    }
+  };
+
   const handleReportPress = (report) => {
     navigation.navigate('ReportDetail', { reportId: report.id });
   };
@@ -76,22 +106,22 @@ const ReportsScreen = ({ navigation }) => {
     </View>
   );
 
-  if (loading && !refreshing) {
-    return <LoadingSpinner message="Loading reports..." />;
-  }
+  const renderList = () => {
+    if (loading && !refreshing) {
+      return <LoadingSpinner message="Loading reports..." />;
+    }
 
-  if (error && !refreshing) {
-    return (
-      <ErrorMessage 
-        message={error} 
-        onRetry={refreshReports}
-        retryText="Retry"
-      />
-    );
-  }
+    if (error && !refreshing) {
+      return (
+        <ErrorMessage 
+          message={error} 
+          onRetry={refreshReports}
+          retryText="Retry"
+        />
+      );
+    }
 
-  return (
-    <SafeAreaView style={styles.container}>
+    return (
       <FlatList
         data={reports}
         renderItem={renderReport}
@@ -101,8 +131,24 @@ const ReportsScreen = ({ navigation }) => {
           <RefreshControl refreshing={refreshing} onRefresh={handleRefresh} />
         }
         ListEmptyComponent={renderEmptyState}
+        onEndReached={loadMore}
+        onEndReachedThreshold={0.5}
+        ListFooterComponent={
+          <LoadMoreFooter loading={loadingMore} error={loadMoreError} onRetry={loadMore} />
+        }
         showsVerticalScrollIndicator={false}
       />
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <SortSelector
+        selectedSort={sort.value}
+        onSelectSort={handleSelectSort}
+        disabled={locating}
+      />
+      {renderList()}
     </SafeAreaView>
   );
 };
@@ -24,6 +24,34 @@ class MunicipalityService {
     }
   }
 
+  // The municipality a report at this point is filed with, null outside every boundary
+  async locateMunicipality(latitude, longitude) {
+    try {
+      const params = new URLSearchParams({ lat: latitude, lng: longitude });
+
+      const response = await fetch(`${API_BASE_URL}${API_ENDPOINTS.MUNICIPALITY_LOCATE}?${params}`, {
+        method: 'GET',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+      });
+
+      const data = await response.json();
+
+      if (response.status === 404) {
+        return null;
+      }
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to locate municipality');
+      }
+
+      return data.data.municipality;
+    } catch (error) {
+      throw error;
+    }
+  }
+
   async getMunicipalityById(municipalityId, includeReports = false) {
     try {
       const queryParams = includeReports ? '?include_reports=true' : '';
@@ -78,6 +106,31 @@ class MunicipalityService {
       throw error;
     }
   }
+
+  // Active categories with their sub-categories, the defaults if the municipality
+  // hasn't defined its own
+  async getCategories(municipalityId) {
+    try {
+      const url = API_ENDPOINTS.MUNICIPALITY_CATEGORIES.replace('{id}', municipalityId);
+
+      const response = await fetch(`${API_BASE_URL}${url}`, {
+        method: 'GET',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to fetch categories');
+      }
+
+      return data.data.categories;
+    } catch (error) {
+      throw error;
+    }
+  }
 }
 
 export default new MunicipalityService();
\ No newline at end of file
@@ -0,0 +1,110 @@
+import { Platform } from 'react-native';
+import * as Notifications from 'expo-notifications';
+import Constants from 'expo-constants';
+import { API_BASE_URL, API_ENDPOINTS } from '../config/api';
+import { supabase } from '../config/supabase';
+
+class NotificationService {
+  constructor() {
+    this.pushToken = null;
+  }
+
+  async getAuthHeaders() {
+    const { data: { session } } = await supabase.auth.getSession();
+    return {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${session?.access_token}`,
+    };
+  }
+
+  // Ask for permission and return this device's Expo push token, or null if unavailable
+  async getPushToken() {
+    if (Platform.OS === 'android') {
+      await Notifications.setNotificationChannelAsync('default', {
+        name: 'Report updates',
+        importance: Notifications.AndroidImportance.DEFAULT,
+      });
+    }
+
+    const { status: existingStatus } = await Notifications.getPermissionsAsync();
+    let finalStatus = existingStatus;
+
+    if (existingStatus !== 'granted') {
+      const { status } = await Notifications.requestPermissionsAsync();
+      finalStatus = status;
+    }
+
+    if (finalStatus !== 'granted') {
+      return null;
+    }
+
+    const projectId = Constants.expoConfig?.extra?.eas?.projectId ?? Constants.easConfig?.projectId;
+
+    try {
+      const { data } = await Notifications.getExpoPushTokenAsync({ projectId });
+      return data;
+    } catch (error) {
+      // Simulators and devices without Google Play services can't receive pushes
+      console.warn('Push token unavailable:', error.message);
+      return null;
+    }
+  }
+
+  async registerDevice() {
+    try {
+      const pushToken = await this.getPushToken();
+
+      if (!pushToken) {
+        return null;
+      }
+
+      const headers = await this.getAuthHeaders();
+
+      const response = await fetch(`${API_BASE_URL}${API_ENDPOINTS.USER_DEVICES}`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ push_token: pushToken, platform: Platform.OS }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to register device');
+      }
+
+      this.pushToken = pushToken;
+      return data.data.device;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async unregisterDevice() {
+    try {
+      if (!this.pushToken) {
+        return;
+      }
+
+      const headers = await this.getAuthHeaders();
+
+      const response = await fetch(
+        `${API_BASE_URL}${API_ENDPOINTS.USER_DEVICES}/${encodeURIComponent(this.pushToken)}`,
+        {
+          method: 'DELETE',
+          headers,
+        }
+      );
+
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || 'Failed to unregister device');
+      }
+
+      this.pushToken = null;
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+export default new NotificationService();
@@ -0,0 +1,162 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import reportService from './reportService';
+
+const OUTBOX_KEY = 'report_outbox';
+const BASE_RETRY_DELAY = 30 * 1000; // 30 seconds
+const MAX_RETRY_DELAY = 30 * 60 * 1000; // 30 minutes
+const MAX_ATTEMPTS = 10;
+
+// Random RFC 4122 v4 UUID, sent as the report's Idempotency-Key
+export const generateIdempotencyKey = () =>
+  'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (char) => {
+    const random = Math.random() * 16 | 0;
+    return (char === 'x' ? random : (random & 0x3) | 0x8).toString(16);
+  });
+
+// Network failures have no status. Server errors, rate limits and expired
+// sessions are worth retrying; validation errors will never succeed.
+export const isRetryableError = (error) =>
+  !error.status || error.status >= 500 || error.status === 429 || error.status === 401;
+
+const getRetryDelay = (attempts) => Math.min(BASE_RETRY_DELAY * 2 ** attempts, MAX_RETRY_DELAY);
+
+// Reports (and their photos) waiting to be sent, persisted across app restarts.
+// An entry keeps its idempotency key for every attempt, so a submission that
+// reached the server before the connection dropped is never filed twice.
+class OutboxService {
+  constructor() {
+    this.listeners = new Set();
+    this.flushing = null;
+  }
+
+  async getEntries() {
+    try {
+      const stored = await AsyncStorage.getItem(OUTBOX_KEY);
+      return stored ? JSON.parse(stored) : [];
+    } catch (error) {
+      console.warn('Failed to read report outbox:', error.message);
+      return [];
+    }
+  }
+
+  async saveEntries(entries) {
+    await AsyncStorage.setItem(OUTBOX_KEY, JSON.stringify(entries));
+    this.listeners.forEach(listener => listener(entries));
+  }
+
+  async updateEntry(id, changes) {
+    const entries = await this.getEntries();
+    await this.saveEntries(entries.map(entry => (entry.id === id ? { ...entry, ...changes } : entry)));
+  }
+
+  async removeEntry(id) {
+    const entries = await this.getEntries();
+    await this.saveEntries(entries.filter(entry => entry.id !== id));
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  // Queue a report for later. Pass reportId when the report was created but its photos weren't uploaded.
+  async enqueue({ userId, idempotencyKey, reportData, photos = [], reportId = null, lastError = null }) {
+    const entry = {
+      id: idempotencyKey || generateIdempotencyKey(),
+      userId,
+      reportData,
+      photos,
+      reportId,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: Date.now(),
+      lastError,
+      createdAt: new Date().toISOString(),
+    };
+
+    const entries = await this.getEntries();
+    await this.saveEntries([...entries.filter(existing => existing.id !== entry.id), entry]);
+    return entry;
+  }
+
+  // Send every due entry belonging to userId. Concurrent calls share one run.
+  flush(userId, { force = false } = {}) {
+    if (!this.flushing) {
+      this.flushing = this.flushEntries(userId, force).finally(() => {
+        this.flushing = null;
+      });
+    }
+
+    return this.flushing;
+  }
+
+  async flushEntries(userId, force) {
+    const entries = await this.getEntries();
+    const due = entries.filter(entry =>
+      entry.userId === userId &&
+      entry.status === 'pending' &&
+      (force || entry.nextAttemptAt <= Date.now())
+    );
+
+    let synced = 0;
+
+    for (const entry of due) {
+      try {
+        await this.sendEntry(entry);
+        await this.removeEntry(entry.id);
+        synced++;
+      } catch (error) {
+        if (isRetryableError(error) && entry.attempts + 1 < MAX_ATTEMPTS) {
+          await this.updateEntry(entry.id, {
+            attempts: entry.attempts + 1,
+            nextAttemptAt: Date.now() + getRetryDelay(entry.attempts),
+            lastError: error.message,
+          });
+        } else {
+          await this.updateEntry(entry.id, { status: 'failed', lastError: error.message });
+        }
+      }
+    }
+
+    return synced;
+  }
+
+  async sendEntry(entry) {
+    let { reportId } = entry;
+
+    if (!reportId) {
+      const report = await reportService.createReport(entry.reportData, { idempotencyKey: entry.id });
+      reportId = report.id;
+      await this.updateEntry(entry.id, { reportId });
+    }
+
+    if (entry.photos.length > 0) {
+      try {
+        await reportService.uploadAttachments(reportId, entry.photos, null, {
+          idempotencyKey: `${entry.id}-photos`,
+        });
+      } catch (error) {
+        // The report itself is filed, photos the server rejects aren't worth holding it back for
+        if (isRetryableError(error)) {
+          throw error;
+        }
+
+        console.warn('Dropping photos the server rejected:', error.message);
+      }
+    }
+  }
+
+  // Earliest time a pending entry for userId is due, or null when nothing is waiting
+  async getNextAttemptAt(userId) {
+    const entries = await this.getEntries();
+    const pending = entries.filter(entry => entry.userId === userId && entry.status === 'pending');
+
+    return pending.length > 0 ? Math.min(...pending.map(entry => entry.nextAttemptAt)) : null;
+  }
+
+  async retryEntry(id) {
+    await this.updateEntry(id, { status: 'pending', attempts: 0, nextAttemptAt: Date.now(), lastError: null });
+  }
+}
+
+export default new OutboxService();
@@ -0,0 +1,103 @@
+import { API_BASE_URL, API_ENDPOINTS } from '../config/api';
+import { supabase } from '../config/supabase';
+
+// Splits buffered stream text into complete Server-Sent Events and returns the
+// incomplete tail. Comment lines (heartbeats) and events without data are skipped.
+const parseEvents = (text, onEvent) => {
+  const blocks = text.split(/\r?\n\r?\n/);
+  const rest = blocks.pop();
+
+  blocks.forEach((block) => {
+    let type = 'message';
+    const data = [];
+
+    block.split(/\r?\n/).forEach((line) => {
+      if (line.startsWith('event:')) {
+        type = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        data.push(line.slice(5).trim());
+      }
+    });
+
+    if (data.length === 0) {
+      return;
+    }
+
+    try {
+      onEvent(type, JSON.parse(data.join('\n')));
+    } catch (error) {
+      console.warn('Ignoring malformed event:', error.message);
+    }
+  });
+
+  return rest;
+};
+
+class RealtimeService {
+  // React Native has no EventSource, but its XMLHttpRequest exposes the response
+  // while it streams in, which is enough to read Server-Sent Events and lets us
+  // send the Authorization header. onError is called once, when the stream fails
+  // or the server closes it; call close() to stop listening.
+  subscribe(path, { onEvent, onError }) {
+    const xhr = new XMLHttpRequest();
+    let closed = false;
+    let offset = 0;
+    let buffer = '';
+
+    const fail = (message) => {
+      if (closed) {
+        return;
+      }
+
+      closed = true;
+      xhr.abort();
+      onError(new Error(message));
+    };
+
+    supabase.auth.getSession()
+      .then(({ data: { session } }) => {
+        if (closed) {
+          return;
+        }
+
+        xhr.open('GET', `${API_BASE_URL}${path}`);
+        xhr.setRequestHeader('Accept', 'text/event-stream');
+        xhr.setRequestHeader('Authorization', `Bearer ${session?.access_token}`);
+
+        xhr.onreadystatechange = () => {
+          if (xhr.readyState === XMLHttpRequest.HEADERS_RECEIVED && xhr.status !== 200) {
+            fail(`Event stream failed with status ${xhr.status}`);
+          }
+        };
+
+        xhr.onprogress = () => {
+          if (closed) {
+            return;
+          }
+
+          buffer += xhr.responseText.slice(offset);
+          offset = xhr.responseText.length;
+          buffer = parseEvents(buffer, onEvent);
+        };
+
+        xhr.onerror = () => fail('Event stream connection failed');
+        xhr.onload = () => fail('Event stream closed');
+        xhr.send();
+      })
+      .catch(error => fail(error.message));
+
+    return {
+      close: () => {
+        closed = true;
+        xhr.abort();
+      },
+    };
+  }
+
+  // Status changes, status updates and upvote counts for one report
+  subscribeToReport(reportId, handlers) {
+    return this.subscribe(API_ENDPOINTS.REPORT_EVENTS.replace('{id}', reportId), handlers);
+  }
+}
+
+export default new RealtimeService();
@@ -10,9 +10,14 @@ class ReportService {
     };
   }
 
-  async createReport(reportData) {
+  // The idempotency key lets the outbox retry a submission without creating a second report
+  async createReport(reportData, { idempotencyKey } = {}) {
     try {
       const headers = await this.getAuthHeaders();
+
+      if (idempotencyKey) {
+        headers['Idempotency-Key'] = idempotencyKey;
+      }
       
       const response = await fetch(`${API_BASE_URL}${API_ENDPOINTS.REPORTS}`, {
         method: 'POST',
@@ -23,7 +28,9 @@ class ReportService {
       const data = await response.json();
       
       if (!response.ok) {
-        throw new Error(data.error || 'Failed to create report');
+        const error = new Error(data.error || 'Failed to create report');
+        error.status = response.status;
+        throw error;
       }
 
       return data.data.report;
@@ -32,6 +39,82 @@ class ReportService {
     }
   }
 
+  // Open reports of the same category close to a location, checked before filing
+  async findDuplicates({ lat, lng, category }) {
+    try {
+      const headers = await this.getAuthHeaders();
+      const params = new URLSearchParams({ lat, lng, category });
+
+      const response = await fetch(`${API_BASE_URL}${API_ENDPOINTS.REPORT_DUPLICATES}?${params}`, {
+        method: 'GET',
+        headers,
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to check for similar reports');
+      }
+
+      return data.data.possible_duplicates;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Upload local photo URIs to a report. Uses XMLHttpRequest because fetch
+  // has no upload progress events in React Native. The idempotency key lets the
+  // outbox retry an upload whose response was lost without adding the photos twice.
+  async uploadAttachments(reportId, photoUris, onProgress, { idempotencyKey } = {}) {
+    const { data: { session } } = await supabase.auth.getSession();
+    const url = API_ENDPOINTS.REPORT_ATTACHMENTS.replace('{id}', reportId);
+
+    const formData = new FormData();
+    photoUris.forEach((uri, index) => {
+      const name = uri.split('/').pop() || `photo-${index}.jpg`;
+      const extension = name.split('.').pop().toLowerCase();
+      const type = extension === 'png' ? 'image/png' : extension === 'webp' ? 'image/webp' : 'image/jpeg';
+      formData.append('photos', { uri, name, type });
+    });
+
+    return new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest();
+      xhr.open('POST', `${API_BASE_URL}${url}`);
+      xhr.setRequestHeader('Authorization', `Bearer ${session?.access_token}`);
+
+      if (idempotencyKey) {
+        xhr.setRequestHeader('Idempotency-Key', idempotencyKey);
+      }
+
+      xhr.upload.onprogress = (event) => {
+        if (onProgress && event.lengthComputable) {
+          onProgress(event.loaded / event.total);
+        }
+      };
+
+      xhr.onload = () => {
+        let data = {};
+        try {
+          data = JSON.parse(xhr.responseText);
+        } catch (error) {
+          // Non-JSON error page, fall through to the generic message
+        }
+
+        if (xhr.status < 200 || xhr.status >= 300) {
+          const error = new Error(data.error || 'Failed to upload photos');
+          error.status = xhr.status;
+          reject(error);
+          return;
+        }
+
+        resolve(data.data.attachments);
+      };
+
+      xhr.onerror = () => reject(new Error('Network error while uploading photos'));
+      xhr.send(formData);
+    });
+  }
+
   async getReports(filters = {}) {
     try {
       const queryParams = new URLSearchParams(filters).toString();
@@ -55,6 +138,7 @@ class ReportService {
         total: data.data.total,
         limit: data.data.limit,
         offset: data.data.offset,
+        nextCursor: data.data.next_cursor,
       };
     } catch (error) {
       throw error;
@@ -83,6 +167,7 @@ class ReportService {
         total: data.data.total,
         limit: data.data.limit,
         offset: data.data.offset,
+        nextCursor: data.data.next_cursor,
       };
     } catch (error) {
       throw error;
@@ -176,6 +261,94 @@ class ReportService {
     }
   }
 
+  // Answer a resolution as the report author: 'confirm' closes the report, 'reopen'
+  // sends it back to the municipality. A photo goes up as multipart with the reason.
+  async respondToResolution(reportId, action, { reason, photoUri } = {}) {
+    try {
+      const headers = await this.getAuthHeaders();
+      const endpoint = action === 'reopen' ? API_ENDPOINTS.REPORT_REOPEN : API_ENDPOINTS.REPORT_CONFIRM;
+      const url = endpoint.replace('{id}', reportId);
+      let body = JSON.stringify({ reason: reason || undefined });
+
+      if (photoUri) {
+        const name = photoUri.split('/').pop() || 'photo.jpg';
+        const extension = name.split('.').pop().toLowerCase();
+        const type = extension === 'png' ? 'image/png' : extension === 'webp' ? 'image/webp' : 'image/jpeg';
+
+        body = new FormData();
+        if (reason) {
+          body.append('reason', reason);
+        }
+        body.append('photo', { uri: photoUri, name, type });
+
+        // Let fetch set the multipart boundary
+        delete headers['Content-Type'];
+      }
+
+      const response = await fetch(`${API_BASE_URL}${url}`, {
+        method: 'POST',
+        headers,
+        body,
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to send your answer');
+      }
+
+      return data.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // The author's rating of a resolved report, null until rated
+  async getFeedback(reportId) {
+    try {
+      const headers = await this.getAuthHeaders();
+      const url = API_ENDPOINTS.REPORT_FEEDBACK.replace('{id}', reportId);
+
+      const response = await fetch(`${API_BASE_URL}${url}`, {
+        method: 'GET',
+        headers,
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to fetch rating');
+      }
+
+      return data.data.feedback;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async submitFeedback(reportId, { rating, comment }) {
+    try {
+      const headers = await this.getAuthHeaders();
+      const url = API_ENDPOINTS.REPORT_FEEDBACK.replace('{id}', reportId);
+
+      const response = await fetch(`${API_BASE_URL}${url}`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ rating, comment: comment || undefined }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to send rating');
+      }
+
+      return data.data.feedback;
+    } catch (error) {
+      throw error;
+    }
+  }
+
   async getStatusUpdates(reportId) {
     try {
       const url = API_ENDPOINTS.STATUS_UPDATES.replace('{reportId}', reportId);
@@ -198,6 +371,74 @@ class ReportService {
       throw error;
     }
   }
+
+  async getComments(reportId) {
+    try {
+      const headers = await this.getAuthHeaders();
+      const url = API_ENDPOINTS.REPORT_COMMENTS.replace('{id}', reportId);
+
+      const response = await fetch(`${API_BASE_URL}${url}`, {
+        method: 'GET',
+        headers,
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to fetch comments');
+      }
+
+      return data.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async addComment(reportId, body) {
+    try {
+      const headers = await this.getAuthHeaders();
+      const url = API_ENDPOINTS.REPORT_COMMENTS.replace('{id}', reportId);
+
+      const response = await fetch(`${API_BASE_URL}${url}`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ body }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to post comment');
+      }
+
+      return data.data.comment;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async updateComment(reportId, commentId, body) {
+    try {
+      const headers = await this.getAuthHeaders();
+      const url = API_ENDPOINTS.REPORT_COMMENTS.replace('{id}', reportId);
+
+      const response = await fetch(`${API_BASE_URL}${url}/${commentId}`, {
+        method: 'PUT',
+        headers,
+        body: JSON.stringify({ body }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to update comment');
+      }
+
+      return data.data.comment;
+    } catch (error) {
+      throw error;
+    }
+  }
 }
 
 export default new ReportService();
\ No newline at end of file
@@ -58,6 +58,33 @@ class WardService {
     }
   }
 
+  async locateWard(latitude, longitude) {
+    try {
+      const params = new URLSearchParams({ lat: latitude, lng: longitude });
+
+      const response = await fetch(`${API_BASE_URL}/api/wards/locate?${params}`, {
+        method: 'GET',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+      });
+
+      const data = await response.json();
+
+      if (response.status === 404) {
+        return null;
+      }
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to locate ward');
+      }
+
+      return data.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
   async getSimplifiedBoundaries(municipalityId = null) {
     try {
       const params = municipalityId ? `?municipality_id=${municipalityId}` : '';
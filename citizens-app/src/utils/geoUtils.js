@@ -219,6 +219,20 @@ export const calculateDistance = (point1, point2) => {
   return R * c;
 };
 
+/**
+ * Convert a map region to the "minLng,minLat,maxLng,maxLat" bbox the reports API expects
+ * @param {Object} region - Map region with latitude, longitude and deltas
+ * @returns {string} Bounding box query value
+ */
+export const regionToBbox = (region) => {
+  const minLat = Math.max(-90, region.latitude - region.latitudeDelta / 2);
+  const maxLat = Math.min(90, region.latitude + region.latitudeDelta / 2);
+  const minLng = Math.max(-180, region.longitude - region.longitudeDelta / 2);
+  const maxLng = Math.min(180, region.longitude + region.longitudeDelta / 2);
+
+  return [minLng, minLat, maxLng, maxLat].map(value => value.toFixed(6)).join(',');
+};
+
 /**
  * Debounce function to limit API calls
  * @param {Function} func - Function to debounce
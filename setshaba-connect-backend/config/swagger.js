@@ -36,8 +36,11 @@ const options = {
             id: { type: 'string', format: 'uuid' },
             name: { type: 'string' },
             email: { type: 'string', format: 'email' },
-            role: { type: 'string', enum: ['citizen', 'official'] },
+            role: { type: 'string', enum: ['citizen', 'official', 'admin'] },
             municipality_id: { type: 'string', format: 'uuid' },
+            is_active: { type: 'boolean' },
+            requested_role: { type: 'string', enum: ['official'], nullable: true },
+            requested_municipality_id: { type: 'string', format: 'uuid', nullable: true },
             home_address: { type: 'string' },
             lat: { type: 'number' },
             lng: { type: 'number' },
@@ -66,19 +69,79 @@ const options = {
             id: { type: 'string', format: 'uuid' },
             title: { type: 'string' },
             description: { type: 'string' },
-            category: { type: 'string', enum: ['water', 'electricity', 'roads', 'waste', 'safety', 'other'] },
+            category: { type: 'string', description: 'Slug of one of the municipality\'s categories' },
+            subcategory: { type: 'string', nullable: true, description: 'Slug of a sub-category of category' },
             lat: { type: 'number' },
             lng: { type: 'number' },
             address: { type: 'string' },
+            ward_id: { type: 'string', nullable: true },
             status: { type: 'string', enum: ['pending', 'acknowledged', 'in_progress', 'resolved'] },
             municipality_id: { type: 'string', format: 'uuid' },
             created_by: { type: 'string', format: 'uuid' },
-            assigned_official: { type: 'string', format: 'uuid' },
+            assigned_official: { type: 'string', format: 'uuid', nullable: true },
+            department_id: { type: 'string', format: 'uuid', nullable: true, description: 'Department the report was routed or transferred to' },
             upvotes: { type: 'integer' },
-            photo_url: { type: 'string', format: 'uri' },
+            merged_into: { type: 'string', format: 'uuid', nullable: true, description: 'Canonical report this duplicate was merged into' },
+            merged_at: { type: 'string', format: 'date-time', nullable: true },
+            resolved_at: { type: 'string', format: 'date-time', nullable: true, description: 'When the report was last resolved' },
+            closed_at: { type: 'string', format: 'date-time', nullable: true, description: 'Set when the author confirms the fix or nobody answers in time' },
+            confirmation_due_at: { type: 'string', format: 'date-time', nullable: true, description: 'When an unanswered resolution closes, only on GET /api/reports/{id}' },
+            reopen_count: { type: 'integer', description: 'Times the author reopened the report' },
+            deleted_at: { type: 'string', format: 'date-time', nullable: true, description: 'Only visible in the report history' },
+            report_attachments: { type: 'array', items: { $ref: '#/components/schemas/ReportAttachment' } },
+            distance_km: { type: 'number', description: 'Only present on near/bbox queries' },
+            due_at: { type: 'string', format: 'date-time', nullable: true, description: 'End of the SLA for the current status' },
+            breached: { type: 'boolean', description: 'Open and past due_at' },
+            created_at: { type: 'string', format: 'date-time' },
+            updated_at: { type: 'string', format: 'date-time', description: 'Last edit or status update' }
+          }
+        },
+        ReportAttachment: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            report_id: { type: 'string', format: 'uuid' },
+            url: { type: 'string' },
+            thumbnail_url: { type: 'string' },
+            content_type: { type: 'string' },
+            size_bytes: { type: 'integer' },
+            width: { type: 'integer' },
+            height: { type: 'integer' },
+            uploaded_by: { type: 'string', format: 'uuid' },
+            created_at: { type: 'string', format: 'date-time' }
+          }
+        },
+        ReportComment: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            report_id: { type: 'string', format: 'uuid' },
+            user_id: { type: 'string', format: 'uuid' },
+            body: { type: 'string' },
+            edited_at: { type: 'string', format: 'date-time', nullable: true },
+            is_hidden: { type: 'boolean', description: 'Hidden comments are only returned to moderators' },
+            hidden_at: { type: 'string', format: 'date-time', nullable: true },
+            hidden_reason: { type: 'string', nullable: true },
+            author: { type: 'object', properties: { id: { type: 'string' }, name: { type: 'string' }, role: { type: 'string' } } },
             created_at: { type: 'string', format: 'date-time' }
           }
         },
+        Category: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            municipality_id: { type: 'string', format: 'uuid', nullable: true, description: 'null for the default set' },
+            parent_id: { type: 'string', format: 'uuid', nullable: true },
+            slug: { type: 'string', pattern: '^[a-z0-9_]{2,50}$' },
+            name: { type: 'string' },
+            icon: { type: 'string', nullable: true, description: 'Ionicons name' },
+            sort_order: { type: 'integer' },
+            is_active: { type: 'boolean', description: 'Retired categories stay on old reports but can\'t be picked' },
+            subcategories: { type: 'array', items: { $ref: '#/components/schemas/Category' }, description: 'Top-level categories only' },
+            created_at: { type: 'string', format: 'date-time' },
+            updated_at: { type: 'string', format: 'date-time' }
+          }
+        },
         Municipality: {
           type: 'object',
           properties: {
@@ -95,10 +158,113 @@ const options = {
             id: { type: 'string', format: 'uuid' },
             report_id: { type: 'string', format: 'uuid' },
             update_text: { type: 'string' },
+            from_status: { type: 'string', enum: ['pending', 'acknowledged', 'in_progress', 'resolved'], nullable: true },
+            to_status: { type: 'string', enum: ['pending', 'acknowledged', 'in_progress', 'resolved'], nullable: true },
             created_by: { type: 'string', format: 'uuid' },
             created_at: { type: 'string', format: 'date-time' }
           }
         },
+        ReportEvent: {
+          type: 'object',
+          description: 'Sent as the data of a Server-Sent Event whose event name is the type',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            type: { type: 'string', enum: ['report.created', 'report.status_changed', 'status_update.created', 'report.upvotes_changed'] },
+            report_id: { type: 'string', format: 'uuid' },
+            municipality_id: { type: 'string', format: 'uuid' },
+            data: { type: 'object', description: 'report, from_status/to_status, status_update or upvotes, depending on the type' },
+            created_at: { type: 'string', format: 'date-time' }
+          }
+        },
+        OfficialInvite: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            email: { type: 'string', format: 'email' },
+            municipality_id: { type: 'string', format: 'uuid' },
+            invited_by: { type: 'string', format: 'uuid' },
+            expires_at: { type: 'string', format: 'date-time' },
+            accepted_at: { type: 'string', format: 'date-time', nullable: true },
+            accepted_by: { type: 'string', format: 'uuid', nullable: true },
+            created_at: { type: 'string', format: 'date-time' }
+          }
+        },
+        ReportAssignment: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            report_id: { type: 'string', format: 'uuid' },
+            assigned_to: { type: 'string', format: 'uuid', nullable: true },
+            previous_assignee: { type: 'string', format: 'uuid', nullable: true },
+            assigned_by: { type: 'string', format: 'uuid' },
+            note: { type: 'string', nullable: true },
+            created_at: { type: 'string', format: 'date-time' }
+          }
+        },
+        Department: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            municipality_id: { type: 'string', format: 'uuid' },
+            name: { type: 'string' },
+            description: { type: 'string', nullable: true },
+            members: { type: 'array', items: { type: 'object', properties: { id: { type: 'string' }, name: { type: 'string' }, email: { type: 'string' }, joined_at: { type: 'string', format: 'date-time' } } } },
+            created_at: { type: 'string', format: 'date-time' },
+            updated_at: { type: 'string', format: 'date-time' }
+          }
+        },
+        ReportTransfer: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            report_id: { type: 'string', format: 'uuid' },
+            from_department: { type: 'string', format: 'uuid', nullable: true },
+            to_department: { type: 'string', format: 'uuid', nullable: true },
+            transferred_by: { type: 'string', format: 'uuid', nullable: true, description: 'null for the automatic routing' },
+            automatic: { type: 'boolean' },
+            note: { type: 'string', nullable: true },
+            created_at: { type: 'string', format: 'date-time' }
+          }
+        },
+        ResolutionResponse: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            report_id: { type: 'string', format: 'uuid' },
+            user_id: { type: 'string', format: 'uuid', nullable: true },
+            response: { type: 'string', enum: ['confirmed', 'reopened'] },
+            reason: { type: 'string', nullable: true },
+            attachment: { allOf: [{ $ref: '#/components/schemas/ReportAttachment' }], nullable: true },
+            status_update_id: { type: 'string', format: 'uuid', nullable: true, description: 'The status update that reopened the report' },
+            created_at: { type: 'string', format: 'date-time' }
+          }
+        },
+        ReportFeedback: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            report_id: { type: 'string', format: 'uuid' },
+            user_id: { type: 'string', format: 'uuid', nullable: true },
+            rating: { type: 'integer', minimum: 1, maximum: 5 },
+            comment: { type: 'string', nullable: true },
+            official_id: { type: 'string', format: 'uuid', nullable: true, description: 'Assignee when the report was rated' },
+            department_id: { type: 'string', format: 'uuid', nullable: true, description: 'Department when the report was rated' },
+            category: { type: 'string' },
+            created_at: { type: 'string', format: 'date-time' }
+          }
+        },
+        ReportHistoryEvent: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            report_id: { type: 'string', format: 'uuid' },
+            actor: { type: 'object', nullable: true, properties: { id: { type: 'string' }, name: { type: 'string' }, role: { type: 'string' } } },
+            event_type: { type: 'string', enum: ['created', 'updated', 'deleted', 'status_update', 'assigned', 'transferred', 'merged', 'upvoted', 'upvote_removed', 'confirmed', 'reopened', 'closed'] },
+            changes: { type: 'object', additionalProperties: { type: 'object', properties: { from: {}, to: {} } }, description: 'Changed fields with their old and new values' },
+            data: { type: 'object', description: 'Event details such as the status update or merged report id' },
+            created_at: { type: 'string', format: 'date-time' }
+          }
+        },
         Error: {
           type: 'object',
           properties: {
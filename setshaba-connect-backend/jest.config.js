@@ -14,7 +14,8 @@ export default {
     'routes/**/*.js',
     'middleware/**/*.js',
     'utils/**/*.js',
-    'config/**/*.js'
+    'config/**/*.js',
+    'services/**/*.js'
   ],
   coverageDirectory: 'coverage',
   coverageReporters: ['text', 'lcov', 'html'],
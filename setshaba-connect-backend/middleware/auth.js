@@ -28,6 +28,10 @@ export const authenticateToken = async (req, res, next) => {
       return res.status(403).json({ error: 'User not found' });
     }
 
+    if (userData.is_active === false) {
+      return res.status(403).json({ error: 'Account is deactivated' });
+    }
+
     req.user = userData;
     req.token = token;
     next();
@@ -56,4 +60,5 @@ export const requireRole = (roles) => {
 };
 
 export const requireCitizen = requireRole('citizen');
-export const requireOfficial = requireRole('official');
\ No newline at end of file
+export const requireOfficial = requireRole('official');
+export const requireAdmin = requireRole('admin');
\ No newline at end of file
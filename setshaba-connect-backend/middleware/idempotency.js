@@ -0,0 +1,241 @@
+import crypto from 'crypto';
+import { supabase } from '../config/database.js';
+import { formatError } from '../utils/helpers.js';
+
+// Idempotency stores share one shape, with records keyed by (scope, key):
+//   reserve(scope, key, { method, path, fingerprint }) -> { reserved: true } or { reserved: false, record }
+//   complete(scope, key, { status, body })
+//   release(scope, key)
+// where record is { fingerprint, status: 'in_progress' | 'completed', response_status, response_body }.
+// Select one with IDEMPOTENCY_STORE=database|memory (defaults to memory under NODE_ENV=test, database otherwise).
+
+export const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9_-]{8,255}$/;
+export const IDEMPOTENCY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS, 10) || 24;
+
+const getExpiry = () => new Date(Date.now() + IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000);
+
+// In-process store for tests and single-instance development
+export const createMemoryStore = () => {
+  const records = new Map();
+  const recordId = (scope, key) => `${scope}:${key}`;
+
+  return {
+    async reserve(scope, key, { method, path, fingerprint }) {
+      const id = recordId(scope, key);
+      const existing = records.get(id);
+
+      if (existing && existing.expires_at > new Date()) {
+        return { reserved: false, record: existing };
+      }
+
+      records.set(id, {
+        method,
+        path,
+        fingerprint,
+        status: 'in_progress',
+        response_status: null,
+        response_body: null,
+        expires_at: getExpiry()
+      });
+
+      return { reserved: true };
+    },
+
+    async complete(scope, key, { status, body }) {
+      const record = records.get(recordId(scope, key));
+
+      if (record) {
+        Object.assign(record, { status: 'completed', response_status: status, response_body: body });
+      }
+    },
+
+    async release(scope, key) {
+      records.delete(recordId(scope, key));
+    }
+  };
+};
+
+// Postgres store backed by the idempotency_keys table, shared by every API instance
+export const createDatabaseStore = () => {
+  const insert = (scope, key, { method, path, fingerprint }) => supabase
+    .from('idempotency_keys')
+    .insert({
+      user_id: scope,
+      key,
+      method,
+      path,
+      fingerprint,
+      expires_at: getExpiry().toISOString()
+    });
+
+  return {
+    async reserve(scope, key, request) {
+      const { error } = await insert(scope, key, request);
+
+      if (!error) {
+        return { reserved: true };
+      }
+
+      if (error.code !== '23505') {
+        throw new Error(`Failed to reserve idempotency key: ${error.message}`);
+      }
+
+      const { data: record, error: fetchError } = await supabase
+        .from('idempotency_keys')
+        .select('fingerprint, status, response_status, response_body, expires_at')
+        .eq('user_id', scope)
+        .eq('key', key)
+        .single();
+
+      if (fetchError) {
+        throw new Error(`Failed to fetch idempotency key: ${fetchError.message}`);
+      }
+
+      if (new Date(record.expires_at) > new Date()) {
+        return { reserved: false, record };
+      }
+
+      // The old record has expired, so the key starts over
+      await this.release(scope, key);
+      const { error: retryError } = await insert(scope, key, request);
+
+      if (retryError) {
+        throw new Error(`Failed to reserve idempotency key: ${retryError.message}`);
+      }
+
+      return { reserved: true };
+    },
+
+    async complete(scope, key, { status, body }) {
+      const { error } = await supabase
+        .from('idempotency_keys')
+        .update({ status: 'completed', response_status: status, response_body: body })
+        .eq('user_id', scope)
+        .eq('key', key);
+
+      if (error) {
+        throw new Error(`Failed to store idempotent response: ${error.message}`);
+      }
+    },
+
+    async release(scope, key) {
+      const { error } = await supabase
+        .from('idempotency_keys')
+        .delete()
+        .eq('user_id', scope)
+        .eq('key', key);
+
+      if (error) {
+        throw new Error(`Failed to release idempotency key: ${error.message}`);
+      }
+    }
+  };
+};
+
+let store = null;
+
+export const getStore = () => {
+  if (!store) {
+    const driver = process.env.IDEMPOTENCY_STORE ||
+      (process.env.NODE_ENV === 'test' ? 'memory' : 'database');
+
+    store = driver === 'database' ? createDatabaseStore() : createMemoryStore();
+  }
+
+  return store;
+};
+
+// Swap the active store, mainly for tests
+export const setStore = (adapter) => {
+  store = adapter;
+};
+
+// Helper function to fingerprint a request so a key can't be reused for a different one.
+// Uploaded files count by content, which needs the upload middleware to run first.
+const fingerprintRequest = (method, path, body, files) => {
+  const request = [method, path, body ?? null];
+
+  if (files) {
+    request.push(files.map(file => [
+      file.fieldname,
+      crypto.createHash('sha256').update(file.buffer).digest('hex')
+    ]));
+  }
+
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify(request))
+    .digest('hex');
+};
+
+// Replays the stored response when a request is retried with the same
+// Idempotency-Key header. Runs after authenticateToken, since keys are scoped
+// to the caller, and after handlePhotoUpload on upload routes, so the photos are
+// part of the fingerprint. Requests without the header are handled as usual.
+export const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  if (!key) {
+    return next();
+  }
+
+  if (!IDEMPOTENCY_KEY_PATTERN.test(key)) {
+    return res.status(400).json(formatError('Invalid Idempotency-Key header'));
+  }
+
+  const scope = req.user.id;
+  const path = `${req.baseUrl}${req.path}`;
+  const fingerprint = fingerprintRequest(req.method, path, req.body, req.files);
+  const activeStore = getStore();
+
+  let reservation;
+  try {
+    reservation = await activeStore.reserve(scope, key, { method: req.method, path, fingerprint });
+  } catch (error) {
+    console.error('Idempotency store error:', error);
+    return res.status(500).json(formatError('Internal server error', 500));
+  }
+
+  if (!reservation.reserved) {
+    const { record } = reservation;
+
+    if (record.fingerprint !== fingerprint) {
+      return res.status(422).json(formatError('This Idempotency-Key was already used for a different request', 422));
+    }
+
+    if (record.status !== 'completed') {
+      return res.status(409).json(formatError('A request with this Idempotency-Key is still being processed', 409));
+    }
+
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(record.response_status).json(record.response_body);
+  }
+
+  // Store the response before sending it, so an immediate retry is replayed.
+  // Server errors aren't stored, the key is released and the retry runs again.
+  let settled = false;
+  const sendJson = res.json.bind(res);
+
+  res.json = (body) => {
+    settled = true;
+
+    const settle = res.statusCode >= 500
+      ? activeStore.release(scope, key)
+      : activeStore.complete(scope, key, { status: res.statusCode, body });
+
+    settle
+      .catch(error => console.error('Idempotency store error:', error))
+      .finally(() => sendJson(body));
+
+    return res;
+  };
+
+  // Responses sent without res.json, or requests that never answer, shouldn't hold the key
+  res.on('close', () => {
+    if (!settled) {
+      activeStore.release(scope, key).catch(error => console.error('Idempotency store error:', error));
+    }
+  });
+
+  next();
+};
@@ -0,0 +1,47 @@
+import multer from 'multer';
+import { formatError } from '../utils/helpers.js';
+import { ALLOWED_IMAGE_TYPES, MAX_IMAGE_BYTES } from '../utils/images.js';
+
+// Parse up to maxCount photos from a multipart field into req.files and turn upload
+// errors into API errors. JSON requests pass through with no files.
+export const handlePhotoUpload = (field, maxCount) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: MAX_IMAGE_BYTES,
+      files: maxCount
+    },
+    fileFilter: (req, file, cb) => {
+      if (!ALLOWED_IMAGE_TYPES.includes(file.mimetype)) {
+        const error = new Error('Only JPEG, PNG and WebP images are allowed');
+        error.code = 'UNSUPPORTED_MEDIA_TYPE';
+        return cb(error);
+      }
+
+      cb(null, true);
+    }
+  });
+
+  return (req, res, next) => {
+    upload.array(field, maxCount)(req, res, (error) => {
+      if (!error) {
+        return next();
+      }
+
+      if (error.code === 'UNSUPPORTED_MEDIA_TYPE') {
+        return res.status(415).json(formatError(error.message, 415));
+      }
+
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json(formatError(`Each photo must be smaller than ${MAX_IMAGE_BYTES / (1024 * 1024)}MB`, 413));
+      }
+
+      if (error instanceof multer.MulterError) {
+        const limit = maxCount === 1 ? 'one photo' : `up to ${maxCount} photos`;
+        return res.status(400).json(formatError(`Upload ${limit} in the "${field}" field`));
+      }
+
+      next(error);
+    });
+  };
+};
@@ -1,4 +1,5 @@
 import Joi from 'joi';
+import { CATEGORY_SLUG_PATTERN } from '../utils/categories.js';
 
 export const validateRequest = (schema) => {
   return (req, res, next) => {
@@ -21,9 +22,15 @@ export const registerSchema = Joi.object({
   email: Joi.string().email().required(),
   password: Joi.string().min(6).required(),
   role: Joi.string().valid('citizen', 'official').default('citizen'),
+  // Officials either join with an admin invite or request a municipality for approval
+  invite_token: Joi.string().max(128).optional(),
   municipality_id: Joi.string().uuid().when('role', {
     is: 'official',
-    then: Joi.required(),
+    then: Joi.when('invite_token', {
+      is: Joi.exist(),
+      then: Joi.optional(),
+      otherwise: Joi.required()
+    }),
     otherwise: Joi.optional()
   }),
   home_address: Joi.string().max(500).optional(),
@@ -39,18 +46,20 @@ export const loginSchema = Joi.object({
 export const createReportSchema = Joi.object({
   title: Joi.string().min(5).max(200).required(),
   description: Joi.string().min(10).max(2000).required(),
-  category: Joi.string().valid('water', 'electricity', 'roads', 'waste', 'safety', 'other').required(),
+  // Checked against the municipality's categories once it is known
+  category: Joi.string().pattern(CATEGORY_SLUG_PATTERN).required(),
+  subcategory: Joi.string().pattern(CATEGORY_SLUG_PATTERN).allow(null).optional(),
   lat: Joi.number().min(-90).max(90).required(),
   lng: Joi.number().min(-180).max(180).required(),
   address: Joi.string().max(500).required(),
-  photo_url: Joi.string().uri().optional()
+  ward_id: Joi.string().pattern(/^[A-Za-z0-9_-]+$/).max(50).allow(null).optional()
 });
 
 export const updateReportSchema = Joi.object({
   title: Joi.string().min(5).max(200).optional(),
   description: Joi.string().min(10).max(2000).optional(),
-  category: Joi.string().valid('water', 'electricity', 'roads', 'waste', 'safety', 'other').optional(),
-  photo_url: Joi.string().uri().optional(),
+  category: Joi.string().pattern(CATEGORY_SLUG_PATTERN).optional(),
+  subcategory: Joi.string().pattern(CATEGORY_SLUG_PATTERN).allow(null).optional(),
   status: Joi.string().valid('pending', 'acknowledged', 'in_progress', 'resolved').optional(),
-  assigned_official: Joi.string().uuid().optional()
+  assigned_official: Joi.string().uuid().allow(null).optional()
 });
\ No newline at end of file
@@ -0,0 +1,319 @@
+import express from 'express';
+import Joi from 'joi';
+import { supabase } from '../config/database.js';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { validateRequest } from '../middleware/validation.js';
+import { formatError, formatSuccess } from '../utils/helpers.js';
+import { INVITE_TTL_DAYS, createInviteToken, hashInviteToken } from '../utils/invites.js';
+import { containsPattern } from '../utils/search.js';
+
+const router = express.Router();
+
+// Validation schemas
+const listUsersSchema = Joi.object({
+  role: Joi.string().valid('citizen', 'official', 'admin').optional(),
+  municipality_id: Joi.string().uuid().optional(),
+  pending: Joi.boolean().optional(),
+  is_active: Joi.boolean().optional(),
+  search: Joi.string().max(200).optional(),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+const updateUserSchema = Joi.object({
+  role: Joi.string().valid('citizen', 'official', 'admin').optional(),
+  municipality_id: Joi.string().uuid().allow(null).optional(),
+  supervisor_id: Joi.string().uuid().allow(null).optional(),
+  is_active: Joi.boolean().optional()
+}).min(1);
+
+const createInviteSchema = Joi.object({
+  email: Joi.string().email().required(),
+  municipality_id: Joi.string().uuid().required(),
+  expires_in_days: Joi.number().integer().min(1).max(30).default(INVITE_TTL_DAYS)
+});
+
+const userFields = `
+  id,
+  name,
+  email,
+  role,
+  municipality_id,
+  supervisor_id,
+  is_active,
+  deactivated_at,
+  requested_role,
+  requested_municipality_id,
+  created_at,
+  municipalities:municipality_id (
+    id,
+    name,
+    province
+  ),
+  requested_municipality:requested_municipality_id (
+    id,
+    name,
+    province
+  )
+`;
+
+const inviteFields = 'id, email, municipality_id, invited_by, expires_at, accepted_at, accepted_by, created_at';
+
+// Helper function to check a municipality exists
+const municipalityExists = async (municipalityId) => {
+  const { data } = await supabase
+    .from('municipalities')
+    .select('id')
+    .eq('id', municipalityId)
+    .single();
+
+  return Boolean(data);
+};
+
+// List users, e.g. ?pending=true for official access requests (admins only)
+router.get('/users', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { error: validationError, value } = listUsersSchema.validate(req.query);
+
+    if (validationError) {
+      return res.status(400).json(formatError('Invalid query parameters', 400, validationError.details));
+    }
+
+    const { role, municipality_id, pending, is_active, search, limit, offset } = value;
+
+    let query = supabase
+      .from('users')
+      .select(userFields, { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (role) {
+      query = query.eq('role', role);
+    }
+
+    if (municipality_id) {
+      query = query.eq('municipality_id', municipality_id);
+    }
+
+    if (pending === true) {
+      query = query.not('requested_role', 'is', null);
+    } else if (pending === false) {
+      query = query.is('requested_role', null);
+    }
+
+    if (is_active !== undefined) {
+      query = query.eq('is_active', is_active);
+    }
+
+    if (search) {
+      const pattern = containsPattern(search);
+      query = query.or(`name.ilike.${pattern},email.ilike.${pattern}`);
+    }
+
+    const { data: users, error, count } = await query;
+
+    if (error) {
+      return res.status(400).json(formatError('Failed to fetch users'));
+    }
+
+    res.json(formatSuccess({ users, total: count, limit, offset }));
+
+  } catch (error) {
+    console.error('Admin list users error:', error);
+    res.status(500).json(formatError('Internal server error'));
+  }
+});
+
+// Promote, demote, move or deactivate a user (admins only).
+// Setting a role also resolves any pending role request.
+router.put('/users/:id', authenticateToken, requireAdmin, validateRequest(updateUserSchema), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role, municipality_id, supervisor_id, is_active } = req.body;
+
+    if (id === req.user.id && ((role && role !== 'admin') || is_active === false)) {
+      return res.status(400).json(formatError('You cannot demote or deactivate your own account'));
+    }
+
+    const { data: target, error: targetError } = await supabase
+      .from('users')
+      .select('id, role, municipality_id, requested_role, requested_municipality_id')
+      .eq('id', id)
+      .single();
+
+    if (targetError || !target) {
+      return res.status(404).json(formatError('User not found'));
+    }
+
+    const updates = {};
+
+    if (role) {
+      updates.role = role;
+      updates.requested_role = null;
+      updates.requested_municipality_id = null;
+    }
+
+    // Approving an official request keeps the municipality that was asked for
+    if (municipality_id !== undefined) {
+      updates.municipality_id = municipality_id;
+    } else if (role === 'official' && target.requested_role === 'official' && target.requested_municipality_id) {
+      updates.municipality_id = target.requested_municipality_id;
+    }
+
+    const nextRole = updates.role || target.role;
+    const nextMunicipalityId = updates.municipality_id !== undefined ? updates.municipality_id : target.municipality_id;
+
+    if (nextRole === 'official' && !nextMunicipalityId) {
+      return res.status(400).json(formatError('Officials must belong to a municipality'));
+    }
+
+    if (updates.municipality_id && !(await municipalityExists(updates.municipality_id))) {
+      return res.status(400).json(formatError('Municipality not found'));
+    }
+
+    // Overdue reports assigned to this official escalate to their supervisor
+    if (supervisor_id !== undefined) {
+      if (supervisor_id === id) {
+        return res.status(400).json(formatError('A user cannot supervise themselves'));
+      }
+
+      if (supervisor_id) {
+        const { data: supervisor } = await supabase
+          .from('users')
+          .select('id, role')
+          .eq('id', supervisor_id)
+          .single();
+
+        if (!supervisor || !['official', 'admin'].includes(supervisor.role)) {
+          return res.status(400).json(formatError('Supervisor must be an official or admin'));
+        }
+      }
+
+      updates.supervisor_id = supervisor_id;
+    }
+
+    if (is_active !== undefined) {
+      updates.is_active = is_active;
+      updates.deactivated_at = is_active ? null : new Date().toISOString();
+    }
+
+    const { data: user, error } = await supabase
+      .from('users')
+      .update(updates)
+      .eq('id', id)
+      .select(userFields)
+      .single();
+
+    if (error) {
+      console.error('Admin update user error:', error);
+      return res.status(400).json(formatError('Failed to update user'));
+    }
+
+    res.json(formatSuccess({ user }, 'User updated successfully'));
+
+  } catch (error) {
+    console.error('Admin update user error:', error);
+    res.status(500).json(formatError('Internal server error'));
+  }
+});
+
+// Invite an official to a municipality (admins only). The token is only returned here.
+router.post('/invites', authenticateToken, requireAdmin, validateRequest(createInviteSchema), async (req, res) => {
+  try {
+    const { email, municipality_id, expires_in_days = INVITE_TTL_DAYS } = req.body;
+
+    if (!(await municipalityExists(municipality_id))) {
+      return res.status(400).json(formatError('Municipality not found'));
+    }
+
+    const inviteToken = createInviteToken();
+    const expiresAt = new Date(Date.now() + expires_in_days * 24 * 60 * 60 * 1000);
+
+    const { data: invite, error } = await supabase
+      .from('official_invites')
+      .insert({
+        email: email.toLowerCase(),
+        municipality_id,
+        token_hash: hashInviteToken(inviteToken),
+        invited_by: req.user.id,
+        expires_at: expiresAt.toISOString()
+      })
+      .select(inviteFields)
+      .single();
+
+    if (error) {
+      console.error('Create invite error:', error);
+      return res.status(400).json(formatError('Failed to create invite'));
+    }
+
+    res.status(201).json(formatSuccess({ invite, invite_token: inviteToken }, 'Invite created successfully'));
+
+  } catch (error) {
+    console.error('Create invite error:', error);
+    res.status(500).json(formatError('Internal server error'));
+  }
+});
+
+// List official invites (admins only)
+router.get('/invites', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { data: invites, error } = await supabase
+      .from('official_invites')
+      .select(`
+        ${inviteFields},
+        municipalities:municipality_id (
+          id,
+          name
+        )
+      `)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      return res.status(400).json(formatError('Failed to fetch invites'));
+    }
+
+    res.json(formatSuccess({ invites }));
+
+  } catch (error) {
+    console.error('List invites error:', error);
+    res.status(500).json(formatError('Internal server error'));
+  }
+});
+
+// Revoke an unused invite (admins only)
+router.delete('/invites/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: invite, error: inviteError } = await supabase
+      .from('official_invites')
+      .select('id, accepted_at')
+      .eq('id', id)
+      .single();
+
+    if (inviteError || !invite) {
+      return res.status(404).json(formatError('Invite not found'));
+    }
+
+    if (invite.accepted_at) {
+      return res.status(409).json(formatError('Invite has already been accepted', 409));
+    }
+
+    const { error } = await supabase
+      .from('official_invites')
+      .delete()
+      .eq('id', id);
+
+    if (error) {
+      return res.status(400).json(formatError('Failed to revoke invite'));
+    }
+
+    res.json(formatSuccess(null, 'Invite revoked successfully'));
+
+  } catch (error) {
+    console.error('Revoke invite error:', error);
+    res.status(500).json(formatError('Internal server error'));
+  }
+});
+
+export default router;
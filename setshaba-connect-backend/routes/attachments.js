@@ -0,0 +1,135 @@
+import express from 'express';
+import { supabase } from '../config/database.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { idempotent } from '../middleware/idempotency.js';
+import { handlePhotoUpload } from '../middleware/upload.js';
+import { formatError, formatSuccess } from '../utils/helpers.js';
+import { MAX_ATTACHMENTS_PER_REPORT, attachmentFields, storeReportPhotos } from '../utils/attachments.js';
+import { getStorage } from '../services/storage.js';
+
+const router = express.Router();
+
+// Report owners and officials from the report's municipality may manage attachments
+const canManageAttachments = (user, report) =>
+  report.created_by === user.id ||
+  (user.role === 'official' && report.municipality_id === user.municipality_id);
+
+// Upload photos to a report. With an Idempotency-Key a retried upload is replayed
+// instead of storing the photos twice, and reusing the key for other photos is rejected.
+router.post('/:reportId/attachments', authenticateToken, handlePhotoUpload('photos', MAX_ATTACHMENTS_PER_REPORT), idempotent, async (req, res) => {
+  try {
+    const { reportId } = req.params;
+    const currentUser = req.user;
+    const files = req.files || [];
+
+    const { data: report, error: reportError } = await supabase
+      .from('reports')
+      .select('id, created_by, municipality_id')
+      .eq('id', reportId)
+      .is('deleted_at', null)
+      .single();
+
+    if (reportError || !report) {
+      return res.status(404).json(formatError('Report not found'));
+    }
+
+    if (!canManageAttachments(currentUser, report)) {
+      return res.status(403).json(formatError('Access denied'));
+    }
+
+    if (files.length === 0) {
+      return res.status(400).json(formatError('At least one photo is required'));
+    }
+
+    const { attachments, error, statusCode } = await storeReportPhotos({
+      reportId,
+      uploadedBy: currentUser.id,
+      files
+    });
+
+    if (error) {
+      return res.status(statusCode).json(formatError(error, statusCode));
+    }
+
+    res.status(201).json(formatSuccess({ attachments }, 'Photos uploaded successfully'));
+
+  } catch (error) {
+    console.error('Upload attachments error:', error);
+    res.status(500).json(formatError('Internal server error'));
+  }
+});
+
+// Get attachments for a report
+router.get('/:reportId/attachments', async (req, res) => {
+  try {
+    const { reportId } = req.params;
+
+    const { data: attachments, error } = await supabase
+      .from('report_attachments')
+      .select(attachmentFields)
+      .eq('report_id', reportId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      return res.status(400).json(formatError('Failed to fetch attachments'));
+    }
+
+    res.json(formatSuccess({ attachments }));
+
+  } catch (error) {
+    console.error('Get attachments error:', error);
+    res.status(500).json(formatError('Internal server error'));
+  }
+});
+
+// Delete an attachment
+router.delete('/:reportId/attachments/:attachmentId', authenticateToken, async (req, res) => {
+  try {
+    const { reportId, attachmentId } = req.params;
+    const currentUser = req.user;
+
+    const { data: attachment, error: attachmentError } = await supabase
+      .from('report_attachments')
+      .select(`
+        id,
+        storage_key,
+        thumbnail_key,
+        reports:report_id (
+          created_by,
+          municipality_id
+        )
+      `)
+      .eq('id', attachmentId)
+      .eq('report_id', reportId)
+      .single();
+
+    if (attachmentError || !attachment) {
+      return res.status(404).json(formatError('Attachment not found'));
+    }
+
+    if (!canManageAttachments(currentUser, attachment.reports)) {
+      return res.status(403).json(formatError('Access denied'));
+    }
+
+    const { error } = await supabase
+      .from('report_attachments')
+      .delete()
+      .eq('id', attachmentId);
+
+    if (error) {
+      return res.status(400).json(formatError('Failed to delete attachment'));
+    }
+
+    await getStorage()
+      .remove([attachment.storage_key, attachment.thumbnail_key].filter(Boolean))
+      .catch(storageError => console.error('Remove attachment files error:', storageError));
+
+    res.json(formatSuccess(null, 'Attachment deleted successfully'));
+
+  } catch (error) {
+    console.error('Delete attachment error:', error);
+    res.status(500).json(formatError('Internal server error'));
+  }
+});
+
+export default router;
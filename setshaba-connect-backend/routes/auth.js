@@ -1,14 +1,37 @@
 import express from 'express';
+import Joi from 'joi';
 import { supabaseAuth, supabase } from '../config/database.js';
 import { validateRequest, registerSchema, loginSchema } from '../middleware/validation.js';
 import { getMunicipalityFromCoordinates, formatError, formatSuccess } from '../utils/helpers.js';
+import { findValidInvite } from '../utils/invites.js';
 
 const router = express.Router();
 
 // Register endpoint
 router.post('/register', validateRequest(registerSchema), async (req, res) => {
   try {
-    const { name, email, password, role, municipality_id, home_address, lat, lng } = req.body;
+    const { name, email, password, role, municipality_id, invite_token, home_address, lat, lng } = req.body;
+
+    // Official access needs an admin invite. Without one the account is created as a
+    // citizen and the official role is recorded as a request for an admin to approve.
+    let finalRole = role;
+    let invite = null;
+    let requestedRole = null;
+    let requestedMunicipalityId = null;
+
+    if (role === 'official') {
+      if (invite_token) {
+        invite = await findValidInvite(invite_token, email);
+
+        if (!invite) {
+          return res.status(400).json(formatError('Invalid or expired invite'));
+        }
+      } else {
+        finalRole = 'citizen';
+        requestedRole = 'official';
+        requestedMunicipalityId = municipality_id;
+      }
+    }
 
     // Create user in Supabase Auth
     const { data: authData, error: authError } = await supabaseAuth.auth.signUp({
@@ -25,10 +48,19 @@ router.post('/register', validateRequest(registerSchema), async (req, res) => {
     }
 
     // Determine municipality_id for citizens based on coordinates
-    let finalMunicipalityId = municipality_id;
-    
-    if (role === 'citizen' && lat && lng && !municipality_id) {
-      finalMunicipalityId = await getMunicipalityFromCoordinates(lat, lng);
+    let finalMunicipalityId = invite ? invite.municipality_id : municipality_id;
+
+    if (requestedRole) {
+      finalMunicipalityId = null;
+    }
+
+    if (finalRole === 'citizen' && lat && lng && !finalMunicipalityId) {
+      // The home municipality is optional and the auth user already exists, so a
+      // failed lookup leaves it unset rather than failing the registration
+      finalMunicipalityId = await getMunicipalityFromCoordinates(lat, lng).catch((error) => {
+        console.error('Error determining municipality:', error);
+        return null;
+      });
     }
 
     // Create user profile in our users table
@@ -38,8 +70,10 @@ router.post('/register', validateRequest(registerSchema), async (req, res) => {
         id: authData.user.id,
         name,
         email,
-        role,
+        role: finalRole,
         municipality_id: finalMunicipalityId,
+        requested_role: requestedRole,
+        requested_municipality_id: requestedMunicipalityId,
         home_address,
         lat,
         lng
@@ -56,12 +90,22 @@ router.post('/register', validateRequest(registerSchema), async (req, res) => {
       return res.status(400).json(formatError('Failed to create user profile'));
     }
 
+    if (invite) {
+      await supabase
+        .from('official_invites')
+        .update({ accepted_at: new Date().toISOString(), accepted_by: userData.id })
+        .eq('id', invite.id);
+    }
+
     // Return user data without sensitive information
     const { id, created_at, ...safeUserData } = userData;
     
     res.status(201).json(formatSuccess({
-      user: { id, ...safeUserData, created_at }
-    }, 'User registered successfully'));
+      user: { id, ...safeUserData, created_at },
+      pending_approval: Boolean(requestedRole)
+    }, requestedRole
+      ? 'User registered successfully. Official access is pending admin approval.'
+      : 'User registered successfully'));
 
   } catch (error) {
     console.error('Registration error:', error);
@@ -99,6 +143,10 @@ router.post('/login', validateRequest(loginSchema), async (req, res) => {
       return res.status(404).json(formatError('User profile not found'));
     }
 
+    if (userData.is_active === false) {
+      return res.status(403).json(formatError('Account is deactivated', 403));
+    }
+
     res.json(formatSuccess({
       user: userData,
       access_token: authData.session.access_token,
@@ -0,0 +1,283 @@
+import express from 'express';
+import Joi from 'joi';
+import { supabase } from '../config/database.js';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { validateRequest } from '../middleware/validation.js';
+import { formatError, formatSuccess } from '../utils/helpers.js';
+import {
+  CATEGORY_SLUG_PATTERN,
+  categoryFields,
+  getCategorySet,
+  getMunicipalityCategories,
+  buildCategoryTree
+} from '../utils/categories.js';
+
+const router = express.Router();
+
+// Validation schemas for categories
+const createCategorySchema = Joi.object({
+  slug: Joi.string().pattern(CATEGORY_SLUG_PATTERN).required()
+    .messages({ 'string.pattern.base': '"slug" must be 2-50 lowercase letters, digits or underscores' }),
+  name: Joi.string().trim().min(1).max(100).required(),
+  icon: Joi.string().max(50).allow(null).optional(),
+  // Top-level category this one is a sub-category of
+  parent_id: Joi.string().uuid().allow(null).optional(),
+  sort_order: Joi.number().integer().min(0).max(10000).optional()
+});
+
+// Slugs and parents are fixed once reports can use them
+const updateCategorySchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).optional(),
+  icon: Joi.string().max(50).allow(null).optional(),
+  sort_order: Joi.number().integer().min(0).max(10000).optional(),
+  is_active: Joi.boolean().optional()
+}).min(1);
+
+// Retired categories are only listed for admins
+const requireAdminForInactive = (req, res, next) => {
+  if (req.query.include_inactive !== 'true') {
+    return next();
+  }
+
+  authenticateToken(req, res, () => requireAdmin(req, res, next));
+};
+
+// Helper function to fetch a category of the municipality
+const findCategory = async (municipalityId, categoryId) => {
+  const { data: category, error } = await supabase
+    .from('categories')
+    .select(categoryFields)
+    .eq('id', categoryId)
+    .eq('municipality_id', municipalityId)
+    .single();
+
+  return error ? null : category;
+};
+
+// Helper function to make sure a municipality has its own categories before one is changed.
+// The first change starts from a copy of the defaults, so the municipality keeps the
+// categories its reports already use. Returns a function mapping default category ids
+// to their copies.
+const ensureOwnCategories = async (municipalityId) => {
+  if ((await getCategorySet(municipalityId)).length > 0) {
+    return categoryId => categoryId;
+  }
+
+  const defaults = await getCategorySet(null);
+  const parents = defaults.filter(category => !category.parent_id);
+  const copy = ({ slug, name, icon, sort_order, is_active }) => ({
+    municipality_id: municipalityId,
+    slug,
+    name,
+    icon,
+    sort_order,
+    is_active
+  });
+
+  const { data: copiedParents, error } = await supabase
+    .from('categories')
+    .insert(parents.map(copy))
+    .select('id, slug');
+
+  if (error) {
+    throw new Error(`Failed to copy default categories: ${error.message}`);
+  }
+
+  const copiedIds = new Map(parents.map(parent => [
+    parent.id,
+    copiedParents.find(copied => copied.slug === parent.slug).id
+  ]));
+  const defaultChildren = defaults.filter(category => category.parent_id);
+
+  if (defaultChildren.length > 0) {
+    const { data: copiedChildren, error: childError } = await supabase
+      .from('categories')
+      .insert(defaultChildren.map(category => ({ ...copy(category), parent_id: copiedIds.get(category.parent_id) })))
+      .select('id, slug');
+
+    if (childError) {
+      throw new Error(`Failed to copy default sub-categories: ${childError.message}`);
+    }
+
+    defaultChildren.forEach((child) => {
+      copiedIds.set(child.id, copiedChildren.find(copied => copied.slug === child.slug).id);
+    });
+  }
+
+  return categoryId => copiedIds.get(categoryId) || categoryId;
+};
+
+// Helper function to check the municipality exists
+const municipalityExists = async (municipalityId) => {
+  const { data: municipality } = await supabase
+    .from('municipalities')
+    .select('id')
+    .eq('id', municipalityId)
+    .single();
+
+  return Boolean(municipality);
+};
+
+// Get a municipality's categories with their sub-categories (public endpoint)
+router.get('/:id/categories', requireAdminForInactive, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!(await municipalityExists(id))) {
+      return res.status(404).json(formatError('Municipality not found'));
+    }
+
+    const { categories, usesDefaults } = await getMunicipalityCategories(id, {
+      includeInactive: req.query.include_inactive === 'true'
+    });
+
+    res.json(formatSuccess({
+      categories: buildCategoryTree(categories),
+      uses_defaults: usesDefaults
+    }));
+
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json(formatError('Internal server error'));
+  }
+});
+
+// Add a category or sub-category (admins only)
+router.post('/:id/categories', authenticateToken, requireAdmin, validateRequest(createCategorySchema), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { slug, name, icon = null, sort_order = 0 } = req.body;
+
+    if (!(await municipalityExists(id))) {
+      return res.status(404).json(formatError('Municipality not found'));
+    }
+
+    const toOwnId = await ensureOwnCategories(id);
+    const parent_id = req.body.parent_id ? toOwnId(req.body.parent_id) : null;
+
+    if (parent_id) {
+      const parent = await findCategory(id, parent_id);
+
+      if (!parent || parent.parent_id) {
+        return res.status(400).json(formatError('Parent must be a top-level category of this municipality'));
+      }
+    }
+
+    const { data: category, error } = await supabase
+      .from('categories')
+      .insert({ municipality_id: id, slug, name: name.trim(), icon, parent_id, sort_order })
+      .select(categoryFields)
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json(formatError(`Category "${slug}" already exists in this municipality`, 409));
+      }
+
+      console.error('Create category error:', error);
+      return res.status(400).json(formatError('Failed to create category'));
+    }
+
+    res.status(201).json(formatSuccess({ category }, 'Category created successfully'));
+
+  } catch (error) {
+    console.error('Create category error:', error);
+    res.status(500).json(formatError('Internal server error'));
+  }
+});
+
+// Rename, reorder, retire or restore a category (admins only)
+router.put('/:id/categories/:categoryId', authenticateToken, requireAdmin, validateRequest(updateCategorySchema), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!(await municipalityExists(id))) {
+      return res.status(404).json(formatError('Municipality not found'));
+    }
+
+    const categoryId = (await ensureOwnCategories(id))(req.params.categoryId);
+    const existing = await findCategory(id, categoryId);
+
+    if (!existing) {
+      return res.status(404).json(formatError('Category not found'));
+    }
+
+    const updates = { ...req.body, updated_at: new Date().toISOString() };
+
+    if (updates.name) {
+      updates.name = updates.name.trim();
+    }
+
+    const { data: category, error } = await supabase
+      .from('categories')
+      .update(updates)
+      .eq('id', categoryId)
+      .select(categoryFields)
+      .single();
+
+    if (error) {
+      console.error('Update category error:', error);
+      return res.status(400).json(formatError('Failed to update category'));
+    }
+
+    res.json(formatSuccess({ category }, 'Category updated successfully'));
+
+  } catch (error) {
+    console.error('Update category error:', error);
+    res.status(500).json(formatError('Internal server error'));
+  }
+});
+
+// Delete a category and its sub-categories that no report uses (admins only).
+// Categories in use can be retired with is_active instead.
+router.delete('/:id/categories/:categoryId', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!(await municipalityExists(id))) {
+      return res.status(404).json(formatError('Municipality not found'));
+    }
+
+    const categoryId = (await ensureOwnCategories(id))(req.params.categoryId);
+    const existing = await findCategory(id, categoryId);
+
+    if (!existing) {
+      return res.status(404).json(formatError('Category not found'));
+    }
+
+    const { count, error: countError } = await supabase
+      .from('reports')
+      .select('id', { count: 'exact', head: true })
+      .eq('municipality_id', id)
+      .eq(existing.parent_id ? 'subcategory' : 'category', existing.slug);
+
+    if (countError) {
+      return res.status(400).json(formatError('Failed to check category usage'));
+    }
+
+    if (count > 0) {
+      return res.status(409).json(formatError(
+        `Category is used by ${count} report${count === 1 ? '' : 's'}, set is_active to false to retire it instead`,
+        409
+      ));
+    }
+
+    const { error } = await supabase
+      .from('categories')
+      .delete()
+      .eq('id', categoryId);
+
+    if (error) {
+      console.error('Delete category error:', error);
+      return res.status(400).json(formatError('Failed to delete category'));
+    }
+
+    res.json(formatSuccess(null, 'Category deleted successfully'));
+
+  } catch (error) {
+    console.error('Delete category error:', error);
+    res.status(500).json(formatError('Internal server error'));
+  }
+});
+
+export default router;
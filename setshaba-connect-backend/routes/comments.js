@@ -0,0 +1,284 @@
+import express from 'express';
+import Joi from 'joi';
+import { supabase } from '../config/database.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { idempotent } from '../middleware/idempotency.js';
+import { validateRequest } from '../middleware/validation.js';
+import { formatError, formatSuccess } from '../utils/helpers.js';
+
+const router = express.Router();
+
+// Authors can fix a comment for this long after posting it
+export const COMMENT_EDIT_WINDOW_MINUTES = parseInt(process.env.COMMENT_EDIT_WINDOW_MINUTES, 10) || 15;
+
+// Comments per user per window, across all reports
+const COMMENT_RATE_LIMIT = parseInt(process.env.COMMENT_RATE_LIMIT, 10) || 5;
+const COMMENT_RATE_WINDOW_MINUTES = parseInt(process.env.COMMENT_RATE_WINDOW_MINUTES, 10) || 10;
+
+// Counts the user's saved comments (report_comments(user_id, created_at) index), so
+// the limit is shared by every API instance and survives restarts. Keyed by user
+// rather than IP, so neighbours on a shared connection don't block each other.
+const commentLimiter = async (req, res, next) => {
+  try {
+    const since = new Date(Date.now() - COMMENT_RATE_WINDOW_MINUTES * 60 * 1000);
+
+    const { count, error } = await supabase
+      .from('report_comments')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', req.user.id)
+      .gte('created_at', since.toISOString());
+
+    if (error) {
+      throw new Error(`Failed to count recent comments: ${error.message}`);
+    }
+
+    if (count >= COMMENT_RATE_LIMIT) {
+      return res.status(429).json(formatError('You are commenting too quickly, please try again later.', 429));
+    }
+
+    next();
+  } catch (error) {
+    console.error('Comment rate limit error:', error);
+    res.status(500).json(formatError('Internal server error'));
+  }
+};
+
+// Validation schemas for comments
+const commentBodySchema = Joi.object({
+  body: Joi.string().trim().min(1).max(1000).required()
+});
+
+const hideCommentSchema = Joi.object({
+  reason: Joi.string().max(500).optional()
+});
+
+const listCommentsSchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+const commentFields = `
+  id,
+  report_id,
+  user_id,
+  body,
+  edited_at,
+  is_hidden,
+  hidden_at,
+  hidden_reason,
+  created_at,
+  author:user_id (
+    id,
+    name,
+    role
+  )
+`;
+
+// Officials from the report's municipality and admins moderate its comments
+const canModerate = (user, report) =>
+  user.role === 'admin' ||
+  (user.role === 'official' && report.municipality_id === user.municipality_id);
+
+const isWithinEditWindow = (comment, now = new Date()) =>
+  now.getTime() - new Date(comment.created_at).getTime() <= COMMENT_EDIT_WINDOW_MINUTES * 60 * 1000;
+
+// Helper function to fetch the report a comment thread belongs to
+const findReport = async (reportId) => {
+  const { data: report, error } = await supabase
+    .from('reports')
+    .select('id, municipality_id')
+    .eq('id', reportId)
+    .is('deleted_at', null)
+    .single();
+
+  return error ? null : report;
+};
+
+// Helper function to fetch a comment on a report
+const findComment = async (reportId, commentId) => {
+  const { data: comment, error } = await supabase
+    .from('report_comments')
+    .select(commentFields)
+    .eq('id', commentId)
+    .eq('report_id', reportId)
+    .single();
+
+  return error ? null : comment;
+};
+
+// Get the comment thread for a report, oldest first. Moderators also see hidden comments.
+router.get('/:reportId/comments', authenticateToken, async (req, res) => {
+  try {
+    const { reportId } = req.params;
+    const { error: validationError, value: filters } = listCommentsSchema.validate(req.query);
+
+    if (validationError) {
+      return res.status(400).json(formatError('Invalid query parameters', 400, validationError.details));
+    }
+
+    const report = await findReport(reportId);
+
+    if (!report) {
+      return res.status(404).json(formatError('Report not found'));
+    }
+
+    let query = supabase
+      .from('report_comments')
+      .select(commentFields, { count: 'exact' })
+      .eq('report_id', reportId)
+      .order('created_at', { ascending: true })
+      .range(filters.offset, filters.offset + filters.limit - 1);
+
+    if (!canModerate(req.user, report)) {
+      query = query.eq('is_hidden', false);
+    }
+
+    const { data: comments, error, count } = await query;
+
+    if (error) {
+      return res.status(400).json(formatError('Failed to fetch comments'));
+    }
+
+    res.json(formatSuccess({
+      comments,
+      total: count,
+      limit: filters.limit,
+      offset: filters.offset,
+      edit_window_minutes: COMMENT_EDIT_WINDOW_MINUTES
+    }));
+
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json(formatError('Internal server error'));
+  }
+});
+
+// Comment on a report
+router.post('/:reportId/comments', authenticateToken, idempotent, commentLimiter, validateRequest(commentBodySchema), async (req, res) => {
+  try {
+    const { reportId } = req.params;
+
+    const report = await findReport(reportId);
+
+    if (!report) {
+      return res.status(404).json(formatError('Report not found'));
+    }
+
+    const { data: comment, error } = await supabase
+      .from('report_comments')
+      .insert({
+        report_id: reportId,
+        user_id: req.user.id,
+        body: req.body.body.trim()
+      })
+      .select(commentFields)
+      .single();
+
+    if (error) {
+      console.error('Create comment error:', error);
+      return res.status(400).json(formatError('Failed to create comment'));
+    }
+
+    res.status(201).json(formatSuccess({ comment }, 'Comment posted successfully'));
+
+  } catch (error) {
+    console.error('Create comment error:', error);
+    res.status(500).json(formatError('Internal server error'));
+  }
+});
+
+// Edit your own comment within the edit window
+router.put('/:reportId/comments/:commentId', authenticateToken, idempotent, validateRequest(commentBodySchema), async (req, res) => {
+  try {
+    const { reportId, commentId } = req.params;
+
+    const existing = await findComment(reportId, commentId);
+
+    if (!existing) {
+      return res.status(404).json(formatError('Comment not found'));
+    }
+
+    if (existing.user_id !== req.user.id) {
+      return res.status(403).json(formatError('Access denied'));
+    }
+
+    if (existing.is_hidden) {
+      return res.status(409).json(formatError('Hidden comments cannot be edited', 409));
+    }
+
+    if (!isWithinEditWindow(existing)) {
+      return res.status(409).json(formatError(`Comments can only be edited within ${COMMENT_EDIT_WINDOW_MINUTES} minutes of posting`, 409));
+    }
+
+    const { data: comment, error } = await supabase
+      .from('report_comments')
+      .update({ body: req.body.body.trim(), edited_at: new Date().toISOString() })
+      .eq('id', commentId)
+      .select(commentFields)
+      .single();
+
+    if (error) {
+      console.error('Update comment error:', error);
+      return res.status(400).json(formatError('Failed to update comment'));
+    }
+
+    res.json(formatSuccess({ comment }, 'Comment updated successfully'));
+
+  } catch (error) {
+    console.error('Update comment error:', error);
+    res.status(500).json(formatError('Internal server error'));
+  }
+});
+
+// Helper function to hide or restore a comment as a moderator
+const setCommentHidden = (hidden) => async (req, res) => {
+  try {
+    const { reportId, commentId } = req.params;
+
+    const report = await findReport(reportId);
+
+    if (!report) {
+      return res.status(404).json(formatError('Report not found'));
+    }
+
+    if (!canModerate(req.user, report)) {
+      return res.status(403).json(formatError('Access denied'));
+    }
+
+    const existing = await findComment(reportId, commentId);
+
+    if (!existing) {
+      return res.status(404).json(formatError('Comment not found'));
+    }
+
+    const changes = hidden
+      ? { is_hidden: true, hidden_by: req.user.id, hidden_at: new Date().toISOString(), hidden_reason: req.body.reason || null }
+      : { is_hidden: false, hidden_by: null, hidden_at: null, hidden_reason: null };
+
+    const { data: comment, error } = await supabase
+      .from('report_comments')
+      .update(changes)
+      .eq('id', commentId)
+      .select(commentFields)
+      .single();
+
+    if (error) {
+      console.error('Moderate comment error:', error);
+      return res.status(400).json(formatError('Failed to update comment'));
+    }
+
+    res.json(formatSuccess({ comment }, hidden ? 'Comment hidden' : 'Comment restored'));
+
+  } catch (error) {
+    console.error('Moderate comment error:', error);
+    res.status(500).json(formatError('Internal server error'));
+  }
+};
+
+// Hide a comment (officials of the report's municipality and admins)
+router.post('/:reportId/comments/:commentId/hide', authenticateToken, idempotent, validateRequest(hideCommentSchema), setCommentHidden(true));
+
+// Restore a hidden comment
+router.post('/:reportId/comments/:commentId/unhide', authenticateToken, idempotent, setCommentHidden(false));
+
+export default router;
@@ -0,0 +1,407 @@
+import express from 'express';
+import Joi from 'joi';
+import { supabase } from '../config/database.js';
+import { authenticateToken, requireAdmin, requireRole } from '../middleware/auth.js';
+import { validateRequest } from '../middleware/validation.js';
+import { formatError, formatSuccess } from '../utils/helpers.js';
+import { departmentFields, validateDepartment } from '../utils/departments.js';
+import { CATEGORY_SLUG_PATTERN, getMunicipalityCategories } from '../utils/categories.js';
+
+const router = express.Router();
+
+// Validation schemas for departments
+const departmentSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  description: Joi.string().max(500).allow(null, '').optional()
+});
+
+const updateDepartmentSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).optional(),
+  description: Joi.string().max(500).allow(null, '').optional()
+}).min(1);
+
+const addMemberSchema = Joi.object({
+  user_id: Joi.string().uuid().required()
+});
+
+// A rule without category or ward catches every report the other rules don't
+const routingRuleSchema = Joi.object({
+  department_id: Joi.string().uuid().required(),
+  category: Joi.string().pattern(CATEGORY_SLUG_PATTERN).allow(null).optional(),
+  ward_id: Joi.string().pattern(/^[A-Za-z0-9_-]+$/).max(50).allow(null).optional()
+});
+
+const departmentWithMembersFields = `
+  ${departmentFields},
+  department_members (
+    created_at,
+    user:user_id (
+      id,
+      name,
+      email
+    )
+  )
+`;
+
+const routingRuleFields = `
+  *,
+  department:department_id (
+    id,
+    name
+  )
+`;
+
+// Officials only see their own municipality's departments
+const requireMunicipalityAccess = (req, res, next) => {
+  if (req.user.role === 'official' && req.user.municipality_id !== req.params.id) {
+    return res.status(403).json(formatError('Access denied. You can only view departments of your municipality', 403));
+  }
+
+  next();
+};
+
+// Helper function to check the municipality exists
+const municipalityExists = async (municipalityId) => {
+  const { data: municipality } = await supabase
+    .from('municipalities')
+    .select('id')
+    .eq('id', municipalityId)
+    .single();
+
+  return Boolean(municipality);
+};
+
+// Helper function to fetch a department of the municipality
+const findDepartment = async (municipalityId, departmentId) => {
+  const { data: department, error } = await supabase
+    .from('departments')
+    .select(departmentFields)
+    .eq('id', departmentId)
+    .eq('municipality_id', municipalityId)
+    .single();
+
+  return error ? null : department;
+};
+
+// Helper function to flatten the embedded memberships into a members list
+const withMembers = ({ department_members: memberships = [], ...department }) => ({
+  ...department,
+  members: memberships.map(membership => ({ ...membership.user, joined_at: membership.created_at }))
+});
+
+// List a municipality's departments with their members (officials of the municipality and admins)
+router.get('/:id/departments', authenticateToken, requireRole(['official', 'admin']), requireMunicipalityAccess, async (req, res) => {
+  try {
+    const { data: departments, error } = await supabase
+      .from('departments')
+      .select(departmentWithMembersFields)
+      .eq('municipality_id', req.params.id)
+      .order('name');
+
+    if (error) {
+      return res.status(400).json(formatError('Failed to fetch departments'));
+    }
+
+    res.json(formatSuccess({ departments: departments.map(withMembers) }));
+
+  } catch (error) {
+    console.error('Get departments error:', error);
+    res.status(500).json(formatError('Internal server error'));
+  }
+});
+
+// Create a department (admins only)
+router.post('/:id/departments', authenticateToken, requireAdmin, validateRequest(departmentSchema), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, description = null } = req.body;
+
+    if (!(await municipalityExists(id))) {
+      return res.status(404).json(formatError('Municipality not found'));
+    }
+
+    const { data: department, error } = await supabase
+      .from('departments')
+      .insert({ municipality_id: id, name: name.trim(), description: description || null })
+      .select(departmentFields)
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json(formatError(`A department named "${name.trim()}" already exists`, 409));
+      }
+
+      console.error('Create department error:', error);
+      return res.status(400).json(formatError('Failed to create department'));
+    }
+
+    res.status(201).json(formatSuccess({ department: { ...department, members: [] } }, 'Department created successfully'));
+
+  } catch (error) {
+    console.error('Create department error:', error);
+    res.status(500).json(formatError('Internal server error'));
+  }
+});
+
+// Rename or describe a department (admins only)
+router.put('/:id/departments/:departmentId', authenticateToken, requireAdmin, validateRequest(updateDepartmentSchema), async (req, res) => {
+  try {
+    const { id, departmentId } = req.params;
+
+    if (!(await findDepartment(id, departmentId))) {
+      return res.status(404).json(formatError('Department not found'));
+    }
+
+    const updates = { updated_at: new Date().toISOString() };
+
+    if (req.body.name !== undefined) {
+      updates.name = req.body.name.trim();
+    }
+
+    if (req.body.description !== undefined) {
+      updates.description = req.body.description || null;
+    }
+
+    const { data: department, error } = await supabase
+      .from('departments')
+      .update(updates)
+      .eq('id', departmentId)
+      .select(departmentWithMembersFields)
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json(formatError(`A department named "${updates.name}" already exists`, 409));
+      }
+
+      console.error('Update department error:', error);
+      return res.status(400).json(formatError('Failed to update department'));
+    }
+
+    res.json(formatSuccess({ department: withMembers(department) }, 'Department updated successfully'));
+
+  } catch (error) {
+    console.error('Update department error:', error);
+    res.status(500).json(formatError('Internal server error'));
+  }
+});
+
+// Delete a department with its routing rules. Its reports become unrouted (admins only).
+router.delete('/:id/departments/:departmentId', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id, departmentId } = req.params;
+
+    if (!(await findDepartment(id, departmentId))) {
+      return res.status(404).json(formatError('Department not found'));
+    }
+
+    const { error } = await supabase
+      .from('departments')
+      .delete()
+      .eq('id', departmentId);
+
+    if (error) {
+      console.error('Delete department error:', error);
+      return res.status(400).json(formatError('Failed to delete department'));
+    }
+
+    res.json(formatSuccess(null, 'Department deleted successfully'));
+
+  } catch (error) {
+    console.error('Delete department error:', error);
+    res.status(500).json(formatError('Internal server error'));
+  }
+});
+
+// Add an official of the municipality to a department (admins only)
+router.post('/:id/departments/:departmentId/members', authenticateToken, requireAdmin, validateRequest(addMemberSchema), async (req, res) => {
+  try {
+    const { id, departmentId } = req.params;
+    const { user_id } = req.body;
+
+    if (!(await findDepartment(id, departmentId))) {
+      return res.status(404).json(formatError('Department not found'));
+    }
+
+    const { data: member } = await supabase
+      .from('users')
+      .select('id, name, email, role, municipality_id')
+      .eq('id', user_id)
+      .single();
+
+    if (!member) {
+      return res.status(404).json(formatError('User not found'));
+    }
+
+    if (member.role !== 'official' || member.municipality_id !== id) {
+      return res.status(422).json(formatError('Department members must be officials of the municipality', 422));
+    }
+
+    const { error } = await supabase
+      .from('department_members')
+      .insert({ department_id: departmentId, user_id });
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json(formatError('User is already a member of this department', 409));
+      }
+
+      console.error('Add department member error:', error);
+      return res.status(400).json(formatError('Failed to add department member'));
+    }
+
+    const { role, municipality_id, ...memberFields } = member;
+
+    res.status(201).json(formatSuccess({ member: memberFields }, 'Department member added successfully'));
+
+  } catch (error) {
+    console.error('Add department member error:', error);
+    res.status(500).json(formatError('Internal server error'));
+  }
+});
+
+// Remove an official from a department (admins only)
+router.delete('/:id/departments/:departmentId/members/:userId', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id, departmentId, userId } = req.params;
+
+    if (!(await findDepartment(id, departmentId))) {
+      return res.status(404).json(formatError('Department not found'));
+    }
+
+    const { data: removed, error } = await supabase
+      .from('department_members')
+      .delete()
+      .eq('department_id', departmentId)
+      .eq('user_id', userId)
+      .select('user_id');
+
+    if (error) {
+      console.error('Remove department member error:', error);
+      return res.status(400).json(formatError('Failed to remove department member'));
+    }
+
+    if (removed.length === 0) {
+      return res.status(404).json(formatError('User is not a member of this department'));
+    }
+
+    res.json(formatSuccess(null, 'Department member removed successfully'));
+
+  } catch (error) {
+    console.error('Remove department member error:', error);
+    res.status(500).json(formatError('Internal server error'));
+  }
+});
+
+// List the routing rules for new reports (officials of the municipality and admins)
+router.get('/:id/routing-rules', authenticateToken, requireRole(['official', 'admin']), requireMunicipalityAccess, async (req, res) => {
+  try {
+    const { data: rules, error } = await supabase
+      .from('department_routing_rules')
+      .select(routingRuleFields)
+      .eq('municipality_id', req.params.id)
+      .order('category', { nullsFirst: false })
+      .order('ward_id', { nullsFirst: false });
+
+    if (error) {
+      return res.status(400).json(formatError('Failed to fetch routing rules'));
+    }
+
+    res.json(formatSuccess({ rules }));
+
+  } catch (error) {
+    console.error('Get routing rules error:', error);
+    res.status(500).json(formatError('Internal server error'));
+  }
+});
+
+// Route new reports of a category and/or ward to a department (admins only).
+// The most specific matching rule wins: category and ward, then category, then ward.
+router.post('/:id/routing-rules', authenticateToken, requireAdmin, validateRequest(routingRuleSchema), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { department_id, category = null, ward_id = null } = req.body;
+
+    if (!(await municipalityExists(id))) {
+      return res.status(404).json(formatError('Municipality not found'));
+    }
+
+    const { error: departmentError, statusCode } = await validateDepartment(department_id, id);
+
+    if (departmentError) {
+      return res.status(statusCode).json(formatError(departmentError, statusCode));
+    }
+
+    if (category) {
+      const { categories } = await getMunicipalityCategories(id, { includeInactive: true });
+
+      if (!categories.some(item => !item.parent_id && item.slug === category)) {
+        return res.status(400).json(formatError(`Unknown category "${category}" for this municipality`));
+      }
+    }
+
+    if (ward_id) {
+      const { data: ward } = await supabase
+        .from('wards')
+        .select('ward_id, municipality_id')
+        .eq('ward_id', ward_id)
+        .single();
+
+      if (!ward || (ward.municipality_id && ward.municipality_id !== id)) {
+        return res.status(400).json(formatError('Ward must belong to this municipality'));
+      }
+    }
+
+    const { data: rule, error } = await supabase
+      .from('department_routing_rules')
+      .insert({ municipality_id: id, department_id, category, ward_id })
+      .select(routingRuleFields)
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json(formatError('A routing rule for this category and ward already exists', 409));
+      }
+
+      console.error('Create routing rule error:', error);
+      return res.status(400).json(formatError('Failed to create routing rule'));
+    }
+
+    res.status(201).json(formatSuccess({ rule }, 'Routing rule created successfully'));
+
+  } catch (error) {
+    console.error('Create routing rule error:', error);
+    res.status(500).json(formatError('Internal server error'));
+  }
+});
+
+// Delete a routing rule, already routed reports stay where they are (admins only)
+router.delete('/:id/routing-rules/:ruleId', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id, ruleId } = req.params;
+
+    const { data: removed, error } = await supabase
+      .from('department_routing_rules')
+      .delete()
+      .eq('id', ruleId)
+      .eq('municipality_id', id)
+      .select('id');
+
+    if (error) {
+      console.error('Delete routing rule error:', error);
+      return res.status(400).json(formatError('Failed to delete routing rule'));
+    }
+
+    if (removed.length === 0) {
+      return res.status(404).json(formatError('Routing rule not found'));
+    }
+
+    res.json(formatSuccess(null, 'Routing rule deleted successfully'));
+
+  } catch (error) {
+    console.error('Delete routing rule error:', error);
+    res.status(500).json(formatError('Internal server error'));
+  }
+});
+
+export default router;
@@ -0,0 +1,81 @@
+import express from 'express';
+import { supabase } from '../config/database.js';
+import { authenticateToken, requireOfficial } from '../middleware/auth.js';
+import { formatError } from '../utils/helpers.js';
+import { subscribeToReportEvents } from '../services/reportEvents.js';
+
+const router = express.Router();
+
+// Comment lines keep proxies from closing idle streams
+const HEARTBEAT_SECONDS = parseInt(process.env.EVENT_STREAM_HEARTBEAT_SECONDS, 10) || 25;
+
+// How long clients wait before reconnecting after the stream drops
+const RECONNECT_MS = 5000;
+
+// Helper function to stream the events the filter accepts as Server-Sent Events
+// until the client disconnects. Events published while a client is disconnected
+// are not replayed, so clients refetch when the ready event arrives.
+const streamReportEvents = (req, res, filter) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (type, data, id = null) => {
+    res.write(`${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  res.write(`retry: ${RECONNECT_MS}\n\n`);
+  send('ready', { connected_at: new Date().toISOString() });
+
+  const unsubscribe = subscribeToReportEvents(filter, event => send(event.type, event, event.id));
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_SECONDS * 1000);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+};
+
+// Live feed of the official's municipality: new reports, status changes, status updates and upvotes
+router.get('/municipality/events', authenticateToken, requireOfficial, (req, res) => {
+  const municipalityId = req.user.municipality_id;
+
+  if (!municipalityId) {
+    return res.status(403).json(formatError('Access denied'));
+  }
+
+  streamReportEvents(req, res, event => event.municipality_id === municipalityId);
+});
+
+// Live updates for one report: status changes, status updates and upvotes
+router.get('/:reportId/events', authenticateToken, async (req, res) => {
+  try {
+    const { reportId } = req.params;
+
+    const { data: report, error } = await supabase
+      .from('reports')
+      .select('id')
+      .eq('id', reportId)
+      .is('deleted_at', null)
+      .single();
+
+    if (error || !report) {
+      return res.status(404).json(formatError('Report not found'));
+    }
+
+    streamReportEvents(req, res, event => event.report_id === reportId);
+
+  } catch (error) {
+    console.error('Report events error:', error);
+
+    if (!res.headersSent) {
+      res.status(500).json(formatError('Internal server error'));
+    }
+  }
+});
+
+export default router;
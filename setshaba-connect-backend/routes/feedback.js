@@ -0,0 +1,123 @@
+import express from 'express';
+import Joi from 'joi';
+import { supabase } from '../config/database.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { idempotent } from '../middleware/idempotency.js';
+import { validateRequest } from '../middleware/validation.js';
+import { formatError, formatSuccess } from '../utils/helpers.js';
+
+const router = express.Router();
+
+// Validation schema for satisfaction ratings
+const feedbackSchema = Joi.object({
+  rating: Joi.number().integer().min(1).max(5).required(),
+  comment: Joi.string().trim().max(1000).allow('').optional()
+});
+
+const feedbackFields = 'id, report_id, user_id, rating, comment, official_id, department_id, category, created_at';
+
+// Helper function to fetch a report that isn't deleted
+const findReport = async (reportId) => {
+  const { data: report, error } = await supabase
+    .from('reports')
+    .select('id, status, created_by, municipality_id, assigned_official, department_id, category')
+    .eq('id', reportId)
+    .is('deleted_at', null)
+    .single();
+
+  return error ? null : report;
+};
+
+// Rate how a resolved report was handled, once per report (report author only).
+// The rating counts towards the assignee, department and category at the time.
+router.post('/:reportId/feedback', authenticateToken, idempotent, validateRequest(feedbackSchema), async (req, res) => {
+  try {
+    const { reportId } = req.params;
+    const { rating, comment } = req.body;
+    const currentUser = req.user;
+
+    const report = await findReport(reportId);
+
+    if (!report) {
+      return res.status(404).json(formatError('Report not found'));
+    }
+
+    if (report.created_by !== currentUser.id) {
+      return res.status(403).json(formatError('Only the author of a report can rate it', 403));
+    }
+
+    if (report.status !== 'resolved') {
+      return res.status(409).json(formatError('Reports can be rated once they are resolved', 409));
+    }
+
+    const { data: feedback, error } = await supabase
+      .from('report_feedback')
+      .insert({
+        report_id: reportId,
+        user_id: currentUser.id,
+        rating,
+        comment: comment?.trim() || null,
+        official_id: report.assigned_official,
+        department_id: report.department_id,
+        category: report.category
+      })
+      .select(feedbackFields)
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json(formatError('You have already rated this report', 409));
+      }
+
+      console.error('Create feedback error:', error);
+      return res.status(400).json(formatError('Failed to save your rating'));
+    }
+
+    res.status(201).json(formatSuccess({ feedback }, 'Thanks for your feedback'));
+
+  } catch (error) {
+    console.error('Create feedback error:', error);
+    res.status(500).json(formatError('Internal server error'));
+  }
+});
+
+// Get the rating of a report, null when it hasn't been rated
+// (report author, officials of the report's municipality and admins)
+router.get('/:reportId/feedback', authenticateToken, async (req, res) => {
+  try {
+    const { reportId } = req.params;
+    const currentUser = req.user;
+
+    const report = await findReport(reportId);
+
+    if (!report) {
+      return res.status(404).json(formatError('Report not found'));
+    }
+
+    const canView = report.created_by === currentUser.id ||
+      currentUser.role === 'admin' ||
+      (currentUser.role === 'official' && currentUser.municipality_id === report.municipality_id);
+
+    if (!canView) {
+      return res.status(403).json(formatError('Access denied'));
+    }
+
+    const { data: feedback, error } = await supabase
+      .from('report_feedback')
+      .select(feedbackFields)
+      .eq('report_id', reportId)
+      .maybeSingle();
+
+    if (error) {
+      return res.status(400).json(formatError('Failed to fetch feedback'));
+    }
+
+    res.json(formatSuccess({ feedback }));
+
+  } catch (error) {
+    console.error('Get feedback error:', error);
+    res.status(500).json(formatError('Internal server error'));
+  }
+});
+
+export default router;
@@ -1,7 +1,15 @@
 import express from 'express';
+import Joi from 'joi';
 import { supabase } from '../config/database.js';
-import { authenticateToken, requireOfficial } from '../middleware/auth.js';
-import { formatError, formatSuccess } from '../utils/helpers.js';
+import { authenticateToken, requireAdmin, requireRole } from '../middleware/auth.js';
+import { validateRequest } from '../middleware/validation.js';
+import { formatError, formatSuccess, getMunicipalityFromCoordinates } from '../utils/helpers.js';
+import { clearBoundaryCache } from '../utils/boundaries.js';
+import { SLA_STAGES } from '../utils/sla.js';
+import { RELEVANCE, reportsQuery, attachSearchHighlights } from '../utils/search.js';
+import { decodeCursor, orderByKeyset, applyPagination, paginateRows } from '../utils/pagination.js';
+import { REPORT_SORTS, getReportKeyset } from '../utils/reportSort.js';
+import { CATEGORY_SLUG_PATTERN, getMunicipalityCategories } from '../utils/categories.js';
 
 const router = express.Router();
 
@@ -32,11 +40,61 @@ router.get('/', async (req, res) => {
   }
 });
 
+const locateMunicipalitySchema = Joi.object({
+  lat: Joi.number().min(-90).max(90).required(),
+  lng: Joi.number().min(-180).max(180).required()
+});
+
+// Find the municipality a report at a point would be filed with (public endpoint)
+router.get('/locate', async (req, res) => {
+  try {
+    const { error: validationError, value } = locateMunicipalitySchema.validate(req.query);
+
+    if (validationError) {
+      return res.status(400).json(formatError('Invalid query parameters', 400, validationError.details));
+    }
+
+    const municipalityId = await getMunicipalityFromCoordinates(value.lat, value.lng);
+
+    if (!municipalityId) {
+      return res.status(404).json(formatError('No municipality found for this location', 404));
+    }
+
+    const { data: municipality, error } = await supabase
+      .from('municipalities')
+      .select('id, name, province')
+      .eq('id', municipalityId)
+      .single();
+
+    if (error || !municipality) {
+      return res.status(404).json(formatError('No municipality found for this location', 404));
+    }
+
+    res.json(formatSuccess({ municipality }));
+
+  } catch (error) {
+    console.error('Locate municipality error:', error);
+    res.status(500).json(formatError('Internal server error'));
+  }
+});
+
+const getMunicipalitySchema = Joi.object({
+  include_reports: Joi.boolean().default(false),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
 // Get single municipality by ID
 router.get('/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const { include_reports = 'false', limit = 50, offset = 0 } = req.query;
+    const { error: validationError, value: filters } = getMunicipalitySchema.validate(req.query);
+
+    if (validationError) {
+      return res.status(400).json(formatError('Invalid query parameters', 400, validationError.details));
+    }
+
+    const { include_reports, limit, offset } = filters;
 
     const { data: municipality, error } = await supabase
       .from('municipalities')
@@ -51,19 +109,25 @@ router.get('/:id', async (req, res) => {
     let result = { municipality };
 
     // Include reports if requested
-    if (include_reports === 'true') {
+    if (include_reports) {
       const { data: reports, error: reportsError, count } = await supabase
         .from('reports')
         .select(`
           *,
+          wards:ward_id (
+            ward_id,
+            name
+          ),
           created_by_user:created_by (
             id,
             name
           )
         `, { count: 'exact' })
         .eq('municipality_id', id)
+        .is('deleted_at', null)
+        .is('merged_into', null)
         .order('created_at', { ascending: false })
-        .range(offset, offset + parseInt(limit) - 1);
+        .range(offset, offset + limit - 1);
 
       if (reportsError) {
         return res.status(400).json(formatError('Failed to fetch municipality reports'));
@@ -71,8 +135,8 @@ router.get('/:id', async (req, res) => {
 
       result.reports = reports;
       result.reports_total = count;
-      result.reports_limit = parseInt(limit);
-      result.reports_offset = parseInt(offset);
+      result.reports_limit = limit;
+      result.reports_offset = offset;
     }
 
     res.json(formatSuccess(result));
@@ -83,11 +147,39 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// Validation schema for listing a municipality's reports
+const municipalityReportsSchema = Joi.object({
+  status: Joi.string().valid('pending', 'acknowledged', 'in_progress', 'resolved').optional(),
+  category: Joi.string().pattern(CATEGORY_SLUG_PATTERN).optional(),
+  ward_id: Joi.string().pattern(/^[A-Za-z0-9_-]+$/).max(50).optional(),
+  open: Joi.boolean().valid(true).optional(),
+  search: Joi.string().trim().min(1).max(200).optional(),
+  // Nearest first needs a reference point, which this listing doesn't take
+  sort: Joi.string().valid(...REPORT_SORTS.filter(sort => sort !== 'nearest')).optional(),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  offset: Joi.number().integer().min(0).default(0),
+  cursor: Joi.string().max(200).optional()
+});
+
 // Get reports within municipality boundary (geospatial query)
 router.get('/:id/reports', async (req, res) => {
   try {
     const { id } = req.params;
-    const { status, category, search, limit = 50, offset = 0 } = req.query;
+    const { error: validationError, value: filters } = municipalityReportsSchema.validate(req.query);
+
+    if (validationError) {
+      return res.status(400).json(formatError('Invalid query parameters', 400, validationError.details));
+    }
+
+    const { status, open, category, ward_id, search, sort, cursor, limit, offset } = filters;
+
+    // Search results keep their relevance order unless a sort is given
+    const ordering = search && !sort ? RELEVANCE : getReportKeyset(sort || 'newest');
+    const after = cursor ? decodeCursor(cursor, ordering) : null;
+
+    if (cursor && !after) {
+      return res.status(400).json(formatError('Invalid cursor'));
+    }
 
     // Verify municipality exists
     const { data: municipality, error: municipalityError } = await supabase
@@ -100,29 +192,36 @@ router.get('/:id/reports', async (req, res) => {
       return res.status(404).json(formatError('Municipality not found'));
     }
 
-    let query = supabase
-      .from('reports')
-      .select(`
-        *,
-        created_by_user:created_by (
-          id,
-          name
-        )
-      `, { count: 'exact' })
+    let query = reportsQuery(search, `
+      *,
+      wards:ward_id (
+        ward_id,
+        name
+      ),
+      created_by_user:created_by (
+        id,
+        name
+      )
+    `, after ? {} : { count: 'exact' }, after)
       .eq('municipality_id', id)
-      .order('created_at', { ascending: false })
-      .range(offset, offset + parseInt(limit) - 1);
+      .is('merged_into', null);
+
+    query = applyPagination(orderByKeyset(query, ordering), { after, limit, offset, keyset: ordering });
 
     if (status) {
       query = query.eq('status', status);
     }
 
+    if (open) {
+      query = query.neq('status', 'resolved');
+    }
+
     if (category) {
       query = query.eq('category', category);
     }
 
-    if (search) {
-      query = query.or(`title.ilike.%${search}%,description.ilike.%${search}%`);
+    if (ward_id) {
+      query = query.eq('ward_id', ward_id);
     }
 
     const { data: reports, error, count } = await query;
@@ -131,11 +230,17 @@ router.get('/:id/reports', async (req, res) => {
       return res.status(400).json(formatError('Failed to fetch reports'));
     }
 
+    const { rows, meta } = paginateRows(await attachSearchHighlights(reports, search), {
+      after,
+      limit,
+      offset,
+      count,
+      keyset: ordering
+    });
+
     res.json(formatSuccess({ 
-      reports, 
-      total: count,
-      limit: parseInt(limit),
-      offset: parseInt(offset),
+      reports: rows,
+      ...meta,
       municipality: {
         id: municipality.id,
         name: municipality.name
@@ -148,8 +253,261 @@ router.get('/:id/reports', async (req, res) => {
   }
 });
 
-// Bulk import municipalities (officials only)
-router.post('/import', authenticateToken, requireOfficial, async (req, res) => {
+// Stats cover the last 90 days unless a range is given, and at most two years
+const DEFAULT_STATS_RANGE_DAYS = 90;
+const MAX_STATS_RANGE_DAYS = 731;
+
+const statsQuerySchema = Joi.object({
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().optional(),
+  top_limit: Joi.number().integer().min(1).max(20).default(5)
+});
+
+const satisfactionQuerySchema = Joi.object({
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().optional()
+});
+
+// Helper function to resolve a requested stats range, returning { from, to } or { error }
+const getStatsRange = (query) => {
+  const to = query.to || new Date();
+  const from = query.from || new Date(to.getTime() - DEFAULT_STATS_RANGE_DAYS * 24 * 60 * 60 * 1000);
+
+  if (from >= to) {
+    return { error: 'from must be before to' };
+  }
+
+  if (to - from > MAX_STATS_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+    return { error: 'Date range cannot be longer than two years' };
+  }
+
+  return { from, to };
+};
+
+// Service delivery statistics (officials of the municipality and admins)
+router.get('/:id/stats', authenticateToken, requireRole(['official', 'admin']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { error: validationError, value } = statsQuerySchema.validate(req.query);
+
+    if (validationError) {
+      return res.status(400).json(formatError('Invalid query parameters', 400, validationError.details));
+    }
+
+    if (req.user.role === 'official' && req.user.municipality_id !== id) {
+      return res.status(403).json(formatError('Access denied. You can only view statistics for your municipality', 403));
+    }
+
+    const { from, to, error: rangeError } = getStatsRange(value);
+
+    if (rangeError) {
+      return res.status(400).json(formatError(rangeError));
+    }
+
+    const { data: municipality, error: municipalityError } = await supabase
+      .from('municipalities')
+      .select('id, name')
+      .eq('id', id)
+      .single();
+
+    if (municipalityError || !municipality) {
+      return res.status(404).json(formatError('Municipality not found'));
+    }
+
+    const { data: stats, error } = await supabase.rpc('municipality_report_stats', {
+      p_municipality_id: id,
+      p_from: from.toISOString(),
+      p_to: to.toISOString(),
+      p_top_limit: value.top_limit
+    });
+
+    if (error) {
+      console.error('Municipality stats error:', error);
+      return res.status(400).json(formatError('Failed to calculate municipality statistics'));
+    }
+
+    res.json(formatSuccess({
+      municipality,
+      range: { from: from.toISOString(), to: to.toISOString() },
+      ...stats
+    }));
+
+  } catch (error) {
+    console.error('Get municipality stats error:', error);
+    res.status(500).json(formatError('Internal server error'));
+  }
+});
+
+// Citizen satisfaction with resolved reports, per official, department and category, for
+// ratings given in the range (officials of the municipality and admins)
+router.get('/:id/satisfaction', authenticateToken, requireRole(['official', 'admin']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { error: validationError, value } = satisfactionQuerySchema.validate(req.query);
+
+    if (validationError) {
+      return res.status(400).json(formatError('Invalid query parameters', 400, validationError.details));
+    }
+
+    if (req.user.role === 'official' && req.user.municipality_id !== id) {
+      return res.status(403).json(formatError('Access denied. You can only view statistics for your municipality', 403));
+    }
+
+    const { from, to, error: rangeError } = getStatsRange(value);
+
+    if (rangeError) {
+      return res.status(400).json(formatError(rangeError));
+    }
+
+    const { data: municipality, error: municipalityError } = await supabase
+      .from('municipalities')
+      .select('id, name')
+      .eq('id', id)
+      .single();
+
+    if (municipalityError || !municipality) {
+      return res.status(404).json(formatError('Municipality not found'));
+    }
+
+    const { data: satisfaction, error } = await supabase.rpc('municipality_satisfaction_stats', {
+      p_municipality_id: id,
+      p_from: from.toISOString(),
+      p_to: to.toISOString()
+    });
+
+    if (error) {
+      console.error('Municipality satisfaction error:', error);
+      return res.status(400).json(formatError('Failed to calculate satisfaction ratings'));
+    }
+
+    res.json(formatSuccess({
+      municipality,
+      range: { from: from.toISOString(), to: to.toISOString() },
+      ...satisfaction
+    }));
+
+  } catch (error) {
+    console.error('Get municipality satisfaction error:', error);
+    res.status(500).json(formatError('Internal server error'));
+  }
+});
+
+const slaTargetsSchema = Joi.object({
+  targets: Joi.array().items(Joi.object({
+    category: Joi.string().pattern(CATEGORY_SLUG_PATTERN).required(),
+    status: Joi.string().valid(...SLA_STAGES).required(),
+    // null removes the target
+    target_hours: Joi.number().integer().min(1).max(24 * 365).allow(null).required()
+  })).min(1).max(50).unique((a, b) => a.category === b.category && a.status === b.status).required()
+});
+
+// Get the SLA targets per category and stage (officials of the municipality and admins)
+router.get('/:id/sla', authenticateToken, requireRole(['official', 'admin']), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (req.user.role === 'official' && req.user.municipality_id !== id) {
+      return res.status(403).json(formatError('Access denied. You can only view SLA targets for your municipality', 403));
+    }
+
+    const { data: targets, error } = await supabase
+      .from('sla_targets')
+      .select('category, status, target_hours, updated_at')
+      .eq('municipality_id', id)
+      .order('category')
+      .order('status');
+
+    if (error) {
+      return res.status(400).json(formatError('Failed to fetch SLA targets'));
+    }
+
+    res.json(formatSuccess({ targets }));
+
+  } catch (error) {
+    console.error('Get SLA targets error:', error);
+    res.status(500).json(formatError('Internal server error'));
+  }
+});
+
+// Set or remove SLA targets (admins only). Open reports' due dates follow the new targets.
+router.put('/:id/sla', authenticateToken, requireAdmin, validateRequest(slaTargetsSchema), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { targets } = req.body;
+
+    const { data: municipality } = await supabase
+      .from('municipalities')
+      .select('id')
+      .eq('id', id)
+      .single();
+
+    if (!municipality) {
+      return res.status(404).json(formatError('Municipality not found'));
+    }
+
+    // Targets are set per top-level category, removing one works for any slug
+    const { categories } = await getMunicipalityCategories(id, { includeInactive: true });
+    const slugs = categories.filter(category => !category.parent_id).map(category => category.slug);
+    const unknown = targets.filter(target => target.target_hours !== null && !slugs.includes(target.category));
+
+    if (unknown.length > 0) {
+      return res.status(400).json(formatError(
+        `Unknown categories for this municipality: ${[...new Set(unknown.map(target => target.category))].join(', ')}`,
+        400,
+        slugs
+      ));
+    }
+
+    const upserts = targets
+      .filter(target => target.target_hours !== null)
+      .map(target => ({ ...target, municipality_id: id, updated_at: new Date().toISOString() }));
+
+    if (upserts.length > 0) {
+      const { error: upsertError } = await supabase
+        .from('sla_targets')
+        .upsert(upserts, { onConflict: 'municipality_id,category,status' });
+
+      if (upsertError) {
+        console.error('Upsert SLA targets error:', upsertError);
+        return res.status(400).json(formatError('Failed to save SLA targets'));
+      }
+    }
+
+    for (const target of targets.filter(item => item.target_hours === null)) {
+      const { error: deleteError } = await supabase
+        .from('sla_targets')
+        .delete()
+        .eq('municipality_id', id)
+        .eq('category', target.category)
+        .eq('status', target.status);
+
+      if (deleteError) {
+        console.error('Delete SLA target error:', deleteError);
+        return res.status(400).json(formatError('Failed to remove SLA target'));
+      }
+    }
+
+    const { data: saved, error } = await supabase
+      .from('sla_targets')
+      .select('category, status, target_hours, updated_at')
+      .eq('municipality_id', id)
+      .order('category')
+      .order('status');
+
+    if (error) {
+      return res.status(400).json(formatError('Failed to fetch SLA targets'));
+    }
+
+    res.json(formatSuccess({ targets: saved }, 'SLA targets updated successfully'));
+
+  } catch (error) {
+    console.error('Update SLA targets error:', error);
+    res.status(500).json(formatError('Internal server error'));
+  }
+});
+
+// Bulk import municipalities (admins only)
+router.post('/import', authenticateToken, requireAdmin, async (req, res) => {
   try {
     const { municipalities } = req.body;
     
@@ -169,6 +527,8 @@ router.post('/import', authenticateToken, requireOfficial, async (req, res) => {
       return res.status(400).json(formatError('Failed to import municipalities'));
     }
 
+    clearBoundaryCache();
+
     res.json(formatSuccess({ 
       municipalities: data,
       imported_count: data.length 
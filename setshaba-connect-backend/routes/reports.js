@@ -1,8 +1,24 @@
 import express from 'express';
 import { supabase } from '../config/database.js';
-import { authenticateToken, requireCitizen, requireOfficial } from '../middleware/auth.js';
+import { authenticateToken, requireCitizen, requireOfficial, requireRole } from '../middleware/auth.js';
+import { idempotent } from '../middleware/idempotency.js';
 import { validateRequest, createReportSchema, updateReportSchema } from '../middleware/validation.js';
-import { getMunicipalityFromCoordinates, formatError, formatSuccess } from '../utils/helpers.js';
+import { getMunicipalityFromCoordinates, getWardFromCoordinates, calculateDistance, formatError, formatSuccess } from '../utils/helpers.js';
+import { parseBoundary, boundingBoxAround } from '../utils/geo.js';
+import { isTransitionAllowed, describeInvalidTransition, applyStatusUpdate, defaultStatusUpdateText } from '../utils/reportStatus.js';
+import { validateAssignee, applyAssignment } from '../utils/reportAssignment.js';
+import { findPossibleDuplicates, mergeReports } from '../utils/duplicates.js';
+import { EXPORT_FORMATS, streamReportExport } from '../utils/reportExport.js';
+import { withSlaStatus } from '../utils/sla.js';
+import { RELEVANCE, reportsQuery, attachSearchHighlights } from '../utils/search.js';
+import { NEWEST_FIRST, decodeCursor, orderByKeyset, applyPagination, paginateRows } from '../utils/pagination.js';
+import { REPORT_SORTS, getReportKeyset, compareReports } from '../utils/reportSort.js';
+import { notifyStatusUpdate } from '../services/notifications.js';
+import { publishReportEvent, publishStatusUpdate, publishUpvoteCount } from '../services/reportEvents.js';
+import { CATEGORY_SLUG_PATTERN, validateReportCategory } from '../utils/categories.js';
+import { validateDepartment, getUserDepartmentIds, applyTransfer } from '../utils/departments.js';
+import { REPORT_HISTORY_EVENTS, diffReport, recordReportEvent } from '../utils/reportHistory.js';
+import { confirmationDueAt } from '../utils/reportResolution.js';
 import Joi from 'joi';
 
 const router = express.Router();
@@ -11,27 +27,255 @@ const router = express.Router();
 const searchReportsSchema = Joi.object({
   municipality_id: Joi.string().uuid().optional(),
   status: Joi.string().valid('pending', 'acknowledged', 'in_progress', 'resolved').optional(),
-  category: Joi.string().valid('water', 'electricity', 'roads', 'waste', 'safety', 'other').optional(),
-  search: Joi.string().max(200).optional(),
+  category: Joi.string().pattern(CATEGORY_SLUG_PATTERN).optional(),
+  ward_id: Joi.string().pattern(/^[A-Za-z0-9_-]+$/).max(50).optional(),
+  // Only reports that aren't resolved yet
+  open: Joi.boolean().valid(true).optional(),
+  // Full-text search over title, description and address, see utils/search.js
+  search: Joi.string().trim().min(1).max(200).optional(),
+  // Newest first by default, or best match first when searching
+  sort: Joi.string().valid(...REPORT_SORTS.filter(sort => sort !== 'nearest')).optional(),
   limit: Joi.number().integer().min(1).max(100).default(50),
-  offset: Joi.number().integer().min(0).default(0)
+  offset: Joi.number().integer().min(0).default(0),
+  // next_cursor from the previous page, replaces offset
+  cursor: Joi.string().max(200).optional()
+});
+
+// "lat,lng" and "minLng,minLat,maxLng,maxLat" query values
+const latLngPattern = /^-?\d+(\.\d+)?,-?\d+(\.\d+)?$/;
+const bboxPattern = /^-?\d+(\.\d+)?(,-?\d+(\.\d+)?){3}$/;
+
+// Spatial queries sort in memory, so they consider at most this many matching reports
+const MAX_SPATIAL_CANDIDATES = 1000;
+
+// The public listing can also be queried around a point or within a map viewport
+const listReportsSchema = searchReportsSchema.keys({
+  // Nearest first is the default around a point or viewport, and needs one
+  sort: Joi.string().valid(...REPORT_SORTS).optional(),
+  near: Joi.string().pattern(latLngPattern).optional(),
+  radius_km: Joi.number().min(0.01).max(100).optional(),
+  bbox: Joi.string().pattern(bboxPattern).optional()
+}).oxor('near', 'bbox').with('radius_km', 'near').without('cursor', ['near', 'bbox']);
+
+// Helper function to turn near/bbox query values into a search area, or an error message
+const parseSpatialQuery = ({ near, radius_km = 5, bbox }) => {
+  if (near) {
+    const [lat, lng] = near.split(',').map(Number);
+
+    if (lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+      return { error: 'near must be a valid "lat,lng" pair' };
+    }
+
+    return { center: { lat, lng }, radiusKm: radius_km, bbox: boundingBoxAround(lat, lng, radius_km) };
+  }
+
+  if (bbox) {
+    const [minLng, minLat, maxLng, maxLat] = bbox.split(',').map(Number);
+
+    if (minLng >= maxLng || minLat >= maxLat || minLat < -90 || maxLat > 90 || minLng < -180 || maxLng > 180) {
+      return { error: 'bbox must be "minLng,minLat,maxLng,maxLat" with min values below max values' };
+    }
+
+    return {
+      center: { lat: (minLat + maxLat) / 2, lng: (minLng + maxLng) / 2 },
+      radiusKm: null,
+      bbox: { minLng, minLat, maxLng, maxLat }
+    };
+  }
+
+  return null;
+};
+
+// Officials can also filter their municipality's queue by assignee
+const municipalityReportsSchema = searchReportsSchema.keys({
+  assigned_to: Joi.alternatives().try(
+    Joi.string().valid('me', 'unassigned'),
+    Joi.string().uuid()
+  ).optional(),
+  // Only reports past their SLA due date
+  overdue: Joi.boolean().valid(true).optional(),
+  // A department, the caller's departments or reports no rule routed
+  department_id: Joi.alternatives().try(
+    Joi.string().valid('mine', 'none'),
+    Joi.string().uuid()
+  ).optional()
+});
+
+// Exports take the same filters and return every matching report
+const exportReportsSchema = municipalityReportsSchema.keys({
+  format: Joi.string().valid(...Object.keys(EXPORT_FORMATS)).default('csv'),
+  cursor: Joi.forbidden(),
+  sort: Joi.forbidden()
+});
+
+// Helper function to apply the municipality queue filters shared by the listing and the export.
+// departmentIds are the current official's departments, for department_id=mine.
+const applyMunicipalityFilters = (query, { status, open, category, ward_id, assigned_to, overdue, department_id }, { userId, departmentIds }) => {
+  if (status) {
+    query = query.eq('status', status);
+  }
+
+  if (open) {
+    query = query.neq('status', 'resolved');
+  }
+
+  if (category) {
+    query = query.eq('category', category);
+  }
+
+  if (ward_id) {
+    query = query.eq('ward_id', ward_id);
+  }
+
+  if (assigned_to === 'unassigned') {
+    query = query.is('assigned_official', null);
+  } else if (assigned_to) {
+    query = query.eq('assigned_official', assigned_to === 'me' ? userId : assigned_to);
+  }
+
+  if (department_id === 'none') {
+    query = query.is('department_id', null);
+  } else if (department_id === 'mine') {
+    query = query.in('department_id', departmentIds);
+  } else if (department_id) {
+    query = query.eq('department_id', department_id);
+  }
+
+  if (overdue) {
+    query = query.lt('due_at', new Date().toISOString()).neq('status', 'resolved');
+  }
+
+  return query;
+};
+
+// Helper function to resolve who is filtering the municipality queue
+const getQueueViewer = async (user, { department_id }) => ({
+  userId: user.id,
+  departmentIds: department_id === 'mine' ? await getUserDepartmentIds(user.id) : []
+});
+
+// Helper function to pick a listing's keyset from its sort, newest first by default
+// and best match first for searches
+const resolveOrdering = ({ sort, search }) => (search && !sort ? RELEVANCE : getReportKeyset(sort || 'newest'));
+
+const assignReportSchema = Joi.object({
+  official_id: Joi.string().uuid().optional(),
+  note: Joi.string().max(500).optional()
+});
+
+const unassignReportSchema = Joi.object({
+  note: Joi.string().max(500).optional()
+});
+
+const reportHistorySchema = Joi.object({
+  type: Joi.string().valid(...REPORT_HISTORY_EVENTS).optional(),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  offset: Joi.number().integer().min(0).default(0),
+  cursor: Joi.string().max(200).optional()
+});
+
+const transferReportSchema = Joi.object({
+  department_id: Joi.string().uuid().required(),
+  note: Joi.string().max(500).optional()
+});
+
+const duplicateCheckSchema = Joi.object({
+  lat: Joi.number().min(-90).max(90).required(),
+  lng: Joi.number().min(-180).max(180).required(),
+  category: Joi.string().pattern(CATEGORY_SLUG_PATTERN).required()
+});
+
+const mergeReportSchema = Joi.object({
+  duplicate_id: Joi.string().uuid().required()
 });
 
 // Create a new report (citizens only)
-router.post('/', authenticateToken, requireCitizen, validateRequest(createReportSchema), async (req, res) => {
+const createdReportFields = `
+  *,
+  municipalities:municipality_id (
+    id,
+    name,
+    province
+  ),
+  wards:ward_id (
+    ward_id,
+    name
+  ),
+  created_by_user:created_by (
+    id,
+    name,
+    email
+  )
+`;
+
+// Helper function to find a report this user already created with the same key
+const findReportByIdempotencyKey = async (userId, idempotencyKey) => {
+  const { data: report } = await supabase
+    .from('reports')
+    .select(createdReportFields)
+    .eq('created_by', userId)
+    .eq('idempotency_key', idempotencyKey)
+    .maybeSingle();
+
+  return report;
+};
+
+router.post('/', authenticateToken, idempotent, requireCitizen, validateRequest(createReportSchema), async (req, res) => {
   try {
-    const { title, description, category, lat, lng, address, photo_url } = req.body;
+    const { title, description, category, subcategory, lat, lng, address, ward_id } = req.body;
     const userId = req.user.id;
+    const idempotencyKey = req.get('Idempotency-Key') || null;
 
-    // Determine municipality from coordinates or user's municipality
-    let municipalityId = req.user.municipality_id;
-    
-    if (!municipalityId) {
-      municipalityId = await getMunicipalityFromCoordinates(lat, lng);
+    // The idempotent middleware replays recent retries. The key is also kept on
+    // the report, so a retry arriving after the stored response expired still
+    // can't file it twice.
+    if (idempotencyKey) {
+      const existingReport = await findReportByIdempotencyKey(userId, idempotencyKey);
+
+      if (existingReport) {
+        return res.json(formatSuccess({ report: existingReport, possible_duplicates: [] }, 'Report already submitted'));
+      }
     }
 
+    // Reports are filed with the municipality containing the location, the same
+    // lookup the app uses for categories (GET /api/municipalities/locate). The
+    // citizen's own municipality only applies where no boundary covers the point.
+    const municipalityId = await getMunicipalityFromCoordinates(lat, lng) || req.user.municipality_id;
+
     if (!municipalityId) {
-      return res.status(400).json(formatError('Could not determine municipality for this location'));
+      return res.status(422).json(formatError(
+        'This location is outside all supported municipal boundaries. Please check the pin on the map.',
+        422
+      ));
+    }
+
+    // Derive the ward from the coordinates. A ward picked in the app is only
+    // accepted when we have no boundary that could contradict it.
+    let wardId = await getWardFromCoordinates(lat, lng, municipalityId);
+
+    if (!wardId && ward_id) {
+      const { data: ward } = await supabase
+        .from('wards')
+        .select('ward_id, municipality_id, geojson')
+        .eq('ward_id', ward_id)
+        .single();
+
+      if (!ward) {
+        return res.status(400).json(formatError('Unknown ward'));
+      }
+
+      if ((ward.municipality_id && ward.municipality_id !== municipalityId) || parseBoundary(ward.geojson)) {
+        return res.status(422).json(formatError('The selected ward does not contain this location', 422));
+      }
+
+      wardId = ward.ward_id;
+    }
+
+    // Each municipality offers its own categories, see utils/categories.js
+    const categoryCheck = await validateReportCategory(municipalityId, category, subcategory);
+
+    if (categoryCheck.error) {
+      return res.status(422).json(formatError(categoryCheck.error, 422, categoryCheck.options));
     }
 
     const { data: report, error } = await supabase
@@ -40,34 +284,66 @@ router.post('/', authenticateToken, requireCitizen, validateRequest(createReport
         title,
         description,
         category,
+        subcategory: subcategory || null,
         lat,
         lng,
         address,
-        photo_url,
+        ward_id: wardId,
         municipality_id: municipalityId,
-        created_by: userId
+        created_by: userId,
+        idempotency_key: idempotencyKey
       })
-      .select(`
-        *,
-        municipalities:municipality_id (
-          id,
-          name,
-          province
-        ),
-        created_by_user:created_by (
-          id,
-          name,
-          email
-        )
-      `)
+      .select(createdReportFields)
       .single();
 
     if (error) {
+      // A concurrent retry with the same key won the insert
+      if (error.code === '23505' && idempotencyKey) {
+        const existingReport = await findReportByIdempotencyKey(userId, idempotencyKey);
+
+        if (existingReport) {
+          return res.json(formatSuccess({ report: existingReport, possible_duplicates: [] }, 'Report already submitted'));
+        }
+      }
+
       console.error('Create report error:', error);
       return res.status(400).json(formatError('Failed to create report'));
     }
 
-    res.status(201).json(formatSuccess({ report }, 'Report created successfully'));
+    await recordReportEvent({ reportId: report.id, actorId: userId, type: 'created', changes: diffReport(null, report) });
+
+    // Tell officials watching the municipality feed
+    publishReportEvent('report.created', {
+      reportId: report.id,
+      municipalityId: report.municipality_id,
+      data: {
+        report: {
+          id: report.id,
+          title: report.title,
+          category: report.category,
+          subcategory: report.subcategory,
+          status: report.status,
+          address: report.address,
+          lat: report.lat,
+          lng: report.lng,
+          ward_id: report.ward_id,
+          department_id: report.department_id,
+          created_at: report.created_at
+        }
+      }
+    });
+
+    // Duplicate detection is advisory, a failed lookup shouldn't fail the report
+    const possibleDuplicates = await findPossibleDuplicates({ lat, lng, category, excludeId: report.id })
+      .catch((duplicateError) => {
+        console.error('Duplicate lookup error:', duplicateError);
+        return [];
+      });
+
+    res.status(201).json(formatSuccess({
+      report,
+      possible_duplicates: possibleDuplicates
+    }, 'Report created successfully'));
 
   } catch (error) {
     console.error('Create report error:', error);
@@ -78,30 +354,79 @@ router.post('/', authenticateToken, requireCitizen, validateRequest(createReport
 // Get all reports with filtering and search
 router.get('/', async (req, res) => {
   try {
-    const { error: validationError, value } = searchReportsSchema.validate(req.query);
+    const { error: validationError, value } = listReportsSchema.validate(req.query);
     
     if (validationError) {
       return res.status(400).json(formatError('Invalid query parameters', 400, validationError.details));
     }
 
-    const { municipality_id, status, category, search, limit, offset } = value;
+    const { municipality_id, status, open, category, ward_id, search, cursor, limit, offset } = value;
+    const area = parseSpatialQuery(value);
 
-    let query = supabase
-      .from('reports')
-      .select(`
-        *,
-        municipalities:municipality_id (
-          id,
-          name,
-          province
-        ),
-        created_by_user:created_by (
-          id,
-          name
-        )
-      `, { count: 'exact' })
-      .order('created_at', { ascending: false })
-      .range(offset, offset + limit - 1);
+    if (area?.error) {
+      return res.status(400).json(formatError(area.error));
+    }
+
+    // Spatial queries are nearest first unless another sort is asked for
+    const sort = value.sort || (area ? 'nearest' : undefined);
+
+    if (sort === 'nearest' && !area) {
+      return res.status(400).json(formatError('sort=nearest needs a reference point, pass near or bbox'));
+    }
+
+    const ordering = sort === 'nearest' ? null : resolveOrdering({ sort, search });
+    const after = cursor ? decodeCursor(cursor, ordering) : null;
+
+    if (cursor && !after) {
+      return res.status(400).json(formatError('Invalid cursor'));
+    }
+
+    let query = reportsQuery(search, `
+      *,
+      municipalities:municipality_id (
+        id,
+        name,
+        province
+      ),
+      wards:ward_id (
+        ward_id,
+        name
+      ),
+      report_attachments (
+        id,
+        url,
+        thumbnail_url,
+        width,
+        height
+      ),
+      created_by_user:created_by (
+        id,
+        name
+      ),
+      assigned_official_user:assigned_official (
+        id,
+        name
+      )
+    `, after ? {} : { count: 'exact' }, after)
+      .is('merged_into', null);
+
+    // Search results keep their relevance order. Spatial candidates are capped,
+    // so they are fetched in the requested order, or newest first for nearest.
+    if (ordering || (area && !search)) {
+      query = orderByKeyset(query, ordering || NEWEST_FIRST);
+    }
+
+    // Spatial queries are paged after sorting in memory
+    if (area) {
+      query = query
+        .gte('lat', area.bbox.minLat)
+        .lte('lat', area.bbox.maxLat)
+        .gte('lng', area.bbox.minLng)
+        .lte('lng', area.bbox.maxLng)
+        .range(0, MAX_SPATIAL_CANDIDATES - 1);
+    } else {
+      query = applyPagination(query, { after, limit, offset, keyset: ordering });
+    }
 
     if (municipality_id) {
       query = query.eq('municipality_id', municipality_id);
@@ -111,12 +436,16 @@ router.get('/', async (req, res) => {
       query = query.eq('status', status);
     }
 
+    if (open) {
+      query = query.neq('status', 'resolved');
+    }
+
     if (category) {
       query = query.eq('category', category);
     }
 
-    if (search) {
-      query = query.or(`title.ilike.%${search}%,description.ilike.%${search}%`);
+    if (ward_id) {
+      query = query.eq('ward_id', ward_id);
     }
 
     const { data: reports, error, count } = await query;
@@ -125,7 +454,29 @@ router.get('/', async (req, res) => {
       return res.status(400).json(formatError('Failed to fetch reports'));
     }
 
-    res.json(formatSuccess({ reports, total: count, limit, offset }));
+    if (area) {
+      const matches = reports
+        .map(report => ({
+          ...withSlaStatus(report),
+          distance_km: Math.round(calculateDistance(area.center.lat, area.center.lng, report.lat, report.lng) * 1000) / 1000
+        }))
+        .filter(report => area.radiusKm === null || report.distance_km <= area.radiusKm)
+        .sort(compareReports(sort));
+
+      return res.json(formatSuccess({
+        reports: await attachSearchHighlights(matches.slice(offset, offset + limit), search),
+        total: matches.length,
+        limit,
+        offset,
+        truncated: count > MAX_SPATIAL_CANDIDATES
+      }));
+    }
+
+    // Highlights first, relevance cursors are built from their search_rank
+    const highlighted = await attachSearchHighlights(reports, search);
+    const { rows: page, meta } = paginateRows(highlighted, { after, limit, offset, count, keyset: ordering });
+
+    res.json(formatSuccess({ reports: page.map(report => withSlaStatus(report)), ...meta }));
 
   } catch (error) {
     console.error('Get reports error:', error);
@@ -143,32 +494,57 @@ router.get('/mine', authenticateToken, requireCitizen, async (req, res) => {
       return res.status(400).json(formatError('Invalid query parameters', 400, validationError.details));
     }
 
-    const { status, category, search, limit, offset } = value;
+    const { status, open, category, ward_id, search, cursor, limit, offset } = value;
+    const ordering = resolveOrdering(value);
+    const after = cursor ? decodeCursor(cursor, ordering) : null;
 
-    let query = supabase
-      .from('reports')
-      .select(`
-        *,
-        municipalities:municipality_id (
-          id,
-          name,
-          province
-        )
-      `, { count: 'exact' })
-      .eq('created_by', userId)
-      .order('created_at', { ascending: false })
-      .range(offset, offset + limit - 1);
+    if (cursor && !after) {
+      return res.status(400).json(formatError('Invalid cursor'));
+    }
+
+    let query = reportsQuery(search, `
+      *,
+      municipalities:municipality_id (
+        id,
+        name,
+        province
+      ),
+      wards:ward_id (
+        ward_id,
+        name
+      ),
+      report_attachments (
+        id,
+        url,
+        thumbnail_url,
+        width,
+        height
+      ),
+      assigned_official_user:assigned_official (
+        id,
+        name
+      )
+    `, after ? {} : { count: 'exact' }, after)
+      .eq('created_by', userId);
+
+    query = orderByKeyset(query, ordering);
+
+    query = applyPagination(query, { after, limit, offset, keyset: ordering });
 
     if (status) {
       query = query.eq('status', status);
     }
 
+    if (open) {
+      query = query.neq('status', 'resolved');
+    }
+
     if (category) {
       query = query.eq('category', category);
     }
 
-    if (search) {
-      query = query.or(`title.ilike.%${search}%,description.ilike.%${search}%`);
+    if (ward_id) {
+      query = query.eq('ward_id', ward_id);
     }
 
     const { data: reports, error, count } = await query;
@@ -177,7 +553,11 @@ router.get('/mine', authenticateToken, requireCitizen, async (req, res) => {
       return res.status(400).json(formatError('Failed to fetch reports'));
     }
 
-    res.json(formatSuccess({ reports, total: count, limit, offset }));
+    // Highlights first, relevance cursors are built from their search_rank
+    const highlighted = await attachSearchHighlights(reports, search);
+    const { rows: page, meta } = paginateRows(highlighted, { after, limit, offset, count, keyset: ordering });
+
+    res.json(formatSuccess({ reports: page.map(report => withSlaStatus(report)), ...meta }));
 
   } catch (error) {
     console.error('Get user reports error:', error);
@@ -188,14 +568,20 @@ router.get('/mine', authenticateToken, requireCitizen, async (req, res) => {
 // Get reports for municipality (officials only)
 router.get('/municipality', authenticateToken, requireOfficial, async (req, res) => {
   try {
-    const { error: validationError, value } = searchReportsSchema.validate(req.query);
+    const { error: validationError, value } = municipalityReportsSchema.validate(req.query);
     
     if (validationError) {
       return res.status(400).json(formatError('Invalid query parameters', 400, validationError.details));
     }
 
-    const { municipality_id, status, category, search, limit, offset } = value;
+    const { municipality_id, search, cursor, limit, offset } = value;
     const userMunicipalityId = req.user.municipality_id;
+    const ordering = resolveOrdering(value);
+    const after = cursor ? decodeCursor(cursor, ordering) : null;
+
+    if (cursor && !after) {
+      return res.status(400).json(formatError('Invalid cursor'));
+    }
 
     // Ensure official can only see reports from their municipality
     const targetMunicipalityId = municipality_id || userMunicipalityId;
@@ -204,52 +590,153 @@ router.get('/municipality', authenticateToken, requireOfficial, async (req, res)
       return res.status(403).json(formatError('Access denied to reports from other municipalities'));
     }
 
-    let query = supabase
-      .from('reports')
-      .select(`
-        *,
-        municipalities:municipality_id (
-          id,
-          name,
-          province
+    let query = reportsQuery(search, `
+      *,
+      municipalities:municipality_id (
+        id,
+        name,
+        province
+      ),
+      wards:ward_id (
+        ward_id,
+        name
+      ),
+      report_attachments (
+        id,
+        url,
+        thumbnail_url,
+        width,
+        height
+      ),
+      created_by_user:created_by (
+        id,
+        name,
+        email
+      ),
+      assigned_official_user:assigned_official (
+        id,
+        name,
+        email
+      ),
+      department:department_id (
+        id,
+        name
+      )
+    `, after ? {} : { count: 'exact' }, after)
+      .eq('municipality_id', targetMunicipalityId)
+      .is('merged_into', null);
+
+    query = orderByKeyset(query, ordering);
+
+    const viewer = await getQueueViewer(req.user, value);
+    query = applyPagination(applyMunicipalityFilters(query, value, viewer), { after, limit, offset, keyset: ordering });
+
+    const { data: reports, error, count } = await query;
+
+    if (error) {
+      return res.status(400).json(formatError('Failed to fetch reports'));
+    }
+
+    // Highlights first, relevance cursors are built from their search_rank
+    const highlighted = await attachSearchHighlights(reports, search);
+    const { rows: page, meta } = paginateRows(highlighted, { after, limit, offset, count, keyset: ordering });
+
+    res.json(formatSuccess({ reports: page.map(report => withSlaStatus(report)), ...meta }));
+
+  } catch (error) {
+    console.error('Get municipality reports error:', error);
+    res.status(500).json(formatError('Internal server error'));
+  }
+});
+
+// Export the municipality's reports as CSV, GeoJSON or XLSX (officials only)
+router.get('/municipality/export', authenticateToken, requireOfficial, async (req, res) => {
+  try {
+    const { error: validationError, value } = exportReportsSchema.validate(req.query);
+
+    if (validationError) {
+      return res.status(400).json(formatError('Invalid query parameters', 400, validationError.details));
+    }
+
+    const userMunicipalityId = req.user.municipality_id;
+
+    if (value.municipality_id && value.municipality_id !== userMunicipalityId) {
+      return res.status(403).json(formatError('Access denied to reports from other municipalities'));
+    }
+
+    const viewer = await getQueueViewer(req.user, value);
+    const buildQuery = () => applyMunicipalityFilters(
+      reportsQuery(value.search, `
+        id, title, description, category, subcategory, status, address, lat, lng, ward_id, upvotes, created_at, due_at,
+        wards:ward_id (
+          name
+        ),
+        department:department_id (
+          name
         ),
         created_by_user:created_by (
-          id,
-          name,
-          email
+          name
         ),
         assigned_official_user:assigned_official (
-          id,
-          name,
-          email
+          name
         )
-      `, { count: 'exact' })
-      .eq('municipality_id', targetMunicipalityId)
-      .order('created_at', { ascending: false })
-      .range(offset, offset + limit - 1);
+      `)
+        .eq('municipality_id', userMunicipalityId)
+        .is('merged_into', null),
+      value,
+      viewer
+    );
+
+    const { error } = await streamReportExport({
+      res,
+      format: value.format,
+      buildQuery,
+      filename: `reports-${new Date().toISOString().slice(0, 10)}`
+    });
 
-    if (status) {
-      query = query.eq('status', status);
+    if (error) {
+      return res.status(400).json(formatError(error));
     }
 
-    if (category) {
-      query = query.eq('category', category);
-    }
+  } catch (error) {
+    console.error('Export reports error:', error);
 
-    if (search) {
-      query = query.or(`title.ilike.%${search}%,description.ilike.%${search}%`);
+    if (!res.headersSent) {
+      res.status(500).json(formatError('Internal server error'));
     }
+  }
+});
 
-    const { data: reports, error, count } = await query;
+// Check for possible duplicates before filing a report
+router.get('/duplicates', authenticateToken, async (req, res) => {
+  try {
+    const { error: validationError, value } = duplicateCheckSchema.validate(req.query);
 
-    if (error) {
-      return res.status(400).json(formatError('Failed to fetch reports'));
+    if (validationError) {
+      return res.status(400).json(formatError('Invalid query parameters', 400, validationError.details));
     }
 
-    res.json(formatSuccess({ reports, total: count, limit, offset }));
+    const possibleDuplicates = await findPossibleDuplicates(value);
+
+    // Tell the app which matches the caller can still upvote
+    const { data: upvotes } = await supabase
+      .from('report_upvotes')
+      .select('report_id')
+      .eq('user_id', req.user.id)
+      .in('report_id', possibleDuplicates.map(report => report.id));
+
+    const upvotedIds = new Set((upvotes || []).map(upvote => upvote.report_id));
+
+    res.json(formatSuccess({
+      possible_duplicates: possibleDuplicates.map(report => ({
+        ...report,
+        user_upvoted: upvotedIds.has(report.id),
+        is_own: report.created_by === req.user.id
+      }))
+    }));
 
   } catch (error) {
-    console.error('Get municipality reports error:', error);
+    console.error('Check duplicates error:', error);
     res.status(500).json(formatError('Internal server error'));
   }
 });
@@ -268,6 +755,17 @@ router.get('/:id', authenticateToken, async (req, res) => {
           name,
           province
         ),
+        wards:ward_id (
+          ward_id,
+          name
+        ),
+        report_attachments (
+          id,
+          url,
+          thumbnail_url,
+          width,
+          height
+        ),
         created_by_user:created_by (
           id,
           name,
@@ -277,9 +775,14 @@ router.get('/:id', authenticateToken, async (req, res) => {
           id,
           name,
           email
+        ),
+        department:department_id (
+          id,
+          name
         )
       `)
       .eq('id', id)
+      .is('deleted_at', null)
       .single();
 
     if (error) {
@@ -310,7 +813,8 @@ router.get('/:id', authenticateToken, async (req, res) => {
 
     res.json(formatSuccess({ 
       report: {
-        ...report,
+        ...withSlaStatus(report),
+        confirmation_due_at: confirmationDueAt(report),
         upvote_count: upvoteCount,
         user_upvoted: userUpvoted,
         latest_status: latestStatus
@@ -324,17 +828,18 @@ router.get('/:id', authenticateToken, async (req, res) => {
 });
 
 // Update report (owner only)
-router.put('/:id', authenticateToken, validateRequest(updateReportSchema), async (req, res) => {
+router.put('/:id', authenticateToken, idempotent, validateRequest(updateReportSchema), async (req, res) => {
   try {
     const { id } = req.params;
-    const updates = req.body;
+    let updates = req.body;
     const currentUser = req.user;
 
     // Verify user owns this report
     const { data: report, error: reportError } = await supabase
       .from('reports')
-      .select('created_by, municipality_id')
+      .select('*')
       .eq('id', id)
+      .is('deleted_at', null)
       .single();
 
     if (reportError || !report) {
@@ -352,17 +857,82 @@ router.put('/:id', authenticateToken, validateRequest(updateReportSchema), async
 
     // Citizens can only update certain fields
     if (currentUser.role === 'citizen' && report.created_by === currentUser.id) {
-      const allowedFields = ['title', 'description', 'category', 'photo_url'];
+      const allowedFields = ['title', 'description', 'category', 'subcategory'];
       const filteredUpdates = Object.fromEntries(
         Object.entries(updates).filter(([key]) => allowedFields.includes(key))
       );
       updates = filteredUpdates;
     }
 
-    const { data: updatedReport, error } = await supabase
-      .from('reports')
-      .update(updates)
-      .eq('id', id)
+    // A new category drops the old sub-category unless one is given with it
+    if (updates.category !== undefined || updates.subcategory !== undefined) {
+      const category = updates.category ?? report.category;
+      const subcategory = updates.subcategory !== undefined
+        ? updates.subcategory
+        : (category === report.category ? report.subcategory : null);
+
+      if (category !== report.category || subcategory !== report.subcategory) {
+        const categoryCheck = await validateReportCategory(report.municipality_id, category, subcategory);
+
+        if (categoryCheck.error) {
+          return res.status(422).json(formatError(categoryCheck.error, 422, categoryCheck.options));
+        }
+      }
+
+      updates = { ...updates, category, subcategory };
+    }
+
+    // Status changes follow the state machine and are recorded on the report timeline,
+    // assignment changes go through the same checks as /assign
+    const { status: newStatus, assigned_official: newAssignee, ...fieldUpdates } = updates;
+    let statusUpdateId = null;
+
+    if (newAssignee !== undefined && newAssignee !== report.assigned_official) {
+      if (newAssignee) {
+        const { error: assigneeError, statusCode } = await validateAssignee(newAssignee, report.municipality_id);
+
+        if (assigneeError) {
+          return res.status(statusCode).json(formatError(assigneeError, statusCode));
+        }
+      }
+
+      const { error: assignError, statusCode } = await applyAssignment({
+        reportId: id,
+        assignedTo: newAssignee,
+        assignedBy: currentUser.id
+      });
+
+      if (assignError) {
+        return res.status(statusCode).json(formatError(assignError, statusCode));
+      }
+    }
+
+    if (newStatus && newStatus !== report.status) {
+      if (!isTransitionAllowed(report.status, newStatus)) {
+        return res.status(409).json(formatError(describeInvalidTransition(report.status, newStatus), 409));
+      }
+
+      const { statusUpdate, error: statusError, statusCode } = await applyStatusUpdate({
+        reportId: id,
+        createdBy: currentUser.id,
+        updateText: defaultStatusUpdateText(report.status, newStatus),
+        newStatus
+      });
+
+      if (statusError) {
+        return res.status(statusCode).json(formatError(statusError, statusCode));
+      }
+
+      statusUpdateId = statusUpdate.id;
+      notifyStatusUpdate({ reportId: id, statusUpdate, actorId: currentUser.id });
+      publishStatusUpdate({ reportId: id, municipalityId: report.municipality_id, statusUpdate });
+    }
+
+    const reportQuery = Object.keys(fieldUpdates).length > 0
+      ? supabase.from('reports').update(fieldUpdates)
+      : supabase.from('reports');
+
+    const { data: updatedReport, error } = await reportQuery
       .select(`
         *,
         municipalities:municipality_id (
@@ -370,6 +940,10 @@ router.put('/:id', authenticateToken, validateRequest(updateReportSchema), async
           name,
           province
         ),
+        wards:ward_id (
+          ward_id,
+          name
+        ),
         created_by_user:created_by (
           id,
           name,
@@ -379,15 +953,32 @@ router.put('/:id', authenticateToken, validateRequest(updateReportSchema), async
           id,
           name,
           email
+        ),
+        department:department_id (
+          id,
+          name
         )
       `)
+      .eq('id', id)
       .single();
 
     if (error) {
       return res.status(400).json(formatError('Failed to update report'));
     }
 
-    res.json(formatSuccess({ report: updatedReport }, 'Report updated successfully'));
+    const changes = diffReport(report, updatedReport);
+
+    if (Object.keys(changes).length > 0) {
+      await recordReportEvent({
+        reportId: id,
+        actorId: currentUser.id,
+        type: 'updated',
+        changes,
+        data: statusUpdateId ? { status_update_id: statusUpdateId } : {}
+      });
+    }
+
+    res.json(formatSuccess({ report: withSlaStatus(updatedReport) }, 'Report updated successfully'));
 
   } catch (error) {
     console.error('Update report error:', error);
@@ -395,17 +986,467 @@ router.put('/:id', authenticateToken, validateRequest(updateReportSchema), async
   }
 });
 
-// Delete report (owner only)
-router.delete('/:id', authenticateToken, async (req, res) => {
+// Helper function to load a report an official is allowed to manage
+const getManagedReport = async (reportId, official) => {
+  const { data: report, error } = await supabase
+    .from('reports')
+    .select('id, municipality_id, assigned_official, department_id')
+    .eq('id', reportId)
+    .is('deleted_at', null)
+    .single();
+
+  if (error || !report) {
+    return { error: 'Report not found', statusCode: 404 };
+  }
+
+  if (report.municipality_id !== official.municipality_id) {
+    return { error: 'Access denied', statusCode: 403 };
+  }
+
+  return { report };
+};
+
+const assignmentFields = `
+  *,
+  assigned_to_user:assigned_to (
+    id,
+    name,
+    email
+  ),
+  previous_assignee_user:previous_assignee (
+    id,
+    name,
+    email
+  ),
+  assigned_by_user:assigned_by (
+    id,
+    name,
+    email
+  )
+`;
+
+// Assign a report to an official, defaults to the current official (officials only)
+router.post('/:id/assign', authenticateToken, idempotent, requireOfficial, validateRequest(assignReportSchema), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const currentUser = req.user;
+    const { official_id = currentUser.id, note } = req.body;
+
+    const { report, error: reportError, statusCode: reportStatusCode } = await getManagedReport(id, currentUser);
+
+    if (reportError) {
+      return res.status(reportStatusCode).json(formatError(reportError, reportStatusCode));
+    }
+
+    if (report.assigned_official === official_id) {
+      return res.status(409).json(formatError('Report is already assigned to this official', 409));
+    }
+
+    const { error: assigneeError, statusCode: assigneeStatusCode } = await validateAssignee(official_id, report.municipality_id);
+
+    if (assigneeError) {
+      return res.status(assigneeStatusCode).json(formatError(assigneeError, assigneeStatusCode));
+    }
+
+    const { assignment: created, error: assignError, statusCode } = await applyAssignment({
+      reportId: id,
+      assignedTo: official_id,
+      assignedBy: currentUser.id,
+      note
+    });
+
+    if (assignError) {
+      return res.status(statusCode).json(formatError(assignError, statusCode));
+    }
+
+    await recordReportEvent({
+      reportId: id,
+      actorId: currentUser.id,
+      type: 'assigned',
+      changes: diffReport(report, { assigned_official: official_id }),
+      data: note ? { note } : {}
+    });
+
+    const { data: assignment, error } = await supabase
+      .from('report_assignments')
+      .select(assignmentFields)
+      .eq('id', created.id)
+      .single();
+
+    if (error) {
+      console.error('Assign report error:', error);
+      return res.status(400).json(formatError('Failed to assign report'));
+    }
+
+    res.json(formatSuccess({ assignment }, 'Report assigned successfully'));
+
+  } catch (error) {
+    console.error('Assign report error:', error);
+    res.status(500).json(formatError('Internal server error'));
+  }
+});
+
+// Remove the assignee from a report (officials only)
+router.post('/:id/unassign', authenticateToken, idempotent, requireOfficial, validateRequest(unassignReportSchema), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const currentUser = req.user;
+
+    const { report, error: reportError, statusCode: reportStatusCode } = await getManagedReport(id, currentUser);
+
+    if (reportError) {
+      return res.status(reportStatusCode).json(formatError(reportError, reportStatusCode));
+    }
+
+    if (!report.assigned_official) {
+      return res.status(409).json(formatError('Report is not assigned', 409));
+    }
+
+    const { assignment: created, error: assignError, statusCode } = await applyAssignment({
+      reportId: id,
+      assignedTo: null,
+      assignedBy: currentUser.id,
+      note: req.body.note
+    });
+
+    if (assignError) {
+      return res.status(statusCode).json(formatError(assignError, statusCode));
+    }
+
+    await recordReportEvent({
+      reportId: id,
+      actorId: currentUser.id,
+      type: 'assigned',
+      changes: diffReport(report, { assigned_official: null }),
+      data: req.body.note ? { note: req.body.note } : {}
+    });
+
+    const { data: assignment, error } = await supabase
+      .from('report_assignments')
+      .select(assignmentFields)
+      .eq('id', created.id)
+      .single();
+
+    if (error) {
+      console.error('Unassign report error:', error);
+      return res.status(400).json(formatError('Failed to unassign report'));
+    }
+
+    res.json(formatSuccess({ assignment }, 'Report unassigned successfully'));
+
+  } catch (error) {
+    console.error('Unassign report error:', error);
+    res.status(500).json(formatError('Internal server error'));
+  }
+});
+
+// Get the assignment history of a report (officials only)
+router.get('/:id/assignments', authenticateToken, requireOfficial, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { error: reportError, statusCode: reportStatusCode } = await getManagedReport(id, req.user);
+
+    if (reportError) {
+      return res.status(reportStatusCode).json(formatError(reportError, reportStatusCode));
+    }
+
+    const { data: assignments, error } = await supabase
+      .from('report_assignments')
+      .select(assignmentFields)
+      .eq('report_id', id)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      return res.status(400).json(formatError('Failed to fetch assignment history'));
+    }
+
+    res.json(formatSuccess({ assignments }));
+
+  } catch (error) {
+    console.error('Get assignments error:', error);
+    res.status(500).json(formatError('Internal server error'));
+  }
+});
+
+const transferFields = `
+  *,
+  from_department_info:from_department (
+    id,
+    name
+  ),
+  to_department_info:to_department (
+    id,
+    name
+  ),
+  transferred_by_user:transferred_by (
+    id,
+    name,
+    email
+  )
+`;
+
+// Move a report to another department of its municipality (officials only)
+router.post('/:id/transfer', authenticateToken, idempotent, requireOfficial, validateRequest(transferReportSchema), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { department_id, note } = req.body;
+
+    const { report, error: reportError, statusCode: reportStatusCode } = await getManagedReport(id, req.user);
+
+    if (reportError) {
+      return res.status(reportStatusCode).json(formatError(reportError, reportStatusCode));
+    }
+
+    if (report.department_id === department_id) {
+      return res.status(409).json(formatError('Report is already in this department', 409));
+    }
+
+    const { error: departmentError, statusCode: departmentStatusCode } = await validateDepartment(department_id, report.municipality_id);
+
+    if (departmentError) {
+      return res.status(departmentStatusCode).json(formatError(departmentError, departmentStatusCode));
+    }
+
+    const { transfer: created, error: transferError, statusCode } = await applyTransfer({
+      reportId: id,
+      departmentId: department_id,
+      transferredBy: req.user.id,
+      note
+    });
+
+    if (transferError) {
+      return res.status(statusCode).json(formatError(transferError, statusCode));
+    }
+
+    await recordReportEvent({
+      reportId: id,
+      actorId: req.user.id,
+      type: 'transferred',
+      changes: diffReport(report, { department_id }),
+      data: note ? { note } : {}
+    });
+
+    const { data: transfer, error } = await supabase
+      .from('report_transfers')
+      .select(transferFields)
+      .eq('id', created.id)
+      .single();
+
+    if (error) {
+      console.error('Transfer report error:', error);
+      return res.status(400).json(formatError('Failed to transfer report'));
+    }
+
+    res.json(formatSuccess({ transfer }, 'Report transferred successfully'));
+
+  } catch (error) {
+    console.error('Transfer report error:', error);
+    res.status(500).json(formatError('Internal server error'));
+  }
+});
+
+// Get the department history of a report, including its automatic routing (officials only)
+router.get('/:id/transfers', authenticateToken, requireOfficial, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { error: reportError, statusCode: reportStatusCode } = await getManagedReport(id, req.user);
+
+    if (reportError) {
+      return res.status(reportStatusCode).json(formatError(reportError, reportStatusCode));
+    }
+
+    const { data: transfers, error } = await supabase
+      .from('report_transfers')
+      .select(transferFields)
+      .eq('report_id', id)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      return res.status(400).json(formatError('Failed to fetch transfer history'));
+    }
+
+    res.json(formatSuccess({ transfers }));
+
+  } catch (error) {
+    console.error('Get transfers error:', error);
+    res.status(500).json(formatError('Internal server error'));
+  }
+});
+
+// Get the audit log of a report, newest first with field-level changes. Deleted reports
+// keep their history (officials of the report's municipality and admins).
+router.get('/:id/history', authenticateToken, requireRole(['official', 'admin']), async (req, res) => {
+  try {
+    const { error: validationError, value } = reportHistorySchema.validate(req.query);
+
+    if (validationError) {
+      return res.status(400).json(formatError('Invalid query parameters', 400, validationError.details));
+    }
+
+    const { id } = req.params;
+    const { type, cursor, limit, offset } = value;
+    const after = cursor ? decodeCursor(cursor) : null;
+
+    if (cursor && !after) {
+      return res.status(400).json(formatError('Invalid cursor'));
+    }
+
+    const { data: report, error: reportError } = await supabase
+      .from('reports')
+      .select('id, municipality_id, deleted_at')
+      .eq('id', id)
+      .single();
+
+    if (reportError || !report) {
+      return res.status(404).json(formatError('Report not found'));
+    }
+
+    if (req.user.role === 'official' && report.municipality_id !== req.user.municipality_id) {
+      return res.status(403).json(formatError('Access denied'));
+    }
+
+    let query = orderByKeyset(
+      supabase
+        .from('report_events')
+        .select(`
+          *,
+          actor:actor_id (
+            id,
+            name,
+            role
+          )
+        `, after ? {} : { count: 'exact' })
+        .eq('report_id', id),
+      NEWEST_FIRST
+    );
+
+    if (type) {
+      query = query.eq('event_type', type);
+    }
+
+    const { data: events, error, count } = await applyPagination(query, { after, limit, offset });
+
+    if (error) {
+      return res.status(400).json(formatError('Failed to fetch report history'));
+    }
+
+    const { rows, meta } = paginateRows(events, { after, limit, offset, count });
+
+    res.json(formatSuccess({ events: rows, deleted_at: report.deleted_at, ...meta }));
+
+  } catch (error) {
+    console.error('Get report history error:', error);
+    res.status(500).json(formatError('Internal server error'));
+  }
+});
+
+// Merge a duplicate into this report, moving its upvotes and status updates (officials only)
+router.post('/:id/merge', authenticateToken, idempotent, requireOfficial, validateRequest(mergeReportSchema), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { duplicate_id } = req.body;
+    const currentUser = req.user;
+
+    const { data: reports, error: reportsError } = await supabase
+      .from('reports')
+      .select('id, title, municipality_id, upvotes')
+      .in('id', [id, duplicate_id])
+      .is('deleted_at', null);
+
+    if (reportsError) {
+      return res.status(400).json(formatError('Failed to fetch reports'));
+    }
+
+    const canonical = reports.find(report => report.id === id);
+    const duplicate = reports.find(report => report.id === duplicate_id);
+
+    if (!canonical || !duplicate) {
+      return res.status(404).json(formatError('Report not found'));
+    }
+
+    if (canonical.municipality_id !== currentUser.municipality_id ||
+        duplicate.municipality_id !== currentUser.municipality_id) {
+      return res.status(403).json(formatError('Access denied'));
+    }
+
+    const { report: merged, error: mergeError, statusCode } = await mergeReports({
+      canonicalId: id,
+      duplicateId: duplicate_id,
+      mergedBy: currentUser.id
+    });
+
+    if (mergeError) {
+      return res.status(statusCode).json(formatError(mergeError, statusCode));
+    }
+
+    await recordReportEvent({
+      reportId: duplicate_id,
+      actorId: currentUser.id,
+      type: 'merged',
+      changes: diffReport({ merged_into: null }, { merged_into: id }),
+      data: { canonical_id: id }
+    });
+
+    // Leave a note on the canonical timeline, the merge itself has already succeeded
+    const { statusUpdate: note, error: noteError } = await applyStatusUpdate({
+      reportId: id,
+      createdBy: currentUser.id,
+      updateText: `Merged duplicate report "${duplicate.title}"`
+    });
+
+    if (noteError) {
+      console.error('Merge note error:', noteError);
+    } else {
+      publishStatusUpdate({ reportId: id, municipalityId: canonical.municipality_id, statusUpdate: note });
+    }
+
+    const { data: report, error } = await supabase
+      .from('reports')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      return res.status(400).json(formatError('Failed to fetch merged report'));
+    }
+
+    await recordReportEvent({
+      reportId: id,
+      actorId: currentUser.id,
+      type: 'merged',
+      changes: diffReport(canonical, { upvotes: report.upvotes }),
+      data: { duplicate_id }
+    });
+
+    // The duplicate's upvotes moved to the canonical report
+    publishReportEvent('report.upvotes_changed', {
+      reportId: id,
+      municipalityId: canonical.municipality_id,
+      data: { upvotes: report.upvotes }
+    });
+
+    res.json(formatSuccess({ report, merged_report: merged }, 'Reports merged successfully'));
+
+  } catch (error) {
+    console.error('Merge reports error:', error);
+    res.status(500).json(formatError('Internal server error'));
+  }
+});
+
+// Delete report (owner only). The report is hidden rather than removed, so its history is kept.
+router.delete('/:id', authenticateToken, idempotent, async (req, res) => {
   try {
     const { id } = req.params;
     const currentUser = req.user;
 
-    // Verify user owns this report or is admin
+    // Verify user owns this report
     const { data: report, error: reportError } = await supabase
       .from('reports')
       .select('created_by')
       .eq('id', id)
+      .is('deleted_at', null)
       .single();
 
     if (reportError || !report) {
@@ -416,15 +1457,24 @@ router.delete('/:id', authenticateToken, async (req, res) => {
       return res.status(403).json(formatError('Access denied'));
     }
 
-    const { error } = await supabase
+    const { data: deleted, error } = await supabase
       .from('reports')
-      .delete()
-      .eq('id', id);
+      .update({ deleted_at: new Date().toISOString(), deleted_by: currentUser.id })
+      .eq('id', id)
+      .select('deleted_at')
+      .single();
 
     if (error) {
       return res.status(400).json(formatError('Failed to delete report'));
     }
 
+    await recordReportEvent({
+      reportId: id,
+      actorId: currentUser.id,
+      type: 'deleted',
+      changes: diffReport({ deleted_at: null }, deleted)
+    });
+
     res.json(formatSuccess(null, 'Report deleted successfully'));
 
   } catch (error) {
@@ -434,7 +1484,7 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 });
 
 // Upvote a report (citizens only)
-router.post('/:id/upvote', authenticateToken, requireCitizen, async (req, res) => {
+router.post('/:id/upvote', authenticateToken, idempotent, requireCitizen, async (req, res) => {
   try {
     const { id: reportId } = req.params;
     const userId = req.user.id;
@@ -442,14 +1492,20 @@ router.post('/:id/upvote', authenticateToken, requireCitizen, async (req, res) =
     // Check if report exists
     const { data: report, error: reportError } = await supabase
       .from('reports')
-      .select('id, created_by')
+      .select('id, created_by, municipality_id, merged_into')
       .eq('id', reportId)
+      .is('deleted_at', null)
       .single();
 
     if (reportError || !report) {
       return res.status(404).json(formatError('Report not found'));
     }
 
+    // Upvotes on a merged duplicate belong on the canonical report
+    if (report.merged_into) {
+      return res.status(409).json(formatError('This report was merged into another report', 409));
+    }
+
     // Users cannot upvote their own reports
     if (report.created_by === userId) {
       return res.status(400).json(formatError('Cannot upvote your own report'));
@@ -475,6 +1531,9 @@ router.post('/:id/upvote', authenticateToken, requireCitizen, async (req, res) =
         return res.status(400).json(formatError('Failed to remove upvote'));
       }
 
+      await recordReportEvent({ reportId, actorId: userId, type: 'upvote_removed' });
+      publishUpvoteCount({ reportId, municipalityId: report.municipality_id });
+
       res.json(formatSuccess({ upvoted: false }, 'Upvote removed'));
     } else {
       // Add upvote
@@ -489,6 +1548,9 @@ router.post('/:id/upvote', authenticateToken, requireCitizen, async (req, res) =
         return res.status(400).json(formatError('Failed to add upvote'));
       }
 
+      await recordReportEvent({ reportId, actorId: userId, type: 'upvoted' });
+      publishUpvoteCount({ reportId, municipalityId: report.municipality_id });
+
       res.json(formatSuccess({ upvoted: true }, 'Report upvoted'));
     }
 
@@ -499,7 +1561,7 @@ router.post('/:id/upvote', authenticateToken, requireCitizen, async (req, res) =
 });
 
 // Remove upvote from a report (citizens only)
-router.delete('/:id/upvote', authenticateToken, requireCitizen, async (req, res) => {
+router.delete('/:id/upvote', authenticateToken, idempotent, requireCitizen, async (req, res) => {
   try {
     const { id: reportId } = req.params;
     const userId = req.user.id;
@@ -507,8 +1569,9 @@ router.delete('/:id/upvote', authenticateToken, requireCitizen, async (req, res)
     // Check if report exists
     const { data: report, error: reportError } = await supabase
       .from('reports')
-      .select('id, created_by')
+      .select('id, created_by, municipality_id')
       .eq('id', reportId)
+      .is('deleted_at', null)
       .single();
 
     if (reportError || !report) {
@@ -543,6 +1606,9 @@ router.delete('/:id/upvote', authenticateToken, requireCitizen, async (req, res)
       return res.status(400).json(formatError('Failed to remove upvote'));
     }
 
+    await recordReportEvent({ reportId, actorId: userId, type: 'upvote_removed' });
+    publishUpvoteCount({ reportId, municipalityId: report.municipality_id });
+
     res.json(formatSuccess({ upvoted: false }, 'Upvote removed successfully'));
 
   } catch (error) {
@@ -0,0 +1,131 @@
+import express from 'express';
+import Joi from 'joi';
+import { supabase } from '../config/database.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { idempotent } from '../middleware/idempotency.js';
+import { handlePhotoUpload } from '../middleware/upload.js';
+import { validateRequest } from '../middleware/validation.js';
+import { formatError, formatSuccess } from '../utils/helpers.js';
+import { storeReportPhotos, removeReportPhotos } from '../utils/attachments.js';
+import { isAwaitingConfirmation, respondToResolution } from '../utils/reportResolution.js';
+import { diffReport, recordReportEvent } from '../utils/reportHistory.js';
+import { notifyReopened, notifyStatusUpdate } from '../services/notifications.js';
+import { publishStatusUpdate } from '../services/reportEvents.js';
+
+const router = express.Router();
+
+// Validation schema for answers to a resolution, sent as JSON or multipart with a "photo"
+const resolutionResponseSchema = Joi.object({
+  reason: Joi.string().trim().max(1000).allow('').optional()
+});
+
+// Let the author of a resolved report confirm the fix or reopen it, with an optional
+// reason and photo. The photo is kept as an attachment of the report, even when the
+// report already has as many photos as citizens can upload.
+const respond = (response) => async (req, res) => {
+  try {
+    const { reportId } = req.params;
+    const currentUser = req.user;
+    const reason = req.body.reason?.trim() || null;
+    const [photo] = req.files || [];
+
+    const { data: report, error: reportError } = await supabase
+      .from('reports')
+      .select('id, title, status, created_by, municipality_id, assigned_official, closed_at, reopen_count')
+      .eq('id', reportId)
+      .is('deleted_at', null)
+      .single();
+
+    if (reportError || !report) {
+      return res.status(404).json(formatError('Report not found'));
+    }
+
+    if (report.created_by !== currentUser.id) {
+      return res.status(403).json(formatError('Only the author of a report can confirm or reopen it', 403));
+    }
+
+    if (!isAwaitingConfirmation(report)) {
+      return res.status(409).json(formatError('Only resolved reports that are not closed yet can be confirmed or reopened', 409));
+    }
+
+    let attachment = null;
+
+    if (photo) {
+      const { attachments, error: photoError, statusCode } = await storeReportPhotos({
+        reportId,
+        uploadedBy: currentUser.id,
+        files: [photo],
+        limit: null
+      });
+
+      if (photoError) {
+        return res.status(statusCode).json(formatError(photoError, statusCode));
+      }
+
+      [attachment] = attachments;
+    }
+
+    const { response: answer, error, statusCode } = await respondToResolution({
+      reportId,
+      userId: currentUser.id,
+      response,
+      reason,
+      attachmentId: attachment?.id || null
+    });
+
+    if (error) {
+      if (attachment) {
+        await removeReportPhotos([attachment.id]);
+      }
+
+      return res.status(statusCode).json(formatError(error, statusCode));
+    }
+
+    const { data: updated } = await supabase
+      .from('reports')
+      .select('id, status, resolved_at, closed_at, closed_by, reopen_count')
+      .eq('id', reportId)
+      .single();
+
+    await recordReportEvent({
+      reportId,
+      actorId: currentUser.id,
+      type: response,
+      changes: diffReport(report, updated || {}),
+      data: { response_id: answer.id, reason, attachment_id: answer.attachment_id }
+    });
+
+    if (response === 'reopened') {
+      const { data: statusUpdate } = await supabase
+        .from('status_updates')
+        .select('*')
+        .eq('id', answer.status_update_id)
+        .single();
+
+      // Tell the upvoters and the assignee without holding up the response
+      if (statusUpdate) {
+        notifyStatusUpdate({ reportId, statusUpdate, actorId: currentUser.id });
+        publishStatusUpdate({ reportId, municipalityId: report.municipality_id, statusUpdate });
+      }
+
+      notifyReopened({ report, reason });
+    }
+
+    res.status(201).json(formatSuccess({
+      response: { ...answer, attachment },
+      report: updated
+    }, response === 'confirmed' ? 'Thanks for confirming the fix' : 'Report reopened'));
+
+  } catch (error) {
+    console.error('Respond to resolution error:', error);
+    res.status(500).json(formatError('Internal server error'));
+  }
+};
+
+// Confirm that a resolved report is fixed, closing it (report author only)
+router.post('/:reportId/confirm', authenticateToken, handlePhotoUpload('photo', 1), idempotent, validateRequest(resolutionResponseSchema), respond('confirmed'));
+
+// Say a resolved report isn't fixed, sending it back to the municipality (report author only)
+router.post('/:reportId/reopen', authenticateToken, handlePhotoUpload('photo', 1), idempotent, validateRequest(resolutionResponseSchema), respond('reopened'));
+
+export default router;
@@ -1,29 +1,43 @@
 import express from 'express';
 import { supabase } from '../config/database.js';
 import { authenticateToken, requireOfficial } from '../middleware/auth.js';
+import { idempotent } from '../middleware/idempotency.js';
 import { validateRequest } from '../middleware/validation.js';
 import Joi from 'joi';
 import { formatError, formatSuccess } from '../utils/helpers.js';
+import { REPORT_STATUSES, isTransitionAllowed, describeInvalidTransition, applyStatusUpdate } from '../utils/reportStatus.js';
+import { notifyStatusUpdate } from '../services/notifications.js';
+import { publishStatusUpdate } from '../services/reportEvents.js';
+import { diffReport, recordReportEvent } from '../utils/reportHistory.js';
+import { decodeCursor, orderNewestFirst, applyPagination, paginateRows } from '../utils/pagination.js';
 
 const router = express.Router();
 
 // Validation schema for status updates
 const createStatusUpdateSchema = Joi.object({
-  update_text: Joi.string().min(5).max(1000).required()
+  update_text: Joi.string().min(5).max(1000).required(),
+  new_status: Joi.string().valid(...REPORT_STATUSES).optional()
+});
+
+const listStatusUpdatesSchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  offset: Joi.number().integer().min(0).default(0),
+  cursor: Joi.string().max(200).optional()
 });
 
 // Add status update to a report (officials only)
-router.post('/:reportId/status', authenticateToken, requireOfficial, validateRequest(createStatusUpdateSchema), async (req, res) => {
+router.post('/:reportId/status', authenticateToken, idempotent, requireOfficial, validateRequest(createStatusUpdateSchema), async (req, res) => {
   try {
     const { reportId } = req.params;
-    const { update_text } = req.body;
+    const { update_text, new_status } = req.body;
     const currentUser = req.user;
 
     // Verify report exists and official can access it
     const { data: report, error: reportError } = await supabase
       .from('reports')
-      .select('municipality_id')
+      .select('municipality_id, status')
       .eq('id', reportId)
+      .is('deleted_at', null)
       .single();
 
     if (reportError || !report) {
@@ -34,14 +48,32 @@ router.post('/:reportId/status', authenticateToken, requireOfficial, validateReq
       return res.status(403).json(formatError('Access denied'));
     }
 
-    // Create status update
+    if (new_status && !isTransitionAllowed(report.status, new_status)) {
+      return res.status(409).json(formatError(describeInvalidTransition(report.status, new_status), 409));
+    }
+
+    // Create the status update and apply the status change atomically
+    const { statusUpdate: created, error: applyError, statusCode } = await applyStatusUpdate({
+      reportId,
+      createdBy: currentUser.id,
+      updateText: update_text,
+      newStatus: new_status
+    });
+
+    if (applyError) {
+      return res.status(statusCode).json(formatError(applyError, statusCode));
+    }
+
+    await recordReportEvent({
+      reportId,
+      actorId: currentUser.id,
+      type: 'status_update',
+      changes: created.to_status ? diffReport(report, { status: created.to_status }) : {},
+      data: { status_update_id: created.id }
+    });
+
     const { data: statusUpdate, error } = await supabase
       .from('status_updates')
-      .insert({
-        report_id: reportId,
-        update_text,
-        created_by: currentUser.id
-      })
       .select(`
         *,
         created_by_user:created_by (
@@ -50,6 +82,7 @@ router.post('/:reportId/status', authenticateToken, requireOfficial, validateReq
           email
         )
       `)
+      .eq('id', created.id)
       .single();
 
     if (error) {
@@ -57,7 +90,14 @@ router.post('/:reportId/status', authenticateToken, requireOfficial, validateReq
       return res.status(400).json(formatError('Failed to create status update'));
     }
 
-    res.status(201).json(formatSuccess({ status_update: statusUpdate }, 'Status update created successfully'));
+    // Push to the report author and upvoters without holding up the response
+    notifyStatusUpdate({ reportId, statusUpdate: created, actorId: currentUser.id });
+    publishStatusUpdate({ reportId, municipalityId: report.municipality_id, statusUpdate });
+
+    res.status(201).json(formatSuccess({
+      status_update: statusUpdate,
+      report_status: statusUpdate.to_status || report.status
+    }, 'Status update created successfully'));
 
   } catch (error) {
     console.error('Create status update error:', error);
@@ -69,43 +109,63 @@ router.post('/:reportId/status', authenticateToken, requireOfficial, validateReq
 router.get('/:reportId/status', async (req, res) => {
   try {
     const { reportId } = req.params;
-    const { limit = 50, offset = 0 } = req.query;
+    const { error: validationError, value: filters } = listStatusUpdatesSchema.validate(req.query);
+
+    if (validationError) {
+      return res.status(400).json(formatError('Invalid query parameters', 400, validationError.details));
+    }
+
+    const { cursor, limit, offset } = filters;
+    const after = cursor ? decodeCursor(cursor) : null;
+
+    if (cursor && !after) {
+      return res.status(400).json(formatError('Invalid cursor'));
+    }
 
     // Verify report exists
     const { data: report, error: reportError } = await supabase
       .from('reports')
       .select('id')
       .eq('id', reportId)
+      .is('deleted_at', null)
       .single();
 
     if (reportError || !report) {
       return res.status(404).json(formatError('Report not found'));
     }
 
-    const { data: statusUpdates, error, count } = await supabase
-      .from('status_updates')
-      .select(`
-        *,
-        created_by_user:created_by (
-          id,
-          name,
-          email
-        )
-      `, { count: 'exact' })
-      .eq('report_id', reportId)
-      .order('created_at', { ascending: false })
-      .range(offset, offset + parseInt(limit) - 1);
+    const query = orderNewestFirst(
+      supabase
+        .from('status_updates')
+        .select(`
+          *,
+          created_by_user:created_by (
+            id,
+            name,
+            email
+          )
+        `, after ? {} : { count: 'exact' })
+        .eq('report_id', reportId)
+    );
+
+    const { data: statusUpdates, error, count } = await applyPagination(query, {
+      after,
+      limit,
+      offset
+    });
 
     if (error) {
       return res.status(400).json(formatError('Failed to fetch status updates'));
     }
 
-    res.json(formatSuccess({ 
-      status_updates: statusUpdates, 
-      total: count,
-      limit: parseInt(limit),
-      offset: parseInt(offset)
-    }));
+    const { rows, meta } = paginateRows(statusUpdates, {
+      after,
+      limit,
+      offset,
+      count
+    });
+
+    res.json(formatSuccess({ status_updates: rows, ...meta }));
 
   } catch (error) {
     console.error('Get status updates error:', error);
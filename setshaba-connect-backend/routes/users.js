@@ -13,9 +13,16 @@ const updateProfileSchema = Joi.object({
   home_address: Joi.string().max(500).optional(),
   lat: Joi.number().min(-90).max(90).optional(),
   lng: Joi.number().min(-180).max(180).optional(),
+  // Citizens pick their home municipality; officials and admins are moved through PUT /api/admin/users
   municipality_id: Joi.string().uuid().optional()
 });
 
+// Validation schema for push notification device registration
+const registerDeviceSchema = Joi.object({
+  push_token: Joi.string().max(255).required(),
+  platform: Joi.string().valid('ios', 'android', 'web').optional()
+});
+
 // Get current user profile
 router.get('/me', authenticateToken, async (req, res) => {
   try {
@@ -58,6 +65,11 @@ router.put('/me', authenticateToken, validateRequest(updateProfileSchema), async
     const updates = req.body;
     const userId = req.user.id;
 
+    // An official's municipality decides which queue they can work, so only admins change it
+    if (updates.municipality_id !== undefined && req.user.role !== 'citizen') {
+      return res.status(403).json(formatError('Officials and admins cannot change their own municipality', 403));
+    }
+
     // Remove any undefined values
     const cleanUpdates = Object.fromEntries(
       Object.entries(updates).filter(([_, value]) => value !== undefined)
@@ -102,6 +114,57 @@ router.put('/me', authenticateToken, validateRequest(updateProfileSchema), async
   }
 });
 
+// Register a device for push notifications
+router.post('/me/devices', authenticateToken, validateRequest(registerDeviceSchema), async (req, res) => {
+  try {
+    const { push_token, platform } = req.body;
+
+    // A token belongs to whoever signed in on the device most recently
+    const { data: device, error } = await supabase
+      .from('user_devices')
+      .upsert({
+        user_id: req.user.id,
+        push_token,
+        platform,
+        last_seen_at: new Date().toISOString()
+      }, { onConflict: 'push_token' })
+      .select('id, push_token, platform, created_at, last_seen_at')
+      .single();
+
+    if (error) {
+      console.error('Register device error:', error);
+      return res.status(400).json(formatError('Failed to register device'));
+    }
+
+    res.status(201).json(formatSuccess({ device }, 'Device registered successfully'));
+
+  } catch (error) {
+    console.error('Register device error:', error);
+    res.status(500).json(formatError('Internal server error'));
+  }
+});
+
+// Unregister a device, e.g. on sign out
+router.delete('/me/devices/:token', authenticateToken, async (req, res) => {
+  try {
+    const { error } = await supabase
+      .from('user_devices')
+      .delete()
+      .eq('user_id', req.user.id)
+      .eq('push_token', req.params.token);
+
+    if (error) {
+      return res.status(400).json(formatError('Failed to unregister device'));
+    }
+
+    res.json(formatSuccess(null, 'Device unregistered successfully'));
+
+  } catch (error) {
+    console.error('Unregister device error:', error);
+    res.status(500).json(formatError('Internal server error'));
+  }
+});
+
 // Get user by ID
 router.get('/:id', authenticateToken, async (req, res) => {
   try {
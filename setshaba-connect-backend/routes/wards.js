@@ -1,10 +1,18 @@
 import express from 'express';
 import { supabase } from '../config/database.js';
-import { authenticateToken, requireOfficial } from '../middleware/auth.js';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import Joi from 'joi';
 import { formatError, formatSuccess } from '../utils/helpers.js';
+import { clearBoundaryCache, findWardByPoint, getMunicipalityBoundaries } from '../utils/boundaries.js';
+import { distanceToBoundary } from '../utils/geo.js';
 
 const router = express.Router();
 
+const locateWardSchema = Joi.object({
+  lat: Joi.number().min(-90).max(90).required(),
+  lng: Joi.number().min(-180).max(180).required()
+});
+
 // Get all wards (public endpoint with caching)
 router.get('/', async (req, res) => {
   try {
@@ -42,6 +50,57 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Find the ward containing a point (public endpoint)
+router.get('/locate', async (req, res) => {
+  try {
+    const { error: validationError, value } = locateWardSchema.validate(req.query);
+
+    if (validationError) {
+      return res.status(400).json(formatError('Invalid query parameters', 400, validationError.details));
+    }
+
+    const { lat, lng } = value;
+    const ward = await findWardByPoint(lat, lng);
+
+    if (!ward) {
+      return res.status(404).json(formatError('No ward found for this location', 404));
+    }
+
+    let municipality = null;
+    if (ward.municipality_id) {
+      const municipalities = await getMunicipalityBoundaries();
+      const match = municipalities.find(m => m.id === ward.municipality_id);
+
+      if (match) {
+        municipality = { id: match.id, name: match.name, province: match.province };
+      } else {
+        const { data } = await supabase
+          .from('municipalities')
+          .select('id, name, province')
+          .eq('id', ward.municipality_id)
+          .single();
+
+        municipality = data || null;
+      }
+    }
+
+    const { boundary, ...wardData } = ward;
+    const distance = distanceToBoundary(lat, lng, boundary);
+
+    res.set('Cache-Control', 'public, max-age=3600'); // Cache for 1 hour
+
+    res.json(formatSuccess({
+      ward: wardData,
+      municipality,
+      distance_to_boundary_km: distance === null ? null : Math.round(distance * 1000) / 1000
+    }));
+
+  } catch (error) {
+    console.error('Locate ward error:', error);
+    res.status(500).json(formatError('Internal server error'));
+  }
+});
+
 // Get ward by ID
 router.get('/:wardId', async (req, res) => {
   try {
@@ -71,8 +130,8 @@ router.get('/:wardId', async (req, res) => {
   }
 });
 
-// Bulk import wards from GeoJSON (officials only)
-router.post('/import', authenticateToken, requireOfficial, async (req, res) => {
+// Bulk import wards from GeoJSON (admins only)
+router.post('/import', authenticateToken, requireAdmin, async (req, res) => {
   try {
     const { geojson_url, municipality_id, simplify_tolerance = 0.001 } = req.body;
     
@@ -158,6 +217,8 @@ router.post('/import', authenticateToken, requireOfficial, async (req, res) => {
       insertedCount += batch.length;
     }
 
+    clearBoundaryCache();
+
     res.json(formatSuccess({ 
       imported_count: insertedCount,
       total_features: geojsonData.features.length 
@@ -12,6 +12,17 @@ import reportRoutes from './routes/reports.js';
 import municipalityRoutes from './routes/municipalities.js';
 import wardRoutes from './routes/wards.js';
 import statusUpdateRoutes from './routes/status-updates.js';
+import attachmentRoutes from './routes/attachments.js';
+import commentRoutes from './routes/comments.js';
+import eventRoutes from './routes/events.js';
+import resolutionRoutes from './routes/resolutions.js';
+import feedbackRoutes from './routes/feedback.js';
+import categoryRoutes from './routes/categories.js';
+import departmentRoutes from './routes/departments.js';
+import adminRoutes from './routes/admin.js';
+import { UPLOAD_DIR } from './services/storage.js';
+import { startEscalationScheduler } from './services/slaEscalation.js';
+import { startClosureScheduler } from './services/resolutionClosure.js';
 
 // Load environment variables
 dotenv.config();
@@ -77,6 +88,12 @@ app.use(limiter);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
+// Photos stored by the local storage adapter
+app.use('/uploads', express.static(UPLOAD_DIR, {
+  maxAge: '7d',
+  setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+}));
+
 // Swagger documentation
 app.use('/docs', swaggerUi.serve, swaggerUi.setup(specs, {
   customCss: '.swagger-ui .topbar { display: none }',
@@ -97,8 +114,16 @@ app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/reports', reportRoutes);
 app.use('/api/municipalities', municipalityRoutes);
+app.use('/api/municipalities', categoryRoutes);
+app.use('/api/municipalities', departmentRoutes);
 app.use('/api/wards', wardRoutes);
 app.use('/api/reports', statusUpdateRoutes);
+app.use('/api/reports', attachmentRoutes);
+app.use('/api/reports', commentRoutes);
+app.use('/api/reports', eventRoutes);
+app.use('/api/reports', resolutionRoutes);
+app.use('/api/reports', feedbackRoutes);
+app.use('/api/admin', adminRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -121,6 +146,18 @@ app.use((error, req, res, next) => {
   });
 });
 
+// Escalate reports that miss their SLA. Set SLA_ESCALATION_INTERVAL_MINUTES=0 to
+// disable it, for example when the job runs elsewhere.
+if (process.env.NODE_ENV !== 'test' && process.env.SLA_ESCALATION_INTERVAL_MINUTES !== '0') {
+  startEscalationScheduler();
+}
+
+// Close resolved reports their authors didn't answer within RESOLUTION_CONFIRMATION_DAYS.
+// Set RESOLUTION_CLOSURE_INTERVAL_MINUTES=0 to disable it.
+if (process.env.NODE_ENV !== 'test' && process.env.RESOLUTION_CLOSURE_INTERVAL_MINUTES !== '0') {
+  startClosureScheduler();
+}
+
 app.listen(PORT, () => {
   console.log(`🚀 Setshaba Connect API server running on port ${PORT}`);
   console.log(`📍 Health check: http://localhost:${PORT}/health`);
@@ -0,0 +1,225 @@
+import fs from 'fs/promises';
+import { Expo } from 'expo-server-sdk';
+import { supabase } from '../config/database.js';
+
+// Notification transports share one shape:
+//   send(messages) -> [{ to, ok, error }]
+// where messages are { to, title, body, data } and error is 'DeviceNotRegistered'
+// for tokens that should be forgotten.
+// Select one with NOTIFICATION_TRANSPORT=expo|log (defaults to log under NODE_ENV=test, expo otherwise).
+
+// Expo push service adapter
+export const createExpoTransport = ({
+  accessToken = process.env.EXPO_ACCESS_TOKEN
+} = {}) => {
+  const expo = new Expo({ accessToken });
+
+  return {
+    async send(messages) {
+      const results = [];
+      const valid = [];
+
+      for (const message of messages) {
+        if (Expo.isExpoPushToken(message.to)) {
+          valid.push({ sound: 'default', ...message });
+        } else {
+          results.push({ to: message.to, ok: false, error: 'DeviceNotRegistered' });
+        }
+      }
+
+      for (const chunk of expo.chunkPushNotifications(valid)) {
+        try {
+          const tickets = await expo.sendPushNotificationsAsync(chunk);
+
+          tickets.forEach((ticket, index) => {
+            results.push({
+              to: chunk[index].to,
+              ok: ticket.status === 'ok',
+              error: ticket.status === 'ok' ? null : (ticket.details?.error || ticket.message)
+            });
+          });
+        } catch (error) {
+          console.error('Expo push error:', error);
+          chunk.forEach(message => results.push({ to: message.to, ok: false, error: error.message }));
+        }
+      }
+
+      return results;
+    }
+  };
+};
+
+// Log adapter for development and tests. Keeps the most recent messages in
+// memory (transport.messages) and appends one JSON line per message to
+// NOTIFICATION_LOG_FILE when set, so message contents never reach the server logs.
+const LOG_TRANSPORT_HISTORY = 500;
+
+export const createLogTransport = ({
+  file = process.env.NOTIFICATION_LOG_FILE
+} = {}) => {
+  const messages = [];
+
+  return {
+    messages,
+    async send(batch) {
+      const entries = batch.map(message => ({ ...message, sent_at: new Date().toISOString() }));
+
+      messages.push(...entries);
+      messages.splice(0, Math.max(0, messages.length - LOG_TRANSPORT_HISTORY));
+
+      if (file && entries.length > 0) {
+        await fs.appendFile(file, `${entries.map(entry => JSON.stringify(entry)).join('\n')}\n`);
+      }
+
+      return batch.map(message => ({ to: message.to, ok: true, error: null }));
+    }
+  };
+};
+
+let transport = null;
+
+export const getTransport = () => {
+  if (!transport) {
+    const driver = process.env.NOTIFICATION_TRANSPORT ||
+      (process.env.NODE_ENV === 'test' ? 'log' : 'expo');
+
+    transport = driver === 'expo' ? createExpoTransport() : createLogTransport();
+  }
+
+  return transport;
+};
+
+// Swap the active transport, mainly for tests
+export const setTransport = (adapter) => {
+  transport = adapter;
+};
+
+// Helper function to collect report followers (author and upvoters), minus whoever triggered the change
+const getReportRecipients = async (report, excludeUserId) => {
+  const { data: upvotes, error } = await supabase
+    .from('report_upvotes')
+    .select('user_id')
+    .eq('report_id', report.id);
+
+  if (error) {
+    throw new Error(`Failed to fetch upvoters: ${error.message}`);
+  }
+
+  const recipients = new Set([report.created_by, ...(upvotes || []).map(upvote => upvote.user_id)]);
+  recipients.delete(excludeUserId);
+  recipients.delete(null);
+
+  return [...recipients];
+};
+
+// Helper function to build the push message text for a status update
+const formatStatusUpdateMessage = (report, statusUpdate) => {
+  const title = statusUpdate.to_status
+    ? `Report ${statusUpdate.to_status.replace('_', ' ')}: ${report.title}`
+    : `Update on: ${report.title}`;
+
+  return { title, body: statusUpdate.update_text };
+};
+
+// Helper function to push one message to every device of the given users and
+// forget tokens for uninstalled apps so we stop sending to them. Returns the
+// deliveries the push service rejected for any other reason.
+const sendToUsers = async (userIds, { title, body, data }) => {
+  if (userIds.length === 0) {
+    return [];
+  }
+
+  const { data: devices, error: devicesError } = await supabase
+    .from('user_devices')
+    .select('push_token')
+    .in('user_id', userIds);
+
+  if (devicesError) {
+    throw new Error(`Failed to fetch devices: ${devicesError.message}`);
+  }
+
+  if (!devices || devices.length === 0) {
+    return [];
+  }
+
+  const messages = devices.map(device => ({ to: device.push_token, title, body, data }));
+  const results = await getTransport().send(messages);
+
+  const staleTokens = results
+    .filter(result => result.error === 'DeviceNotRegistered')
+    .map(result => result.to);
+
+  if (staleTokens.length > 0) {
+    await supabase.from('user_devices').delete().in('push_token', staleTokens);
+  }
+
+  return results.filter(result => !result.ok && result.error !== 'DeviceNotRegistered');
+};
+
+// Send a status update to the devices of everyone following the report.
+// Callers should not await this on the request path; failures are logged, not thrown.
+export const notifyStatusUpdate = async ({ reportId, statusUpdate, actorId }) => {
+  try {
+    const { data: report, error: reportError } = await supabase
+      .from('reports')
+      .select('id, title, created_by')
+      .eq('id', reportId)
+      .single();
+
+    if (reportError || !report) {
+      return;
+    }
+
+    const recipients = await getReportRecipients(report, actorId);
+
+    await sendToUsers(recipients, {
+      ...formatStatusUpdateMessage(report, statusUpdate),
+      data: {
+        type: 'status_update',
+        reportId: report.id,
+        statusUpdateId: statusUpdate.id
+      }
+    });
+  } catch (error) {
+    console.error('Notify status update error:', error);
+  }
+};
+
+// Tell officials that a report has missed its SLA. Throws when the devices can't be
+// fetched or the push service rejects a delivery, so the escalation job can retry.
+export const notifyEscalation = async ({ report, recipientIds, level }) => {
+  const failed = await sendToUsers(recipientIds, {
+    title: level > 1 ? `Escalated: ${report.title}` : `Overdue: ${report.title}`,
+    body: `This ${report.category} report has been ${report.status.replace('_', ' ')} past its target of ${new Date(report.due_at).toLocaleString('en-ZA')}.`,
+    data: {
+      type: 'sla_escalation',
+      reportId: report.id,
+      level
+    }
+  });
+
+  if (failed.length > 0) {
+    throw new Error(`Failed to deliver ${failed.length} escalation notification(s): ${failed.map(result => result.error).join(', ')}`);
+  }
+};
+
+// Tell the assigned official that the author says their report isn't fixed.
+// Unassigned reports go back to the municipality queue. Failures are logged, not thrown.
+export const notifyReopened = async ({ report, reason = null }) => {
+  try {
+    if (!report.assigned_official) {
+      return;
+    }
+
+    await sendToUsers([report.assigned_official], {
+      title: `Reopened: ${report.title}`,
+      body: reason || 'The reporter says this issue has not been fixed.',
+      data: {
+        type: 'report_reopened',
+        reportId: report.id
+      }
+    });
+  } catch (error) {
+    console.error('Notify reopened error:', error);
+  }
+};
@@ -0,0 +1,117 @@
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { supabase } from '../config/database.js';
+
+// Report event brokers share one shape:
+//   publish(event) and subscribe(handler) -> unsubscribe
+// where events are { id, type, report_id, municipality_id, data, created_at }.
+// The default broker lives in memory, so subscribers only see events published by
+// the same API instance. Deployments running several instances need a shared
+// broker (e.g. Postgres LISTEN/NOTIFY or Redis pub/sub), installed with setBroker.
+
+export const REPORT_EVENT_TYPES = [
+  'report.created',
+  'report.status_changed',
+  'status_update.created',
+  'report.upvotes_changed'
+];
+
+// In-process adapter
+export const createMemoryBroker = () => {
+  const emitter = new EventEmitter();
+
+  // One listener per open stream
+  emitter.setMaxListeners(0);
+
+  return {
+    publish(event) {
+      emitter.emit('event', event);
+    },
+
+    subscribe(handler) {
+      emitter.on('event', handler);
+      return () => emitter.off('event', handler);
+    }
+  };
+};
+
+let broker = null;
+
+export const getBroker = () => {
+  if (!broker) {
+    broker = createMemoryBroker();
+  }
+
+  return broker;
+};
+
+// Swap the active broker, mainly for tests
+export const setBroker = (adapter) => {
+  broker = adapter;
+};
+
+// Publish an event to everyone watching the report or its municipality.
+// Failures are logged, not thrown, so they never fail the change itself.
+export const publishReportEvent = (type, { reportId, municipalityId, data = {} }) => {
+  try {
+    getBroker().publish({
+      id: randomUUID(),
+      type,
+      report_id: reportId,
+      municipality_id: municipalityId,
+      data,
+      created_at: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Publish report event error:', error);
+  }
+};
+
+// Call handler with every event the filter accepts. Returns the unsubscribe function.
+export const subscribeToReportEvents = (filter, handler) =>
+  getBroker().subscribe((event) => {
+    if (filter(event)) {
+      handler(event);
+    }
+  });
+
+// Publish the report's upvote count after an upvote was added or removed.
+// The count is kept on the report by a trigger, so it is read back rather than guessed.
+export const publishUpvoteCount = async ({ reportId, municipalityId }) => {
+  try {
+    const { data: report, error } = await supabase
+      .from('reports')
+      .select('upvotes')
+      .eq('id', reportId)
+      .single();
+
+    if (error || !report) {
+      return;
+    }
+
+    publishReportEvent('report.upvotes_changed', {
+      reportId,
+      municipalityId,
+      data: { upvotes: report.upvotes }
+    });
+  } catch (error) {
+    console.error('Publish upvote count error:', error);
+  }
+};
+
+// Publish a new status update, and the status change when it made one
+export const publishStatusUpdate = ({ reportId, municipalityId, statusUpdate }) => {
+  publishReportEvent('status_update.created', {
+    reportId,
+    municipalityId,
+    data: { status_update: statusUpdate }
+  });
+
+  if (statusUpdate.to_status) {
+    publishReportEvent('report.status_changed', {
+      reportId,
+      municipalityId,
+      data: { from_status: statusUpdate.from_status, to_status: statusUpdate.to_status }
+    });
+  }
+};
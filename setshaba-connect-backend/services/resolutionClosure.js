@@ -0,0 +1,56 @@
+import { supabase } from '../config/database.js';
+import { RESOLUTION_CONFIRMATION_DAYS } from '../utils/reportResolution.js';
+import { diffReport, recordReportEvent } from '../utils/reportHistory.js';
+
+export const CLOSURE_INTERVAL_MINUTES = parseInt(process.env.RESOLUTION_CLOSURE_INTERVAL_MINUTES, 10) || 60;
+
+// Close resolved reports whose author hasn't confirmed or reopened them within
+// RESOLUTION_CONFIRMATION_DAYS. The conditional update claims each report, so
+// several instances can run this without closing a report twice.
+export const closeUnconfirmedResolutions = async ({ now = new Date() } = {}) => {
+  const cutoff = new Date(now.getTime() - RESOLUTION_CONFIRMATION_DAYS * 24 * 60 * 60 * 1000);
+
+  const { data: closed, error } = await supabase
+    .from('reports')
+    .update({ closed_at: now.toISOString() })
+    .eq('status', 'resolved')
+    .is('closed_at', null)
+    .is('deleted_at', null)
+    .lt('resolved_at', cutoff.toISOString())
+    .select('id, resolved_at');
+
+  if (error) {
+    throw new Error(`Failed to close resolved reports: ${error.message}`);
+  }
+
+  for (const report of closed) {
+    await recordReportEvent({
+      reportId: report.id,
+      type: 'closed',
+      changes: diffReport({ closed_at: null }, { closed_at: now.toISOString() }),
+      data: { automatic: true, resolved_at: report.resolved_at }
+    });
+  }
+
+  return closed.map(report => report.id);
+};
+
+// Run the closure job every CLOSURE_INTERVAL_MINUTES. Returns a function that stops it.
+export const startClosureScheduler = ({ intervalMinutes = CLOSURE_INTERVAL_MINUTES } = {}) => {
+  const run = async () => {
+    try {
+      const closed = await closeUnconfirmedResolutions();
+
+      if (closed.length > 0) {
+        console.log(`Closed ${closed.length} resolved report(s) nobody confirmed`);
+      }
+    } catch (error) {
+      console.error('Resolution closure error:', error);
+    }
+  };
+
+  const timer = setInterval(run, intervalMinutes * 60 * 1000);
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
@@ -0,0 +1,138 @@
+import { supabase } from '../config/database.js';
+import { notifyEscalation } from './notifications.js';
+
+// Overdue reports go to their assignee first, then to the assignee's supervisor
+// once they have been overdue for this many more hours
+export const SUPERVISOR_ESCALATION_HOURS = parseInt(process.env.SLA_SUPERVISOR_ESCALATION_HOURS, 10) || 24;
+export const ESCALATION_INTERVAL_MINUTES = parseInt(process.env.SLA_ESCALATION_INTERVAL_MINUTES, 10) || 15;
+const ESCALATION_BATCH_SIZE = 200;
+
+// Helper function to fetch active users by filter, returning their ids
+const findActiveUserIds = async (applyFilter) => {
+  const { data: users, error } = await applyFilter(
+    supabase.from('users').select('id').neq('is_active', false)
+  );
+
+  if (error) {
+    throw new Error(`Failed to fetch escalation recipients: ${error.message}`);
+  }
+
+  return (users || []).map(user => user.id);
+};
+
+// Level 1 goes to the assignee, or every official in the municipality when
+// nobody is assigned. Level 2 goes to the assignee's supervisor, or the admins.
+const getEscalationRecipients = async (report, level) => {
+  if (level === 1) {
+    if (report.assigned_official) {
+      return [report.assigned_official];
+    }
+
+    return findActiveUserIds(query => query
+      .eq('role', 'official')
+      .eq('municipality_id', report.municipality_id));
+  }
+
+  const supervisorId = report.assigned_official_user?.supervisor_id;
+
+  if (supervisorId) {
+    return [supervisorId];
+  }
+
+  return findActiveUserIds(query => query.eq('role', 'admin'));
+};
+
+// Helper function to undo a claimed escalation nobody was told about, so the next run retries it
+const releaseEscalation = async (report, level) => {
+  const { error } = await supabase
+    .from('reports')
+    .update({ escalation_level: report.escalation_level, escalated_at: report.escalated_at })
+    .eq('id', report.id)
+    .eq('escalation_level', level);
+
+  if (error) {
+    console.error(`Report ${report.id} was escalated to level ${level} without notifying anyone:`, error);
+  }
+};
+
+// Escalate reports past their SLA by one level and notify the next person up.
+// Safe to run from several instances: each escalation is claimed with a
+// conditional update before anyone is notified. A failure for one report
+// releases its claim and moves on to the rest of the batch.
+export const escalateOverdueReports = async ({ now = new Date() } = {}) => {
+  const supervisorCutoff = new Date(now.getTime() - SUPERVISOR_ESCALATION_HOURS * 60 * 60 * 1000);
+
+  const { data: reports, error } = await supabase
+    .from('reports')
+    .select(`
+      id, title, category, status, municipality_id, assigned_official, due_at, escalation_level, escalated_at,
+      assigned_official_user:assigned_official (
+        supervisor_id
+      )
+    `)
+    .lt('due_at', now.toISOString())
+    .neq('status', 'resolved')
+    .is('merged_into', null)
+    .is('deleted_at', null)
+    .or(`escalation_level.eq.0,and(escalation_level.eq.1,due_at.lt."${supervisorCutoff.toISOString()}")`)
+    .order('due_at', { ascending: true })
+    .limit(ESCALATION_BATCH_SIZE);
+
+  if (error) {
+    throw new Error(`Failed to fetch overdue reports: ${error.message}`);
+  }
+
+  const escalated = [];
+
+  for (const report of reports) {
+    const level = report.escalation_level + 1;
+
+    const { data: claimed, error: claimError } = await supabase
+      .from('reports')
+      .update({ escalation_level: level, escalated_at: now.toISOString() })
+      .eq('id', report.id)
+      .eq('escalation_level', report.escalation_level)
+      .select('id');
+
+    if (claimError) {
+      console.error('Claim escalation error:', claimError);
+      continue;
+    }
+
+    // Another run got there first, or the status changed in the meantime
+    if (!claimed || claimed.length === 0) {
+      continue;
+    }
+
+    try {
+      const recipientIds = await getEscalationRecipients(report, level);
+      await notifyEscalation({ report, recipientIds, level });
+      escalated.push({ report_id: report.id, level, recipients: recipientIds.length });
+    } catch (error) {
+      console.error('Escalation notify error:', error);
+      await releaseEscalation(report, level);
+    }
+  }
+
+  return escalated;
+};
+
+// Run the escalation job every ESCALATION_INTERVAL_MINUTES. Returns a function that stops it.
+export const startEscalationScheduler = ({ intervalMinutes = ESCALATION_INTERVAL_MINUTES } = {}) => {
+  const run = async () => {
+    try {
+      const escalated = await escalateOverdueReports();
+
+      if (escalated.length > 0) {
+        console.log(`Escalated ${escalated.length} overdue report(s)`);
+      }
+    } catch (error) {
+      console.error('SLA escalation error:', error);
+    }
+  };
+
+  const timer = setInterval(run, intervalMinutes * 60 * 1000);
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
@@ -0,0 +1,73 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { supabase } from '../config/database.js';
+
+// Storage adapters share one shape:
+//   save(key, buffer, contentType) -> { key, url }
+//   remove(keys)
+// Select one with STORAGE_DRIVER=local|supabase (defaults to local).
+
+export const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || 'uploads');
+
+// Local disk adapter, files are served by server.js under /uploads
+export const createLocalStorage = ({
+  directory = UPLOAD_DIR,
+  baseUrl = process.env.UPLOADS_BASE_URL || '/uploads'
+} = {}) => ({
+  async save(key, buffer) {
+    const filePath = path.join(directory, key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+
+    return { key, url: `${baseUrl}/${key}` };
+  },
+
+  async remove(keys) {
+    await Promise.all(keys.map(key =>
+      fs.rm(path.join(directory, key), { force: true })
+    ));
+  }
+});
+
+// Supabase Storage adapter, the bucket must allow public reads
+export const createSupabaseStorage = ({
+  bucket = process.env.SUPABASE_STORAGE_BUCKET || 'report-attachments'
+} = {}) => ({
+  async save(key, buffer, contentType) {
+    const { error } = await supabase.storage
+      .from(bucket)
+      .upload(key, buffer, { contentType, upsert: false });
+
+    if (error) {
+      throw new Error(`Failed to upload ${key}: ${error.message}`);
+    }
+
+    const { data } = supabase.storage.from(bucket).getPublicUrl(key);
+    return { key, url: data.publicUrl };
+  },
+
+  async remove(keys) {
+    const { error } = await supabase.storage.from(bucket).remove(keys);
+
+    if (error) {
+      throw new Error(`Failed to remove attachments: ${error.message}`);
+    }
+  }
+});
+
+let storage = null;
+
+export const getStorage = () => {
+  if (!storage) {
+    storage = process.env.STORAGE_DRIVER === 'supabase'
+      ? createSupabaseStorage()
+      : createLocalStorage();
+  }
+
+  return storage;
+};
+
+// Swap the active adapter, mainly for tests
+export const setStorage = (adapter) => {
+  storage = adapter;
+};
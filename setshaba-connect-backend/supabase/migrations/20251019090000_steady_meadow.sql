@@ -0,0 +1,28 @@
+/*
+  # Fix Municipality Boundaries
+
+  1. Changes
+    - The seeded `municipalities.bounds` polygons were stored as [lat, lng] pairs,
+      and their boxes did not cover the cities they describe
+    - Replace them with GeoJSON-ordered ([lng, lat]) boxes that enclose each metro,
+      so point-in-polygon lookups resolve reports to the right municipality
+
+  2. Notes
+    - Only the four demo municipalities are touched; imported boundaries are left as-is
+*/
+
+UPDATE municipalities
+SET bounds = '{"type": "Polygon", "coordinates": [[[27.70, -26.55], [28.25, -26.55], [28.25, -25.90], [27.70, -25.90], [27.70, -26.55]]]}'::jsonb
+WHERE name = 'City of Johannesburg';
+
+UPDATE municipalities
+SET bounds = '{"type": "Polygon", "coordinates": [[[27.85, -25.90], [29.10, -25.90], [29.10, -25.10], [27.85, -25.10], [27.85, -25.90]]]}'::jsonb
+WHERE name = 'City of Tshwane (Pretoria)';
+
+UPDATE municipalities
+SET bounds = '{"type": "Polygon", "coordinates": [[[36.65, -1.45], [37.10, -1.45], [37.10, -1.16], [36.65, -1.16], [36.65, -1.45]]]}'::jsonb
+WHERE name = 'City of Nairobi';
+
+UPDATE municipalities
+SET bounds = '{"type": "Polygon", "coordinates": [[[18.30, -34.36], [19.00, -34.36], [19.00, -33.47], [18.30, -33.47], [18.30, -34.36]]]}'::jsonb
+WHERE name = 'City of Cape Town';
@@ -0,0 +1,41 @@
+/*
+  # Link Reports to Wards
+
+  1. Schema Updates
+    - Add `ward_id` (text) to `reports` if the ward support migration hasn't already
+    - Clear ward ids that don't match a known ward, then add a foreign key to
+      `wards(ward_id)` so report queries can embed ward details
+
+  2. Indexes
+    - Composite index on (municipality_id, ward_id) for ward-filtered municipality queues
+*/
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'reports' AND column_name = 'ward_id'
+  ) THEN
+    ALTER TABLE reports ADD COLUMN ward_id text;
+  END IF;
+END $$;
+
+UPDATE reports
+SET ward_id = NULL
+WHERE ward_id IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM wards WHERE wards.ward_id = reports.ward_id);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.table_constraints
+    WHERE table_name = 'reports' AND constraint_name = 'reports_ward_id_fkey'
+  ) THEN
+    ALTER TABLE reports
+      ADD CONSTRAINT reports_ward_id_fkey
+      FOREIGN KEY (ward_id) REFERENCES wards(ward_id) ON DELETE SET NULL;
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_reports_ward_id ON reports(ward_id);
+CREATE INDEX IF NOT EXISTS idx_reports_municipality_ward ON reports(municipality_id, ward_id);
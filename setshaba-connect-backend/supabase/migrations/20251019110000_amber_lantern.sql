@@ -0,0 +1,57 @@
+/*
+  # Create Report Attachments Table
+
+  1. New Tables
+    - `report_attachments`
+      - `id` (uuid, primary key)
+      - `report_id` (uuid, references reports)
+      - `uploaded_by` (uuid, references users)
+      - `storage_key` / `thumbnail_key` (text) - object keys in the storage backend
+      - `url` / `thumbnail_url` (text) - public URLs of the photo and its thumbnail
+      - `content_type` (text), `size_bytes` (integer), `width` / `height` (integer)
+      - `created_at` (timestamp)
+
+  2. Security
+    - Enable RLS on `report_attachments`
+    - Public read access, writes go through the API with the service role
+
+  3. Data Migration
+    - Copy existing http(s) `reports.photo_url` values into `report_attachments`.
+      Local `file://` paths saved by older app versions can't be recovered and are skipped.
+      `photo_url` is kept for now but is no longer written by the API.
+*/
+
+CREATE TABLE IF NOT EXISTS report_attachments (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  report_id uuid NOT NULL REFERENCES reports(id) ON DELETE CASCADE,
+  uploaded_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  storage_key text,
+  thumbnail_key text,
+  url text NOT NULL,
+  thumbnail_url text,
+  content_type text,
+  size_bytes integer,
+  width integer,
+  height integer,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_report_attachments_report_id ON report_attachments(report_id);
+
+ALTER TABLE report_attachments ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone can read report attachments" ON report_attachments;
+
+CREATE POLICY "Anyone can read report attachments"
+  ON report_attachments
+  FOR SELECT
+  TO public
+  USING (true);
+
+INSERT INTO report_attachments (report_id, uploaded_by, url, thumbnail_url, created_at)
+SELECT id, created_by, photo_url, photo_url, created_at
+FROM reports
+WHERE photo_url ~* '^https?://'
+  AND NOT EXISTS (
+    SELECT 1 FROM report_attachments a WHERE a.report_id = reports.id AND a.url = reports.photo_url
+  );
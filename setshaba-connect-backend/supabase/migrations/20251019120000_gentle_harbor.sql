@@ -0,0 +1,102 @@
+/*
+  # Tie Report Status to Status Updates
+
+  1. Schema Updates
+    - Add `from_status` and `to_status` (report_status, nullable) to `status_updates`.
+      Both are null for plain text updates that don't change the status.
+
+  2. Functions
+    - `report_status_transition_allowed(from, to)` - the report status state machine:
+        pending -> acknowledged -> in_progress -> resolved
+        resolved -> acknowledged | in_progress (reopen)
+    - `apply_report_status_update(report_id, created_by, update_text, new_status)` - locks the
+      report, validates the transition, updates `reports.status` and inserts the
+      `status_updates` row in one transaction. Raises `invalid_status_transition` (P0001)
+      when the transition is not allowed.
+
+  3. Notes
+    - The API validates transitions before calling the function so callers get clear
+      errors; the check here protects against concurrent changes.
+*/
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'status_updates' AND column_name = 'from_status'
+  ) THEN
+    ALTER TABLE status_updates ADD COLUMN from_status report_status;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'status_updates' AND column_name = 'to_status'
+  ) THEN
+    ALTER TABLE status_updates ADD COLUMN to_status report_status;
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_status_updates_report_created ON status_updates(report_id, created_at DESC);
+
+CREATE OR REPLACE FUNCTION report_status_transition_allowed(
+  p_from report_status,
+  p_to report_status
+)
+RETURNS boolean
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT (p_from, p_to) IN (
+    ('pending'::report_status, 'acknowledged'::report_status),
+    ('acknowledged'::report_status, 'in_progress'::report_status),
+    ('in_progress'::report_status, 'resolved'::report_status),
+    ('resolved'::report_status, 'acknowledged'::report_status),
+    ('resolved'::report_status, 'in_progress'::report_status)
+  );
+$$;
+
+CREATE OR REPLACE FUNCTION apply_report_status_update(
+  p_report_id uuid,
+  p_created_by uuid,
+  p_update_text text,
+  p_new_status report_status DEFAULT NULL
+)
+RETURNS status_updates
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  current_status report_status;
+  inserted status_updates;
+BEGIN
+  SELECT status INTO current_status
+  FROM reports
+  WHERE id = p_report_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'report_not_found' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF p_new_status IS NOT NULL THEN
+    IF NOT report_status_transition_allowed(current_status, p_new_status) THEN
+      RAISE EXCEPTION 'invalid_status_transition'
+        USING ERRCODE = 'P0001',
+              DETAIL = format('%s -> %s', current_status, p_new_status);
+    END IF;
+
+    UPDATE reports SET status = p_new_status WHERE id = p_report_id;
+  END IF;
+
+  INSERT INTO status_updates (report_id, update_text, created_by, from_status, to_status)
+  VALUES (
+    p_report_id,
+    p_update_text,
+    p_created_by,
+    CASE WHEN p_new_status IS NULL THEN NULL ELSE current_status END,
+    p_new_status
+  )
+  RETURNING * INTO inserted;
+
+  RETURN inserted;
+END;
+$$;
@@ -0,0 +1,42 @@
+/*
+  # Create User Devices Table
+
+  1. New Tables
+    - `user_devices`
+      - `id` (uuid, primary key)
+      - `user_id` (uuid, references users)
+      - `push_token` (text, unique) - Expo push token for the device
+      - `platform` (text) - ios, android or web
+      - `created_at` (timestamp)
+      - `last_seen_at` (timestamp) - refreshed every time the app registers the token
+
+  2. Security
+    - Enable RLS on `user_devices`
+    - Users can read their own devices, writes go through the API with the service role
+
+  3. Notes
+    - A token belongs to one user at a time. Registering a token that is already
+      stored moves it to the new user, so signing in on a shared device doesn't
+      keep notifying the previous account.
+*/
+
+CREATE TABLE IF NOT EXISTS user_devices (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  push_token text NOT NULL UNIQUE,
+  platform text CHECK (platform IN ('ios', 'android', 'web')),
+  created_at timestamptz DEFAULT now(),
+  last_seen_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_devices_user_id ON user_devices(user_id);
+
+ALTER TABLE user_devices ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can read their own devices" ON user_devices;
+
+CREATE POLICY "Users can read their own devices"
+  ON user_devices
+  FOR SELECT
+  TO authenticated
+  USING (auth.uid() = user_id);
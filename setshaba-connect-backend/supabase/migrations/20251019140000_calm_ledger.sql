@@ -0,0 +1,89 @@
+/*
+  # Report Assignment History
+
+  1. New Tables
+    - `report_assignments` - one row per assignment change
+      - `id` (uuid, primary key)
+      - `report_id` (uuid, references reports)
+      - `assigned_to` (uuid, references users, nullable) - new assignee, null when unassigned
+      - `previous_assignee` (uuid, references users, nullable)
+      - `assigned_by` (uuid, references users) - official who made the change
+      - `note` (text, nullable)
+      - `created_at` (timestamp)
+
+  2. Functions
+    - `apply_report_assignment(report_id, assigned_to, assigned_by, note)` - locks the report,
+      updates `reports.assigned_official` and records the change in one transaction.
+      Raises `report_not_found` (P0002) for missing reports.
+
+  3. Security
+    - Enable RLS on `report_assignments`
+    - Officials can read the history of reports in their municipality, writes go through the API
+
+  4. Indexes
+    - `reports(municipality_id, assigned_official)` for the "assigned to me" queue
+*/
+
+CREATE TABLE IF NOT EXISTS report_assignments (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  report_id uuid NOT NULL REFERENCES reports(id) ON DELETE CASCADE,
+  assigned_to uuid REFERENCES users(id) ON DELETE SET NULL,
+  previous_assignee uuid REFERENCES users(id) ON DELETE SET NULL,
+  assigned_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  note text,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_report_assignments_report_created ON report_assignments(report_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_reports_municipality_assigned ON reports(municipality_id, assigned_official);
+
+ALTER TABLE report_assignments ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Officials can read assignments in their municipality" ON report_assignments;
+
+CREATE POLICY "Officials can read assignments in their municipality"
+  ON report_assignments
+  FOR SELECT
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1
+      FROM reports r
+      JOIN users u ON u.id = auth.uid()
+      WHERE r.id = report_assignments.report_id
+        AND u.role = 'official'
+        AND u.municipality_id = r.municipality_id
+    )
+  );
+
+CREATE OR REPLACE FUNCTION apply_report_assignment(
+  p_report_id uuid,
+  p_assigned_to uuid,
+  p_assigned_by uuid,
+  p_note text DEFAULT NULL
+)
+RETURNS report_assignments
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  current_assignee uuid;
+  inserted report_assignments;
+BEGIN
+  SELECT assigned_official INTO current_assignee
+  FROM reports
+  WHERE id = p_report_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'report_not_found' USING ERRCODE = 'P0002';
+  END IF;
+
+  UPDATE reports SET assigned_official = p_assigned_to WHERE id = p_report_id;
+
+  INSERT INTO report_assignments (report_id, assigned_to, previous_assignee, assigned_by, note)
+  VALUES (p_report_id, p_assigned_to, current_assignee, p_assigned_by, p_note)
+  RETURNING * INTO inserted;
+
+  RETURN inserted;
+END;
+$$;
@@ -0,0 +1,100 @@
+/*
+  # Admin Role, Official Invites and Account Approval
+
+  1. Types
+    - Add 'admin' to the `user_role` enum
+
+  2. Schema Updates
+    - `users.is_active` (boolean, default true) - deactivated users can't sign in or use the API
+    - `users.deactivated_at` (timestamp, nullable)
+    - `users.requested_role` (user_role, nullable) - role asked for at registration, awaiting approval
+    - `users.requested_municipality_id` (uuid, nullable) - municipality the requested role is for
+
+  3. New Tables
+    - `official_invites`
+      - `id` (uuid, primary key)
+      - `email` (text) - the invite only works for this address
+      - `municipality_id` (uuid, references municipalities)
+      - `token_hash` (text, unique) - sha256 of the invite token, the token itself is never stored
+      - `invited_by` (uuid, references users)
+      - `expires_at` (timestamp)
+      - `accepted_at` (timestamp, nullable), `accepted_by` (uuid, nullable)
+      - `created_at` (timestamp)
+
+  4. Security
+    - Enable RLS on `official_invites`, only the API (service role) reads and writes it
+    - Admins can read all users
+
+  5. Notes
+    - Self-registration no longer grants the official role. Officials sign up with an invite
+      token or request the role and wait for an admin to approve it.
+    - Promote the first admin manually:
+        UPDATE users SET role = 'admin' WHERE email = '...';
+    - Policies compare `role::text` because a new enum value can't be used in the
+      transaction that adds it.
+*/
+
+ALTER TYPE user_role ADD VALUE IF NOT EXISTS 'admin';
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'users' AND column_name = 'is_active'
+  ) THEN
+    ALTER TABLE users ADD COLUMN is_active boolean DEFAULT true NOT NULL;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'users' AND column_name = 'deactivated_at'
+  ) THEN
+    ALTER TABLE users ADD COLUMN deactivated_at timestamptz;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'users' AND column_name = 'requested_role'
+  ) THEN
+    ALTER TABLE users ADD COLUMN requested_role user_role;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'users' AND column_name = 'requested_municipality_id'
+  ) THEN
+    ALTER TABLE users ADD COLUMN requested_municipality_id uuid REFERENCES municipalities(id);
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_users_requested_role ON users(requested_role) WHERE requested_role IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS official_invites (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  email text NOT NULL,
+  municipality_id uuid NOT NULL REFERENCES municipalities(id) ON DELETE CASCADE,
+  token_hash text NOT NULL UNIQUE,
+  invited_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  expires_at timestamptz NOT NULL,
+  accepted_at timestamptz,
+  accepted_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_official_invites_email ON official_invites(lower(email));
+
+ALTER TABLE official_invites ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Admins can read all users" ON users;
+
+CREATE POLICY "Admins can read all users"
+  ON users
+  FOR SELECT
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM users admins
+      WHERE admins.id = auth.uid()
+        AND admins.role::text = 'admin'
+    )
+  );
@@ -0,0 +1,107 @@
+/*
+  # Duplicate Report Merging
+
+  1. Schema Updates
+    - `reports.merged_into` (uuid, references reports, nullable) - canonical report a duplicate was merged into
+    - `reports.merged_at` (timestamp, nullable)
+    - `reports.merged_by` (uuid, references users, nullable)
+
+  2. Functions
+    - `merge_reports(canonical_id, duplicate_id, merged_by)` - locks both reports and, in one transaction:
+        - moves upvotes to the canonical report (skipping users who already upvoted it, and its author)
+        - counts the duplicate's author as an upvoter of the canonical report
+        - moves status updates to the canonical report
+        - marks the duplicate as merged
+      Raises `report_not_found` (P0002), `report_already_merged` or `cannot_merge_into_self` (P0001).
+
+  3. Indexes
+    - Partial index for the open-report lookups used by duplicate detection
+*/
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'reports' AND column_name = 'merged_into'
+  ) THEN
+    ALTER TABLE reports ADD COLUMN merged_into uuid REFERENCES reports(id) ON DELETE SET NULL;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'reports' AND column_name = 'merged_at'
+  ) THEN
+    ALTER TABLE reports ADD COLUMN merged_at timestamptz;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'reports' AND column_name = 'merged_by'
+  ) THEN
+    ALTER TABLE reports ADD COLUMN merged_by uuid REFERENCES users(id) ON DELETE SET NULL;
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_reports_merged_into ON reports(merged_into);
+CREATE INDEX IF NOT EXISTS idx_reports_open_category_created
+  ON reports(category, created_at DESC)
+  WHERE merged_into IS NULL AND status <> 'resolved';
+
+CREATE OR REPLACE FUNCTION merge_reports(
+  p_canonical_id uuid,
+  p_duplicate_id uuid,
+  p_merged_by uuid
+)
+RETURNS reports
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  canonical reports;
+  duplicate reports;
+BEGIN
+  IF p_canonical_id = p_duplicate_id THEN
+    RAISE EXCEPTION 'cannot_merge_into_self' USING ERRCODE = 'P0001';
+  END IF;
+
+  -- Lock in a stable order so concurrent merges can't deadlock
+  PERFORM 1 FROM reports
+  WHERE id IN (p_canonical_id, p_duplicate_id)
+  ORDER BY id
+  FOR UPDATE;
+
+  SELECT * INTO canonical FROM reports WHERE id = p_canonical_id;
+  SELECT * INTO duplicate FROM reports WHERE id = p_duplicate_id;
+
+  IF canonical.id IS NULL OR duplicate.id IS NULL THEN
+    RAISE EXCEPTION 'report_not_found' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF canonical.merged_into IS NOT NULL OR duplicate.merged_into IS NOT NULL THEN
+    RAISE EXCEPTION 'report_already_merged' USING ERRCODE = 'P0001';
+  END IF;
+
+  INSERT INTO report_upvotes (report_id, user_id, created_at)
+  SELECT p_canonical_id, voter.user_id, voter.created_at
+  FROM (
+    SELECT user_id, created_at FROM report_upvotes WHERE report_id = p_duplicate_id
+    UNION ALL
+    SELECT duplicate.created_by, duplicate.created_at
+  ) voter
+  WHERE voter.user_id IS NOT NULL
+    AND voter.user_id IS DISTINCT FROM canonical.created_by
+  ON CONFLICT (report_id, user_id) DO NOTHING;
+
+  DELETE FROM report_upvotes WHERE report_id = p_duplicate_id;
+
+  UPDATE status_updates SET report_id = p_canonical_id WHERE report_id = p_duplicate_id;
+
+  UPDATE reports
+  SET merged_into = p_canonical_id,
+      merged_at = now(),
+      merged_by = p_merged_by
+  WHERE id = p_duplicate_id
+  RETURNING * INTO duplicate;
+
+  RETURN duplicate;
+END;
+$$;
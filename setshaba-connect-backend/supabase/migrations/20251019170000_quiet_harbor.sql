@@ -0,0 +1,25 @@
+/*
+  # Report Idempotency Keys
+
+  1. Schema Updates
+    - `reports.idempotency_key` (text, nullable) - client-generated key sent in the `Idempotency-Key`
+      header when a report is created, so retried submissions from the app's offline outbox
+      return the original report instead of creating another one
+
+  2. Indexes
+    - Unique index on (created_by, idempotency_key) for reports that have a key
+*/
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'reports' AND column_name = 'idempotency_key'
+  ) THEN
+    ALTER TABLE reports ADD COLUMN idempotency_key text;
+  END IF;
+END $$;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reports_created_by_idempotency_key
+  ON reports(created_by, idempotency_key)
+  WHERE idempotency_key IS NOT NULL;
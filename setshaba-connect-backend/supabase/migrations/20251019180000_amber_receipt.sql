@@ -0,0 +1,49 @@
+/*
+  # Create Idempotency Keys Table
+
+  1. New Tables
+    - `idempotency_keys`
+      - `user_id` (uuid, references users) - keys are scoped to the caller
+      - `key` (text) - value of the `Idempotency-Key` request header
+      - `method` (text), `path` (text) - the request the key was first used for
+      - `fingerprint` (text) - sha256 of method, path and body, to spot a key reused for a different request
+      - `status` (text) - `in_progress` while the first request runs, then `completed`
+      - `response_status` (integer), `response_body` (jsonb) - replayed to retries
+      - `created_at`, `expires_at` (timestamp)
+      - Primary key on (user_id, key)
+
+  2. Security
+    - Enable RLS on `idempotency_keys` with no policies, only the API's service role uses it
+
+  3. Notes
+    - Expired rows are replaced when their key is used again. `purge_expired_idempotency_keys()`
+      can be scheduled to clear the rest.
+*/
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  key text NOT NULL,
+  method text NOT NULL,
+  path text NOT NULL,
+  fingerprint text NOT NULL,
+  status text NOT NULL DEFAULT 'in_progress' CHECK (status IN ('in_progress', 'completed')),
+  response_status integer,
+  response_body jsonb,
+  created_at timestamptz DEFAULT now(),
+  expires_at timestamptz NOT NULL,
+  PRIMARY KEY (user_id, key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires_at ON idempotency_keys(expires_at);
+
+ALTER TABLE idempotency_keys ENABLE ROW LEVEL SECURITY;
+
+CREATE OR REPLACE FUNCTION purge_expired_idempotency_keys()
+RETURNS integer
+LANGUAGE sql
+AS $$
+  WITH deleted AS (
+    DELETE FROM idempotency_keys WHERE expires_at < now() RETURNING 1
+  )
+  SELECT count(*)::integer FROM deleted;
+$$;
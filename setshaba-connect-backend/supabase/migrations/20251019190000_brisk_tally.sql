@@ -0,0 +1,141 @@
+/*
+  # Municipality Report Statistics
+
+  1. Functions
+    - `municipality_report_stats(municipality_id, from, to, top_limit)` - service delivery figures for
+      unmerged reports filed in [from, to), returned as one jsonb document:
+        - `total`, `by_status`, `by_category` - report counts
+        - `time_to_acknowledge`, `time_to_resolve` - median hours from filing to the first status
+          update that moved the report out of `pending`, and to the first one that resolved it
+        - `weekly` - reports filed and resolutions posted per week (weeks start on Monday)
+        - `top_open_issues` - most upvoted reports that aren't resolved
+        - `by_ward` - counts and median time to resolve per ward
+
+  2. Indexes
+    - Index on reports(municipality_id, created_at) for the range scans
+*/
+
+CREATE INDEX IF NOT EXISTS idx_reports_municipality_created ON reports(municipality_id, created_at);
+
+CREATE OR REPLACE FUNCTION municipality_report_stats(
+  p_municipality_id uuid,
+  p_from timestamptz,
+  p_to timestamptz,
+  p_top_limit integer DEFAULT 5
+)
+RETURNS jsonb
+LANGUAGE sql
+STABLE
+AS $$
+  WITH scoped AS (
+    SELECT id, title, category, status, ward_id, upvotes, created_at
+    FROM reports
+    WHERE municipality_id = p_municipality_id
+      AND merged_into IS NULL
+      AND created_at >= p_from
+      AND created_at < p_to
+  ),
+  milestones AS (
+    SELECT
+      s.id,
+      s.ward_id,
+      s.status,
+      EXTRACT(EPOCH FROM (
+        SELECT min(su.created_at) FROM status_updates su
+        WHERE su.report_id = s.id AND su.to_status IS NOT NULL AND su.to_status <> 'pending'
+      ) - s.created_at)::double precision / 3600 AS hours_to_acknowledge,
+      EXTRACT(EPOCH FROM (
+        SELECT min(su.created_at) FROM status_updates su
+        WHERE su.report_id = s.id AND su.to_status = 'resolved'
+      ) - s.created_at)::double precision / 3600 AS hours_to_resolve
+    FROM scoped s
+  ),
+  resolutions AS (
+    SELECT su.created_at
+    FROM status_updates su
+    JOIN reports r ON r.id = su.report_id
+    WHERE r.municipality_id = p_municipality_id
+      AND r.merged_into IS NULL
+      AND su.to_status = 'resolved'
+      AND su.created_at >= p_from
+      AND su.created_at < p_to
+  ),
+  weeks AS (
+    SELECT generate_series(
+      date_trunc('week', p_from),
+      date_trunc('week', p_to - interval '1 microsecond'),
+      interval '1 week'
+    ) AS week_start
+  )
+  SELECT jsonb_build_object(
+    'total', (SELECT count(*) FROM scoped),
+
+    'by_status', COALESCE((
+      SELECT jsonb_object_agg(status, total)
+      FROM (SELECT status, count(*) AS total FROM scoped GROUP BY status) counts
+    ), '{}'::jsonb),
+
+    'by_category', COALESCE((
+      SELECT jsonb_object_agg(category, total)
+      FROM (SELECT category, count(*) AS total FROM scoped GROUP BY category) counts
+    ), '{}'::jsonb),
+
+    'time_to_acknowledge', (
+      SELECT jsonb_build_object(
+        'median_hours', round((percentile_cont(0.5) WITHIN GROUP (ORDER BY hours_to_acknowledge))::numeric, 1),
+        'sample_size', count(hours_to_acknowledge)
+      )
+      FROM milestones
+    ),
+
+    'time_to_resolve', (
+      SELECT jsonb_build_object(
+        'median_hours', round((percentile_cont(0.5) WITHIN GROUP (ORDER BY hours_to_resolve))::numeric, 1),
+        'sample_size', count(hours_to_resolve)
+      )
+      FROM milestones
+    ),
+
+    'weekly', (
+      SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'week_start', w.week_start,
+        'created', (SELECT count(*) FROM scoped s WHERE date_trunc('week', s.created_at) = w.week_start),
+        'resolved', (SELECT count(*) FROM resolutions res WHERE date_trunc('week', res.created_at) = w.week_start)
+      ) ORDER BY w.week_start), '[]'::jsonb)
+      FROM weeks w
+    ),
+
+    'top_open_issues', (
+      SELECT COALESCE(jsonb_agg(to_jsonb(top) ORDER BY top.upvotes DESC, top.created_at), '[]'::jsonb)
+      FROM (
+        SELECT id, title, category, status, ward_id, COALESCE(upvotes, 0) AS upvotes, created_at
+        FROM scoped
+        WHERE status <> 'resolved'
+        ORDER BY COALESCE(upvotes, 0) DESC, created_at
+        LIMIT p_top_limit
+      ) top
+    ),
+
+    'by_ward', (
+      SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'ward_id', counts.ward_id,
+        'ward_name', w.name,
+        'total', counts.total,
+        'open', counts.open,
+        'resolved', counts.resolved,
+        'median_hours_to_resolve', counts.median_hours_to_resolve
+      ) ORDER BY counts.total DESC, counts.ward_id), '[]'::jsonb)
+      FROM (
+        SELECT
+          ward_id,
+          count(*) AS total,
+          count(*) FILTER (WHERE status <> 'resolved') AS open,
+          count(*) FILTER (WHERE status = 'resolved') AS resolved,
+          round((percentile_cont(0.5) WITHIN GROUP (ORDER BY hours_to_resolve))::numeric, 1) AS median_hours_to_resolve
+        FROM milestones
+        GROUP BY ward_id
+      ) counts
+      LEFT JOIN wards w ON w.ward_id = counts.ward_id
+    )
+  );
+$$;
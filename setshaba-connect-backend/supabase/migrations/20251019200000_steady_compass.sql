@@ -0,0 +1,178 @@
+/*
+  # SLA Targets and Overdue Escalation
+
+  1. New Tables
+    - `sla_targets`
+      - `id` (uuid, primary key)
+      - `municipality_id` (uuid, references municipalities)
+      - `category` (report_category)
+      - `status` (report_status) - the stage the target applies to, never `resolved`
+      - `target_hours` (integer) - how long a report may stay in that stage
+      - `created_at`, `updated_at` (timestamp)
+      - Unique on (municipality_id, category, status)
+
+  2. Schema Updates
+    - `users.supervisor_id` (uuid, references users, nullable) - who overdue reports escalate to after the assignee
+    - `reports.status_changed_at` (timestamp) - when the report entered its current status
+    - `reports.due_at` (timestamp, nullable) - end of the current stage's SLA, null when resolved or unconfigured
+    - `reports.escalation_level` (smallint) - 0 on time, 1 assignee notified, 2 supervisor notified
+    - `reports.escalated_at` (timestamp, nullable)
+
+  3. Triggers
+    - Reports: a status change restarts the stage clock and clears the escalation level. `due_at` is
+      recalculated whenever the status, category or municipality changes.
+    - SLA targets: changing a target recalculates `due_at` for the open reports it applies to.
+
+  4. Security
+    - Enable RLS on `sla_targets`, anyone can read targets, writes go through the API
+*/
+
+CREATE TABLE IF NOT EXISTS sla_targets (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  municipality_id uuid NOT NULL REFERENCES municipalities(id) ON DELETE CASCADE,
+  category report_category NOT NULL,
+  status report_status NOT NULL CHECK (status <> 'resolved'),
+  target_hours integer NOT NULL CHECK (target_hours > 0),
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+  UNIQUE (municipality_id, category, status)
+);
+
+ALTER TABLE sla_targets ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone can read SLA targets" ON sla_targets;
+
+CREATE POLICY "Anyone can read SLA targets"
+  ON sla_targets
+  FOR SELECT
+  TO authenticated
+  USING (true);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'users' AND column_name = 'supervisor_id'
+  ) THEN
+    ALTER TABLE users ADD COLUMN supervisor_id uuid REFERENCES users(id) ON DELETE SET NULL;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'reports' AND column_name = 'status_changed_at'
+  ) THEN
+    ALTER TABLE reports ADD COLUMN status_changed_at timestamptz DEFAULT now();
+
+    -- Existing reports entered their status with their latest transition, or when filed
+    UPDATE reports r
+    SET status_changed_at = COALESCE(
+      (SELECT max(su.created_at) FROM status_updates su WHERE su.report_id = r.id AND su.to_status = r.status),
+      r.created_at
+    );
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'reports' AND column_name = 'due_at'
+  ) THEN
+    ALTER TABLE reports ADD COLUMN due_at timestamptz;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'reports' AND column_name = 'escalation_level'
+  ) THEN
+    ALTER TABLE reports ADD COLUMN escalation_level smallint NOT NULL DEFAULT 0;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'reports' AND column_name = 'escalated_at'
+  ) THEN
+    ALTER TABLE reports ADD COLUMN escalated_at timestamptz;
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_reports_open_due_at
+  ON reports(due_at)
+  WHERE due_at IS NOT NULL AND merged_into IS NULL;
+
+-- End of the SLA for a report entering `status` at `started_at`, or null without a target
+CREATE OR REPLACE FUNCTION report_due_at(
+  p_municipality_id uuid,
+  p_category report_category,
+  p_status report_status,
+  p_started_at timestamptz
+)
+RETURNS timestamptz
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT p_started_at + make_interval(hours => target_hours)
+  FROM sla_targets
+  WHERE municipality_id = p_municipality_id
+    AND category = p_category
+    AND status = p_status;
+$$;
+
+CREATE OR REPLACE FUNCTION set_report_sla()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF TG_OP = 'INSERT' OR NEW.status IS DISTINCT FROM OLD.status THEN
+    NEW.status_changed_at := now();
+    NEW.escalation_level := 0;
+    NEW.escalated_at := NULL;
+  END IF;
+
+  NEW.due_at := report_due_at(NEW.municipality_id, NEW.category, NEW.status, NEW.status_changed_at);
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS reports_set_sla ON reports;
+
+CREATE TRIGGER reports_set_sla
+  BEFORE INSERT OR UPDATE OF status, category, municipality_id ON reports
+  FOR EACH ROW
+  EXECUTE FUNCTION set_report_sla();
+
+CREATE OR REPLACE FUNCTION refresh_report_due_dates()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  target sla_targets;
+BEGIN
+  IF TG_OP = 'DELETE' THEN
+    target := OLD;
+  ELSE
+    target := NEW;
+  END IF;
+
+  UPDATE reports
+  SET due_at = report_due_at(municipality_id, category, status, status_changed_at)
+  WHERE municipality_id = target.municipality_id
+    AND category = target.category
+    AND status = target.status;
+
+  -- An UPDATE may have moved the target to another category or stage
+  IF TG_OP = 'UPDATE' AND (OLD.category, OLD.status) IS DISTINCT FROM (NEW.category, NEW.status) THEN
+    UPDATE reports
+    SET due_at = report_due_at(municipality_id, category, status, status_changed_at)
+    WHERE municipality_id = OLD.municipality_id
+      AND category = OLD.category
+      AND status = OLD.status;
+  END IF;
+
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS sla_targets_refresh_due_dates ON sla_targets;
+
+CREATE TRIGGER sla_targets_refresh_due_dates
+  AFTER INSERT OR UPDATE OR DELETE ON sla_targets
+  FOR EACH ROW
+  EXECUTE FUNCTION refresh_report_due_dates();
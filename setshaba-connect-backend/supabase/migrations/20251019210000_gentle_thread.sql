@@ -0,0 +1,50 @@
+/*
+  # Report Comments
+
+  1. New Tables
+    - `report_comments` - citizen and official comments on a report
+      - `id` (uuid, primary key)
+      - `report_id` (uuid, references reports)
+      - `user_id` (uuid, references users)
+      - `body` (text, 1-1000 characters)
+      - `edited_at` (timestamp, nullable) - last edit by the author
+      - `is_hidden` (boolean) - hidden by a moderator
+      - `hidden_by` (uuid, references users, nullable)
+      - `hidden_at` (timestamp, nullable)
+      - `hidden_reason` (text, nullable)
+      - `created_at` (timestamp)
+
+  2. Security
+    - Enable RLS on `report_comments`
+    - Anyone can read visible comments, writes and moderation go through the API
+
+  3. Indexes
+    - `report_comments(report_id, created_at)` for the thread
+    - `report_comments(user_id, created_at)` for per-user rate limits
+*/
+
+CREATE TABLE IF NOT EXISTS report_comments (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  report_id uuid NOT NULL REFERENCES reports(id) ON DELETE CASCADE,
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  body text NOT NULL CHECK (char_length(body) BETWEEN 1 AND 1000),
+  edited_at timestamptz,
+  is_hidden boolean NOT NULL DEFAULT false,
+  hidden_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  hidden_at timestamptz,
+  hidden_reason text,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_report_comments_report_created ON report_comments(report_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_report_comments_user_created ON report_comments(user_id, created_at DESC);
+
+ALTER TABLE report_comments ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone can read visible comments" ON report_comments;
+
+CREATE POLICY "Anyone can read visible comments"
+  ON report_comments
+  FOR SELECT
+  TO authenticated
+  USING (is_hidden = false);
@@ -0,0 +1,162 @@
+/*
+  # Full-Text Report Search
+
+  1. New Tables
+    - `report_search` - search index, one row per report, kept out of `reports` so `select *` stays small
+      - `report_id` (uuid, primary key, references reports)
+      - `search_vector` (tsvector) - title (weight A), description (B) and address (C), stemmed with
+        the English configuration after Afrikaans and isiZulu stop words are removed
+    - `search_stop_words` - words left out of the search index and of search queries, on top of
+      the English stop words Postgres already ignores
+      - `language` (text) - `af` (Afrikaans) or `zu` (isiZulu)
+      - `word` (text, lowercase)
+      - Primary key on (language, word)
+
+  2. Triggers
+    - Reports: the search row is written whenever the title, description or address changes.
+      Existing reports are backfilled. After changing the stop words, run
+      `UPDATE report_search s SET search_vector = report_search_document(r.title, r.description, r.address) FROM reports r WHERE r.id = s.report_id`.
+
+  3. Functions
+    - `strip_search_stop_words(text)` - removes `search_stop_words` from text
+    - `report_search_query(text)` - parses a search box query with `websearch_to_tsquery`, so quotes,
+      `or` and `-word` work and punctuation never raises a syntax error
+    - `search_reports(p_query)` - reports matching the query, best match first. Returns `SETOF reports`,
+      so the API can filter, embed and page the results like the reports table
+    - `report_search_highlights(p_query, p_report_ids)` - rank and highlighted title and description
+      snippets (matches wrapped in `<mark>`) for a page of results
+
+  4. Security
+    - Enable RLS on `report_search` and `search_stop_words`. Stop words can be read by anyone,
+      the index is only used through the functions above
+
+  5. Indexes
+    - GIN index on `report_search.search_vector`
+*/
+
+CREATE TABLE IF NOT EXISTS search_stop_words (
+  language text NOT NULL,
+  word text NOT NULL CHECK (word ~ '^[a-z]+$'),
+  PRIMARY KEY (language, word)
+);
+
+ALTER TABLE search_stop_words ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone can read search stop words" ON search_stop_words;
+
+CREATE POLICY "Anyone can read search stop words"
+  ON search_stop_words
+  FOR SELECT
+  TO authenticated
+  USING (true);
+
+INSERT INTO search_stop_words (language, word)
+SELECT 'af', unnest(ARRAY[
+  'aan', 'al', 'alle', 'as', 'baie', 'by', 'daar', 'dan', 'dat', 'deur', 'die', 'dit', 'een', 'ek',
+  'en', 'het', 'hier', 'hom', 'hulle', 'hy', 'is', 'jy', 'kan', 'maar', 'met', 'moet', 'na', 'nie',
+  'nog', 'of', 'om', 'ons', 'ook', 'oor', 'op', 'sal', 'sy', 'te', 'toe', 'tot', 'uit', 'van', 'vir',
+  'was', 'wat', 'word', 'wees'
+])
+ON CONFLICT DO NOTHING;
+
+INSERT INTO search_stop_words (language, word)
+SELECT 'zu', unnest(ARRAY[
+  'bona', 'futhi', 'kakhulu', 'kanye', 'khona', 'kodwa', 'kuphela', 'lapha', 'lapho', 'le', 'leli',
+  'lesi', 'lezi', 'lezo', 'lo', 'lokho', 'manje', 'mina', 'na', 'nina', 'ngoba', 'noma', 'thina',
+  'ukuthi', 'uma', 'wena', 'yena', 'yini'
+])
+ON CONFLICT DO NOTHING;
+
+CREATE OR REPLACE FUNCTION strip_search_stop_words(p_text text)
+RETURNS text
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT CASE
+    WHEN pattern IS NULL THEN p_text
+    ELSE regexp_replace(p_text, '\m(' || pattern || ')\M', ' ', 'gi')
+  END
+  FROM (SELECT string_agg(DISTINCT word, '|') AS pattern FROM search_stop_words) stop_words;
+$$;
+
+CREATE OR REPLACE FUNCTION report_search_document(p_title text, p_description text, p_address text)
+RETURNS tsvector
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT
+    setweight(to_tsvector('english', strip_search_stop_words(coalesce(p_title, ''))), 'A') ||
+    setweight(to_tsvector('english', strip_search_stop_words(coalesce(p_description, ''))), 'B') ||
+    setweight(to_tsvector('english', strip_search_stop_words(coalesce(p_address, ''))), 'C');
+$$;
+
+CREATE OR REPLACE FUNCTION report_search_query(p_query text)
+RETURNS tsquery
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT websearch_to_tsquery('english', strip_search_stop_words(p_query));
+$$;
+
+CREATE TABLE IF NOT EXISTS report_search (
+  report_id uuid PRIMARY KEY REFERENCES reports(id) ON DELETE CASCADE,
+  search_vector tsvector NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_report_search_vector ON report_search USING gin(search_vector);
+
+ALTER TABLE report_search ENABLE ROW LEVEL SECURITY;
+
+INSERT INTO report_search (report_id, search_vector)
+SELECT id, report_search_document(title, description, address)
+FROM reports
+ON CONFLICT (report_id) DO NOTHING;
+
+CREATE OR REPLACE FUNCTION refresh_report_search()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  INSERT INTO report_search (report_id, search_vector)
+  VALUES (NEW.id, report_search_document(NEW.title, NEW.description, NEW.address))
+  ON CONFLICT (report_id) DO UPDATE SET search_vector = EXCLUDED.search_vector;
+
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS reports_refresh_search ON reports;
+
+CREATE TRIGGER reports_refresh_search
+  AFTER INSERT OR UPDATE OF title, description, address ON reports
+  FOR EACH ROW
+  EXECUTE FUNCTION refresh_report_search();
+
+CREATE OR REPLACE FUNCTION search_reports(p_query text)
+RETURNS SETOF reports
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT r.*
+  FROM reports r
+  JOIN report_search s ON s.report_id = r.id,
+  report_search_query(p_query) q
+  WHERE s.search_vector @@ q
+  ORDER BY ts_rank(s.search_vector, q) DESC, r.created_at DESC;
+$$;
+
+CREATE OR REPLACE FUNCTION report_search_highlights(p_query text, p_report_ids uuid[])
+RETURNS TABLE (id uuid, rank real, title text, description text)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT
+    r.id,
+    ts_rank(s.search_vector, q),
+    ts_headline('english', r.title, q, 'StartSel=<mark>, StopSel=</mark>, HighlightAll=true'),
+    ts_headline('english', r.description, q, 'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=20, MinWords=8')
+  FROM reports r
+  JOIN report_search s ON s.report_id = r.id,
+  report_search_query(p_query) q
+  WHERE r.id = ANY(p_report_ids);
+$$;
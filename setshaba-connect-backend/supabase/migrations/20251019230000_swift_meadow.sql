@@ -0,0 +1,85 @@
+/*
+  # Report Sort Orders
+
+  1. Schema Updates
+    - `reports.upvotes` is now NOT NULL (existing nulls become 0), so it can key cursor pagination
+    - `reports.updated_at` (timestamp) - last change to the report's content, status or assignee,
+      or the last status update posted on it. Upvotes and SLA bookkeeping don't count.
+      Backfilled from the latest status update.
+
+  2. Triggers
+    - Reports: `updated_at` is set whenever a tracked column changes
+    - Status updates: posting one touches the report's `updated_at`
+
+  3. Indexes
+    - `reports(upvotes DESC, created_at DESC, id DESC)` for `sort=upvotes`
+    - `reports(created_at, id)` for `sort=newest` and `sort=oldest`
+    - `reports(updated_at DESC, id DESC)` for `sort=last_updated`
+*/
+
+UPDATE reports SET upvotes = 0 WHERE upvotes IS NULL;
+ALTER TABLE reports ALTER COLUMN upvotes SET NOT NULL;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'reports' AND column_name = 'updated_at'
+  ) THEN
+    ALTER TABLE reports ADD COLUMN updated_at timestamptz NOT NULL DEFAULT now();
+
+    UPDATE reports r
+    SET updated_at = GREATEST(
+      r.created_at,
+      (SELECT max(su.created_at) FROM status_updates su WHERE su.report_id = r.id)
+    );
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_reports_upvotes_sort ON reports(upvotes DESC, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_reports_created_sort ON reports(created_at, id);
+CREATE INDEX IF NOT EXISTS idx_reports_updated_sort ON reports(updated_at DESC, id DESC);
+
+CREATE OR REPLACE FUNCTION touch_report_updated_at()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF (NEW.title, NEW.description, NEW.category, NEW.status, NEW.address, NEW.lat, NEW.lng,
+      NEW.ward_id, NEW.assigned_official, NEW.merged_into)
+    IS DISTINCT FROM
+     (OLD.title, OLD.description, OLD.category, OLD.status, OLD.address, OLD.lat, OLD.lng,
+      OLD.ward_id, OLD.assigned_official, OLD.merged_into) THEN
+    NEW.updated_at := now();
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS reports_touch_updated_at ON reports;
+
+CREATE TRIGGER reports_touch_updated_at
+  BEFORE UPDATE ON reports
+  FOR EACH ROW
+  EXECUTE FUNCTION touch_report_updated_at();
+
+CREATE OR REPLACE FUNCTION touch_report_on_status_update()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  UPDATE reports
+  SET updated_at = GREATEST(updated_at, NEW.created_at)
+  WHERE id = NEW.report_id;
+
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS status_updates_touch_report ON status_updates;
+
+CREATE TRIGGER status_updates_touch_report
+  AFTER INSERT ON status_updates
+  FOR EACH ROW
+  EXECUTE FUNCTION touch_report_on_status_update();
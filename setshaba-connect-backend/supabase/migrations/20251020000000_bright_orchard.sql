@@ -0,0 +1,167 @@
+/*
+  # Municipality Report Categories
+
+  1. New Tables
+    - `categories` - the categories reports can be filed under
+      - `id` (uuid, primary key)
+      - `municipality_id` (uuid, references municipalities, nullable) - null for the default set, used by
+        municipalities that haven't defined their own
+      - `parent_id` (uuid, references categories, nullable) - set on sub-categories, one level deep
+      - `slug` (text) - stored on reports, lowercase letters, digits and underscores, never changes
+      - `name` (text)
+      - `icon` (text, nullable) - Ionicons name shown in the app
+      - `sort_order` (integer)
+      - `is_active` (boolean) - retired categories stay on old reports but can't be picked
+      - `created_at`, `updated_at` (timestamp)
+      - Slugs are unique per municipality, across categories and sub-categories
+
+  2. Schema Updates
+    - `reports.category` and `sla_targets.category` change from the `report_category` enum to text
+      holding a category slug. The enum is dropped.
+    - `reports.subcategory` (text, nullable) - sub-category slug
+    - The default set is seeded with the former enum values, so existing reports keep their category
+
+  3. Security
+    - Enable RLS on `categories`, anyone can read them, writes go through the API
+
+  4. Indexes
+    - `categories(municipality_id, sort_order)` for the picker
+*/
+
+CREATE TABLE IF NOT EXISTS categories (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  municipality_id uuid REFERENCES municipalities(id) ON DELETE CASCADE,
+  parent_id uuid REFERENCES categories(id) ON DELETE CASCADE,
+  slug text NOT NULL CHECK (slug ~ '^[a-z0-9_]{2,50}$'),
+  name text NOT NULL CHECK (char_length(name) BETWEEN 1 AND 100),
+  icon text,
+  sort_order integer NOT NULL DEFAULT 0,
+  is_active boolean NOT NULL DEFAULT true,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+  CHECK (parent_id IS DISTINCT FROM id)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_categories_municipality_slug
+  ON categories(COALESCE(municipality_id, '00000000-0000-0000-0000-000000000000'::uuid), slug);
+
+CREATE INDEX IF NOT EXISTS idx_categories_municipality_sort ON categories(municipality_id, sort_order);
+
+ALTER TABLE categories ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone can read categories" ON categories;
+
+CREATE POLICY "Anyone can read categories"
+  ON categories
+  FOR SELECT
+  TO authenticated
+  USING (true);
+
+INSERT INTO categories (municipality_id, slug, name, icon, sort_order)
+SELECT NULL, defaults.slug, defaults.name, defaults.icon, defaults.sort_order
+FROM (VALUES
+  ('water', 'Water & Sanitation', 'water', 1),
+  ('electricity', 'Electricity', 'flash', 2),
+  ('roads', 'Roads & Transport', 'car', 3),
+  ('waste', 'Waste Management', 'trash', 4),
+  ('safety', 'Safety & Security', 'shield', 5),
+  ('other', 'Other', 'help-circle', 6)
+) AS defaults(slug, name, icon, sort_order)
+WHERE NOT EXISTS (
+  SELECT 1 FROM categories c WHERE c.municipality_id IS NULL AND c.slug = defaults.slug
+);
+
+-- Sub-categories belong to a top-level category of the same municipality
+CREATE OR REPLACE FUNCTION check_category_parent()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  parent categories;
+BEGIN
+  IF NEW.parent_id IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT * INTO parent FROM categories WHERE id = NEW.parent_id;
+
+  IF parent.parent_id IS NOT NULL OR parent.municipality_id IS DISTINCT FROM NEW.municipality_id THEN
+    RAISE EXCEPTION 'invalid_category_parent';
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS categories_check_parent ON categories;
+
+CREATE TRIGGER categories_check_parent
+  BEFORE INSERT OR UPDATE OF parent_id, municipality_id ON categories
+  FOR EACH ROW
+  EXECUTE FUNCTION check_category_parent();
+
+-- The SLA trigger lists category among its columns, so it has to go while the type changes
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'reports' AND column_name = 'category' AND data_type = 'USER-DEFINED'
+  ) THEN
+    DROP TRIGGER IF EXISTS reports_set_sla ON reports;
+    DROP FUNCTION IF EXISTS report_due_at(uuid, report_category, report_status, timestamptz);
+
+    ALTER TABLE reports ALTER COLUMN category TYPE text USING category::text;
+    ALTER TABLE sla_targets ALTER COLUMN category TYPE text USING category::text;
+
+    DROP TYPE IF EXISTS report_category;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'reports' AND column_name = 'subcategory'
+  ) THEN
+    ALTER TABLE reports ADD COLUMN subcategory text;
+  END IF;
+END $$;
+
+CREATE OR REPLACE FUNCTION report_due_at(
+  p_municipality_id uuid,
+  p_category text,
+  p_status report_status,
+  p_started_at timestamptz
+)
+RETURNS timestamptz
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT p_started_at + make_interval(hours => target_hours)
+  FROM sla_targets
+  WHERE municipality_id = p_municipality_id
+    AND category = p_category
+    AND status = p_status;
+$$;
+
+DROP TRIGGER IF EXISTS reports_set_sla ON reports;
+
+CREATE TRIGGER reports_set_sla
+  BEFORE INSERT OR UPDATE OF status, category, municipality_id ON reports
+  FOR EACH ROW
+  EXECUTE FUNCTION set_report_sla();
+
+-- Changing the sub-category also counts as an update
+CREATE OR REPLACE FUNCTION touch_report_updated_at()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF (NEW.title, NEW.description, NEW.category, NEW.subcategory, NEW.status, NEW.address, NEW.lat,
+      NEW.lng, NEW.ward_id, NEW.assigned_official, NEW.merged_into)
+    IS DISTINCT FROM
+     (OLD.title, OLD.description, OLD.category, OLD.subcategory, OLD.status, OLD.address, OLD.lat,
+      OLD.lng, OLD.ward_id, OLD.assigned_official, OLD.merged_into) THEN
+    NEW.updated_at := now();
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
@@ -0,0 +1,295 @@
+/*
+  # Departments and Report Routing
+
+  1. New Tables
+    - `departments` - teams within a municipality that handle reports
+      - `id` (uuid, primary key)
+      - `municipality_id` (uuid, references municipalities)
+      - `name` (text) - unique per municipality, ignoring case
+      - `description` (text, nullable)
+      - `created_at`, `updated_at` (timestamp)
+    - `department_members` - officials working in a department, an official can be in several
+      - `department_id` (uuid, references departments)
+      - `user_id` (uuid, references users)
+      - `created_at` (timestamp)
+    - `department_routing_rules` - which department new reports go to
+      - `id` (uuid, primary key)
+      - `municipality_id` (uuid, references municipalities)
+      - `department_id` (uuid, references departments)
+      - `category` (text, nullable) - category slug, null matches any category
+      - `ward_id` (text, references wards, nullable) - null matches any ward
+      - `created_at` (timestamp)
+      - Unique per municipality, category and ward
+    - `report_transfers` - one row per change of a report's department
+      - `id` (uuid, primary key)
+      - `report_id` (uuid, references reports)
+      - `from_department` (uuid, references departments, nullable)
+      - `to_department` (uuid, references departments, nullable)
+      - `transferred_by` (uuid, references users, nullable) - null when routed automatically
+      - `automatic` (boolean) - set for the routing of a new report
+      - `note` (text, nullable)
+      - `created_at` (timestamp)
+
+  2. Schema Updates
+    - `reports.department_id` (uuid, references departments, nullable)
+
+  3. Functions
+    - `report_routing_department(municipality_id, category, ward_id)` - the department of the most
+      specific matching rule: category and ward, then category, then ward, then the catch-all rule
+    - New reports without a department are routed by a trigger, which records the routing in
+      `report_transfers`
+    - `apply_report_transfer(report_id, department_id, transferred_by, note)` - locks the report,
+      updates `reports.department_id` and records the transfer in one transaction.
+      Raises `report_not_found` (P0002) for missing reports.
+    - Officials leave their departments when they move municipality or stop being officials
+
+  4. Security
+    - Enable RLS on the new tables
+    - Officials can read their municipality's departments, members, rules and transfers,
+      writes go through the API
+
+  5. Indexes
+    - `reports(municipality_id, department_id)` for department queues
+*/
+
+CREATE TABLE IF NOT EXISTS departments (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  municipality_id uuid NOT NULL REFERENCES municipalities(id) ON DELETE CASCADE,
+  name text NOT NULL CHECK (char_length(name) BETWEEN 1 AND 100),
+  description text,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_departments_municipality_name ON departments(municipality_id, lower(name));
+
+CREATE TABLE IF NOT EXISTS department_members (
+  department_id uuid NOT NULL REFERENCES departments(id) ON DELETE CASCADE,
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at timestamptz DEFAULT now(),
+  PRIMARY KEY (department_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_department_members_user ON department_members(user_id);
+
+CREATE TABLE IF NOT EXISTS department_routing_rules (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  municipality_id uuid NOT NULL REFERENCES municipalities(id) ON DELETE CASCADE,
+  department_id uuid NOT NULL REFERENCES departments(id) ON DELETE CASCADE,
+  category text,
+  ward_id text REFERENCES wards(ward_id) ON DELETE CASCADE,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_department_routing_rules_match
+  ON department_routing_rules(municipality_id, COALESCE(category, ''), COALESCE(ward_id, ''));
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'reports' AND column_name = 'department_id'
+  ) THEN
+    ALTER TABLE reports ADD COLUMN department_id uuid REFERENCES departments(id) ON DELETE SET NULL;
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_reports_municipality_department ON reports(municipality_id, department_id);
+
+CREATE TABLE IF NOT EXISTS report_transfers (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  report_id uuid NOT NULL REFERENCES reports(id) ON DELETE CASCADE,
+  from_department uuid REFERENCES departments(id) ON DELETE SET NULL,
+  to_department uuid REFERENCES departments(id) ON DELETE SET NULL,
+  transferred_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  automatic boolean NOT NULL DEFAULT false,
+  note text,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_report_transfers_report_created ON report_transfers(report_id, created_at DESC);
+
+ALTER TABLE departments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE department_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE department_routing_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE report_transfers ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Officials can read departments in their municipality" ON departments;
+
+CREATE POLICY "Officials can read departments in their municipality"
+  ON departments
+  FOR SELECT
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM users u
+      WHERE u.id = auth.uid()
+        AND u.role = 'official'
+        AND u.municipality_id = departments.municipality_id
+    )
+  );
+
+DROP POLICY IF EXISTS "Officials can read department members in their municipality" ON department_members;
+
+CREATE POLICY "Officials can read department members in their municipality"
+  ON department_members
+  FOR SELECT
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1
+      FROM departments d
+      JOIN users u ON u.id = auth.uid()
+      WHERE d.id = department_members.department_id
+        AND u.role = 'official'
+        AND u.municipality_id = d.municipality_id
+    )
+  );
+
+DROP POLICY IF EXISTS "Officials can read routing rules in their municipality" ON department_routing_rules;
+
+CREATE POLICY "Officials can read routing rules in their municipality"
+  ON department_routing_rules
+  FOR SELECT
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM users u
+      WHERE u.id = auth.uid()
+        AND u.role = 'official'
+        AND u.municipality_id = department_routing_rules.municipality_id
+    )
+  );
+
+DROP POLICY IF EXISTS "Officials can read transfers in their municipality" ON report_transfers;
+
+CREATE POLICY "Officials can read transfers in their municipality"
+  ON report_transfers
+  FOR SELECT
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1
+      FROM reports r
+      JOIN users u ON u.id = auth.uid()
+      WHERE r.id = report_transfers.report_id
+        AND u.role = 'official'
+        AND u.municipality_id = r.municipality_id
+    )
+  );
+
+CREATE OR REPLACE FUNCTION report_routing_department(
+  p_municipality_id uuid,
+  p_category text,
+  p_ward_id text
+)
+RETURNS uuid
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT department_id
+  FROM department_routing_rules
+  WHERE municipality_id = p_municipality_id
+    AND (category IS NULL OR category = p_category)
+    AND (ward_id IS NULL OR ward_id = p_ward_id)
+  ORDER BY (category IS NOT NULL) DESC, (ward_id IS NOT NULL) DESC
+  LIMIT 1;
+$$;
+
+CREATE OR REPLACE FUNCTION route_new_report()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NEW.department_id IS NULL THEN
+    NEW.department_id := report_routing_department(NEW.municipality_id, NEW.category, NEW.ward_id);
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS reports_route_department ON reports;
+
+CREATE TRIGGER reports_route_department
+  BEFORE INSERT ON reports
+  FOR EACH ROW
+  EXECUTE FUNCTION route_new_report();
+
+CREATE OR REPLACE FUNCTION record_report_routing()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NEW.department_id IS NOT NULL THEN
+    INSERT INTO report_transfers (report_id, from_department, to_department, automatic)
+    VALUES (NEW.id, NULL, NEW.department_id, true);
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS reports_record_routing ON reports;
+
+CREATE TRIGGER reports_record_routing
+  AFTER INSERT ON reports
+  FOR EACH ROW
+  EXECUTE FUNCTION record_report_routing();
+
+CREATE OR REPLACE FUNCTION apply_report_transfer(
+  p_report_id uuid,
+  p_department_id uuid,
+  p_transferred_by uuid,
+  p_note text DEFAULT NULL
+)
+RETURNS report_transfers
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  current_department uuid;
+  inserted report_transfers;
+BEGIN
+  SELECT department_id INTO current_department
+  FROM reports
+  WHERE id = p_report_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'report_not_found' USING ERRCODE = 'P0002';
+  END IF;
+
+  UPDATE reports SET department_id = p_department_id WHERE id = p_report_id;
+
+  INSERT INTO report_transfers (report_id, from_department, to_department, transferred_by, note)
+  VALUES (p_report_id, current_department, p_department_id, p_transferred_by, p_note)
+  RETURNING * INTO inserted;
+
+  RETURN inserted;
+END;
+$$;
+
+-- Department members are officials of the department's municipality
+CREATE OR REPLACE FUNCTION leave_departments_on_move()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NEW.role <> 'official' OR NEW.municipality_id IS DISTINCT FROM OLD.municipality_id THEN
+    DELETE FROM department_members dm
+    USING departments d
+    WHERE dm.user_id = NEW.id
+      AND d.id = dm.department_id
+      AND (NEW.role <> 'official' OR d.municipality_id IS DISTINCT FROM NEW.municipality_id);
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS users_leave_departments ON users;
+
+CREATE TRIGGER users_leave_departments
+  AFTER UPDATE OF role, municipality_id ON users
+  FOR EACH ROW
+  EXECUTE FUNCTION leave_departments_on_move();
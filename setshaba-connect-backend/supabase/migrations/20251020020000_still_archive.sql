@@ -0,0 +1,222 @@
+/*
+  # Report History and Soft Delete
+
+  1. New Tables
+    - `report_events` - append-only log of everything that happens to a report
+      - `id` (uuid, primary key)
+      - `report_id` (uuid, references reports) - reports with history can't be hard-deleted
+      - `actor_id` (uuid, references users, nullable) - who did it, null for system changes
+      - `event_type` (text) - created, updated, deleted, status_update, assigned, transferred,
+        merged, upvoted or upvote_removed
+      - `changes` (jsonb) - changed fields as `{ "field": { "from": ..., "to": ... } }`
+      - `data` (jsonb) - event details such as the status update id or a note
+      - `created_at` (timestamp)
+    - Rows can't be updated or deleted, except for clearing the actor when their user is deleted
+
+  2. Schema Updates
+    - `reports.deleted_at` (timestamp, nullable) and `reports.deleted_by` (uuid, references users,
+      nullable) - deleting a report hides it but keeps it and its history
+
+  3. Functions
+    - `municipality_report_stats` leaves deleted reports out
+
+  4. Security
+    - Enable RLS on `report_events`
+    - Officials can read the history of reports in their municipality, writes go through the API
+
+  5. Indexes
+    - `report_events(report_id, created_at DESC, id DESC)` for the history
+*/
+
+CREATE TABLE IF NOT EXISTS report_events (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  report_id uuid NOT NULL REFERENCES reports(id),
+  actor_id uuid REFERENCES users(id) ON DELETE SET NULL,
+  event_type text NOT NULL CHECK (event_type IN (
+    'created', 'updated', 'deleted', 'status_update', 'assigned', 'transferred', 'merged', 'upvoted', 'upvote_removed'
+  )),
+  changes jsonb NOT NULL DEFAULT '{}'::jsonb,
+  data jsonb NOT NULL DEFAULT '{}'::jsonb,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_report_events_report_created ON report_events(report_id, created_at DESC, id DESC);
+
+ALTER TABLE report_events ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Officials can read report events in their municipality" ON report_events;
+
+CREATE POLICY "Officials can read report events in their municipality"
+  ON report_events
+  FOR SELECT
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1
+      FROM reports r
+      JOIN users u ON u.id = auth.uid()
+      WHERE r.id = report_events.report_id
+        AND u.role = 'official'
+        AND u.municipality_id = r.municipality_id
+    )
+  );
+
+-- The log is append-only. Deleting a user clears their actor_id, nothing else may change.
+CREATE OR REPLACE FUNCTION protect_report_events()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF TG_OP = 'UPDATE'
+    AND NEW.actor_id IS NULL
+    AND (to_jsonb(NEW) - 'actor_id') = (to_jsonb(OLD) - 'actor_id') THEN
+    RETURN NEW;
+  END IF;
+
+  RAISE EXCEPTION 'report_events_append_only';
+END;
+$$;
+
+DROP TRIGGER IF EXISTS report_events_append_only ON report_events;
+
+CREATE TRIGGER report_events_append_only
+  BEFORE UPDATE OR DELETE ON report_events
+  FOR EACH ROW
+  EXECUTE FUNCTION protect_report_events();
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'reports' AND column_name = 'deleted_at'
+  ) THEN
+    ALTER TABLE reports ADD COLUMN deleted_at timestamptz;
+    ALTER TABLE reports ADD COLUMN deleted_by uuid REFERENCES users(id) ON DELETE SET NULL;
+  END IF;
+END $$;
+
+-- Deleted reports are left out of the statistics
+CREATE OR REPLACE FUNCTION municipality_report_stats(
+  p_municipality_id uuid,
+  p_from timestamptz,
+  p_to timestamptz,
+  p_top_limit integer DEFAULT 5
+)
+RETURNS jsonb
+LANGUAGE sql
+STABLE
+AS $$
+  WITH scoped AS (
+    SELECT id, title, category, status, ward_id, upvotes, created_at
+    FROM reports
+    WHERE municipality_id = p_municipality_id
+      AND merged_into IS NULL
+      AND deleted_at IS NULL
+      AND created_at >= p_from
+      AND created_at < p_to
+  ),
+  milestones AS (
+    SELECT
+      s.id,
+      s.ward_id,
+      s.status,
+      EXTRACT(EPOCH FROM (
+        SELECT min(su.created_at) FROM status_updates su
+        WHERE su.report_id = s.id AND su.to_status IS NOT NULL AND su.to_status <> 'pending'
+      ) - s.created_at)::double precision / 3600 AS hours_to_acknowledge,
+      EXTRACT(EPOCH FROM (
+        SELECT min(su.created_at) FROM status_updates su
+        WHERE su.report_id = s.id AND su.to_status = 'resolved'
+      ) - s.created_at)::double precision / 3600 AS hours_to_resolve
+    FROM scoped s
+  ),
+  resolutions AS (
+    SELECT su.created_at
+    FROM status_updates su
+    JOIN reports r ON r.id = su.report_id
+    WHERE r.municipality_id = p_municipality_id
+      AND r.merged_into IS NULL
+      AND r.deleted_at IS NULL
+      AND su.to_status = 'resolved'
+      AND su.created_at >= p_from
+      AND su.created_at < p_to
+  ),
+  weeks AS (
+    SELECT generate_series(
+      date_trunc('week', p_from),
+      date_trunc('week', p_to - interval '1 microsecond'),
+      interval '1 week'
+    ) AS week_start
+  )
+  SELECT jsonb_build_object(
+    'total', (SELECT count(*) FROM scoped),
+
+    'by_status', COALESCE((
+      SELECT jsonb_object_agg(status, total)
+      FROM (SELECT status, count(*) AS total FROM scoped GROUP BY status) counts
+    ), '{}'::jsonb),
+
+    'by_category', COALESCE((
+      SELECT jsonb_object_agg(category, total)
+      FROM (SELECT category, count(*) AS total FROM scoped GROUP BY category) counts
+    ), '{}'::jsonb),
+
+    'time_to_acknowledge', (
+      SELECT jsonb_build_object(
+        'median_hours', round((percentile_cont(0.5) WITHIN GROUP (ORDER BY hours_to_acknowledge))::numeric, 1),
+        'sample_size', count(hours_to_acknowledge)
+      )
+      FROM milestones
+    ),
+
+    'time_to_resolve', (
+      SELECT jsonb_build_object(
+        'median_hours', round((percentile_cont(0.5) WITHIN GROUP (ORDER BY hours_to_resolve))::numeric, 1),
+        'sample_size', count(hours_to_resolve)
+      )
+      FROM milestones
+    ),
+
+    'weekly', (
+      SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'week_start', w.week_start,
+        'created', (SELECT count(*) FROM scoped s WHERE date_trunc('week', s.created_at) = w.week_start),
+        'resolved', (SELECT count(*) FROM resolutions res WHERE date_trunc('week', res.created_at) = w.week_start)
+      ) ORDER BY w.week_start), '[]'::jsonb)
+      FROM weeks w
+    ),
+
+    'top_open_issues', (
+      SELECT COALESCE(jsonb_agg(to_jsonb(top) ORDER BY top.upvotes DESC, top.created_at), '[]'::jsonb)
+      FROM (
+        SELECT id, title, category, status, ward_id, COALESCE(upvotes, 0) AS upvotes, created_at
+        FROM scoped
+        WHERE status <> 'resolved'
+        ORDER BY COALESCE(upvotes, 0) DESC, created_at
+        LIMIT p_top_limit
+      ) top
+    ),
+
+    'by_ward', (
+      SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'ward_id', counts.ward_id,
+        'ward_name', w.name,
+        'total', counts.total,
+        'open', counts.open,
+        'resolved', counts.resolved,
+        'median_hours_to_resolve', counts.median_hours_to_resolve
+      ) ORDER BY counts.total DESC, counts.ward_id), '[]'::jsonb)
+      FROM (
+        SELECT
+          ward_id,
+          count(*) AS total,
+          count(*) FILTER (WHERE status <> 'resolved') AS open,
+          count(*) FILTER (WHERE status = 'resolved') AS resolved,
+          round((percentile_cont(0.5) WITHIN GROUP (ORDER BY hours_to_resolve))::numeric, 1) AS median_hours_to_resolve
+        FROM milestones
+        GROUP BY ward_id
+      ) counts
+      LEFT JOIN wards w ON w.ward_id = counts.ward_id
+    )
+  );
+$$;
@@ -0,0 +1,312 @@
+/*
+  # Resolution Confirmation and Reopening
+
+  1. New Tables
+    - `report_resolution_responses` - the author's answer to a resolution
+      - `id` (uuid, primary key)
+      - `report_id` (uuid, references reports)
+      - `user_id` (uuid, references users, nullable) - the report author
+      - `response` (text) - confirmed or reopened
+      - `reason` (text, nullable)
+      - `attachment_id` (uuid, references report_attachments, nullable) - photo sent with the answer
+      - `status_update_id` (uuid, references status_updates, nullable) - the reopening status update
+      - `created_at` (timestamp)
+
+  2. Schema Updates
+    - `reports.resolved_at` (timestamp, nullable) - when the report was last resolved, maintained
+      by a trigger
+    - `reports.closed_at` (timestamp, nullable) and `reports.closed_by` (uuid, references users,
+      nullable) - set when the author confirms the fix, or without `closed_by` when nobody
+      answered in time. Re-resolving a reopened report clears them.
+    - `reports.reopen_count` (integer) - times the author reopened the report
+    - Reports resolved before this migration count as closed
+    - `report_events.event_type` accepts confirmed, reopened and closed
+
+  3. Functions
+    - `respond_to_report_resolution(report_id, user_id, response, reason, update_text,
+      attachment_id, reopen_status)` - locks the report and records the answer. Confirming
+      closes the report, reopening moves it back to `reopen_status` with a status update.
+      Raises `report_not_found` (P0002) and `resolution_not_open` (P0001) when the report
+      isn't resolved or is already closed.
+    - `municipality_report_stats` adds reopen counts, overall and per ward
+
+  4. Security
+    - Enable RLS on `report_resolution_responses`
+    - Officials can read the responses for their municipality, writes go through the API
+
+  5. Indexes
+    - `reports(resolved_at)` for open resolutions, used by the automatic closure job
+*/
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'reports' AND column_name = 'resolved_at'
+  ) THEN
+    ALTER TABLE reports ADD COLUMN resolved_at timestamptz;
+    ALTER TABLE reports ADD COLUMN closed_at timestamptz;
+    ALTER TABLE reports ADD COLUMN closed_by uuid REFERENCES users(id) ON DELETE SET NULL;
+    ALTER TABLE reports ADD COLUMN reopen_count integer NOT NULL DEFAULT 0;
+
+    UPDATE reports
+    SET resolved_at = COALESCE(updated_at, created_at),
+        closed_at = COALESCE(updated_at, created_at)
+    WHERE status = 'resolved';
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_reports_open_resolutions
+  ON reports(resolved_at)
+  WHERE status = 'resolved' AND closed_at IS NULL;
+
+CREATE OR REPLACE FUNCTION track_report_resolution()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NEW.status = 'resolved' AND OLD.status IS DISTINCT FROM 'resolved' THEN
+    NEW.resolved_at := now();
+    NEW.closed_at := NULL;
+    NEW.closed_by := NULL;
+  ELSIF NEW.status <> 'resolved' THEN
+    NEW.resolved_at := NULL;
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS reports_track_resolution ON reports;
+
+CREATE TRIGGER reports_track_resolution
+  BEFORE UPDATE OF status ON reports
+  FOR EACH ROW
+  EXECUTE FUNCTION track_report_resolution();
+
+CREATE TABLE IF NOT EXISTS report_resolution_responses (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  report_id uuid NOT NULL REFERENCES reports(id) ON DELETE CASCADE,
+  user_id uuid REFERENCES users(id) ON DELETE SET NULL,
+  response text NOT NULL CHECK (response IN ('confirmed', 'reopened')),
+  reason text CHECK (char_length(reason) <= 1000),
+  attachment_id uuid REFERENCES report_attachments(id) ON DELETE SET NULL,
+  status_update_id uuid REFERENCES status_updates(id) ON DELETE SET NULL,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_report_resolution_responses_report
+  ON report_resolution_responses(report_id, created_at DESC);
+
+ALTER TABLE report_resolution_responses ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Officials can read resolution responses in their municipality" ON report_resolution_responses;
+
+CREATE POLICY "Officials can read resolution responses in their municipality"
+  ON report_resolution_responses
+  FOR SELECT
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1
+      FROM reports r
+      JOIN users u ON u.id = auth.uid()
+      WHERE r.id = report_resolution_responses.report_id
+        AND u.role = 'official'
+        AND u.municipality_id = r.municipality_id
+    )
+  );
+
+ALTER TABLE report_events DROP CONSTRAINT IF EXISTS report_events_event_type_check;
+
+ALTER TABLE report_events
+  ADD CONSTRAINT report_events_event_type_check CHECK (event_type IN (
+    'created', 'updated', 'deleted', 'status_update', 'assigned', 'transferred', 'merged', 'upvoted', 'upvote_removed',
+    'confirmed', 'reopened', 'closed'
+  ));
+
+CREATE OR REPLACE FUNCTION respond_to_report_resolution(
+  p_report_id uuid,
+  p_user_id uuid,
+  p_response text,
+  p_reason text DEFAULT NULL,
+  p_update_text text DEFAULT NULL,
+  p_attachment_id uuid DEFAULT NULL,
+  p_reopen_status report_status DEFAULT 'acknowledged'
+)
+RETURNS report_resolution_responses
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  current_report reports;
+  reopened status_updates;
+  inserted report_resolution_responses;
+BEGIN
+  SELECT * INTO current_report
+  FROM reports
+  WHERE id = p_report_id AND deleted_at IS NULL
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'report_not_found' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF current_report.status <> 'resolved' OR current_report.closed_at IS NOT NULL THEN
+    RAISE EXCEPTION 'resolution_not_open' USING ERRCODE = 'P0001';
+  END IF;
+
+  IF p_response = 'confirmed' THEN
+    UPDATE reports SET closed_at = now(), closed_by = p_user_id WHERE id = p_report_id;
+  ELSE
+    reopened := apply_report_status_update(p_report_id, p_user_id, p_update_text, p_reopen_status);
+    UPDATE reports SET reopen_count = reopen_count + 1 WHERE id = p_report_id;
+  END IF;
+
+  INSERT INTO report_resolution_responses (report_id, user_id, response, reason, attachment_id, status_update_id)
+  VALUES (p_report_id, p_user_id, p_response, p_reason, p_attachment_id, reopened.id)
+  RETURNING * INTO inserted;
+
+  RETURN inserted;
+END;
+$$;
+
+-- Adds reopen counts
+CREATE OR REPLACE FUNCTION municipality_report_stats(
+  p_municipality_id uuid,
+  p_from timestamptz,
+  p_to timestamptz,
+  p_top_limit integer DEFAULT 5
+)
+RETURNS jsonb
+LANGUAGE sql
+STABLE
+AS $$
+  WITH scoped AS (
+    SELECT id, title, category, status, ward_id, upvotes, reopen_count, created_at
+    FROM reports
+    WHERE municipality_id = p_municipality_id
+      AND merged_into IS NULL
+      AND deleted_at IS NULL
+      AND created_at >= p_from
+      AND created_at < p_to
+  ),
+  milestones AS (
+    SELECT
+      s.id,
+      s.ward_id,
+      s.status,
+      s.reopen_count,
+      EXTRACT(EPOCH FROM (
+        SELECT min(su.created_at) FROM status_updates su
+        WHERE su.report_id = s.id AND su.to_status IS NOT NULL AND su.to_status <> 'pending'
+      ) - s.created_at)::double precision / 3600 AS hours_to_acknowledge,
+      EXTRACT(EPOCH FROM (
+        SELECT min(su.created_at) FROM status_updates su
+        WHERE su.report_id = s.id AND su.to_status = 'resolved'
+      ) - s.created_at)::double precision / 3600 AS hours_to_resolve
+    FROM scoped s
+  ),
+  resolutions AS (
+    SELECT su.created_at
+    FROM status_updates su
+    JOIN reports r ON r.id = su.report_id
+    WHERE r.municipality_id = p_municipality_id
+      AND r.merged_into IS NULL
+      AND r.deleted_at IS NULL
+      AND su.to_status = 'resolved'
+      AND su.created_at >= p_from
+      AND su.created_at < p_to
+  ),
+  weeks AS (
+    SELECT generate_series(
+      date_trunc('week', p_from),
+      date_trunc('week', p_to - interval '1 microsecond'),
+      interval '1 week'
+    ) AS week_start
+  )
+  SELECT jsonb_build_object(
+    'total', (SELECT count(*) FROM scoped),
+
+    'by_status', COALESCE((
+      SELECT jsonb_object_agg(status, total)
+      FROM (SELECT status, count(*) AS total FROM scoped GROUP BY status) counts
+    ), '{}'::jsonb),
+
+    'by_category', COALESCE((
+      SELECT jsonb_object_agg(category, total)
+      FROM (SELECT category, count(*) AS total FROM scoped GROUP BY category) counts
+    ), '{}'::jsonb),
+
+    'time_to_acknowledge', (
+      SELECT jsonb_build_object(
+        'median_hours', round((percentile_cont(0.5) WITHIN GROUP (ORDER BY hours_to_acknowledge))::numeric, 1),
+        'sample_size', count(hours_to_acknowledge)
+      )
+      FROM milestones
+    ),
+
+    'time_to_resolve', (
+      SELECT jsonb_build_object(
+        'median_hours', round((percentile_cont(0.5) WITHIN GROUP (ORDER BY hours_to_resolve))::numeric, 1),
+        'sample_size', count(hours_to_resolve)
+      )
+      FROM milestones
+    ),
+
+    'reopens', (
+      SELECT jsonb_build_object(
+        'total', COALESCE(sum(reopen_count), 0),
+        'reports', count(*) FILTER (WHERE reopen_count > 0),
+        'rate', round(
+          (count(*) FILTER (WHERE reopen_count > 0))::numeric / NULLIF(count(hours_to_resolve), 0),
+          3
+        )
+      )
+      FROM milestones
+    ),
+
+    'weekly', (
+      SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'week_start', w.week_start,
+        'created', (SELECT count(*) FROM scoped s WHERE date_trunc('week', s.created_at) = w.week_start),
+        'resolved', (SELECT count(*) FROM resolutions res WHERE date_trunc('week', res.created_at) = w.week_start)
+      ) ORDER BY w.week_start), '[]'::jsonb)
+      FROM weeks w
+    ),
+
+    'top_open_issues', (
+      SELECT COALESCE(jsonb_agg(to_jsonb(top) ORDER BY top.upvotes DESC, top.created_at), '[]'::jsonb)
+      FROM (
+        SELECT id, title, category, status, ward_id, COALESCE(upvotes, 0) AS upvotes, created_at
+        FROM scoped
+        WHERE status <> 'resolved'
+        ORDER BY COALESCE(upvotes, 0) DESC, created_at
+        LIMIT p_top_limit
+      ) top
+    ),
+
+    'by_ward', (
+      SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'ward_id', counts.ward_id,
+        'ward_name', w.name,
+        'total', counts.total,
+        'open', counts.open,
+        'resolved', counts.resolved,
+        'reopened', counts.reopened,
+        'median_hours_to_resolve', counts.median_hours_to_resolve
+      ) ORDER BY counts.total DESC, counts.ward_id), '[]'::jsonb)
+      FROM (
+        SELECT
+          ward_id,
+          count(*) AS total,
+          count(*) FILTER (WHERE status <> 'resolved') AS open,
+          count(*) FILTER (WHERE status = 'resolved') AS resolved,
+          count(*) FILTER (WHERE reopen_count > 0) AS reopened,
+          round((percentile_cont(0.5) WITHIN GROUP (ORDER BY hours_to_resolve))::numeric, 1) AS median_hours_to_resolve
+        FROM milestones
+        GROUP BY ward_id
+      ) counts
+      LEFT JOIN wards w ON w.ward_id = counts.ward_id
+    )
+  );
+$$;
@@ -0,0 +1,135 @@
+/*
+  # Citizen Satisfaction Ratings
+
+  1. New Tables
+    - `report_feedback` - the author's rating of how their resolved report was handled, one per report
+      - `id` (uuid, primary key)
+      - `report_id` (uuid, references reports, unique)
+      - `user_id` (uuid, references users, nullable) - the report author
+      - `rating` (smallint) - 1 to 5
+      - `comment` (text, nullable)
+      - `official_id` (uuid, references users, nullable) - assignee when the rating was given
+      - `department_id` (uuid, references departments, nullable) - department when the rating was given
+      - `category` (text) - report category when the rating was given
+      - `created_at` (timestamp)
+
+  2. Functions
+    - `municipality_satisfaction_stats(municipality_id, from, to)` - average rating, rating
+      count and distribution for ratings given in the range, overall and per official,
+      department and category
+
+  3. Security
+    - Enable RLS on `report_feedback`
+    - Officials can read the feedback for their municipality, writes go through the API
+
+  4. Notes
+    - The official, department and category are copied from the report so later reassignments
+      and transfers don't move earlier ratings
+*/
+
+CREATE TABLE IF NOT EXISTS report_feedback (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  report_id uuid NOT NULL UNIQUE REFERENCES reports(id) ON DELETE CASCADE,
+  user_id uuid REFERENCES users(id) ON DELETE SET NULL,
+  rating smallint NOT NULL CHECK (rating BETWEEN 1 AND 5),
+  comment text CHECK (char_length(comment) <= 1000),
+  official_id uuid REFERENCES users(id) ON DELETE SET NULL,
+  department_id uuid REFERENCES departments(id) ON DELETE SET NULL,
+  category text NOT NULL,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_report_feedback_created ON report_feedback(created_at);
+
+ALTER TABLE report_feedback ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Officials can read feedback in their municipality" ON report_feedback;
+
+CREATE POLICY "Officials can read feedback in their municipality"
+  ON report_feedback
+  FOR SELECT
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1
+      FROM reports r
+      JOIN users u ON u.id = auth.uid()
+      WHERE r.id = report_feedback.report_id
+        AND u.role = 'official'
+        AND u.municipality_id = r.municipality_id
+    )
+  );
+
+CREATE OR REPLACE FUNCTION municipality_satisfaction_stats(
+  p_municipality_id uuid,
+  p_from timestamptz,
+  p_to timestamptz
+)
+RETURNS jsonb
+LANGUAGE sql
+STABLE
+AS $$
+  WITH scoped AS (
+    SELECT f.rating, f.official_id, f.department_id, f.category
+    FROM report_feedback f
+    JOIN reports r ON r.id = f.report_id
+    WHERE r.municipality_id = p_municipality_id
+      AND r.deleted_at IS NULL
+      AND f.created_at >= p_from
+      AND f.created_at < p_to
+  )
+  SELECT jsonb_build_object(
+    'average_rating', (SELECT round(avg(rating), 2) FROM scoped),
+    'ratings', (SELECT count(*) FROM scoped),
+
+    'distribution', (
+      SELECT jsonb_object_agg(stars, (SELECT count(*) FROM scoped WHERE rating = stars))
+      FROM generate_series(1, 5) stars
+    ),
+
+    'by_official', (
+      SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'official_id', counts.official_id,
+        'name', u.name,
+        'average_rating', counts.average_rating,
+        'ratings', counts.ratings
+      ) ORDER BY counts.ratings DESC, u.name), '[]'::jsonb)
+      FROM (
+        SELECT official_id, round(avg(rating), 2) AS average_rating, count(*) AS ratings
+        FROM scoped
+        WHERE official_id IS NOT NULL
+        GROUP BY official_id
+      ) counts
+      LEFT JOIN users u ON u.id = counts.official_id
+    ),
+
+    'by_department', (
+      SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'department_id', counts.department_id,
+        'name', d.name,
+        'average_rating', counts.average_rating,
+        'ratings', counts.ratings
+      ) ORDER BY counts.ratings DESC, d.name), '[]'::jsonb)
+      FROM (
+        SELECT department_id, round(avg(rating), 2) AS average_rating, count(*) AS ratings
+        FROM scoped
+        WHERE department_id IS NOT NULL
+        GROUP BY department_id
+      ) counts
+      LEFT JOIN departments d ON d.id = counts.department_id
+    ),
+
+    'by_category', (
+      SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'category', counts.category,
+        'average_rating', counts.average_rating,
+        'ratings', counts.ratings
+      ) ORDER BY counts.ratings DESC, counts.category), '[]'::jsonb)
+      FROM (
+        SELECT category, round(avg(rating), 2) AS average_rating, count(*) AS ratings
+        FROM scoped
+        GROUP BY category
+      ) counts
+    )
+  );
+$$;
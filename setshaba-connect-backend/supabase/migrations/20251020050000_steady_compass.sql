@@ -0,0 +1,36 @@
+/*
+  # Cursor Paging for Search Results
+
+  1. Functions
+    - `search_reports(p_query, p_after_rank, p_after_id)` - replaces `search_reports(p_query)`. Results
+      are ordered by rank, then id, so the order is total and can be paged with cursors. With
+      `p_after_rank` and `p_after_id` (the `search_rank` and `id` of the last result on the previous
+      page) only the results after that one are returned
+
+  2. Notes
+    - The rank is `ts_rank` as a `real`, the same value `report_search_highlights` returns, so a
+      rank read from a page of results compares equal when it comes back in a cursor
+*/
+
+DROP FUNCTION IF EXISTS search_reports(text);
+
+CREATE OR REPLACE FUNCTION search_reports(
+  p_query text,
+  p_after_rank real DEFAULT NULL,
+  p_after_id uuid DEFAULT NULL
+)
+RETURNS SETOF reports
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT r.*
+  FROM reports r
+  JOIN report_search s ON s.report_id = r.id,
+  report_search_query(p_query) q
+  WHERE s.search_vector @@ q
+    AND (
+      p_after_rank IS NULL
+      OR (ts_rank(s.search_vector, q), r.id) < (p_after_rank, p_after_id)
+    )
+  ORDER BY ts_rank(s.search_vector, q) DESC, r.id DESC;
+$$;
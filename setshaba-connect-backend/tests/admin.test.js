@@ -0,0 +1,174 @@
+import request from 'supertest';
+import app from '../server.js';
+
+describe('Admin Endpoints', () => {
+  let adminToken;
+  let citizenToken;
+  let citizenId;
+  let municipalityId;
+
+  const createUser = (prefix, overrides = {}) => ({
+    name: `${prefix} User`,
+    email: `${prefix}${Date.now()}@example.com`,
+    password: 'testpassword123',
+    role: 'citizen',
+    ...overrides
+  });
+
+  const login = async ({ email, password }) => {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email, password });
+
+    return response.body.data;
+  };
+
+  beforeAll(async () => {
+    const municipalities = await request(app).get('/api/municipalities');
+    municipalityId = municipalities.body.data.municipalities[0].id;
+
+    const admin = createUser('admin');
+    const registered = await request(app).post('/api/auth/register').send(admin);
+    await global.testHelpers.setUserRole(registered.body.data.user.id, 'admin');
+    adminToken = (await login(admin)).access_token;
+
+    const citizen = createUser('managed');
+    await request(app).post('/api/auth/register').send(citizen);
+    const session = await login(citizen);
+    citizenToken = session.access_token;
+    citizenId = session.user.id;
+  });
+
+  describe('GET /api/admin/users', () => {
+    it('should list users for admins', async () => {
+      const response = await request(app)
+        .get('/api/admin/users?role=citizen')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(Array.isArray(response.body.data.users)).toBe(true);
+    });
+
+    it('should match the search term literally', async () => {
+      const byName = await request(app)
+        .get(`/api/admin/users?search=${encodeURIComponent('managed User')}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(byName.body.data.users.map(user => user.id)).toContain(citizenId);
+
+      // Filter syntax and wildcards in the term must not widen the match
+      for (const search of ['x,role.eq.citizen', 'x%,email.ilike.%', '%']) {
+        const response = await request(app)
+          .get(`/api/admin/users?search=${encodeURIComponent(search)}`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .expect(200);
+
+        expect(response.body.data.users).toHaveLength(0);
+      }
+    });
+
+    it('should deny non-admins', async () => {
+      await request(app)
+        .get('/api/admin/users')
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('PUT /api/admin/users/:id', () => {
+    it('should approve a pending official request', async () => {
+      const applicant = createUser('applicant', { role: 'official', municipality_id: municipalityId });
+      const registered = await request(app).post('/api/auth/register').send(applicant);
+      const applicantId = registered.body.data.user.id;
+
+      const pending = await request(app)
+        .get('/api/admin/users?pending=true')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(pending.body.data.users.map(user => user.id)).toContain(applicantId);
+
+      const response = await request(app)
+        .put(`/api/admin/users/${applicantId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'official' })
+        .expect(200);
+
+      expect(response.body.data.user.role).toBe('official');
+      expect(response.body.data.user.municipality_id).toBe(municipalityId);
+      expect(response.body.data.user.requested_role).toBeNull();
+    });
+
+    it('should require a municipality when promoting to official', async () => {
+      const response = await request(app)
+        .put(`/api/admin/users/${citizenId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'official', municipality_id: null })
+        .expect(400);
+
+      expect(response.body.error).toBe('Officials must belong to a municipality');
+    });
+
+    it('should deactivate a user and block their access', async () => {
+      await request(app)
+        .put(`/api/admin/users/${citizenId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ is_active: false })
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/users/me')
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .expect(403);
+
+      expect(response.body.error).toBe('Account is deactivated');
+    });
+  });
+
+  describe('POST /api/admin/invites', () => {
+    it('should let an invited official register with the invite municipality', async () => {
+      const official = createUser('invited', { role: 'official' });
+
+      const inviteResponse = await request(app)
+        .post('/api/admin/invites')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ email: official.email, municipality_id: municipalityId })
+        .expect(201);
+
+      const { invite_token } = inviteResponse.body.data;
+
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ ...official, invite_token })
+        .expect(201);
+
+      expect(response.body.data.user.role).toBe('official');
+      expect(response.body.data.user.municipality_id).toBe(municipalityId);
+
+      // Invites are single use
+      const reuse = await request(app)
+        .post('/api/auth/register')
+        .send({ ...official, invite_token })
+        .expect(400);
+
+      expect(reuse.body.error).toBe('Invalid or expired invite');
+    });
+  });
+
+  describe('POST /api/municipalities/import', () => {
+    it('should be restricted to admins', async () => {
+      const official = createUser('importer');
+      const registered = await request(app).post('/api/auth/register').send(official);
+      await global.testHelpers.setUserRole(registered.body.data.user.id, 'official', municipalityId);
+      const { access_token } = await login(official);
+
+      await request(app)
+        .post('/api/municipalities/import')
+        .set('Authorization', `Bearer ${access_token}`)
+        .send({ municipalities: [] })
+        .expect(403);
+    });
+  });
+});
@@ -0,0 +1,142 @@
+import request from 'supertest';
+import app from '../server.js';
+
+describe('Report Assignment Endpoints', () => {
+  let citizenToken;
+  let officialToken;
+  let officialId;
+  let colleagueId;
+  let reportId;
+
+  const register = async (user) => {
+    const registered = await request(app).post('/api/auth/register').send(user);
+
+    if (user.role === 'official') {
+      await global.testHelpers.setUserRole(registered.body.data.user.id, 'official', user.municipality_id);
+    }
+
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email: user.email, password: user.password });
+
+    return response.body.data;
+  };
+
+  beforeAll(async () => {
+    const citizen = await register({
+      name: 'Assignment Citizen',
+      email: `assign-citizen${Date.now()}@example.com`,
+      password: 'testpassword123',
+      role: 'citizen'
+    });
+    citizenToken = citizen.access_token;
+
+    const reportResponse = await request(app)
+      .post('/api/reports')
+      .set('Authorization', `Bearer ${citizenToken}`)
+      .send(global.testHelpers.createTestReport({ title: 'Leaking water main on avenue' }));
+
+    reportId = reportResponse.body.data.report.id;
+    const municipalityId = reportResponse.body.data.report.municipality_id;
+
+    const official = await register({
+      name: 'Assigning Official',
+      email: `assign-official${Date.now()}@example.com`,
+      password: 'testpassword123',
+      role: 'official',
+      municipality_id: municipalityId
+    });
+    officialToken = official.access_token;
+    officialId = official.user.id;
+
+    const colleague = await register({
+      name: 'Colleague Official',
+      email: `assign-colleague${Date.now()}@example.com`,
+      password: 'testpassword123',
+      role: 'official',
+      municipality_id: municipalityId
+    });
+    colleagueId = colleague.user.id;
+  });
+
+  describe('POST /api/reports/:id/assign', () => {
+    it('should assign the report to the current official by default', async () => {
+      const response = await request(app)
+        .post(`/api/reports/${reportId}/assign`)
+        .set('Authorization', `Bearer ${officialToken}`)
+        .send({})
+        .expect(200);
+
+      expect(response.body.data.assignment.assigned_to).toBe(officialId);
+      expect(response.body.data.assignment.previous_assignee).toBeNull();
+    });
+
+    it('should list the report in the assigned-to-me queue', async () => {
+      const response = await request(app)
+        .get('/api/reports/municipality?assigned_to=me')
+        .set('Authorization', `Bearer ${officialToken}`)
+        .expect(200);
+
+      expect(response.body.data.reports.map(report => report.id)).toContain(reportId);
+    });
+
+    it('should reassign to a colleague and record the previous assignee', async () => {
+      const response = await request(app)
+        .post(`/api/reports/${reportId}/assign`)
+        .set('Authorization', `Bearer ${officialToken}`)
+        .send({ official_id: colleagueId, note: 'Water team is on site this week' })
+        .expect(200);
+
+      expect(response.body.data.assignment.assigned_to).toBe(colleagueId);
+      expect(response.body.data.assignment.previous_assignee).toBe(officialId);
+    });
+
+    it('should reject assigning to a citizen', async () => {
+      const profile = await request(app)
+        .get('/api/users/me')
+        .set('Authorization', `Bearer ${citizenToken}`);
+
+      const response = await request(app)
+        .post(`/api/reports/${reportId}/assign`)
+        .set('Authorization', `Bearer ${officialToken}`)
+        .send({ official_id: profile.body.data.user.id })
+        .expect(422);
+
+      expect(response.body.error).toBe('Reports can only be assigned to officials');
+    });
+
+    it('should not allow citizens to assign reports', async () => {
+      await request(app)
+        .post(`/api/reports/${reportId}/assign`)
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .send({})
+        .expect(403);
+    });
+  });
+
+  describe('POST /api/reports/:id/unassign', () => {
+    it('should unassign the report and keep the history', async () => {
+      await request(app)
+        .post(`/api/reports/${reportId}/unassign`)
+        .set('Authorization', `Bearer ${officialToken}`)
+        .send({})
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/reports/${reportId}/assignments`)
+        .set('Authorization', `Bearer ${officialToken}`)
+        .expect(200);
+
+      expect(response.body.data.assignments).toHaveLength(3);
+      expect(response.body.data.assignments[0].assigned_to).toBeNull();
+    });
+
+    it('should return 409 when the report is not assigned', async () => {
+      await request(app)
+        .post(`/api/reports/${reportId}/unassign`)
+        .set('Authorization', `Bearer ${officialToken}`)
+        .send({})
+        .expect(409);
+    });
+  });
+});
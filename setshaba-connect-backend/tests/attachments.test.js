@@ -0,0 +1,139 @@
+import request from 'supertest';
+import sharp from 'sharp';
+import app from '../server.js';
+
+describe('Report Attachments Endpoints', () => {
+  let authToken;
+  let reportId;
+  let photo;
+
+  const testUser = {
+    name: 'Photo Citizen',
+    email: `photos${Date.now()}@example.com`,
+    password: 'testpassword123',
+    role: 'citizen'
+  };
+
+  beforeAll(async () => {
+    await request(app)
+      .post('/api/auth/register')
+      .send(testUser);
+
+    const loginResponse = await request(app)
+      .post('/api/auth/login')
+      .send({
+        email: testUser.email,
+        password: testUser.password
+      });
+
+    authToken = loginResponse.body.data.access_token;
+
+    const reportResponse = await request(app)
+      .post('/api/reports')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send(global.testHelpers.createTestReport({ title: 'Overflowing drain with photos' }));
+
+    reportId = reportResponse.body.data.report.id;
+
+    // A JPEG carrying EXIF metadata, which must not survive the upload
+    photo = await sharp({
+      create: { width: 640, height: 480, channels: 3, background: '#888888' }
+    })
+      .jpeg()
+      .withMetadata({ exif: { IFD0: { Copyright: 'test' } } })
+      .toBuffer();
+  });
+
+  describe('POST /api/reports/:id/attachments', () => {
+    it('should upload a photo with a thumbnail and stripped metadata', async () => {
+      const response = await request(app)
+        .post(`/api/reports/${reportId}/attachments`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .attach('photos', photo, { filename: 'drain.jpg', contentType: 'image/jpeg' })
+        .expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.attachments).toHaveLength(1);
+      expect(response.body.data.attachments[0]).toHaveProperty('thumbnail_url');
+
+      const stored = await request(app).get(response.body.data.attachments[0].url);
+      const metadata = await sharp(stored.body).metadata();
+      expect(metadata.exif).toBeUndefined();
+    });
+
+    it('should replay a retried upload instead of storing the photos twice', async () => {
+      const idempotencyKey = `photos-${Date.now()}`;
+
+      const upload = () => request(app)
+        .post(`/api/reports/${reportId}/attachments`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('Idempotency-Key', idempotencyKey)
+        .attach('photos', photo, { filename: 'drain.jpg', contentType: 'image/jpeg' })
+        .expect(201);
+
+      const first = await upload();
+      const retry = await upload();
+
+      expect(retry.headers['idempotent-replayed']).toBe('true');
+      expect(retry.body.data.attachments[0].id).toBe(first.body.data.attachments[0].id);
+
+      const list = await request(app)
+        .get(`/api/reports/${reportId}/attachments`)
+        .expect(200);
+
+      const ids = list.body.data.attachments.map(attachment => attachment.id);
+      expect(ids.filter(id => id === first.body.data.attachments[0].id)).toHaveLength(1);
+    });
+
+    it('should reject a reused key with different photos', async () => {
+      const idempotencyKey = `photos-other-${Date.now()}`;
+      const otherPhoto = await sharp({
+        create: { width: 320, height: 240, channels: 3, background: '#336699' }
+      })
+        .jpeg()
+        .toBuffer();
+
+      await request(app)
+        .post(`/api/reports/${reportId}/attachments`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('Idempotency-Key', idempotencyKey)
+        .attach('photos', photo, { filename: 'drain.jpg', contentType: 'image/jpeg' })
+        .expect(201);
+
+      await request(app)
+        .post(`/api/reports/${reportId}/attachments`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('Idempotency-Key', idempotencyKey)
+        .attach('photos', otherPhoto, { filename: 'drain.jpg', contentType: 'image/jpeg' })
+        .expect(422);
+    });
+
+    it('should reject files that are not images', async () => {
+      const response = await request(app)
+        .post(`/api/reports/${reportId}/attachments`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .attach('photos', Buffer.from('not an image'), { filename: 'notes.txt', contentType: 'text/plain' })
+        .expect(415);
+
+      expect(response.body.error).toBe('Only JPEG, PNG and WebP images are allowed');
+    });
+
+    it('should return error without authentication', async () => {
+      await request(app)
+        .post(`/api/reports/${reportId}/attachments`)
+        .attach('photos', photo, { filename: 'drain.jpg', contentType: 'image/jpeg' })
+        .expect(401);
+    });
+  });
+
+  describe('GET /api/reports/:id/attachments', () => {
+    it('should list report attachments', async () => {
+      const response = await request(app)
+        .get(`/api/reports/${reportId}/attachments`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.attachments.length).toBeGreaterThan(0);
+    });
+  });
+});
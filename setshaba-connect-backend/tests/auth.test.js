@@ -48,6 +48,40 @@ describe('Authentication Endpoints', () => {
 
       expect(response.body.error).toBeDefined();
     });
+
+    it('should register officials without an invite as citizens pending approval', async () => {
+      const municipalities = await request(app).get('/api/municipalities');
+      const municipalityId = municipalities.body.data.municipalities[0].id;
+
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({
+          ...testUser,
+          email: `official${Date.now()}@example.com`,
+          role: 'official',
+          municipality_id: municipalityId
+        })
+        .expect(201);
+
+      expect(response.body.data.pending_approval).toBe(true);
+      expect(response.body.data.user.role).toBe('citizen');
+      expect(response.body.data.user.requested_role).toBe('official');
+      expect(response.body.data.user.requested_municipality_id).toBe(municipalityId);
+    });
+
+    it('should reject an invalid invite token', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({
+          ...testUser,
+          email: `invited${Date.now()}@example.com`,
+          role: 'official',
+          invite_token: 'not-a-real-invite'
+        })
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid or expired invite');
+    });
   });
 
   describe('POST /api/auth/login', () => {
@@ -0,0 +1,187 @@
+import request from 'supertest';
+import app from '../server.js';
+
+describe('Municipality Categories', () => {
+  let citizenToken;
+  let adminToken;
+  let municipalityId;
+  let roadsId;
+  let subcategoryId;
+
+  const register = async (user, role = null) => {
+    const registered = await request(app).post('/api/auth/register').send(user);
+
+    if (role) {
+      await global.testHelpers.setUserRole(registered.body.data.user.id, role);
+    }
+
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email: user.email, password: user.password });
+
+    return response.body.data.access_token;
+  };
+
+  const createUser = (prefix) => ({
+    name: `${prefix} User`,
+    email: `${prefix}${Date.now()}@example.com`,
+    password: 'testpassword123',
+    role: 'citizen'
+  });
+
+  beforeAll(async () => {
+    citizenToken = await register(createUser('category-citizen'));
+    adminToken = await register(createUser('category-admin'), 'admin');
+
+    const reportResponse = await request(app)
+      .post('/api/reports')
+      .set('Authorization', `Bearer ${citizenToken}`)
+      .send(global.testHelpers.createTestReport({ title: 'Streetlight out on the corner', category: 'electricity' }));
+
+    municipalityId = reportResponse.body.data.report.municipality_id;
+  });
+
+  describe('GET /api/municipalities/:id/categories', () => {
+    it('should list the categories with their sub-categories', async () => {
+      const response = await request(app)
+        .get(`/api/municipalities/${municipalityId}/categories`)
+        .expect(200);
+
+      const slugs = response.body.data.categories.map(category => category.slug);
+      expect(slugs).toEqual(expect.arrayContaining(['water', 'electricity', 'roads', 'waste', 'safety', 'other']));
+      response.body.data.categories.forEach(category => expect(Array.isArray(category.subcategories)).toBe(true));
+
+      roadsId = response.body.data.categories.find(category => category.slug === 'roads').id;
+    });
+
+    it('should only list retired categories for admins', async () => {
+      await request(app)
+        .get(`/api/municipalities/${municipalityId}/categories?include_inactive=true`)
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('POST /api/municipalities/:id/categories', () => {
+    it('should let an admin add a sub-category', async () => {
+      const response = await request(app)
+        .post(`/api/municipalities/${municipalityId}/categories`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ slug: 'potholes', name: 'Potholes', parent_id: roadsId })
+        .expect(201);
+
+      expect(response.body.data.category.municipality_id).toBe(municipalityId);
+      subcategoryId = response.body.data.category.id;
+
+      const listResponse = await request(app)
+        .get(`/api/municipalities/${municipalityId}/categories`)
+        .expect(200);
+
+      const roads = listResponse.body.data.categories.find(category => category.slug === 'roads');
+      expect(listResponse.body.data.uses_defaults).toBe(false);
+      expect(roads.subcategories.map(category => category.slug)).toContain('potholes');
+    });
+
+    it('should reject a duplicate slug', async () => {
+      await request(app)
+        .post(`/api/municipalities/${municipalityId}/categories`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ slug: 'water', name: 'Water' })
+        .expect(409);
+    });
+
+    it('should only allow admins', async () => {
+      await request(app)
+        .post(`/api/municipalities/${municipalityId}/categories`)
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .send({ slug: 'parks', name: 'Parks' })
+        .expect(403);
+    });
+  });
+
+  describe('Reports', () => {
+    it('should accept a category with a sub-category', async () => {
+      const response = await request(app)
+        .post('/api/reports')
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .send(global.testHelpers.createTestReport({ category: 'roads', subcategory: 'potholes' }))
+        .expect(201);
+
+      expect(response.body.data.report.subcategory).toBe('potholes');
+    });
+
+    it('should reject a category the municipality does not offer', async () => {
+      const response = await request(app)
+        .post('/api/reports')
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .send(global.testHelpers.createTestReport({ category: 'parking' }))
+        .expect(422);
+
+      expect(response.body.details).toContain('roads');
+    });
+
+    it('should use the categories of the location, not the citizen\'s home municipality', async () => {
+      const municipalities = await request(app).get('/api/municipalities');
+      const home = municipalities.body.data.municipalities.find(municipality => municipality.id !== municipalityId);
+
+      if (!home) {
+        console.log('Skipping test - only one municipality available');
+        return;
+      }
+
+      const visitor = createUser('category-visitor');
+      const registered = await request(app).post('/api/auth/register').send(visitor);
+      await global.testHelpers.setUserRole(registered.body.data.user.id, 'citizen', home.id);
+      const visitorToken = (await request(app)
+        .post('/api/auth/login')
+        .send({ email: visitor.email, password: visitor.password })).body.data.access_token;
+
+      const { lat, lng } = global.testHelpers.createTestReport();
+      const located = await request(app)
+        .get(`/api/municipalities/locate?lat=${lat}&lng=${lng}`)
+        .expect(200);
+
+      expect(located.body.data.municipality.id).toBe(municipalityId);
+
+      // potholes only exists in the location's municipality
+      const response = await request(app)
+        .post('/api/reports')
+        .set('Authorization', `Bearer ${visitorToken}`)
+        .send(global.testHelpers.createTestReport({ category: 'roads', subcategory: 'potholes' }))
+        .expect(201);
+
+      expect(response.body.data.report.municipality_id).toBe(municipalityId);
+    });
+
+    it('should reject a sub-category of another category', async () => {
+      await request(app)
+        .post('/api/reports')
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .send(global.testHelpers.createTestReport({ category: 'water', subcategory: 'potholes' }))
+        .expect(422);
+    });
+  });
+
+  describe('PUT and DELETE /api/municipalities/:id/categories/:categoryId', () => {
+    it('should not delete a category reports use', async () => {
+      await request(app)
+        .delete(`/api/municipalities/${municipalityId}/categories/${subcategoryId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(409);
+    });
+
+    it('should retire a category so it can no longer be picked', async () => {
+      await request(app)
+        .put(`/api/municipalities/${municipalityId}/categories/${subcategoryId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ is_active: false })
+        .expect(200);
+
+      await request(app)
+        .post('/api/reports')
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .send(global.testHelpers.createTestReport({ category: 'roads', subcategory: 'potholes' }))
+        .expect(422);
+    });
+  });
+});
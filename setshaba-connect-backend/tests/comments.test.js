@@ -0,0 +1,166 @@
+import request from 'supertest';
+import app from '../server.js';
+
+describe('Report Comments', () => {
+  let authorToken;
+  let neighbourToken;
+  let officialToken;
+  let reportId;
+  let commentId;
+
+  const register = async (user, municipalityId = null) => {
+    const registered = await request(app).post('/api/auth/register').send(user);
+
+    if (municipalityId) {
+      await global.testHelpers.setUserRole(registered.body.data.user.id, 'official', municipalityId);
+    }
+
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email: user.email, password: user.password });
+
+    return response.body.data.access_token;
+  };
+
+  const createUser = (prefix) => ({
+    name: `${prefix} User`,
+    email: `${prefix}${Date.now()}@example.com`,
+    password: 'testpassword123',
+    role: 'citizen'
+  });
+
+  beforeAll(async () => {
+    authorToken = await register(createUser('comment-author'));
+    neighbourToken = await register(createUser('comment-neighbour'));
+
+    const reportResponse = await request(app)
+      .post('/api/reports')
+      .set('Authorization', `Bearer ${authorToken}`)
+      .send(global.testHelpers.createTestReport({ title: 'Pothole outside the clinic' }));
+
+    reportId = reportResponse.body.data.report.id;
+
+    officialToken = await register(createUser('comment-official'), reportResponse.body.data.report.municipality_id);
+  });
+
+  describe('POST /api/reports/:reportId/comments', () => {
+    it('should let a citizen comment on a report', async () => {
+      const response = await request(app)
+        .post(`/api/reports/${reportId}/comments`)
+        .set('Authorization', `Bearer ${neighbourToken}`)
+        .send({ body: 'It has gotten worse since the rain' })
+        .expect(201);
+
+      expect(response.body.data.comment.body).toBe('It has gotten worse since the rain');
+      expect(response.body.data.comment.author.name).toBe('comment-neighbour User');
+      commentId = response.body.data.comment.id;
+    });
+
+    it('should reject an empty comment', async () => {
+      await request(app)
+        .post(`/api/reports/${reportId}/comments`)
+        .set('Authorization', `Bearer ${neighbourToken}`)
+        .send({ body: '   ' })
+        .expect(400);
+    });
+
+    it('should require authentication', async () => {
+      await request(app)
+        .post(`/api/reports/${reportId}/comments`)
+        .send({ body: 'Still broken' })
+        .expect(401);
+    });
+  });
+
+  describe('PUT /api/reports/:reportId/comments/:commentId', () => {
+    it('should let the author edit their comment', async () => {
+      const response = await request(app)
+        .put(`/api/reports/${reportId}/comments/${commentId}`)
+        .set('Authorization', `Bearer ${neighbourToken}`)
+        .send({ body: 'It has gotten much worse since the rain' })
+        .expect(200);
+
+      expect(response.body.data.comment.edited_at).not.toBeNull();
+    });
+
+    it('should not let anyone else edit it', async () => {
+      await request(app)
+        .put(`/api/reports/${reportId}/comments/${commentId}`)
+        .set('Authorization', `Bearer ${authorToken}`)
+        .send({ body: 'Edited by someone else' })
+        .expect(403);
+    });
+  });
+
+  describe('Moderation', () => {
+    it('should not let citizens hide comments', async () => {
+      await request(app)
+        .post(`/api/reports/${reportId}/comments/${commentId}/hide`)
+        .set('Authorization', `Bearer ${authorToken}`)
+        .expect(403);
+    });
+
+    it('should hide a comment from citizens but not from officials', async () => {
+      await request(app)
+        .post(`/api/reports/${reportId}/comments/${commentId}/hide`)
+        .set('Authorization', `Bearer ${officialToken}`)
+        .send({ reason: 'Off topic' })
+        .expect(200);
+
+      const citizenView = await request(app)
+        .get(`/api/reports/${reportId}/comments`)
+        .set('Authorization', `Bearer ${authorToken}`)
+        .expect(200);
+
+      expect(citizenView.body.data.comments.map(comment => comment.id)).not.toContain(commentId);
+
+      const officialView = await request(app)
+        .get(`/api/reports/${reportId}/comments`)
+        .set('Authorization', `Bearer ${officialToken}`)
+        .expect(200);
+
+      const hidden = officialView.body.data.comments.find(comment => comment.id === commentId);
+      expect(hidden.is_hidden).toBe(true);
+      expect(hidden.hidden_reason).toBe('Off topic');
+    });
+
+    it('should not let the author edit a hidden comment', async () => {
+      await request(app)
+        .put(`/api/reports/${reportId}/comments/${commentId}`)
+        .set('Authorization', `Bearer ${neighbourToken}`)
+        .send({ body: 'Trying to edit a hidden comment' })
+        .expect(409);
+    });
+
+    it('should restore a hidden comment', async () => {
+      await request(app)
+        .post(`/api/reports/${reportId}/comments/${commentId}/unhide`)
+        .set('Authorization', `Bearer ${officialToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/reports/${reportId}/comments`)
+        .set('Authorization', `Bearer ${authorToken}`)
+        .expect(200);
+
+      expect(response.body.data.comments.map(comment => comment.id)).toContain(commentId);
+    });
+  });
+
+  it('should rate limit comments per user', async () => {
+    const token = await register(createUser('comment-chatty'));
+    const statuses = [];
+
+    for (let i = 0; i < 6; i++) {
+      const response = await request(app)
+        .post(`/api/reports/${reportId}/comments`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ body: `Still broken, day ${i + 1}` });
+
+      statuses.push(response.status);
+    }
+
+    expect(statuses.slice(0, 5)).toEqual([201, 201, 201, 201, 201]);
+    expect(statuses[5]).toBe(429);
+  });
+});
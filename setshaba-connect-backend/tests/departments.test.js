@@ -0,0 +1,211 @@
+import request from 'supertest';
+import app from '../server.js';
+
+describe('Departments and Routing', () => {
+  let citizenToken;
+  let citizenId;
+  let adminToken;
+  let officialToken;
+  let officialId;
+  let municipalityId;
+  let waterTeamId;
+  let roadsTeamId;
+  let reportId;
+  const suffix = Date.now();
+  const category = `leaks${suffix}`;
+
+  const register = async (user, role = null, roleMunicipalityId = null) => {
+    const registered = await request(app).post('/api/auth/register').send(user);
+
+    if (role) {
+      await global.testHelpers.setUserRole(registered.body.data.user.id, role, roleMunicipalityId);
+    }
+
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email: user.email, password: user.password });
+
+    return { token: response.body.data.access_token, id: registered.body.data.user.id };
+  };
+
+  const createUser = (prefix) => ({
+    name: `${prefix} User`,
+    email: `${prefix}${Date.now()}@example.com`,
+    password: 'testpassword123',
+    role: 'citizen'
+  });
+
+  beforeAll(async () => {
+    ({ token: citizenToken, id: citizenId } = await register(createUser('department-citizen')));
+    ({ token: adminToken } = await register(createUser('department-admin'), 'admin'));
+
+    const reportResponse = await request(app)
+      .post('/api/reports')
+      .set('Authorization', `Bearer ${citizenToken}`)
+      .send(global.testHelpers.createTestReport({ title: 'Burst pipe flooding the road' }));
+
+    municipalityId = reportResponse.body.data.report.municipality_id;
+
+    ({ token: officialToken, id: officialId } = await register(
+      createUser('department-official'),
+      'official',
+      municipalityId
+    ));
+
+    await request(app)
+      .post(`/api/municipalities/${municipalityId}/categories`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ slug: category, name: `Leaks ${suffix}` });
+  });
+
+  describe('Departments', () => {
+    it('should let an admin create departments', async () => {
+      const waterResponse = await request(app)
+        .post(`/api/municipalities/${municipalityId}/departments`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: `Water Team ${suffix}` })
+        .expect(201);
+
+      const roadsResponse = await request(app)
+        .post(`/api/municipalities/${municipalityId}/departments`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: `Roads Team ${suffix}` })
+        .expect(201);
+
+      waterTeamId = waterResponse.body.data.department.id;
+      roadsTeamId = roadsResponse.body.data.department.id;
+    });
+
+    it('should reject a duplicate department name', async () => {
+      await request(app)
+        .post(`/api/municipalities/${municipalityId}/departments`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: `water team ${suffix}` })
+        .expect(409);
+    });
+
+    it('should only add officials of the municipality as members', async () => {
+      await request(app)
+        .post(`/api/municipalities/${municipalityId}/departments/${waterTeamId}/members`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ user_id: citizenId })
+        .expect(422);
+
+      await request(app)
+        .post(`/api/municipalities/${municipalityId}/departments/${waterTeamId}/members`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ user_id: officialId })
+        .expect(201);
+    });
+
+    it('should list departments with their members for officials', async () => {
+      const response = await request(app)
+        .get(`/api/municipalities/${municipalityId}/departments`)
+        .set('Authorization', `Bearer ${officialToken}`)
+        .expect(200);
+
+      const waterTeam = response.body.data.departments.find(department => department.id === waterTeamId);
+      expect(waterTeam.members.map(member => member.id)).toContain(officialId);
+    });
+
+    it('should not let citizens manage departments', async () => {
+      await request(app)
+        .post(`/api/municipalities/${municipalityId}/departments`)
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .send({ name: 'Citizen Team' })
+        .expect(403);
+    });
+  });
+
+  describe('Routing', () => {
+    it('should let an admin route a category to a department', async () => {
+      await request(app)
+        .post(`/api/municipalities/${municipalityId}/routing-rules`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ department_id: waterTeamId, category })
+        .expect(201);
+
+      await request(app)
+        .post(`/api/municipalities/${municipalityId}/routing-rules`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ department_id: roadsTeamId, category })
+        .expect(409);
+    });
+
+    it('should reject a rule for an unknown category', async () => {
+      await request(app)
+        .post(`/api/municipalities/${municipalityId}/routing-rules`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ department_id: waterTeamId, category: `unknown${suffix}` })
+        .expect(400);
+    });
+
+    it('should route a new report by its category', async () => {
+      const response = await request(app)
+        .post('/api/reports')
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .send(global.testHelpers.createTestReport({ title: 'Water leaking from the meter', category }))
+        .expect(201);
+
+      reportId = response.body.data.report.id;
+      expect(response.body.data.report.department_id).toBe(waterTeamId);
+    });
+
+    it('should filter the municipality queue by department', async () => {
+      const mine = await request(app)
+        .get('/api/reports/municipality?department_id=mine')
+        .set('Authorization', `Bearer ${officialToken}`)
+        .expect(200);
+
+      expect(mine.body.data.reports.map(report => report.id)).toContain(reportId);
+
+      const roads = await request(app)
+        .get(`/api/reports/municipality?department_id=${roadsTeamId}`)
+        .set('Authorization', `Bearer ${officialToken}`)
+        .expect(200);
+
+      expect(roads.body.data.reports.map(report => report.id)).not.toContain(reportId);
+    });
+  });
+
+  describe('Transfers', () => {
+    it('should transfer a report to another department', async () => {
+      const response = await request(app)
+        .post(`/api/reports/${reportId}/transfer`)
+        .set('Authorization', `Bearer ${officialToken}`)
+        .send({ department_id: roadsTeamId, note: 'Pipe runs under the road' })
+        .expect(200);
+
+      expect(response.body.data.transfer.from_department).toBe(waterTeamId);
+      expect(response.body.data.transfer.to_department).toBe(roadsTeamId);
+    });
+
+    it('should reject a transfer to the current department', async () => {
+      await request(app)
+        .post(`/api/reports/${reportId}/transfer`)
+        .set('Authorization', `Bearer ${officialToken}`)
+        .send({ department_id: roadsTeamId })
+        .expect(409);
+    });
+
+    it('should record the routing and transfers in the history', async () => {
+      const response = await request(app)
+        .get(`/api/reports/${reportId}/transfers`)
+        .set('Authorization', `Bearer ${officialToken}`)
+        .expect(200);
+
+      const [transfer, routing] = response.body.data.transfers;
+      expect(transfer.transferred_by).toBe(officialId);
+      expect(routing.automatic).toBe(true);
+      expect(routing.to_department).toBe(waterTeamId);
+    });
+
+    it('should only let officials transfer reports', async () => {
+      await request(app)
+        .post(`/api/reports/${reportId}/transfer`)
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .send({ department_id: waterTeamId })
+        .expect(403);
+    });
+  });
+});
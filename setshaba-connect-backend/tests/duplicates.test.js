@@ -0,0 +1,134 @@
+import request from 'supertest';
+import app from '../server.js';
+
+describe('Duplicate Reports', () => {
+  let authorToken;
+  let neighbourToken;
+  let officialToken;
+  let canonicalId;
+  let duplicateId;
+  let municipalityId;
+
+  // A spot away from the shared test location so other suites don't add matches
+  const location = { lat: -26.1952, lng: 28.0341, category: 'water' };
+
+  const register = async (user) => {
+    const registered = await request(app).post('/api/auth/register').send(user);
+
+    if (user.role === 'official') {
+      await global.testHelpers.setUserRole(registered.body.data.user.id, 'official', user.municipality_id);
+    }
+
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email: user.email, password: user.password });
+
+    return response.body.data.access_token;
+  };
+
+  beforeAll(async () => {
+    authorToken = await register({
+      name: 'First Reporter',
+      email: `first-reporter${Date.now()}@example.com`,
+      password: 'testpassword123',
+      role: 'citizen'
+    });
+
+    neighbourToken = await register({
+      name: 'Second Reporter',
+      email: `second-reporter${Date.now()}@example.com`,
+      password: 'testpassword123',
+      role: 'citizen'
+    });
+
+    const response = await request(app)
+      .post('/api/reports')
+      .set('Authorization', `Bearer ${authorToken}`)
+      .send(global.testHelpers.createTestReport({ ...location, title: 'Burst pipe flooding the street' }));
+
+    canonicalId = response.body.data.report.id;
+    municipalityId = response.body.data.report.municipality_id;
+
+    officialToken = await register({
+      name: 'Merging Official',
+      email: `merging-official${Date.now()}@example.com`,
+      password: 'testpassword123',
+      role: 'official',
+      municipality_id: municipalityId
+    });
+  });
+
+  describe('GET /api/reports/duplicates', () => {
+    it('should find open reports of the same category nearby', async () => {
+      const response = await request(app)
+        .get(`/api/reports/duplicates?lat=${location.lat + 0.0003}&lng=${location.lng}&category=water`)
+        .set('Authorization', `Bearer ${neighbourToken}`)
+        .expect(200);
+
+      const match = response.body.data.possible_duplicates.find(report => report.id === canonicalId);
+      expect(match).toBeDefined();
+      expect(match.distance_m).toBeLessThan(150);
+    });
+
+    it('should ignore other categories', async () => {
+      const response = await request(app)
+        .get(`/api/reports/duplicates?lat=${location.lat}&lng=${location.lng}&category=roads`)
+        .set('Authorization', `Bearer ${neighbourToken}`)
+        .expect(200);
+
+      expect(response.body.data.possible_duplicates.map(report => report.id)).not.toContain(canonicalId);
+    });
+  });
+
+  describe('POST /api/reports', () => {
+    it('should return possible duplicates with the new report', async () => {
+      const response = await request(app)
+        .post('/api/reports')
+        .set('Authorization', `Bearer ${neighbourToken}`)
+        .send(global.testHelpers.createTestReport({ ...location, title: 'Water pipe burst near corner' }))
+        .expect(201);
+
+      duplicateId = response.body.data.report.id;
+      expect(response.body.data.possible_duplicates.map(report => report.id)).toContain(canonicalId);
+    });
+  });
+
+  describe('POST /api/reports/:id/merge', () => {
+    it('should merge the duplicate and move its author over as an upvoter', async () => {
+      const response = await request(app)
+        .post(`/api/reports/${canonicalId}/merge`)
+        .set('Authorization', `Bearer ${officialToken}`)
+        .send({ duplicate_id: duplicateId })
+        .expect(200);
+
+      expect(response.body.data.merged_report.merged_into).toBe(canonicalId);
+      expect(response.body.data.report.upvotes).toBe(1);
+    });
+
+    it('should not merge an already merged report again', async () => {
+      await request(app)
+        .post(`/api/reports/${canonicalId}/merge`)
+        .set('Authorization', `Bearer ${officialToken}`)
+        .send({ duplicate_id: duplicateId })
+        .expect(409);
+    });
+
+    it('should leave the merged duplicate out of the municipality listing', async () => {
+      const response = await request(app)
+        .get(`/api/municipalities/${municipalityId}/reports?limit=100`)
+        .expect(200);
+
+      const ids = response.body.data.reports.map(report => report.id);
+      expect(ids).toContain(canonicalId);
+      expect(ids).not.toContain(duplicateId);
+    });
+
+    it('should not allow citizens to merge reports', async () => {
+      await request(app)
+        .post(`/api/reports/${canonicalId}/merge`)
+        .set('Authorization', `Bearer ${authorToken}`)
+        .send({ duplicate_id: duplicateId })
+        .expect(403);
+    });
+  });
+});
@@ -0,0 +1,119 @@
+import request from 'supertest';
+import app from '../server.js';
+
+describe('Report Events', () => {
+  let authorToken;
+  let neighbourToken;
+  let officialToken;
+  let reportId;
+
+  const register = async (user, municipalityId = null) => {
+    const registered = await request(app).post('/api/auth/register').send(user);
+
+    if (municipalityId) {
+      await global.testHelpers.setUserRole(registered.body.data.user.id, 'official', municipalityId);
+    }
+
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email: user.email, password: user.password });
+
+    return response.body.data.access_token;
+  };
+
+  const createUser = (prefix) => ({
+    name: `${prefix} User`,
+    email: `${prefix}${Date.now()}@example.com`,
+    password: 'testpassword123',
+    role: 'citizen'
+  });
+
+  // Read an event stream until the given event arrives, calling onReady once
+  // the server has subscribed so the change can't be published too early
+  const streamUntil = (url, token, eventType, onReady) => request(app)
+    .get(url)
+    .set('Authorization', `Bearer ${token}`)
+    .buffer(true)
+    .parse((res, callback) => {
+      let body = '';
+      let ready = false;
+
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        body += chunk;
+
+        if (!ready && body.includes('event: ready')) {
+          ready = true;
+          onReady();
+        }
+
+        if (body.includes(`event: ${eventType}`)) {
+          callback(null, body);
+          res.destroy();
+        }
+      });
+    });
+
+  beforeAll(async () => {
+    authorToken = await register(createUser('events-author'));
+    neighbourToken = await register(createUser('events-neighbour'));
+
+    const reportResponse = await request(app)
+      .post('/api/reports')
+      .set('Authorization', `Bearer ${authorToken}`)
+      .send(global.testHelpers.createTestReport({ title: 'Burst pipe on Church Street' }));
+
+    reportId = reportResponse.body.data.report.id;
+
+    officialToken = await register(createUser('events-official'), reportResponse.body.data.report.municipality_id);
+  });
+
+  describe('GET /api/reports/:reportId/events', () => {
+    it('should stream upvote count changes', async () => {
+      const response = await streamUntil(`/api/reports/${reportId}/events`, authorToken, 'report.upvotes_changed', () => {
+        request(app)
+          .post(`/api/reports/${reportId}/upvote`)
+          .set('Authorization', `Bearer ${neighbourToken}`)
+          .then(() => {});
+      });
+
+      expect(response.headers['content-type']).toMatch(/text\/event-stream/);
+      expect(response.body).toContain('"upvotes":1');
+    });
+
+    it('should return 404 for a non-existent report', async () => {
+      await request(app)
+        .get('/api/reports/00000000-0000-0000-0000-000000000000/events')
+        .set('Authorization', `Bearer ${authorToken}`)
+        .expect(404);
+    });
+
+    it('should require authentication', async () => {
+      await request(app)
+        .get(`/api/reports/${reportId}/events`)
+        .expect(401);
+    });
+  });
+
+  describe('GET /api/reports/municipality/events', () => {
+    it('should stream status changes to officials of the municipality', async () => {
+      const response = await streamUntil('/api/reports/municipality/events', officialToken, 'report.status_changed', () => {
+        request(app)
+          .post(`/api/reports/${reportId}/status`)
+          .set('Authorization', `Bearer ${officialToken}`)
+          .send({ update_text: 'A team has been sent out', new_status: 'acknowledged' })
+          .then(() => {});
+      });
+
+      expect(response.body).toContain('event: status_update.created');
+      expect(response.body).toContain('"to_status":"acknowledged"');
+    });
+
+    it('should not let citizens follow the municipality feed', async () => {
+      await request(app)
+        .get('/api/reports/municipality/events')
+        .set('Authorization', `Bearer ${authorToken}`)
+        .expect(403);
+    });
+  });
+});
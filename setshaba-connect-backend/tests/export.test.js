@@ -0,0 +1,103 @@
+import request from 'supertest';
+import app from '../server.js';
+
+describe('Report Export', () => {
+  let officialToken;
+  let citizenToken;
+  let reportId;
+
+  const register = async (user, municipalityId = null) => {
+    const registered = await request(app).post('/api/auth/register').send(user);
+
+    if (municipalityId) {
+      await global.testHelpers.setUserRole(registered.body.data.user.id, 'official', municipalityId);
+    }
+
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email: user.email, password: user.password });
+
+    return response.body.data.access_token;
+  };
+
+  beforeAll(async () => {
+    citizenToken = await register({
+      name: 'Export Citizen',
+      email: `export-citizen${Date.now()}@example.com`,
+      password: 'testpassword123',
+      role: 'citizen'
+    });
+
+    const reportResponse = await request(app)
+      .post('/api/reports')
+      .set('Authorization', `Bearer ${citizenToken}`)
+      .send(global.testHelpers.createTestReport({ title: 'Overflowing bins behind the clinic', category: 'waste' }));
+
+    reportId = reportResponse.body.data.report.id;
+
+    officialToken = await register({
+      name: 'Export Official',
+      email: `export-official${Date.now()}@example.com`,
+      password: 'testpassword123',
+      role: 'citizen'
+    }, reportResponse.body.data.report.municipality_id);
+  });
+
+  it('should export filtered reports as CSV by default', async () => {
+    const response = await request(app)
+      .get('/api/reports/municipality/export?category=waste')
+      .set('Authorization', `Bearer ${officialToken}`)
+      .expect(200);
+
+    expect(response.headers['content-type']).toMatch(/text\/csv/);
+    expect(response.headers['content-disposition']).toMatch(/attachment; filename="reports-.*\.csv"/);
+
+    const [header, ...rows] = response.text.replace(/^\uFEFF/, '').trim().split('\r\n');
+    expect(header).toContain('upvotes');
+    expect(header).toContain('status_history');
+    expect(rows.some(row => row.startsWith(reportId))).toBe(true);
+  });
+
+  it('should export GeoJSON points', async () => {
+    const response = await request(app)
+      .get('/api/reports/municipality/export?format=geojson')
+      .set('Authorization', `Bearer ${officialToken}`)
+      .buffer(true)
+      .parse((res, callback) => {
+        let body = '';
+        res.on('data', chunk => { body += chunk; });
+        res.on('end', () => callback(null, JSON.parse(body)));
+      })
+      .expect(200);
+
+    expect(response.body.type).toBe('FeatureCollection');
+
+    const feature = response.body.features.find(item => item.properties.id === reportId);
+    expect(feature.geometry.type).toBe('Point');
+    expect(feature.properties.status_history).toBeInstanceOf(Array);
+  });
+
+  it('should export an XLSX workbook', async () => {
+    const response = await request(app)
+      .get('/api/reports/municipality/export?format=xlsx')
+      .set('Authorization', `Bearer ${officialToken}`)
+      .buffer(true)
+      .expect(200);
+
+    expect(response.headers['content-type']).toMatch(/spreadsheetml/);
+  });
+
+  it('should reject an unknown format', async () => {
+    await request(app)
+      .get('/api/reports/municipality/export?format=pdf')
+      .set('Authorization', `Bearer ${officialToken}`)
+      .expect(400);
+  });
+
+  it('should deny citizens', async () => {
+    await request(app)
+      .get('/api/reports/municipality/export')
+      .set('Authorization', `Bearer ${citizenToken}`)
+      .expect(403);
+  });
+});
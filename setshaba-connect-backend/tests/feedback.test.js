@@ -0,0 +1,135 @@
+import request from 'supertest';
+import app from '../server.js';
+
+describe('Satisfaction Ratings', () => {
+  let citizenToken;
+  let neighbourToken;
+  let officialToken;
+  let officialId;
+  let municipalityId;
+  let reportId;
+
+  const register = async (user, role = null, roleMunicipalityId = null) => {
+    const registered = await request(app).post('/api/auth/register').send(user);
+
+    if (role) {
+      await global.testHelpers.setUserRole(registered.body.data.user.id, role, roleMunicipalityId);
+    }
+
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email: user.email, password: user.password });
+
+    return { token: response.body.data.access_token, id: registered.body.data.user.id };
+  };
+
+  const createUser = (prefix) => ({
+    name: `${prefix} User`,
+    email: `${prefix}${Date.now()}@example.com`,
+    password: 'testpassword123',
+    role: 'citizen'
+  });
+
+  beforeAll(async () => {
+    ({ token: citizenToken } = await register(createUser('feedback-citizen')));
+    ({ token: neighbourToken } = await register(createUser('feedback-neighbour')));
+
+    const reportResponse = await request(app)
+      .post('/api/reports')
+      .set('Authorization', `Bearer ${citizenToken}`)
+      .send(global.testHelpers.createTestReport({ title: 'Broken water meter leaking' }));
+
+    reportId = reportResponse.body.data.report.id;
+    municipalityId = reportResponse.body.data.report.municipality_id;
+
+    ({ token: officialToken, id: officialId } = await register(
+      createUser('feedback-official'),
+      'official',
+      municipalityId
+    ));
+
+    await request(app)
+      .post(`/api/reports/${reportId}/assign`)
+      .set('Authorization', `Bearer ${officialToken}`)
+      .send({});
+  });
+
+  it('should only accept ratings for resolved reports', async () => {
+    await request(app)
+      .post(`/api/reports/${reportId}/feedback`)
+      .set('Authorization', `Bearer ${citizenToken}`)
+      .send({ rating: 4 })
+      .expect(409);
+
+    for (const status of ['acknowledged', 'in_progress', 'resolved']) {
+      await request(app)
+        .post(`/api/reports/${reportId}/status`)
+        .set('Authorization', `Bearer ${officialToken}`)
+        .send({ update_text: `Moving the report to ${status}`, new_status: status })
+        .expect(201);
+    }
+  });
+
+  it('should reject ratings outside 1 to 5', async () => {
+    await request(app)
+      .post(`/api/reports/${reportId}/feedback`)
+      .set('Authorization', `Bearer ${citizenToken}`)
+      .send({ rating: 6 })
+      .expect(400);
+  });
+
+  it('should only let the author rate a report', async () => {
+    await request(app)
+      .post(`/api/reports/${reportId}/feedback`)
+      .set('Authorization', `Bearer ${neighbourToken}`)
+      .send({ rating: 1 })
+      .expect(403);
+  });
+
+  it('should record one rating per report for the assignee', async () => {
+    const response = await request(app)
+      .post(`/api/reports/${reportId}/feedback`)
+      .set('Authorization', `Bearer ${citizenToken}`)
+      .send({ rating: 5, comment: 'Fixed within a day, thank you' })
+      .expect(201);
+
+    expect(response.body.data.feedback.official_id).toBe(officialId);
+
+    await request(app)
+      .post(`/api/reports/${reportId}/feedback`)
+      .set('Authorization', `Bearer ${citizenToken}`)
+      .send({ rating: 2 })
+      .expect(409);
+
+    const feedback = await request(app)
+      .get(`/api/reports/${reportId}/feedback`)
+      .set('Authorization', `Bearer ${citizenToken}`)
+      .expect(200);
+
+    expect(feedback.body.data.feedback.rating).toBe(5);
+  });
+
+  describe('GET /api/municipalities/:id/satisfaction', () => {
+    it('should aggregate ratings per official', async () => {
+      const response = await request(app)
+        .get(`/api/municipalities/${municipalityId}/satisfaction`)
+        .set('Authorization', `Bearer ${officialToken}`)
+        .expect(200);
+
+      expect(response.body.data.ratings).toBeGreaterThanOrEqual(1);
+      expect(response.body.data).toHaveProperty('by_department');
+      expect(response.body.data).toHaveProperty('by_category');
+
+      const official = response.body.data.by_official.find(item => item.official_id === officialId);
+      expect(official.ratings).toBe(1);
+      expect(Number(official.average_rating)).toBe(5);
+    });
+
+    it('should not be available to citizens', async () => {
+      await request(app)
+        .get(`/api/municipalities/${municipalityId}/satisfaction`)
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .expect(403);
+    });
+  });
+});
@@ -0,0 +1,111 @@
+import request from 'supertest';
+import app from '../server.js';
+
+describe('Report History', () => {
+  let citizenToken;
+  let citizenId;
+  let officialToken;
+  let officialId;
+  let reportId;
+
+  const register = async (user, role = null, roleMunicipalityId = null) => {
+    const registered = await request(app).post('/api/auth/register').send(user);
+
+    if (role) {
+      await global.testHelpers.setUserRole(registered.body.data.user.id, role, roleMunicipalityId);
+    }
+
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email: user.email, password: user.password });
+
+    return { token: response.body.data.access_token, id: registered.body.data.user.id };
+  };
+
+  const createUser = (prefix) => ({
+    name: `${prefix} User`,
+    email: `${prefix}${Date.now()}@example.com`,
+    password: 'testpassword123',
+    role: 'citizen'
+  });
+
+  beforeAll(async () => {
+    ({ token: citizenToken, id: citizenId } = await register(createUser('history-citizen')));
+
+    const reportResponse = await request(app)
+      .post('/api/reports')
+      .set('Authorization', `Bearer ${citizenToken}`)
+      .send(global.testHelpers.createTestReport({ title: 'Streetlight out on the corner' }));
+
+    reportId = reportResponse.body.data.report.id;
+
+    ({ token: officialToken, id: officialId } = await register(
+      createUser('history-official'),
+      'official',
+      reportResponse.body.data.report.municipality_id
+    ));
+  });
+
+  it('should record the creation of a report', async () => {
+    const response = await request(app)
+      .get(`/api/reports/${reportId}/history`)
+      .set('Authorization', `Bearer ${officialToken}`)
+      .expect(200);
+
+    const [created] = response.body.data.events;
+    expect(created.event_type).toBe('created');
+    expect(created.actor.id).toBe(citizenId);
+    expect(created.changes.title.to).toBe('Streetlight out on the corner');
+  });
+
+  it('should record field-level changes of an update', async () => {
+    await request(app)
+      .put(`/api/reports/${reportId}`)
+      .set('Authorization', `Bearer ${officialToken}`)
+      .send({ status: 'in_progress' })
+      .expect(200);
+
+    const response = await request(app)
+      .get(`/api/reports/${reportId}/history?type=updated`)
+      .set('Authorization', `Bearer ${officialToken}`)
+      .expect(200);
+
+    const [updated] = response.body.data.events;
+    expect(updated.actor.id).toBe(officialId);
+    expect(updated.changes.status).toEqual({ from: 'pending', to: 'in_progress' });
+  });
+
+  it('should keep the history of a deleted report', async () => {
+    await request(app)
+      .delete(`/api/reports/${reportId}`)
+      .set('Authorization', `Bearer ${citizenToken}`)
+      .expect(200);
+
+    await request(app)
+      .get(`/api/reports/${reportId}`)
+      .set('Authorization', `Bearer ${citizenToken}`)
+      .expect(404);
+
+    const response = await request(app)
+      .get(`/api/reports/${reportId}/history`)
+      .set('Authorization', `Bearer ${officialToken}`)
+      .expect(200);
+
+    expect(response.body.data.deleted_at).not.toBeNull();
+    expect(response.body.data.events[0].event_type).toBe('deleted');
+  });
+
+  it('should not show the history to citizens', async () => {
+    await request(app)
+      .get(`/api/reports/${reportId}/history`)
+      .set('Authorization', `Bearer ${citizenToken}`)
+      .expect(403);
+  });
+
+  it('should reject an unknown event type', async () => {
+    await request(app)
+      .get(`/api/reports/${reportId}/history?type=renamed`)
+      .set('Authorization', `Bearer ${officialToken}`)
+      .expect(400);
+  });
+});
@@ -0,0 +1,148 @@
+import request from 'supertest';
+import app from '../server.js';
+import { createMemoryStore, setStore } from '../middleware/idempotency.js';
+
+describe('Idempotency-Key', () => {
+  let authorToken;
+  let voterToken;
+  let officialToken;
+  let reportId;
+
+  const register = async (user) => {
+    const registered = await request(app).post('/api/auth/register').send(user);
+
+    if (user.role === 'official') {
+      await global.testHelpers.setUserRole(registered.body.data.user.id, 'official', user.municipality_id);
+    }
+
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email: user.email, password: user.password });
+
+    return response.body.data.access_token;
+  };
+
+  beforeAll(async () => {
+    setStore(createMemoryStore());
+
+    authorToken = await register({
+      name: 'Idempotent Author',
+      email: `idempotent-author${Date.now()}@example.com`,
+      password: 'testpassword123',
+      role: 'citizen'
+    });
+
+    voterToken = await register({
+      name: 'Idempotent Voter',
+      email: `idempotent-voter${Date.now()}@example.com`,
+      password: 'testpassword123',
+      role: 'citizen'
+    });
+
+    const reportResponse = await request(app)
+      .post('/api/reports')
+      .set('Authorization', `Bearer ${authorToken}`)
+      .send(global.testHelpers.createTestReport({ title: 'Leaking pipe near the library' }));
+
+    reportId = reportResponse.body.data.report.id;
+
+    officialToken = await register({
+      name: 'Idempotent Official',
+      email: `idempotent-official${Date.now()}@example.com`,
+      password: 'testpassword123',
+      role: 'official',
+      municipality_id: reportResponse.body.data.report.municipality_id
+    });
+  });
+
+  afterAll(() => {
+    setStore(null);
+  });
+
+  describe('POST /api/reports/:id/upvote', () => {
+    it('should not undo the upvote when a toggle is retried', async () => {
+      const idempotencyKey = `upvote-${Date.now()}`;
+
+      const first = await request(app)
+        .post(`/api/reports/${reportId}/upvote`)
+        .set('Authorization', `Bearer ${voterToken}`)
+        .set('Idempotency-Key', idempotencyKey)
+        .expect(200);
+
+      const retry = await request(app)
+        .post(`/api/reports/${reportId}/upvote`)
+        .set('Authorization', `Bearer ${voterToken}`)
+        .set('Idempotency-Key', idempotencyKey)
+        .expect(200);
+
+      expect(retry.headers['idempotent-replayed']).toBe('true');
+      expect(retry.body).toEqual(first.body);
+
+      const report = await request(app)
+        .get(`/api/reports/${reportId}`)
+        .set('Authorization', `Bearer ${voterToken}`)
+        .expect(200);
+
+      expect(report.body.data.report.user_upvoted).toBe(true);
+    });
+  });
+
+  describe('POST /api/reports/:reportId/status', () => {
+    it('should replay the original status update', async () => {
+      const idempotencyKey = `status-${Date.now()}`;
+      const update = { update_text: 'Crew dispatched to inspect the pipe' };
+
+      const first = await request(app)
+        .post(`/api/reports/${reportId}/status`)
+        .set('Authorization', `Bearer ${officialToken}`)
+        .set('Idempotency-Key', idempotencyKey)
+        .send(update)
+        .expect(201);
+
+      const retry = await request(app)
+        .post(`/api/reports/${reportId}/status`)
+        .set('Authorization', `Bearer ${officialToken}`)
+        .set('Idempotency-Key', idempotencyKey)
+        .send(update)
+        .expect(201);
+
+      expect(retry.body.data.status_update.id).toBe(first.body.data.status_update.id);
+    });
+
+    it('should reject a key reused for a different request', async () => {
+      const idempotencyKey = `reused-${Date.now()}`;
+
+      await request(app)
+        .post(`/api/reports/${reportId}/status`)
+        .set('Authorization', `Bearer ${officialToken}`)
+        .set('Idempotency-Key', idempotencyKey)
+        .send({ update_text: 'Parts have been ordered' })
+        .expect(201);
+
+      await request(app)
+        .post(`/api/reports/${reportId}/status`)
+        .set('Authorization', `Bearer ${officialToken}`)
+        .set('Idempotency-Key', idempotencyKey)
+        .send({ update_text: 'Parts have arrived on site' })
+        .expect(422);
+    });
+  });
+
+  it('should scope keys to the caller', async () => {
+    const idempotencyKey = `shared-${Date.now()}`;
+
+    await request(app)
+      .post(`/api/reports/${reportId}/upvote`)
+      .set('Authorization', `Bearer ${authorToken}`)
+      .set('Idempotency-Key', idempotencyKey)
+      .expect(400);
+
+    const response = await request(app)
+      .post(`/api/reports/${reportId}/upvote`)
+      .set('Authorization', `Bearer ${voterToken}`)
+      .set('Idempotency-Key', idempotencyKey)
+      .expect(200);
+
+    expect(response.headers['idempotent-replayed']).toBeUndefined();
+  });
+});
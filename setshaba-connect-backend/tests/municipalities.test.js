@@ -123,5 +123,91 @@ describe('Municipalities Endpoints', () => {
         expect(report.status).toBe('pending');
       });
     });
+
+    it('should reject invalid paging parameters', async () => {
+      if (!municipalityId) {
+        console.log('Skipping test - no municipalities available');
+        return;
+      }
+
+      for (const query of ['limit=0', 'limit=500', 'limit=abc', 'offset=-1']) {
+        const response = await request(app)
+          .get(`/api/municipalities/${municipalityId}/reports?${query}`)
+          .expect(400);
+
+        expect(response.body.error).toBe('Invalid query parameters');
+      }
+    });
+  });
+
+  describe('GET /api/municipalities/:id/stats', () => {
+    let municipalityId;
+    let officialToken;
+    let citizenToken;
+
+    const register = async (user, role = 'citizen', roleMunicipalityId = null) => {
+      const registered = await request(app).post('/api/auth/register').send(user);
+
+      if (role !== 'citizen') {
+        await global.testHelpers.setUserRole(registered.body.data.user.id, role, roleMunicipalityId);
+      }
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: user.email, password: user.password });
+
+      return response.body.data.access_token;
+    };
+
+    beforeAll(async () => {
+      const municipalities = await request(app).get('/api/municipalities');
+      municipalityId = municipalities.body.data.municipalities[0].id;
+
+      citizenToken = await register({
+        name: 'Stats Citizen',
+        email: `stats-citizen${Date.now()}@example.com`,
+        password: 'testpassword123',
+        role: 'citizen'
+      });
+
+      officialToken = await register({
+        name: 'Stats Official',
+        email: `stats-official${Date.now()}@example.com`,
+        password: 'testpassword123',
+        role: 'citizen'
+      }, 'official', municipalityId);
+    });
+
+    it('should return statistics for the official\'s municipality', async () => {
+      const response = await request(app)
+        .get(`/api/municipalities/${municipalityId}/stats`)
+        .set('Authorization', `Bearer ${officialToken}`)
+        .expect(200);
+
+      const stats = response.body.data;
+      expect(stats.municipality.id).toBe(municipalityId);
+      expect(typeof stats.total).toBe('number');
+      expect(stats).toHaveProperty('by_status');
+      expect(stats).toHaveProperty('by_category');
+      expect(stats.time_to_acknowledge).toHaveProperty('median_hours');
+      expect(stats.time_to_resolve).toHaveProperty('sample_size');
+      expect(stats.weekly.length).toBeGreaterThan(0);
+      expect(stats.top_open_issues).toBeInstanceOf(Array);
+      expect(stats.by_ward).toBeInstanceOf(Array);
+    });
+
+    it('should reject an inverted date range', async () => {
+      await request(app)
+        .get(`/api/municipalities/${municipalityId}/stats?from=2025-06-01&to=2025-01-01`)
+        .set('Authorization', `Bearer ${officialToken}`)
+        .expect(400);
+    });
+
+    it('should deny citizens', async () => {
+      await request(app)
+        .get(`/api/municipalities/${municipalityId}/stats`)
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .expect(403);
+    });
   });
-});
\ No newline at end of file
+});
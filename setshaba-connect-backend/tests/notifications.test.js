@@ -0,0 +1,109 @@
+import request from 'supertest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import app from '../server.js';
+import { createLogTransport, setTransport } from '../services/notifications.js';
+
+describe('Status Update Notifications', () => {
+  const logFile = path.join(os.tmpdir(), `notifications-${Date.now()}.log`);
+  const pushToken = `ExponentPushToken[test-${Date.now()}]`;
+  let citizenToken;
+  let officialToken;
+  let reportId;
+
+  const citizen = {
+    name: 'Notified Citizen',
+    email: `notified${Date.now()}@example.com`,
+    password: 'testpassword123',
+    role: 'citizen'
+  };
+
+  // Helper function to wait for the fire-and-forget dispatcher to write the log
+  const readLog = async () => {
+    for (let attempt = 0; attempt < 20; attempt++) {
+      const contents = await fs.readFile(logFile, 'utf8').catch(() => '');
+      if (contents) {
+        return contents.trim().split('\n').map(line => JSON.parse(line));
+      }
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    return [];
+  };
+
+  const login = async ({ email, password }) => {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email, password });
+
+    return response.body.data.access_token;
+  };
+
+  beforeAll(async () => {
+    setTransport(createLogTransport({ file: logFile }));
+
+    await request(app).post('/api/auth/register').send(citizen);
+    citizenToken = await login(citizen);
+
+    const reportResponse = await request(app)
+      .post('/api/reports')
+      .set('Authorization', `Bearer ${citizenToken}`)
+      .send(global.testHelpers.createTestReport({ title: 'Broken street light on corner' }));
+
+    reportId = reportResponse.body.data.report.id;
+
+    const official = {
+      name: 'Notifying Official',
+      email: `official${Date.now()}@example.com`,
+      password: 'testpassword123',
+      role: 'official',
+      municipality_id: reportResponse.body.data.report.municipality_id
+    };
+
+    const registered = await request(app).post('/api/auth/register').send(official);
+    await global.testHelpers.setUserRole(registered.body.data.user.id, 'official', official.municipality_id);
+    officialToken = await login(official);
+  });
+
+  afterAll(async () => {
+    setTransport(null);
+    await fs.rm(logFile, { force: true });
+  });
+
+  describe('POST /api/users/me/devices', () => {
+    it('should register a push token', async () => {
+      const response = await request(app)
+        .post('/api/users/me/devices')
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .send({ push_token: pushToken, platform: 'android' })
+        .expect(201);
+
+      expect(response.body.data.device.push_token).toBe(pushToken);
+    });
+
+    it('should reject an unknown platform', async () => {
+      await request(app)
+        .post('/api/users/me/devices')
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .send({ push_token: pushToken, platform: 'symbian' })
+        .expect(400);
+    });
+  });
+
+  describe('POST /api/reports/:id/status', () => {
+    it('should notify the report author', async () => {
+      await request(app)
+        .post(`/api/reports/${reportId}/status`)
+        .set('Authorization', `Bearer ${officialToken}`)
+        .send({ update_text: 'A technician has been scheduled', new_status: 'acknowledged' })
+        .expect(201);
+
+      const messages = await readLog();
+
+      expect(messages).toHaveLength(1);
+      expect(messages[0].to).toBe(pushToken);
+      expect(messages[0].body).toBe('A technician has been scheduled');
+      expect(messages[0].data).toMatchObject({ type: 'status_update', reportId });
+    });
+  });
+});
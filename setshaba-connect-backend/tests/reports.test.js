@@ -55,6 +55,36 @@ describe('Reports Endpoints', () => {
       reportId = response.body.data.report.id;
     });
 
+    it('should not create a report twice for the same Idempotency-Key', async () => {
+      const idempotencyKey = `test-${Date.now()}`;
+
+      const first = await request(app)
+        .post('/api/reports')
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('Idempotency-Key', idempotencyKey)
+        .send(testReport)
+        .expect(201);
+
+      const retry = await request(app)
+        .post('/api/reports')
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('Idempotency-Key', idempotencyKey)
+        .send(testReport)
+        .expect(201);
+
+      expect(retry.headers['idempotent-replayed']).toBe('true');
+      expect(retry.body.data.report.id).toBe(first.body.data.report.id);
+    });
+
+    it('should reject a malformed Idempotency-Key', async () => {
+      await request(app)
+        .post('/api/reports')
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('Idempotency-Key', 'bad key!')
+        .send(testReport)
+        .expect(400);
+    });
+
     it('should return error without authentication', async () => {
       const response = await request(app)
         .post('/api/reports')
@@ -75,6 +105,41 @@ describe('Reports Endpoints', () => {
 
       expect(response.body.error).toBe('Validation error');
     });
+
+    it('should accept a null ward_id sent by the app', async () => {
+      const response = await request(app)
+        .post('/api/reports')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ ...testReport, ward_id: null })
+        .expect(201);
+
+      expect(response.body.data.report).toHaveProperty('ward_id');
+    });
+
+    it('should reject an unknown ward_id', async () => {
+      const response = await request(app)
+        .post('/api/reports')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ ...testReport, lat: -26.5, lng: 27.75, ward_id: 'NO_SUCH_WARD' });
+
+      if (response.body.data?.report?.ward_id) {
+        console.log('Skipping test - location is covered by an imported ward');
+        return;
+      }
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Unknown ward');
+    });
+
+    it('should reject a location outside every municipal boundary', async () => {
+      const response = await request(app)
+        .post('/api/reports')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ ...testReport, lat: 0, lng: 0 })
+        .expect(422);
+
+      expect(response.body.error).toMatch(/outside all supported municipal boundaries/);
+    });
   });
 
   describe('GET /api/reports', () => {
@@ -99,6 +164,17 @@ describe('Reports Endpoints', () => {
       });
     });
 
+    it('should filter reports by ward', async () => {
+      const response = await request(app)
+        .get('/api/reports?ward_id=WARD_1')
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      response.body.data.reports.forEach(report => {
+        expect(report.ward_id).toBe('WARD_1');
+      });
+    });
+
     it('should search reports by text', async () => {
       const response = await request(app)
         .get('/api/reports?search=streetlight')
@@ -109,6 +185,196 @@ describe('Reports Endpoints', () => {
       const foundReport = response.body.data.reports.find(r => r.id === reportId);
       expect(foundReport).toBeDefined();
     });
+
+    it('should match stemmed words and highlight them', async () => {
+      const response = await request(app)
+        .get('/api/reports?search=streetlights')
+        .expect(200);
+
+      const foundReport = response.body.data.reports.find(r => r.id === reportId);
+      expect(foundReport).toBeDefined();
+      expect(foundReport.search_rank).toBeGreaterThan(0);
+      expect(foundReport.search_highlight.title).toContain('<mark>');
+    });
+
+    it('should ignore Afrikaans stop words in the query', async () => {
+      const response = await request(app)
+        .get(`/api/reports?search=${encodeURIComponent('die streetlight op Main')}`)
+        .expect(200);
+
+      expect(response.body.data.reports.find(r => r.id === reportId)).toBeDefined();
+    });
+
+    it('should handle punctuation in the search term', async () => {
+      const response = await request(app)
+        .get(`/api/reports?search=${encodeURIComponent('streetlight, (main) "street" -pothole')}`)
+        .expect(200);
+
+      expect(response.body.data.reports.find(r => r.id === reportId)).toBeDefined();
+    });
+
+    it('should page with cursors without repeating reports', async () => {
+      const first = await request(app)
+        .get('/api/reports?limit=1')
+        .expect(200);
+
+      expect(first.body.data.next_cursor).toEqual(expect.any(String));
+
+      const second = await request(app)
+        .get(`/api/reports?limit=1&cursor=${first.body.data.next_cursor}`)
+        .expect(200);
+
+      expect(second.body.data).not.toHaveProperty('total');
+      expect(second.body.data.reports).toHaveLength(1);
+      expect(second.body.data.reports[0].id).not.toBe(first.body.data.reports[0].id);
+      expect(new Date(second.body.data.reports[0].created_at).getTime())
+        .toBeLessThanOrEqual(new Date(first.body.data.reports[0].created_at).getTime());
+    });
+
+    it('should reject an invalid cursor', async () => {
+      await request(app)
+        .get('/api/reports?cursor=not-a-cursor')
+        .expect(400);
+    });
+
+    it('should page search results with cursors, best match first', async () => {
+      await request(app)
+        .post('/api/reports')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ ...testReport, title: 'Flickering streetlight near the school' })
+        .expect(201);
+
+      const first = await request(app)
+        .get('/api/reports?search=streetlight&limit=1')
+        .expect(200);
+
+      expect(first.body.data.next_cursor).toEqual(expect.any(String));
+
+      const second = await request(app)
+        .get(`/api/reports?search=streetlight&limit=1&cursor=${first.body.data.next_cursor}`)
+        .expect(200);
+
+      expect(second.body.data.reports).toHaveLength(1);
+      expect(second.body.data.reports[0].id).not.toBe(first.body.data.reports[0].id);
+      expect(second.body.data.reports[0].search_rank)
+        .toBeLessThanOrEqual(first.body.data.reports[0].search_rank);
+    });
+
+    it('should not continue a search with a cursor from another sort', async () => {
+      const first = await request(app)
+        .get('/api/reports?limit=1')
+        .expect(200);
+
+      await request(app)
+        .get(`/api/reports?search=streetlight&cursor=${first.body.data.next_cursor}`)
+        .expect(400);
+    });
+
+    it('should sort reports by upvotes, most first', async () => {
+      const response = await request(app)
+        .get('/api/reports?sort=upvotes&limit=20')
+        .expect(200);
+
+      const { reports } = response.body.data;
+      reports.forEach((report, index) => {
+        if (index > 0) {
+          expect(report.upvotes).toBeLessThanOrEqual(reports[index - 1].upvotes);
+        }
+      });
+    });
+
+    it('should sort open reports oldest first', async () => {
+      const response = await request(app)
+        .get('/api/reports?sort=oldest&open=true&limit=20')
+        .expect(200);
+
+      const { reports } = response.body.data;
+      reports.forEach((report, index) => {
+        expect(report.status).not.toBe('resolved');
+        if (index > 0) {
+          expect(new Date(report.created_at).getTime())
+            .toBeGreaterThanOrEqual(new Date(reports[index - 1].created_at).getTime());
+        }
+      });
+    });
+
+    it('should page a sorted listing with cursors', async () => {
+      const first = await request(app)
+        .get('/api/reports?sort=upvotes&limit=1')
+        .expect(200);
+
+      expect(first.body.data.next_cursor).toEqual(expect.any(String));
+
+      const second = await request(app)
+        .get(`/api/reports?sort=upvotes&limit=1&cursor=${first.body.data.next_cursor}`)
+        .expect(200);
+
+      expect(second.body.data.reports[0].id).not.toBe(first.body.data.reports[0].id);
+      expect(second.body.data.reports[0].upvotes).toBeLessThanOrEqual(first.body.data.reports[0].upvotes);
+    });
+
+    it('should reject a cursor from a different sort', async () => {
+      const first = await request(app)
+        .get('/api/reports?limit=1')
+        .expect(200);
+
+      await request(app)
+        .get(`/api/reports?sort=upvotes&cursor=${first.body.data.next_cursor}`)
+        .expect(400);
+    });
+
+    it('should reject an unknown sort', async () => {
+      await request(app)
+        .get('/api/reports?sort=random')
+        .expect(400);
+    });
+
+    it('should require a reference point to sort by distance', async () => {
+      await request(app)
+        .get('/api/reports?sort=nearest')
+        .expect(400);
+    });
+
+    it('should return reports near a point sorted by distance', async () => {
+      const response = await request(app)
+        .get(`/api/reports?near=${testReport.lat},${testReport.lng}&radius_km=2`)
+        .expect(200);
+
+      const { reports } = response.body.data;
+      expect(reports.find(r => r.id === reportId)).toBeDefined();
+      reports.forEach((report, index) => {
+        expect(report.distance_km).toBeLessThanOrEqual(2);
+        if (index > 0) {
+          expect(report.distance_km).toBeGreaterThanOrEqual(reports[index - 1].distance_km);
+        }
+      });
+    });
+
+    it('should return reports inside a bounding box', async () => {
+      const response = await request(app)
+        .get('/api/reports?bbox=28.0,-26.3,28.1,-26.1')
+        .expect(200);
+
+      expect(response.body.data.reports.find(r => r.id === reportId)).toBeDefined();
+      response.body.data.reports.forEach(report => {
+        expect(report.lng).toBeGreaterThanOrEqual(28.0);
+        expect(report.lng).toBeLessThanOrEqual(28.1);
+        expect(report.lat).toBeGreaterThanOrEqual(-26.3);
+        expect(report.lat).toBeLessThanOrEqual(-26.1);
+      });
+    });
+
+    it('should reject near and bbox together', async () => {
+      await request(app)
+        .get('/api/reports?near=-26.2,28.04&bbox=28.0,-26.3,28.1,-26.1')
+        .expect(400);
+    });
+
+    it('should reject an inverted bounding box', async () => {
+      await request(app)
+        .get('/api/reports?bbox=28.1,-26.1,28.0,-26.3')
+        .expect(400);
+    });
   });
 
   describe('GET /api/reports/:id', () => {
@@ -0,0 +1,178 @@
+import request from 'supertest';
+import sharp from 'sharp';
+import app from '../server.js';
+import { closeUnconfirmedResolutions } from '../services/resolutionClosure.js';
+
+describe('Resolution Confirmation', () => {
+  let citizenToken;
+  let neighbourToken;
+  let officialToken;
+  let municipalityId;
+  let reportId;
+
+  const register = async (user, role = null, roleMunicipalityId = null) => {
+    const registered = await request(app).post('/api/auth/register').send(user);
+
+    if (role) {
+      await global.testHelpers.setUserRole(registered.body.data.user.id, role, roleMunicipalityId);
+    }
+
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email: user.email, password: user.password });
+
+    return response.body.data.access_token;
+  };
+
+  const createUser = (prefix) => ({
+    name: `${prefix} User`,
+    email: `${prefix}${Date.now()}@example.com`,
+    password: 'testpassword123',
+    role: 'citizen'
+  });
+
+  // Helper function to walk a report through the given statuses as the official
+  const moveTo = async (id, statuses) => {
+    for (const status of statuses) {
+      await request(app)
+        .post(`/api/reports/${id}/status`)
+        .set('Authorization', `Bearer ${officialToken}`)
+        .send({ update_text: `Moving the report to ${status}`, new_status: status })
+        .expect(201);
+    }
+  };
+
+  const createReport = async (title) => {
+    const response = await request(app)
+      .post('/api/reports')
+      .set('Authorization', `Bearer ${citizenToken}`)
+      .send(global.testHelpers.createTestReport({ title }));
+
+    return response.body.data.report;
+  };
+
+  beforeAll(async () => {
+    citizenToken = await register(createUser('resolution-citizen'));
+    neighbourToken = await register(createUser('resolution-neighbour'));
+
+    const report = await createReport('Blocked stormwater drain');
+    reportId = report.id;
+    municipalityId = report.municipality_id;
+
+    officialToken = await register(createUser('resolution-official'), 'official', municipalityId);
+  });
+
+  it('should only accept answers for resolved reports', async () => {
+    await request(app)
+      .post(`/api/reports/${reportId}/confirm`)
+      .set('Authorization', `Bearer ${citizenToken}`)
+      .expect(409);
+
+    await moveTo(reportId, ['acknowledged', 'in_progress', 'resolved']);
+
+    const response = await request(app)
+      .get(`/api/reports/${reportId}`)
+      .set('Authorization', `Bearer ${citizenToken}`)
+      .expect(200);
+
+    expect(response.body.data.report.resolved_at).not.toBeNull();
+    expect(response.body.data.report.confirmation_due_at).not.toBeNull();
+  });
+
+  it('should only let the author answer', async () => {
+    await request(app)
+      .post(`/api/reports/${reportId}/reopen`)
+      .set('Authorization', `Bearer ${neighbourToken}`)
+      .send({ reason: 'Still blocked' })
+      .expect(403);
+  });
+
+  it('should reopen a report with a reason and photo', async () => {
+    const photo = await sharp({
+      create: { width: 320, height: 240, channels: 3, background: '#446688' }
+    }).jpeg().toBuffer();
+
+    // Evidence is accepted even when the report already has the most photos citizens can upload
+    const upload = request(app)
+      .post(`/api/reports/${reportId}/attachments`)
+      .set('Authorization', `Bearer ${citizenToken}`);
+
+    for (let index = 0; index < 5; index++) {
+      upload.attach('photos', photo, { filename: `drain-${index}.jpg`, contentType: 'image/jpeg' });
+    }
+
+    await upload.expect(201);
+
+    const idempotencyKey = `reopen-${Date.now()}`;
+    const reopen = () => request(app)
+      .post(`/api/reports/${reportId}/reopen`)
+      .set('Authorization', `Bearer ${citizenToken}`)
+      .set('Idempotency-Key', idempotencyKey)
+      .field('reason', 'Water is still standing after the rain')
+      .attach('photo', photo, { filename: 'drain.jpg', contentType: 'image/jpeg' })
+      .expect(201);
+
+    const response = await reopen();
+
+    // A retry from a flaky connection replays the answer instead of failing with 409
+    const retry = await reopen();
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.body.data.response.id).toBe(response.body.data.response.id);
+
+    expect(response.body.data.report.status).toBe('acknowledged');
+    expect(response.body.data.report.reopen_count).toBe(1);
+    expect(response.body.data.response.attachment).toHaveProperty('thumbnail_url');
+
+    const timeline = await request(app)
+      .get(`/api/reports/${reportId}/status`)
+      .expect(200);
+
+    expect(timeline.body.data.status_updates[0].to_status).toBe('acknowledged');
+  });
+
+  it('should close a report once the author confirms the fix', async () => {
+    await moveTo(reportId, ['in_progress', 'resolved']);
+
+    const response = await request(app)
+      .post(`/api/reports/${reportId}/confirm`)
+      .set('Authorization', `Bearer ${citizenToken}`)
+      .send({})
+      .expect(201);
+
+    expect(response.body.data.report.closed_at).not.toBeNull();
+
+    await request(app)
+      .post(`/api/reports/${reportId}/reopen`)
+      .set('Authorization', `Bearer ${citizenToken}`)
+      .send({})
+      .expect(409);
+  });
+
+  it('should count reopens in the municipality stats', async () => {
+    const response = await request(app)
+      .get(`/api/municipalities/${municipalityId}/stats`)
+      .set('Authorization', `Bearer ${officialToken}`)
+      .expect(200);
+
+    expect(response.body.data.reopens.total).toBeGreaterThanOrEqual(1);
+    expect(response.body.data.reopens.reports).toBeGreaterThanOrEqual(1);
+  });
+
+  describe('closeUnconfirmedResolutions', () => {
+    it('should close resolutions nobody answered in time', async () => {
+      const report = await createReport('Pothole outside the clinic');
+      await moveTo(report.id, ['acknowledged', 'in_progress', 'resolved']);
+
+      const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000);
+      expect(await closeUnconfirmedResolutions({ now: tomorrow })).not.toContain(report.id);
+
+      const later = new Date(Date.now() + 8 * 24 * 60 * 60 * 1000);
+      expect(await closeUnconfirmedResolutions({ now: later })).toContain(report.id);
+
+      await request(app)
+        .post(`/api/reports/${report.id}/confirm`)
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .expect(409);
+    });
+  });
+});
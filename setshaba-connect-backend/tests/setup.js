@@ -25,5 +25,24 @@ global.testHelpers = {
     lng: 28.0473,
     address: '123 Test Street, Test City',
     ...overrides
-  })
+  }),
+
+  // Officials and admins can't self-register, so tests set the role directly
+  setUserRole: async (userId, role, municipalityId = null) => {
+    const { supabase } = await import('../config/database.js');
+
+    const { error } = await supabase
+      .from('users')
+      .update({
+        role,
+        municipality_id: municipalityId,
+        requested_role: null,
+        requested_municipality_id: null
+      })
+      .eq('id', userId);
+
+    if (error) {
+      throw new Error(`Failed to set user role: ${error.message}`);
+    }
+  }
 };
\ No newline at end of file
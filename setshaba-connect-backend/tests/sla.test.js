@@ -0,0 +1,153 @@
+import request from 'supertest';
+import app from '../server.js';
+import { escalateOverdueReports } from '../services/slaEscalation.js';
+import { createLogTransport, setTransport } from '../services/notifications.js';
+
+describe('SLA Targets', () => {
+  let adminToken;
+  let officialToken;
+  let citizenToken;
+  let municipalityId;
+  let reportId;
+
+  const register = async (user, role = 'citizen', roleMunicipalityId = null) => {
+    const registered = await request(app).post('/api/auth/register').send(user);
+
+    if (role !== 'citizen') {
+      await global.testHelpers.setUserRole(registered.body.data.user.id, role, roleMunicipalityId);
+    }
+
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email: user.email, password: user.password });
+
+    return response.body.data.access_token;
+  };
+
+  const createUser = (prefix) => ({
+    name: `${prefix} User`,
+    email: `${prefix}${Date.now()}@example.com`,
+    password: 'testpassword123',
+    role: 'citizen'
+  });
+
+  beforeAll(async () => {
+    citizenToken = await register(createUser('sla-citizen'));
+
+    const reportResponse = await request(app)
+      .post('/api/reports')
+      .set('Authorization', `Bearer ${citizenToken}`)
+      .send(global.testHelpers.createTestReport({ title: 'Streetlight out on the corner', category: 'electricity' }));
+
+    reportId = reportResponse.body.data.report.id;
+    municipalityId = reportResponse.body.data.report.municipality_id;
+
+    adminToken = await register(createUser('sla-admin'), 'admin');
+    officialToken = await register(createUser('sla-official'), 'official', municipalityId);
+
+    await request(app)
+      .post('/api/users/me/devices')
+      .set('Authorization', `Bearer ${officialToken}`)
+      .send({ push_token: `ExponentPushToken[sla-${Date.now()}]`, platform: 'android' });
+  });
+
+  afterAll(async () => {
+    setTransport(null);
+
+    await request(app)
+      .put(`/api/municipalities/${municipalityId}/sla`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ targets: [{ category: 'electricity', status: 'pending', target_hours: null }] });
+  });
+
+  describe('PUT /api/municipalities/:id/sla', () => {
+    it('should set a target and update open reports\' due dates', async () => {
+      const response = await request(app)
+        .put(`/api/municipalities/${municipalityId}/sla`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ targets: [{ category: 'electricity', status: 'pending', target_hours: 48 }] })
+        .expect(200);
+
+      expect(response.body.data.targets).toEqual(
+        expect.arrayContaining([expect.objectContaining({ category: 'electricity', status: 'pending', target_hours: 48 })])
+      );
+
+      const report = await request(app)
+        .get(`/api/reports/${reportId}`)
+        .set('Authorization', `Bearer ${officialToken}`)
+        .expect(200);
+
+      expect(report.body.data.report.due_at).not.toBeNull();
+      expect(report.body.data.report.breached).toBe(false);
+    });
+
+    it('should be restricted to admins', async () => {
+      await request(app)
+        .put(`/api/municipalities/${municipalityId}/sla`)
+        .set('Authorization', `Bearer ${officialToken}`)
+        .send({ targets: [{ category: 'water', status: 'pending', target_hours: 24 }] })
+        .expect(403);
+    });
+
+    it('should not accept a target for resolved reports', async () => {
+      await request(app)
+        .put(`/api/municipalities/${municipalityId}/sla`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ targets: [{ category: 'water', status: 'resolved', target_hours: 24 }] })
+        .expect(400);
+    });
+  });
+
+  describe('GET /api/reports/municipality?overdue=true', () => {
+    it('should only return breached reports', async () => {
+      const response = await request(app)
+        .get('/api/reports/municipality?overdue=true')
+        .set('Authorization', `Bearer ${officialToken}`)
+        .expect(200);
+
+      response.body.data.reports.forEach(report => {
+        expect(report.breached).toBe(true);
+      });
+      expect(response.body.data.reports.map(report => report.id)).not.toContain(reportId);
+    });
+  });
+
+  describe('escalateOverdueReports', () => {
+    const later = new Date(Date.now() + 49 * 60 * 60 * 1000);
+
+    it('should leave a report for the next run when its notification is rejected', async () => {
+      setTransport({
+        async send(messages) {
+          return messages.map(message => ({ to: message.to, ok: false, error: 'MessageRateExceeded' }));
+        }
+      });
+
+      const escalated = await escalateOverdueReports({ now: later });
+      expect(escalated.map(item => item.report_id)).not.toContain(reportId);
+
+      const report = await request(app)
+        .get(`/api/reports/${reportId}`)
+        .set('Authorization', `Bearer ${officialToken}`)
+        .expect(200);
+
+      expect(report.body.data.report.escalation_level).toBe(0);
+    });
+
+    it('should escalate a report once it is past due', async () => {
+      const transport = createLogTransport();
+      setTransport(transport);
+
+      const escalated = await escalateOverdueReports({ now: later });
+      expect(escalated).toEqual(
+        expect.arrayContaining([expect.objectContaining({ report_id: reportId, level: 1 })])
+      );
+      expect(transport.messages.map(message => message.data)).toEqual(
+        expect.arrayContaining([expect.objectContaining({ type: 'sla_escalation', reportId, level: 1 })])
+      );
+
+      // The same level isn't escalated twice
+      const again = await escalateOverdueReports({ now: later });
+      expect(again.map(item => item.report_id)).not.toContain(reportId);
+    });
+  });
+});
@@ -99,6 +99,40 @@ describe('Users Endpoints', () => {
       expect(response.body.error).toBe('No valid fields to update');
     });
 
+    it('should not let an official move to another municipality', async () => {
+      const official = {
+        name: 'Profile Official',
+        email: `profile-official${Date.now()}@example.com`,
+        password: 'testpassword123',
+        role: 'citizen'
+      };
+
+      const { body: municipalitiesBody } = await request(app).get('/api/municipalities');
+      const [home, other] = municipalitiesBody.data.municipalities;
+
+      const registered = await request(app).post('/api/auth/register').send(official);
+      await global.testHelpers.setUserRole(registered.body.data.user.id, 'official', home.id);
+
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({ email: official.email, password: official.password });
+
+      const officialToken = loginResponse.body.data.access_token;
+
+      await request(app)
+        .put('/api/users/me')
+        .set('Authorization', `Bearer ${officialToken}`)
+        .send({ municipality_id: other.id })
+        .expect(403);
+
+      const profile = await request(app)
+        .get('/api/users/me')
+        .set('Authorization', `Bearer ${officialToken}`)
+        .expect(200);
+
+      expect(profile.body.data.user.municipality_id).toBe(home.id);
+    });
+
     it('should return error without authentication', async () => {
       const response = await request(app)
         .put('/api/users/me')
@@ -0,0 +1,49 @@
+import request from 'supertest';
+import app from '../server.js';
+
+describe('Wards Endpoints', () => {
+  describe('GET /api/wards/locate', () => {
+    it('should require lat and lng', async () => {
+      const response = await request(app)
+        .get('/api/wards/locate?lat=-26.2041')
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid query parameters');
+    });
+
+    it('should return 404 for a point outside every ward', async () => {
+      const response = await request(app)
+        .get('/api/wards/locate?lat=0&lng=0')
+        .expect(404);
+
+      expect(response.body.error).toBe('No ward found for this location');
+    });
+
+    it('should return the ward, municipality and distance to boundary', async () => {
+      const boundaries = await request(app)
+        .get('/api/wards/boundaries/simplified');
+
+      const feature = boundaries.body.data.geojson.features
+        .find(f => f.geometry?.type === 'Polygon');
+
+      if (!feature) {
+        console.log('Skipping test - no ward polygons available');
+        return;
+      }
+
+      // Average of the outer ring is inside for the convex-ish ward shapes we import
+      const ring = feature.geometry.coordinates[0];
+      const lng = ring.reduce((sum, [x]) => sum + x, 0) / ring.length;
+      const lat = ring.reduce((sum, [, y]) => sum + y, 0) / ring.length;
+
+      const response = await request(app)
+        .get(`/api/wards/locate?lat=${lat}&lng=${lng}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.ward).toHaveProperty('ward_id');
+      expect(response.body.data).toHaveProperty('municipality');
+      expect(response.body.data.distance_to_boundary_km).toBeGreaterThanOrEqual(0);
+    });
+  });
+});
@@ -0,0 +1,106 @@
+import { randomUUID } from 'crypto';
+import { supabase } from '../config/database.js';
+import { processImage } from './images.js';
+import { getStorage } from '../services/storage.js';
+
+export const MAX_ATTACHMENTS_PER_REPORT = 5;
+
+export const attachmentFields = 'id, report_id, url, thumbnail_url, content_type, size_bytes, width, height, uploaded_by, created_at';
+
+// Process, store and save uploaded photos as attachments of a report. Pass
+// limit: null for photos the per-report limit doesn't apply to, such as reopen evidence.
+// Returns { attachments } or { error, statusCode }; nothing is kept when it fails.
+export const storeReportPhotos = async ({ reportId, uploadedBy, files, limit = MAX_ATTACHMENTS_PER_REPORT }) => {
+  if (limit !== null) {
+    const { count: existingCount, error: countError } = await supabase
+      .from('report_attachments')
+      .select('id', { count: 'exact', head: true })
+      .eq('report_id', reportId);
+
+    if (countError) {
+      return { error: 'Failed to check existing attachments', statusCode: 400 };
+    }
+
+    if (existingCount + files.length > limit) {
+      return {
+        error: `A report can have at most ${limit} photos (it already has ${existingCount})`,
+        statusCode: 400
+      };
+    }
+  }
+
+  // Process everything before storing anything, so one bad file rejects the whole upload
+  const processed = [];
+  for (const file of files) {
+    const image = await processImage(file.buffer);
+
+    if (!image) {
+      return { error: `${file.originalname} is not a valid image`, statusCode: 415 };
+    }
+
+    processed.push(image);
+  }
+
+  const storage = getStorage();
+  const storedKeys = [];
+  const rows = [];
+
+  try {
+    for (const image of processed) {
+      const baseKey = `${reportId}/${randomUUID()}`;
+      const original = await storage.save(`${baseKey}.jpg`, image.buffer, image.contentType);
+      storedKeys.push(original.key);
+      const thumbnail = await storage.save(`${baseKey}_thumb.jpg`, image.thumbnail, image.contentType);
+      storedKeys.push(thumbnail.key);
+
+      rows.push({
+        report_id: reportId,
+        uploaded_by: uploadedBy,
+        storage_key: original.key,
+        thumbnail_key: thumbnail.key,
+        url: original.url,
+        thumbnail_url: thumbnail.url,
+        content_type: image.contentType,
+        size_bytes: image.size,
+        width: image.width,
+        height: image.height
+      });
+    }
+  } catch (storageError) {
+    console.error('Store attachment error:', storageError);
+    await storage.remove(storedKeys).catch(() => {});
+    return { error: 'Failed to store photos', statusCode: 500 };
+  }
+
+  const { data: attachments, error } = await supabase
+    .from('report_attachments')
+    .insert(rows)
+    .select(attachmentFields);
+
+  if (error) {
+    console.error('Create attachment error:', error);
+    await storage.remove(storedKeys).catch(() => {});
+    return { error: 'Failed to save attachments', statusCode: 400 };
+  }
+
+  return { attachments };
+};
+
+// Delete attachments and their files, for photos whose upload was rolled back.
+// Failures are logged, not thrown.
+export const removeReportPhotos = async (attachmentIds) => {
+  const { data: removed, error } = await supabase
+    .from('report_attachments')
+    .delete()
+    .in('id', attachmentIds)
+    .select('storage_key, thumbnail_key');
+
+  if (error) {
+    console.error('Remove attachments error:', error);
+    return;
+  }
+
+  await getStorage()
+    .remove(removed.flatMap(attachment => [attachment.storage_key, attachment.thumbnail_key]).filter(Boolean))
+    .catch(storageError => console.error('Remove attachment files error:', storageError));
+};
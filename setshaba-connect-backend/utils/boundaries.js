@@ -0,0 +1,105 @@
+import { supabase } from '../config/database.js';
+import { parseBoundary, isPointInBoundary } from './geo.js';
+
+// Parsed municipality and ward polygons are cached in-process so that
+// point lookups on report creation don't reload every boundary each time.
+const CACHE_TTL_MS = 10 * 60 * 1000; // 10 minutes
+const PAGE_SIZE = 1000; // PostgREST default max rows per request
+
+const cache = new Map();
+
+const loadCached = (key, loader) => {
+  const entry = cache.get(key);
+
+  if (entry && Date.now() - entry.loadedAt < CACHE_TTL_MS) {
+    return entry.promise;
+  }
+
+  const promise = loader().catch((error) => {
+    // Don't keep a failed load around, the next lookup should retry
+    cache.delete(key);
+    throw error;
+  });
+
+  cache.set(key, { promise, loadedAt: Date.now() });
+  return promise;
+};
+
+// Fetch every row of a table in pages
+const fetchAll = async (table, columns) => {
+  const rows = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from(table)
+      .select(columns)
+      .order('id')
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Failed to load ${table} boundaries: ${error.message}`);
+    }
+
+    rows.push(...data);
+
+    if (data.length < PAGE_SIZE) {
+      return rows;
+    }
+  }
+};
+
+const loadMunicipalityBoundaries = async () => {
+  const municipalities = await fetchAll('municipalities', 'id, name, province, bounds');
+
+  return municipalities
+    .map(({ bounds, ...municipality }) => ({ ...municipality, boundary: parseBoundary(bounds) }))
+    .filter(municipality => municipality.boundary);
+};
+
+const loadWardBoundaries = async () => {
+  const wards = await fetchAll('wards', 'id, ward_id, name, municipality_id, properties, geojson');
+
+  return wards
+    .map(({ geojson, ...ward }) => ({ ...ward, boundary: parseBoundary(geojson) }))
+    .filter(ward => ward.boundary);
+};
+
+export const getMunicipalityBoundaries = () => loadCached('municipalities', loadMunicipalityBoundaries);
+
+export const getWardBoundaries = () => loadCached('wards', loadWardBoundaries);
+
+// Drop cached polygons, e.g. after municipalities or wards are imported
+export const clearBoundaryCache = () => {
+  cache.clear();
+};
+
+// Find the ward containing a point, optionally restricted to one municipality
+export const findWardByPoint = async (lat, lng, municipalityId = null) => {
+  const wards = await getWardBoundaries();
+
+  return wards.find(ward =>
+    (!municipalityId || ward.municipality_id === municipalityId) &&
+    isPointInBoundary(lat, lng, ward.boundary)
+  ) || null;
+};
+
+// Find the municipality containing a point. Municipality bounds are checked first,
+// then ward polygons linked to a municipality. Returns null when the point is
+// outside every known boundary.
+export const findMunicipalityByPoint = async (lat, lng) => {
+  const municipalities = await getMunicipalityBoundaries();
+  const municipality = municipalities.find(m => isPointInBoundary(lat, lng, m.boundary));
+
+  if (municipality) {
+    return municipality;
+  }
+
+  const wards = await getWardBoundaries();
+  const ward = wards.find(w => w.municipality_id && isPointInBoundary(lat, lng, w.boundary));
+
+  if (!ward) {
+    return null;
+  }
+
+  return municipalities.find(m => m.id === ward.municipality_id) || { id: ward.municipality_id };
+};
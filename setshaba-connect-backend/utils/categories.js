@@ -0,0 +1,72 @@
+import { supabase } from '../config/database.js';
+
+// Category and sub-category slugs, as stored on reports
+export const CATEGORY_SLUG_PATTERN = /^[a-z0-9_]{2,50}$/;
+
+export const categoryFields = 'id, municipality_id, parent_id, slug, name, icon, sort_order, is_active, created_at, updated_at';
+
+// One category set including retired categories: a municipality's own, or the
+// defaults when municipalityId is null
+export const getCategorySet = async (municipalityId) => {
+  let query = supabase
+    .from('categories')
+    .select(categoryFields)
+    .order('sort_order')
+    .order('name');
+
+  query = municipalityId ? query.eq('municipality_id', municipalityId) : query.is('municipality_id', null);
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to fetch categories: ${error.message}`);
+  }
+
+  return data;
+};
+
+// The categories a municipality offers: its own once it has defined any, even if all
+// are retired, and the default set otherwise. Returns { categories, usesDefaults }.
+export const getMunicipalityCategories = async (municipalityId, { includeInactive = false } = {}) => {
+  const own = await getCategorySet(municipalityId);
+  const usesDefaults = own.length === 0;
+  const categories = usesDefaults ? await getCategorySet(null) : own;
+
+  return {
+    categories: includeInactive ? categories : categories.filter(category => category.is_active),
+    usesDefaults
+  };
+};
+
+// Nest sub-categories under their parents, keeping the sort order
+export const buildCategoryTree = (categories) => categories
+  .filter(category => !category.parent_id)
+  .map(category => ({
+    ...category,
+    subcategories: categories.filter(child => child.parent_id === category.id)
+  }));
+
+// Check a report's category (a top-level slug) and optional sub-category against the
+// municipality's active categories. Returns { error, options } when either is unknown.
+export const validateReportCategory = async (municipalityId, category, subcategory = null) => {
+  const { categories } = await getMunicipalityCategories(municipalityId);
+  const parent = categories.find(item => !item.parent_id && item.slug === category);
+
+  if (!parent) {
+    return {
+      error: `Unknown category "${category}" for this municipality`,
+      options: categories.filter(item => !item.parent_id).map(item => item.slug)
+    };
+  }
+
+  const children = categories.filter(item => item.parent_id === parent.id);
+
+  if (subcategory && !children.some(item => item.slug === subcategory)) {
+    return {
+      error: `Unknown sub-category "${subcategory}" for ${parent.name}`,
+      options: children.map(item => item.slug)
+    };
+  }
+
+  return {};
+};
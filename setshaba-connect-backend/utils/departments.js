@@ -0,0 +1,59 @@
+import { supabase } from '../config/database.js';
+
+export const departmentFields = 'id, municipality_id, name, description, created_at, updated_at';
+
+// Check that a department belongs to a municipality.
+// Returns { department } or { error, statusCode }.
+export const validateDepartment = async (departmentId, municipalityId) => {
+  const { data: department, error } = await supabase
+    .from('departments')
+    .select(departmentFields)
+    .eq('id', departmentId)
+    .single();
+
+  if (error || !department) {
+    return { error: 'Department not found', statusCode: 404 };
+  }
+
+  if (department.municipality_id !== municipalityId) {
+    return { error: 'Department must belong to the report\'s municipality', statusCode: 422 };
+  }
+
+  return { department };
+};
+
+// Ids of the departments an official works in
+export const getUserDepartmentIds = async (userId) => {
+  const { data, error } = await supabase
+    .from('department_members')
+    .select('department_id')
+    .eq('user_id', userId);
+
+  if (error) {
+    throw new Error(`Failed to fetch departments: ${error.message}`);
+  }
+
+  return data.map(membership => membership.department_id);
+};
+
+// Move a report to another department and record it in the transfer history in the
+// same transaction. Returns { transfer } or { error, statusCode }.
+export const applyTransfer = async ({ reportId, departmentId, transferredBy, note = null }) => {
+  const { data, error } = await supabase.rpc('apply_report_transfer', {
+    p_report_id: reportId,
+    p_department_id: departmentId,
+    p_transferred_by: transferredBy,
+    p_note: note
+  });
+
+  if (error) {
+    if (error.message?.includes('report_not_found')) {
+      return { error: 'Report not found', statusCode: 404 };
+    }
+
+    console.error('Apply transfer error:', error);
+    return { error: 'Failed to transfer report', statusCode: 400 };
+  }
+
+  return { transfer: data };
+};
@@ -0,0 +1,83 @@
+import { supabase } from '../config/database.js';
+import { calculateDistance } from './helpers.js';
+import { boundingBoxAround } from './geo.js';
+
+// Open reports of the same category this close, and this recent, are flagged as possible duplicates
+export const DUPLICATE_RADIUS_METERS = parseInt(process.env.DUPLICATE_RADIUS_METERS, 10) || 150;
+export const DUPLICATE_WINDOW_DAYS = parseInt(process.env.DUPLICATE_WINDOW_DAYS, 10) || 14;
+const MAX_DUPLICATES = 5;
+
+// Find open, unmerged reports near a point in the same category, closest first
+export const findPossibleDuplicates = async ({
+  lat,
+  lng,
+  category,
+  excludeId = null,
+  radiusMeters = DUPLICATE_RADIUS_METERS,
+  windowDays = DUPLICATE_WINDOW_DAYS
+}) => {
+  // Cheap bounding box in the query, exact distance below
+  const bbox = boundingBoxAround(lat, lng, radiusMeters / 1000);
+  const since = new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000).toISOString();
+
+  let query = supabase
+    .from('reports')
+    .select('id, title, description, category, status, address, lat, lng, upvotes, created_by, created_at')
+    .eq('category', category)
+    .neq('status', 'resolved')
+    .is('merged_into', null)
+    .is('deleted_at', null)
+    .gte('created_at', since)
+    .gte('lat', bbox.minLat)
+    .lte('lat', bbox.maxLat)
+    .gte('lng', bbox.minLng)
+    .lte('lng', bbox.maxLng);
+
+  if (excludeId) {
+    query = query.neq('id', excludeId);
+  }
+
+  const { data: candidates, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to look up duplicates: ${error.message}`);
+  }
+
+  return (candidates || [])
+    .map(report => ({
+      ...report,
+      distance_m: Math.round(calculateDistance(lat, lng, report.lat, report.lng) * 1000)
+    }))
+    .filter(report => report.distance_m <= radiusMeters)
+    .sort((a, b) => a.distance_m - b.distance_m)
+    .slice(0, MAX_DUPLICATES);
+};
+
+// Merge a duplicate into a canonical report, moving upvotes and status updates.
+// Returns { report } (the merged duplicate) or { error, statusCode }.
+export const mergeReports = async ({ canonicalId, duplicateId, mergedBy }) => {
+  const { data, error } = await supabase.rpc('merge_reports', {
+    p_canonical_id: canonicalId,
+    p_duplicate_id: duplicateId,
+    p_merged_by: mergedBy
+  });
+
+  if (error) {
+    if (error.message?.includes('report_not_found')) {
+      return { error: 'Report not found', statusCode: 404 };
+    }
+
+    if (error.message?.includes('report_already_merged')) {
+      return { error: 'One of these reports has already been merged', statusCode: 409 };
+    }
+
+    if (error.message?.includes('cannot_merge_into_self')) {
+      return { error: 'A report cannot be merged into itself', statusCode: 400 };
+    }
+
+    console.error('Merge reports error:', error);
+    return { error: 'Failed to merge reports', statusCode: 400 };
+  }
+
+  return { report: data };
+};
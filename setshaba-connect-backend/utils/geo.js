@@ -0,0 +1,142 @@
+// Geometry helpers for GeoJSON boundaries stored on municipalities and wards.
+// Coordinates follow the GeoJSON convention of [longitude, latitude].
+
+const EARTH_RADIUS_KM = 6371;
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Normalise a GeoJSON geometry (or Feature) into a list of polygons, each a list of rings
+export const toPolygons = (geojson) => {
+  const geometry = geojson?.type === 'Feature' ? geojson.geometry : geojson;
+
+  if (!geometry || !Array.isArray(geometry.coordinates)) {
+    return [];
+  }
+
+  if (geometry.type === 'Polygon') {
+    return [geometry.coordinates];
+  }
+
+  if (geometry.type === 'MultiPolygon') {
+    return geometry.coordinates;
+  }
+
+  return [];
+};
+
+// Ray casting test of a point against a single linear ring
+export const isPointInRing = (lat, lng, ring) => {
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+
+    if (((yi > lat) !== (yj > lat)) && (lng < (xj - xi) * (lat - yi) / (yj - yi) + xi)) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+};
+
+// A point is inside a polygon when it is inside the outer ring and outside every hole
+export const isPointInPolygon = (lat, lng, rings) => {
+  const [outer, ...holes] = rings;
+
+  if (!outer || !isPointInRing(lat, lng, outer)) {
+    return false;
+  }
+
+  return !holes.some(hole => isPointInRing(lat, lng, hole));
+};
+
+// Helper function to compute the bounding box of a list of polygons
+export const getBoundingBox = (polygons) => {
+  const bbox = { minLng: Infinity, minLat: Infinity, maxLng: -Infinity, maxLat: -Infinity };
+
+  for (const rings of polygons) {
+    for (const [lng, lat] of rings[0] || []) {
+      bbox.minLng = Math.min(bbox.minLng, lng);
+      bbox.minLat = Math.min(bbox.minLat, lat);
+      bbox.maxLng = Math.max(bbox.maxLng, lng);
+      bbox.maxLat = Math.max(bbox.maxLat, lat);
+    }
+  }
+
+  return bbox;
+};
+
+// Parse a stored GeoJSON value into a boundary with a precomputed bounding box.
+// Returns null when the value holds no usable polygon.
+export const parseBoundary = (geojson) => {
+  const polygons = toPolygons(geojson).filter(rings => rings[0]?.length >= 4);
+
+  if (polygons.length === 0) {
+    return null;
+  }
+
+  return { polygons, bbox: getBoundingBox(polygons) };
+};
+
+// Helper function to test a point against a parsed boundary
+export const isPointInBoundary = (lat, lng, boundary) => {
+  if (!boundary) {
+    return false;
+  }
+
+  const { bbox } = boundary;
+  if (lat < bbox.minLat || lat > bbox.maxLat || lng < bbox.minLng || lng > bbox.maxLng) {
+    return false;
+  }
+
+  return boundary.polygons.some(rings => isPointInPolygon(lat, lng, rings));
+};
+
+// Shortest distance in kilometres from a point to the edge of a parsed boundary.
+// Uses an equirectangular projection around the point, which is accurate at ward scale.
+export const distanceToBoundary = (lat, lng, boundary) => {
+  if (!boundary) {
+    return null;
+  }
+
+  const cosLat = Math.cos(toRadians(lat));
+  const project = ([pointLng, pointLat]) => [
+    toRadians(pointLng - lng) * cosLat * EARTH_RADIUS_KM,
+    toRadians(pointLat - lat) * EARTH_RADIUS_KM
+  ];
+
+  let minDistance = Infinity;
+
+  for (const rings of boundary.polygons) {
+    for (const ring of rings) {
+      for (let i = 0; i < ring.length - 1; i++) {
+        const [ax, ay] = project(ring[i]);
+        const [bx, by] = project(ring[i + 1]);
+        const dx = bx - ax;
+        const dy = by - ay;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared === 0
+          ? 0
+          : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSquared));
+
+        minDistance = Math.min(minDistance, Math.hypot(ax + t * dx, ay + t * dy));
+      }
+    }
+  }
+
+  return Number.isFinite(minDistance) ? minDistance : null;
+};
+
+// Bounding box that contains every point within radiusKm of a point, used to prefilter
+// radius queries in the database before exact distances are computed
+export const boundingBoxAround = (lat, lng, radiusKm) => {
+  const latDelta = (radiusKm / EARTH_RADIUS_KM) * 180 / Math.PI;
+  const lngDelta = latDelta / Math.max(Math.cos(toRadians(lat)), 0.01);
+
+  return {
+    minLng: Math.max(lng - lngDelta, -180),
+    minLat: Math.max(lat - latDelta, -90),
+    maxLng: Math.min(lng + lngDelta, 180),
+    maxLat: Math.min(lat + latDelta, 90)
+  };
+};
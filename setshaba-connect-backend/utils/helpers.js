@@ -1,32 +1,23 @@
-import { supabase } from '../config/database.js';
+import { findMunicipalityByPoint, findWardByPoint } from './boundaries.js';
 
-// Helper function to determine municipality based on coordinates
+// Helper function to determine municipality based on coordinates.
+// Returns null when the point is outside every known municipal boundary. Failing
+// to load the boundaries throws, so callers don't mistake an outage for "outside".
 export const getMunicipalityFromCoordinates = async (lat, lng) => {
-  try {
-    // For now, return a default municipality
-    // In a real implementation, you'd use a geocoding service or spatial queries
-    const { data, error } = await supabase
-      .from('municipalities')
-      .select('id')
-      .limit(1)
-      .single();
-
-    if (error || !data) {
-      // Fallback to first municipality
-      const { data: fallback } = await supabase
-        .from('municipalities')
-        .select('id')
-        .limit(1)
-        .single();
-      
-      return fallback?.id;
-    }
-
-    return data.id;
-  } catch (error) {
-    console.error('Error determining municipality:', error);
+  if (lat === undefined || lat === null || lng === undefined || lng === null) {
     return null;
   }
+
+  const municipality = await findMunicipalityByPoint(lat, lng);
+  return municipality?.id || null;
+};
+
+// Helper function to determine the ward containing a point within a municipality.
+// Returns null when no imported ward boundary contains the point. Failing to load
+// the boundaries throws, like getMunicipalityFromCoordinates.
+export const getWardFromCoordinates = async (lat, lng, municipalityId = null) => {
+  const ward = await findWardByPoint(lat, lng, municipalityId);
+  return ward?.ward_id || null;
 };
 
 // Helper function to calculate distance between two points (Haversine formula)
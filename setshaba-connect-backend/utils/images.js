@@ -0,0 +1,46 @@
+import sharp from 'sharp';
+
+export const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+export const MAX_IMAGE_BYTES = 5 * 1024 * 1024; // 5MB per photo
+
+const ALLOWED_FORMATS = ['jpeg', 'png', 'webp'];
+const MAX_DIMENSION = 2048;
+const THUMBNAIL_SIZE = 320;
+
+// Re-encode an uploaded photo as JPEG plus a square thumbnail.
+// Sharp drops all metadata on output, so EXIF (including GPS position) never
+// reaches storage; orientation is applied to the pixels first via rotate().
+// Returns null when the buffer is not a supported image, whatever its MIME type claimed.
+export const processImage = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    return null;
+  }
+
+  if (!ALLOWED_FORMATS.includes(metadata.format)) {
+    return null;
+  }
+
+  const image = await sharp(buffer)
+    .rotate()
+    .resize({ width: MAX_DIMENSION, height: MAX_DIMENSION, fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality: 80, mozjpeg: true })
+    .toBuffer({ resolveWithObject: true });
+
+  const thumbnail = await sharp(buffer)
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'cover' })
+    .jpeg({ quality: 70, mozjpeg: true })
+    .toBuffer();
+
+  return {
+    contentType: 'image/jpeg',
+    buffer: image.data,
+    width: image.info.width,
+    height: image.info.height,
+    size: image.info.size,
+    thumbnail
+  };
+};
@@ -0,0 +1,29 @@
+import { createHash, randomBytes } from 'crypto';
+import { supabase } from '../config/database.js';
+
+export const INVITE_TTL_DAYS = 7;
+
+// Only the hash is stored, the token itself is handed to the admin once
+export const hashInviteToken = (token) => createHash('sha256').update(token).digest('hex');
+
+export const createInviteToken = () => randomBytes(24).toString('hex');
+
+// Find an unused, unexpired invite for this token and email, or null
+export const findValidInvite = async (token, email) => {
+  const { data: invite, error } = await supabase
+    .from('official_invites')
+    .select('id, email, municipality_id, expires_at, accepted_at')
+    .eq('token_hash', hashInviteToken(token))
+    .single();
+
+  if (error || !invite) {
+    return null;
+  }
+
+  const isUsable =
+    !invite.accepted_at &&
+    new Date(invite.expires_at) > new Date() &&
+    invite.email.toLowerCase() === email.toLowerCase();
+
+  return isUsable ? invite : null;
+};
@@ -0,0 +1,106 @@
+// Opaque cursors for keyset pagination. Unlike offsets they don't skip or
+// repeat rows when new ones arrive while paging, and cursor pages skip the
+// exact count.
+//
+// A keyset names an ordering and lists its columns, ending with a unique one:
+//   { name, keys: [{ column, ascending, type: 'timestamp' | 'integer' | 'number' | 'uuid' }], presorted }
+// Presorted keysets are ordered and filtered after the cursor by the query's
+// source, such as the search_reports function, so they add no order or filter here.
+
+const VALUE_PATTERNS = {
+  timestamp: /^\d{4}-\d{2}-\d{2}[T ][\d:.]+(Z|[+-]\d{2}(:\d{2})?)?$/,
+  integer: /^-?\d+$/,
+  number: /^-?\d+(\.\d+)?(e-?\d+)?$/i,
+  uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+};
+
+export const NEWEST_FIRST = {
+  name: 'newest',
+  keys: [
+    { column: 'created_at', ascending: false, type: 'timestamp' },
+    { column: 'id', ascending: false, type: 'uuid' }
+  ]
+};
+
+export const encodeCursor = (row, keyset = NEWEST_FIRST) => Buffer
+  .from(JSON.stringify([keyset.name, ...keyset.keys.map(key => row[key.column])]))
+  .toString('base64url');
+
+// Returns the row values the cursor points at, or null when it wasn't issued
+// by us or belongs to a different ordering
+export const decodeCursor = (cursor, keyset = NEWEST_FIRST) => {
+  try {
+    const [name, ...values] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+    if (name !== keyset.name || values.length !== keyset.keys.length) {
+      return null;
+    }
+
+    const valid = keyset.keys.every((key, index) =>
+      ['string', 'number'].includes(typeof values[index]) && VALUE_PATTERNS[key.type].test(String(values[index]))
+    );
+
+    return valid
+      ? Object.fromEntries(keyset.keys.map((key, index) => [key.column, values[index]]))
+      : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export const orderByKeyset = (query, keyset = NEWEST_FIRST) => (keyset.presorted ? query : keyset.keys
+  .reduce((ordered, key) => ordered.order(key.column, { ascending: key.ascending }), query));
+
+export const orderNewestFirst = (query) => orderByKeyset(query, NEWEST_FIRST);
+
+// Rows that come after the cursor in the keyset's order, e.g. for newest first:
+// created_at < c, or created_at = c and id < i
+export const afterCursor = (query, after, keyset = NEWEST_FIRST) => {
+  if (keyset.presorted) {
+    return query;
+  }
+
+  const conditions = keyset.keys.map((key, index) => {
+    const equal = keyset.keys.slice(0, index).map(previous => `${previous.column}.eq."${after[previous.column]}"`);
+    const beyond = `${key.column}.${key.ascending ? 'gt' : 'lt'}."${after[key.column]}"`;
+
+    return equal.length > 0 ? `and(${[...equal, beyond].join(',')})` : beyond;
+  });
+
+  return query.or(conditions.join(','));
+};
+
+// Page an ordered query from the cursor when one is given, by offset otherwise.
+// Cursor pages fetch one extra row to tell whether there is another page.
+export const applyPagination = (query, { after, limit, offset, keyset = NEWEST_FIRST }) => (
+  after
+    ? afterCursor(query, after, keyset).limit(limit + 1)
+    : query.range(offset, offset + limit - 1)
+);
+
+// Split a fetched page into its rows and the pagination fields of the response.
+// Offset pages also return a next_cursor, so clients can continue with cursors
+// after the first page. Pass keyset: null for orderings cursors can't follow.
+export const paginateRows = (rows, { after, limit, offset, count, keyset = NEWEST_FIRST }) => {
+  if (after) {
+    const hasMore = rows.length > limit;
+    const page = hasMore ? rows.slice(0, limit) : rows;
+
+    return {
+      rows: page,
+      meta: { limit, next_cursor: hasMore ? encodeCursor(page[page.length - 1], keyset) : null }
+    };
+  }
+
+  const hasMore = rows.length > 0 && offset + rows.length < count;
+
+  return {
+    rows,
+    meta: {
+      total: count,
+      limit,
+      offset,
+      next_cursor: keyset && hasMore ? encodeCursor(rows[rows.length - 1], keyset) : null
+    }
+  };
+};
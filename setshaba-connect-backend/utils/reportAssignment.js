@@ -0,0 +1,47 @@
+import { supabase } from '../config/database.js';
+
+// Check that a user can be assigned reports from a municipality.
+// Returns { assignee } or { error, statusCode }.
+export const validateAssignee = async (assigneeId, municipalityId) => {
+  const { data: assignee, error } = await supabase
+    .from('users')
+    .select('id, name, role, municipality_id')
+    .eq('id', assigneeId)
+    .single();
+
+  if (error || !assignee) {
+    return { error: 'Assignee not found', statusCode: 404 };
+  }
+
+  if (assignee.role !== 'official') {
+    return { error: 'Reports can only be assigned to officials', statusCode: 422 };
+  }
+
+  if (assignee.municipality_id !== municipalityId) {
+    return { error: 'Assignee must be an official in the report\'s municipality', statusCode: 422 };
+  }
+
+  return { assignee };
+};
+
+// Change a report's assignee (null to unassign) and record it in the assignment history
+// in the same transaction. Returns { assignment } or { error, statusCode }.
+export const applyAssignment = async ({ reportId, assignedTo, assignedBy, note = null }) => {
+  const { data, error } = await supabase.rpc('apply_report_assignment', {
+    p_report_id: reportId,
+    p_assigned_to: assignedTo,
+    p_assigned_by: assignedBy,
+    p_note: note
+  });
+
+  if (error) {
+    if (error.message?.includes('report_not_found')) {
+      return { error: 'Report not found', statusCode: 404 };
+    }
+
+    console.error('Apply assignment error:', error);
+    return { error: 'Failed to update assignment', statusCode: 400 };
+  }
+
+  return { assignment: data };
+};
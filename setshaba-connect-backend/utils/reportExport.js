@@ -0,0 +1,267 @@
+import ExcelJS from 'exceljs';
+import { supabase } from '../config/database.js';
+import { orderNewestFirst, afterCursor } from './pagination.js';
+
+// Reports are read and written this many at a time, so exports never hold the full result set
+const EXPORT_PAGE_SIZE = 500;
+
+// Status history is looked up for this many reports per request, keeping the
+// report ids in the query string well under common URL length limits
+const STATUS_HISTORY_CHUNK_SIZE = 100;
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  geojson: { contentType: 'application/geo+json', extension: 'geojson' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+// Columns shared by the CSV and XLSX exports, and the GeoJSON feature properties
+const EXPORT_COLUMNS = [
+  { header: 'id', value: report => report.id },
+  { header: 'title', value: report => report.title },
+  { header: 'description', value: report => report.description },
+  { header: 'category', value: report => report.category },
+  { header: 'subcategory', value: report => report.subcategory },
+  { header: 'status', value: report => report.status },
+  { header: 'address', value: report => report.address },
+  { header: 'lat', value: report => report.lat },
+  { header: 'lng', value: report => report.lng },
+  { header: 'ward_id', value: report => report.ward_id },
+  { header: 'ward_name', value: report => report.wards?.name },
+  { header: 'upvotes', value: report => report.upvotes || 0 },
+  { header: 'created_by', value: report => report.created_by_user?.name },
+  { header: 'department', value: report => report.department?.name },
+  { header: 'assigned_official', value: report => report.assigned_official_user?.name },
+  { header: 'created_at', value: report => report.created_at },
+  { header: 'due_at', value: report => report.due_at }
+];
+
+// Helper function to summarise status transitions as "2025-10-01T08:00:00Z pending -> acknowledged; ..."
+const formatStatusHistory = (history) => history
+  .map(entry => `${entry.created_at} ${entry.from_status ? `${entry.from_status} -> ` : ''}${entry.to_status}`)
+  .join('; ');
+
+const toRow = (report) => [
+  ...EXPORT_COLUMNS.map(column => column.value(report) ?? ''),
+  formatStatusHistory(report.status_history)
+];
+
+// Report text comes from citizens, so keep spreadsheets from evaluating it as a formula
+const escapeCsvValue = (value) => {
+  if (typeof value !== 'string') {
+    return String(value);
+  }
+
+  const safe = /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+// Helper function to write to the response, waiting when the client is reading slower than we fetch.
+// Rejects when the connection closes or fails first, as 'drain' would then never come.
+const write = (res, chunk) => new Promise((resolve, reject) => {
+  if (res.destroyed) {
+    reject(new Error('Export connection closed'));
+    return;
+  }
+
+  if (res.write(chunk)) {
+    resolve();
+    return;
+  }
+
+  const settle = (callback) => (...args) => {
+    res.off('drain', onDrain);
+    res.off('close', onClose);
+    res.off('error', onError);
+    callback(...args);
+  };
+
+  const onDrain = settle(resolve);
+  const onClose = settle(() => reject(new Error('Export connection closed')));
+  const onError = settle(reject);
+
+  res.once('drain', onDrain);
+  res.once('close', onClose);
+  res.once('error', onError);
+});
+
+const createCsvWriter = (res) => ({
+  async start() {
+    // The byte order mark makes Excel read the file as UTF-8
+    const headers = [...EXPORT_COLUMNS.map(column => column.header), 'status_history'];
+    await write(res, `\uFEFF${headers.join(',')}\r\n`);
+  },
+  async writePage(reports) {
+    if (reports.length === 0) {
+      return;
+    }
+
+    const lines = reports.map(report => toRow(report).map(escapeCsvValue).join(','));
+    await write(res, `${lines.join('\r\n')}\r\n`);
+  },
+  async end() {
+    res.end();
+  }
+});
+
+const createGeoJsonWriter = (res) => {
+  let first = true;
+
+  return {
+    async start() {
+      await write(res, '{"type":"FeatureCollection","features":[');
+    },
+    async writePage(reports) {
+      if (reports.length === 0) {
+        return;
+      }
+
+      const features = reports.map((report) => {
+        const properties = Object.fromEntries(
+          EXPORT_COLUMNS.map(column => [column.header, column.value(report) ?? null])
+        );
+
+        return JSON.stringify({
+          type: 'Feature',
+          geometry: { type: 'Point', coordinates: [report.lng, report.lat] },
+          properties: { ...properties, status_history: report.status_history }
+        });
+      });
+
+      await write(res, `${first ? '' : ','}${features.join(',')}`);
+      first = false;
+    },
+    async end() {
+      res.end(']}');
+    }
+  };
+};
+
+const createXlsxWriter = (res) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false });
+  const worksheet = workbook.addWorksheet('Reports');
+
+  return {
+    async start() {
+      worksheet.columns = [...EXPORT_COLUMNS, { header: 'status_history' }]
+        .map(column => ({ header: column.header, key: column.header }));
+    },
+    async writePage(reports) {
+      reports.forEach(report => worksheet.addRow(toRow(report)).commit());
+    },
+    async end() {
+      worksheet.commit();
+      await workbook.commit();
+    }
+  };
+};
+
+const writers = {
+  csv: createCsvWriter,
+  geojson: createGeoJsonWriter,
+  xlsx: createXlsxWriter
+};
+
+// Helper function to attach each report's status transitions, oldest first
+const attachStatusHistory = async (reports) => {
+  if (reports.length === 0) {
+    return reports;
+  }
+
+  const historyByReport = new Map(reports.map(report => [report.id, []]));
+
+  for (let start = 0; start < reports.length; start += STATUS_HISTORY_CHUNK_SIZE) {
+    const ids = reports.slice(start, start + STATUS_HISTORY_CHUNK_SIZE).map(report => report.id);
+
+    const { data: updates, error } = await supabase
+      .from('status_updates')
+      .select('report_id, from_status, to_status, created_at')
+      .in('report_id', ids)
+      .not('to_status', 'is', null)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to fetch status history: ${error.message}`);
+    }
+
+    updates.forEach(({ report_id, ...entry }) => historyByReport.get(report_id)?.push(entry));
+  }
+
+  return reports.map(report => ({ ...report, status_history: historyByReport.get(report.id) }));
+};
+
+// Pages through the query newest first. Keyset pagination keeps pages stable
+// while reports are being filed during a long export.
+async function* fetchReportPages(buildQuery) {
+  let cursor = null;
+
+  while (true) {
+    let query = orderNewestFirst(buildQuery()).limit(EXPORT_PAGE_SIZE);
+
+    if (cursor) {
+      query = afterCursor(query, cursor);
+    }
+
+    const { data: reports, error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to fetch reports for export: ${error.message}`);
+    }
+
+    yield await attachStatusHistory(reports);
+
+    if (reports.length < EXPORT_PAGE_SIZE) {
+      return;
+    }
+
+    cursor = reports[reports.length - 1];
+  }
+}
+
+// Stream every report matched by buildQuery (a function returning a fresh,
+// filtered reports query) to the response. The first page is fetched before
+// any headers are sent, so a failing query can still be answered with JSON.
+// Returns { error } in that case, and ends the connection on later failures.
+// Stops paging as soon as the client goes away.
+export const streamReportExport = async ({ res, format, buildQuery, filename }) => {
+  const pages = fetchReportPages(buildQuery);
+
+  let firstPage;
+  try {
+    firstPage = await pages.next();
+  } catch (error) {
+    console.error('Report export error:', error);
+    return { error: 'Failed to export reports' };
+  }
+
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${extension}"`);
+
+  const writer = writers[format](res);
+
+  try {
+    await writer.start();
+
+    let page = firstPage;
+    while (!page.done && !res.destroyed) {
+      await writer.writePage(page.value);
+      page = await pages.next();
+    }
+
+    if (!res.destroyed) {
+      await writer.end();
+    }
+  } catch (error) {
+    // A client that disconnected mid-export isn't a server error
+    if (!res.destroyed) {
+      console.error('Report export error:', error);
+      res.destroy(error);
+    }
+  } finally {
+    // Close the page generator when the loop stopped before the last page
+    await pages.return();
+  }
+
+  return {};
+};
@@ -0,0 +1,57 @@
+import { supabase } from '../config/database.js';
+
+export const REPORT_HISTORY_EVENTS = [
+  'created',
+  'updated',
+  'deleted',
+  'status_update',
+  'assigned',
+  'transferred',
+  'merged',
+  'upvoted',
+  'upvote_removed',
+  'confirmed',
+  'reopened',
+  'closed'
+];
+
+// Report columns whose changes are recorded, in the order diffs list them
+export const REPORT_HISTORY_FIELDS = [
+  'title',
+  'description',
+  'category',
+  'subcategory',
+  'status',
+  'address',
+  'lat',
+  'lng',
+  'ward_id',
+  'municipality_id',
+  'assigned_official',
+  'department_id',
+  'merged_into',
+  'upvotes',
+  'closed_at',
+  'reopen_count',
+  'deleted_at'
+];
+
+// Field-level diff between two versions of a report, as { field: { from, to } }.
+// Pass null as before for a new report. Fields missing from after are unchanged.
+export const diffReport = (before, after) => Object.fromEntries(
+  REPORT_HISTORY_FIELDS
+    .filter(field => field in after && (before?.[field] ?? null) !== (after[field] ?? null))
+    .map(field => [field, { from: before?.[field] ?? null, to: after[field] ?? null }])
+);
+
+// Append an event to a report's history. The change it describes has already been
+// made, so a failed write is logged rather than failing the request.
+export const recordReportEvent = async ({ reportId, actorId = null, type, changes = {}, data = {} }) => {
+  const { error } = await supabase
+    .from('report_events')
+    .insert({ report_id: reportId, actor_id: actorId, event_type: type, changes, data });
+
+  if (error) {
+    console.error('Record report event error:', error);
+  }
+};
@@ -0,0 +1,48 @@
+import { supabase } from '../config/database.js';
+
+// Authors have this many days to confirm or reopen a resolved report before it closes by itself
+export const RESOLUTION_CONFIRMATION_DAYS = parseInt(process.env.RESOLUTION_CONFIRMATION_DAYS, 10) || 7;
+
+// Status a report goes back to when its author says it isn't fixed
+export const REOPEN_STATUS = 'acknowledged';
+
+// A resolved report waits for its author's answer until it is closed
+export const isAwaitingConfirmation = (report) =>
+  report.status === 'resolved' && !report.closed_at;
+
+// When an open resolution closes by itself, null for reports that aren't awaiting an answer
+export const confirmationDueAt = (report) => (
+  isAwaitingConfirmation(report) && report.resolved_at
+    ? new Date(new Date(report.resolved_at).getTime() + RESOLUTION_CONFIRMATION_DAYS * 24 * 60 * 60 * 1000).toISOString()
+    : null
+);
+
+// Record the author's answer to a resolution in one transaction: confirming closes the
+// report, reopening moves it back to REOPEN_STATUS with a status update.
+// Returns { response } or { error, statusCode }.
+export const respondToResolution = async ({ reportId, userId, response, reason = null, attachmentId = null }) => {
+  const { data, error } = await supabase.rpc('respond_to_report_resolution', {
+    p_report_id: reportId,
+    p_user_id: userId,
+    p_response: response,
+    p_reason: reason,
+    p_update_text: reason ? `Reopened by the reporter: ${reason}` : 'Reopened by the reporter',
+    p_attachment_id: attachmentId,
+    p_reopen_status: REOPEN_STATUS
+  });
+
+  if (error) {
+    if (error.message?.includes('resolution_not_open')) {
+      return { error: 'Only resolved reports that are not closed yet can be confirmed or reopened', statusCode: 409 };
+    }
+
+    if (error.message?.includes('report_not_found')) {
+      return { error: 'Report not found', statusCode: 404 };
+    }
+
+    console.error('Respond to resolution error:', error);
+    return { error: 'Failed to record your answer', statusCode: 400 };
+  }
+
+  return { response: data };
+};
@@ -0,0 +1,67 @@
+import { NEWEST_FIRST } from './pagination.js';
+
+// Orderings for report listings. All but nearest can be paged with cursors;
+// nearest needs a reference point and is sorted in memory by distance.
+export const REPORT_SORTS = ['newest', 'oldest', 'upvotes', 'last_updated', 'nearest'];
+
+const REPORT_KEYSETS = {
+  newest: NEWEST_FIRST,
+  oldest: {
+    name: 'oldest',
+    keys: [
+      { column: 'created_at', ascending: true, type: 'timestamp' },
+      { column: 'id', ascending: true, type: 'uuid' }
+    ]
+  },
+  upvotes: {
+    name: 'upvotes',
+    keys: [
+      { column: 'upvotes', ascending: false, type: 'integer' },
+      { column: 'created_at', ascending: false, type: 'timestamp' },
+      { column: 'id', ascending: false, type: 'uuid' }
+    ]
+  },
+  last_updated: {
+    name: 'last_updated',
+    keys: [
+      { column: 'updated_at', ascending: false, type: 'timestamp' },
+      { column: 'id', ascending: false, type: 'uuid' }
+    ]
+  }
+};
+
+// The keyset behind a sort, or null for nearest
+export const getReportKeyset = (sort) => (Object.hasOwn(REPORT_KEYSETS, sort) ? REPORT_KEYSETS[sort] : null);
+
+const compareValues = (a, b, type) => {
+  if (type === 'timestamp') {
+    return new Date(a).getTime() - new Date(b).getTime();
+  }
+
+  if (type === 'integer') {
+    return (a || 0) - (b || 0);
+  }
+
+  return String(a).localeCompare(String(b));
+};
+
+// Comparator for reports already in memory, such as the candidates of a spatial query
+export const compareReports = (sort) => {
+  if (sort === 'nearest') {
+    return (a, b) => a.distance_km - b.distance_km;
+  }
+
+  const { keys } = getReportKeyset(sort);
+
+  return (a, b) => {
+    for (const key of keys) {
+      const difference = compareValues(a[key.column], b[key.column], key.type);
+
+      if (difference !== 0) {
+        return key.ascending ? difference : -difference;
+      }
+    }
+
+    return 0;
+  };
+};
@@ -0,0 +1,53 @@
+import { supabase } from '../config/database.js';
+
+export const REPORT_STATUSES = ['pending', 'acknowledged', 'in_progress', 'resolved'];
+
+// Report status state machine, mirrored by report_status_transition_allowed() in the database.
+// Resolved reports can be reopened back to acknowledged or in_progress.
+export const STATUS_TRANSITIONS = {
+  pending: ['acknowledged'],
+  acknowledged: ['in_progress'],
+  in_progress: ['resolved'],
+  resolved: ['acknowledged', 'in_progress']
+};
+
+export const isTransitionAllowed = (fromStatus, toStatus) =>
+  (STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus);
+
+// Helper function to describe why a transition was rejected
+export const describeInvalidTransition = (fromStatus, toStatus) => {
+  const allowed = STATUS_TRANSITIONS[fromStatus] || [];
+  const options = allowed.length > 0 ? allowed.join(' or ') : 'no other status';
+
+  return `Cannot change status from ${fromStatus} to ${toStatus}. A ${fromStatus} report can move to ${options}.`;
+};
+
+// Write a status update and, when newStatus is given, change the report status in the
+// same transaction. Returns { statusUpdate } or { error, statusCode }.
+export const applyStatusUpdate = async ({ reportId, createdBy, updateText, newStatus = null }) => {
+  const { data, error } = await supabase.rpc('apply_report_status_update', {
+    p_report_id: reportId,
+    p_created_by: createdBy,
+    p_update_text: updateText,
+    p_new_status: newStatus
+  });
+
+  if (error) {
+    if (error.message?.includes('invalid_status_transition')) {
+      return { error: 'Report status changed while updating, please refresh and try again', statusCode: 409 };
+    }
+
+    if (error.message?.includes('report_not_found')) {
+      return { error: 'Report not found', statusCode: 404 };
+    }
+
+    console.error('Apply status update error:', error);
+    return { error: 'Failed to create status update', statusCode: 400 };
+  }
+
+  return { statusUpdate: data };
+};
+
+// Default timeline text for status changes made without a written update
+export const defaultStatusUpdateText = (fromStatus, toStatus) =>
+  `Status changed from ${fromStatus.replace('_', ' ')} to ${toStatus.replace('_', ' ')}`;
@@ -0,0 +1,70 @@
+import { supabase } from '../config/database.js';
+
+// Best match first, the default order of search results. search_reports sorts by
+// rank and starts after the cursor itself, since the rank isn't a column of reports.
+// Cursors take search_rank from attachSearchHighlights, so add the highlights first.
+export const RELEVANCE = {
+  name: 'relevance',
+  presorted: true,
+  keys: [
+    { column: 'search_rank', ascending: false, type: 'number' },
+    { column: 'id', ascending: false, type: 'uuid' }
+  ]
+};
+
+// Reports query for a listing, leaving out deleted reports. With a search term the
+// reports come from the search_reports function, best match first, and can be
+// filtered, embedded and paged like the reports table. The term is sent as a
+// function argument, never spliced into a filter, so commas and parentheses in
+// user input are safe. after is a decoded RELEVANCE cursor, other cursors are ignored.
+export const reportsQuery = (search, columns, options = {}, after = null) => {
+  if (!search) {
+    return supabase.from('reports').select(columns, options).is('deleted_at', null);
+  }
+
+  const args = after?.search_rank !== undefined
+    ? { p_query: search, p_after_rank: after.search_rank, p_after_id: after.id }
+    : { p_query: search };
+
+  return supabase.rpc('search_reports', args, options).select(columns).is('deleted_at', null);
+};
+
+// Quoted ilike pattern matching values that contain the term, for use inside .or()
+// filters. The term's LIKE wildcards are escaped so they match literally, and the
+// value is quoted so commas, dots and parentheses can't add filter conditions.
+export const containsPattern = (term) => {
+  const literal = term.replace(/[\\%_]/g, '\\$&');
+  return `"%${literal.replace(/[\\"]/g, '\\$&')}%"`;
+};
+
+// Helper function to add search_rank and search_highlight (title and description
+// with matches wrapped in <mark>) to a page of search results
+export const attachSearchHighlights = async (reports, search) => {
+  if (!search || reports.length === 0) {
+    return reports;
+  }
+
+  const { data: highlights, error } = await supabase.rpc('report_search_highlights', {
+    p_query: search,
+    p_report_ids: reports.map(report => report.id)
+  });
+
+  if (error) {
+    throw new Error(`Failed to fetch search highlights: ${error.message}`);
+  }
+
+  const highlightsByReport = new Map(highlights.map(highlight => [highlight.id, highlight]));
+
+  return reports.map((report) => {
+    const highlight = highlightsByReport.get(report.id);
+
+    return {
+      ...report,
+      search_rank: highlight?.rank ?? 0,
+      search_highlight: {
+        title: highlight?.title ?? report.title,
+        description: highlight?.description ?? report.description
+      }
+    };
+  });
+};
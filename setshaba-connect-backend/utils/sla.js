@@ -0,0 +1,8 @@
+// Stages an SLA target can apply to. Resolved reports have nothing left to be late for.
+export const SLA_STAGES = ['pending', 'acknowledged', 'in_progress'];
+
+// Add the computed `breached` flag next to the stored `due_at`
+export const withSlaStatus = (report, now = new Date()) => ({
+  ...report,
+  breached: Boolean(report.due_at) && report.status !== 'resolved' && new Date(report.due_at) < now
+});
@@ -0,0 +1,139 @@
+/*
+  # Implement Ward Point Lookup
+
+  1. Functions
+    - `point_in_geojson_ring` - ray casting test of a point against one GeoJSON ring
+    - `point_in_geojson` - point test against a GeoJSON Polygon, MultiPolygon or Feature,
+      honouring holes in polygons
+    - `find_ward_by_point` - replaced to return the ward whose boundary contains the point
+      instead of an arbitrary ward
+
+  2. Notes
+    - Coordinates are GeoJSON ordered ([longitude, latitude]), matching `wards.geojson`
+    - The backend's `/api/wards/locate` route uses the same algorithm in-process;
+      these functions keep lookups consistent for database-side callers
+*/
+
+CREATE OR REPLACE FUNCTION point_in_geojson_ring(
+  p_latitude double precision,
+  p_longitude double precision,
+  p_ring jsonb
+)
+RETURNS boolean
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+  inside boolean := false;
+  point_count integer;
+  i integer;
+  j integer;
+  xi double precision;
+  yi double precision;
+  xj double precision;
+  yj double precision;
+BEGIN
+  IF p_ring IS NULL OR jsonb_typeof(p_ring) <> 'array' THEN
+    RETURN false;
+  END IF;
+
+  point_count := jsonb_array_length(p_ring);
+  j := point_count - 1;
+
+  FOR i IN 0..point_count - 1 LOOP
+    xi := (p_ring -> i ->> 0)::double precision;
+    yi := (p_ring -> i ->> 1)::double precision;
+    xj := (p_ring -> j ->> 0)::double precision;
+    yj := (p_ring -> j ->> 1)::double precision;
+
+    IF ((yi > p_latitude) <> (yj > p_latitude))
+       AND (p_longitude < (xj - xi) * (p_latitude - yi) / (yj - yi) + xi) THEN
+      inside := NOT inside;
+    END IF;
+
+    j := i;
+  END LOOP;
+
+  RETURN inside;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION point_in_geojson(
+  p_latitude double precision,
+  p_longitude double precision,
+  p_geometry jsonb
+)
+RETURNS boolean
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+  polygons jsonb;
+  polygon jsonb;
+  ring_index integer;
+  in_hole boolean;
+BEGIN
+  IF p_geometry ->> 'type' = 'Feature' THEN
+    p_geometry := p_geometry -> 'geometry';
+  END IF;
+
+  IF p_geometry ->> 'type' = 'Polygon' THEN
+    polygons := jsonb_build_array(p_geometry -> 'coordinates');
+  ELSIF p_geometry ->> 'type' = 'MultiPolygon' THEN
+    polygons := p_geometry -> 'coordinates';
+  ELSE
+    RETURN false;
+  END IF;
+
+  IF polygons IS NULL OR jsonb_typeof(polygons) <> 'array' THEN
+    RETURN false;
+  END IF;
+
+  FOR polygon IN SELECT value FROM jsonb_array_elements(polygons) LOOP
+    IF point_in_geojson_ring(p_latitude, p_longitude, polygon -> 0) THEN
+      in_hole := false;
+
+      FOR ring_index IN 1..jsonb_array_length(polygon) - 1 LOOP
+        IF point_in_geojson_ring(p_latitude, p_longitude, polygon -> ring_index) THEN
+          in_hole := true;
+          EXIT;
+        END IF;
+      END LOOP;
+
+      IF NOT in_hole THEN
+        RETURN true;
+      END IF;
+    END IF;
+  END LOOP;
+
+  RETURN false;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION find_ward_by_point(
+  p_latitude double precision,
+  p_longitude double precision
+)
+RETURNS TABLE(
+  ward_id text,
+  name text,
+  municipality_id uuid,
+  properties jsonb
+)
+LANGUAGE plpgsql
+STABLE
+AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    w.ward_id,
+    w.name,
+    w.municipality_id,
+    w.properties
+  FROM wards w
+  WHERE w.geojson IS NOT NULL
+    AND point_in_geojson(p_latitude, p_longitude, w.geojson)
+  ORDER BY w.ward_id
+  LIMIT 1;
+END;
+$$;